@@ -14,13 +14,20 @@ import SuppliersPage from './pages/suppliers/SuppliersPage';
 import CustomersPage from './pages/Customers/CustomersPage';
 import ProductPage from './pages/products/ProductPage';
 import AdminDashboardControl from "./pages/dashboard/AdminDashboardControl";
+import PosLayout from "./pages/Pos/PosLayout";
 import PosWithCart from "./pages/Pos/PosWithCart";
+import OfflineSalesReview from "./pages/Pos/OfflineSalesReview";
+import PendingMpesaPayments from "./pages/Pos/PendingMpesaPayments";
+import CustomerDisplay from "./pages/Pos/CustomerDisplay";
 import NotFound from "./pages/NotFound";
 import UsersList from './pages/Users/UsersList';
 import CreateUser from './pages/Users/CreateUser';
 import EditUser from './pages/Users/EditUser';
 import UserChangePassword from './pages/Users/UserChangePassword';
 import { AuthProvider } from './context/AuthContext';
+import { BranchProvider } from './context/BranchContext';
+import { ConnectivityProvider } from './context/ConnectivityContext';
+import RequireBranch from './components/RequireBranch';
 import SalesList from "./pages/sales/SalesList";
 import SalesHistory from "./pages/sales/SalesHistory";
 import SalesReturnPage from './pages/sales/SalesReturnPage';
@@ -32,14 +39,20 @@ import BusinessProfile from './pages/settings/business/BusinessProfile';
 import Roles from './pages/settings/business/Roles';
 import CreateRole from './pages/settings/business/CreateRole';
 import RolesPermissions from './pages/settings/business/RolesPermissions';
+import AuditLog from './pages/settings/AuditLog';
+import TaxSettings from './pages/settings/TaxSettings';
+import ShiftPage from './pages/shifts/ShiftPage';
+import ZReportArchive from './pages/shifts/ZReportArchive';
 import InventoryPage from './pages/inventory/InventoryPage';
 import EditPurchase from './pages/Purchase/EditPurchase';
 import ApplyDiscount from './pages/Discount/ApplyDiscount';
+import PromotionsPage from './pages/Promotions/PromotionsPage';
 import SalesReport from './pages/reports/SalesReport';
 import ProductPerformanceReport from './pages/reports/ProductPerformanceReport';
 import InventoryValuationReport from './pages/reports/InventoryValuationReport';
 import FinancialReports from './pages/reports/FinancialReports';
 import SupplierPurchasesReport from './pages/reports/SupplierPurchasesReport';
+import PriceOverridesReport from './pages/reports/PriceOverridesReport';
 import IncomeStatement from './pages/finance/IncomeStatement';
 import CashFlow from './pages/finance/CashFlow';
 import PaymentsPage from './pages/finance/PaymentsPage';
@@ -47,6 +60,8 @@ import PaymentsPage from './pages/finance/PaymentsPage';
 function App() {
   return (
     <AuthProvider> 
+      <BranchProvider>
+      <ConnectivityProvider>
       <Router>
         <div className="flex flex-col min-h-screen">
           <div className="flex-grow">
@@ -88,7 +103,14 @@ function App() {
 
               {/* POS - Cashier access */}
               <Route element={<ProtectedRoute requiredPermissions={['pos_access']} />}>
-                <Route path="/pos" element={<DashboardLayout><PosWithCart /></DashboardLayout>} />
+                {/* Till pages share the cart and the idle lock */}
+                <Route element={<PosLayout />}>
+                  <Route path="/pos" element={<RequireBranch><PosWithCart /></RequireBranch>} />
+                  <Route path="/pos/offline-sales" element={<OfflineSalesReview />} />
+                  <Route path="/pos/mpesa-payments" element={<PendingMpesaPayments />} />
+                </Route>
+                {/* Full screen on a second monitor facing the customer */}
+                <Route path="/pos/customer-display" element={<CustomerDisplay />} />
               </Route>
 
               {/* Suppliers */}
@@ -120,41 +142,50 @@ function App() {
 
               {/* Inventory */}
               <Route element={<ProtectedRoute requiredPermissions={['inventory_view']} />}>
-                <Route path="/inventory" element={<DashboardLayout><InventoryPage /></DashboardLayout>} />
+                <Route path="/inventory" element={<DashboardLayout><RequireBranch><InventoryPage /></RequireBranch></DashboardLayout>} />
               </Route>
 
               {/* Purchases */}
               <Route element={<ProtectedRoute requiredPermissions={['purchase_view']} />}>
-                <Route path="/purchases" element={<DashboardLayout><PurchaseDetails /></DashboardLayout>} />
+                <Route path="/purchases" element={<DashboardLayout><RequireBranch><PurchaseDetails /></RequireBranch></DashboardLayout>} />
               </Route>
 
               <Route element={<ProtectedRoute requiredPermissions={['purchase_create']} />}>
-                <Route path="/purchases/create" element={<DashboardLayout><CreatePurchase /></DashboardLayout>} />
+                <Route path="/purchases/create" element={<DashboardLayout><RequireBranch><CreatePurchase /></RequireBranch></DashboardLayout>} />
               </Route>
 
               <Route element={<ProtectedRoute requiredPermissions={['purchase_view']} />}>
-                <Route path="/purchases/track" element={<DashboardLayout><ReceivePurchases /></DashboardLayout>} />
+                <Route path="/purchases/track" element={<DashboardLayout><RequireBranch><ReceivePurchases /></RequireBranch></DashboardLayout>} />
               </Route>
 
               <Route element={<ProtectedRoute requiredPermissions={['purchase_update']} />}>
-                <Route path="/purchases/edit/:id" element={<DashboardLayout><EditPurchase /></DashboardLayout>} />
+                <Route path="/purchases/edit/:id" element={<DashboardLayout><RequireBranch><EditPurchase /></RequireBranch></DashboardLayout>} />
               </Route>
 
               {/* Sales */}
               <Route element={<ProtectedRoute requiredPermissions={['sale_view']} />}>
-                <Route path="/sales" element={<DashboardLayout><SalesList /></DashboardLayout>} />
+                <Route path="/sales" element={<DashboardLayout><RequireBranch><SalesList /></RequireBranch></DashboardLayout>} />
               </Route>
 
               <Route element={<ProtectedRoute requiredPermissions={['sale_view']} />}>
-                <Route path="/sales/history" element={<DashboardLayout><SalesHistory /></DashboardLayout>} />
+                <Route path="/sales/history" element={<DashboardLayout><RequireBranch><SalesHistory /></RequireBranch></DashboardLayout>} />
               </Route>
 
               <Route element={<ProtectedRoute requiredPermissions={['sale_return']} />}>
-                <Route path="/sales/returns" element={<DashboardLayout><SalesReturnPage /></DashboardLayout>} />
+                <Route path="/sales/returns" element={<DashboardLayout><RequireBranch><SalesReturnPage /></RequireBranch></DashboardLayout>} />
               </Route>
 
               <Route element={<ProtectedRoute requiredPermissions={['sale_return']} />}>
-                <Route path="/sales/returns/create" element={<DashboardLayout><SalesReturnPage /></DashboardLayout>} />
+                <Route path="/sales/returns/create" element={<DashboardLayout><RequireBranch><SalesReturnPage /></RequireBranch></DashboardLayout>} />
+              </Route>
+
+              {/* Shifts */}
+              <Route element={<ProtectedRoute requiredPermissions={['shift_manage']} />}>
+                <Route path="/shifts" element={<DashboardLayout><RequireBranch><ShiftPage /></RequireBranch></DashboardLayout>} />
+              </Route>
+
+              <Route element={<ProtectedRoute requiredPermissions={['shift_reports_view']} />}>
+                <Route path="/shifts/z-reports" element={<DashboardLayout><ZReportArchive /></DashboardLayout>} />
               </Route>
 
               {/* Discounts */}
@@ -162,9 +193,14 @@ function App() {
                 <Route path="/apply-discount" element={<DashboardLayout><ApplyDiscount /></DashboardLayout>} />
               </Route>
 
+              <Route element={<ProtectedRoute requiredPermissions={['promotion_manage']} />}>
+                <Route path="/promotions" element={<DashboardLayout><PromotionsPage /></DashboardLayout>} />
+              </Route>
+
               {/* Reports */}
               <Route element={<ProtectedRoute requiredPermissions={['salesreports_view']} />}>
                 <Route path="/reports/sales" element={<DashboardLayout><SalesReport /></DashboardLayout>} />
+                <Route path="/reports/price-overrides" element={<DashboardLayout><PriceOverridesReport /></DashboardLayout>} />
               </Route>
 
               <Route element={<ProtectedRoute requiredPermissions={['productsreports_view']} />}>
@@ -194,6 +230,7 @@ function App() {
               {/* Settings - Admin only */}
               <Route element={<ProtectedRoute requiredPermissions={['settings_manage']} />}>
                 <Route path="/settings/business/profile" element={<DashboardLayout><BusinessProfile /></DashboardLayout>} />
+                <Route path="/settings/tax" element={<DashboardLayout><TaxSettings /></DashboardLayout>} />
               </Route>
 
       
@@ -210,6 +247,10 @@ function App() {
                 <Route path="/settings/business/roles-permissions" element={<DashboardLayout><RolesPermissions /></DashboardLayout>} />
               </Route>
 
+              <Route element={<ProtectedRoute requiredPermissions={['audit_view']} />}>
+                <Route path="/settings/audit" element={<DashboardLayout><AuditLog /></DashboardLayout>} />
+              </Route>
+
               {/* Profile - accessible to all authenticated users */}
               <Route element={<ProtectedRoute />}>
                 <Route path="/profile" element={<DashboardLayout><Profile /></DashboardLayout>} />
@@ -225,6 +266,8 @@ function App() {
           </div>
         </div>
       </Router>
+      </ConnectivityProvider>
+      </BranchProvider>
     </AuthProvider> 
   );
 }
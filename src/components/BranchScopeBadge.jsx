@@ -0,0 +1,21 @@
+import { FaStore } from 'react-icons/fa';
+import { useBranch } from '../context/BranchContext';
+
+// Shows which branch (or all of them) a dashboard or report covers
+const BranchScopeBadge = ({ className = '' }) => {
+  const { activeBranch, isAllBranches, isMultiBranch } = useBranch();
+  if (!isMultiBranch) return null;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 text-xs font-medium px-2 py-1 rounded-full ${
+        isAllBranches ? 'bg-purple-100 text-purple-700' : 'bg-blue-100 text-blue-700'
+      } ${className}`}
+    >
+      <FaStore aria-hidden="true" />
+      {isAllBranches ? 'All branches' : activeBranch?.name || 'Current branch'}
+    </span>
+  );
+};
+
+export default BranchScopeBadge;
@@ -1,7 +1,7 @@
 // src/pages/returns/CreateReturn.jsx
 
 import React, { useState } from "react";
-import axios from "axios";
+import { createReturn } from "../services/returnsService";
 
 const CreateReturn = () => {
   const [orderId, setOrderId] = useState("");
@@ -13,15 +13,15 @@ const CreateReturn = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-      const res = await axios.post("/api/returns", {
+      const result = await createReturn({
         orderId,
         productId,
         qtyReturned,
         returnReason,
       });
-      setMessage(res.data);
+      setMessage(typeof result === "string" ? result : result?.message || "Return recorded");
     } catch (err) {
-      setMessage("Error processing return");
+      setMessage(err.message || "Error processing return");
     }
   };
 
@@ -9,7 +9,9 @@ const DiscountForm = () => {
     validFrom: '',
     validTo: '',
     description: '',
-    productIds: []
+    productIds: [],
+    minSpend: '',
+    usageLimit: ''
   });
   
   const [products, setProducts] = useState([]);
@@ -66,7 +68,12 @@ const DiscountForm = () => {
     setSuccess('');
     
     try {
-      await createDiscount(discount);
+      // Blank limits are stored as no limit
+      await createDiscount({
+        ...discount,
+        minSpend: discount.minSpend === '' ? null : Number(discount.minSpend),
+        usageLimit: discount.usageLimit === '' ? null : Number(discount.usageLimit)
+      });
       setSuccess('Discount created and applied successfully!');
       
       // Reset form
@@ -76,7 +83,9 @@ const DiscountForm = () => {
         validFrom: '',
         validTo: '',
         description: '',
-        productIds: []
+        productIds: [],
+        minSpend: '',
+        usageLimit: ''
       });
     } catch (err) {
       setError(err.message || 'Failed to create discount');
@@ -176,6 +185,42 @@ const DiscountForm = () => {
               className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
             />
           </div>
+
+          {/* Minimum Spend */}
+          <div>
+            <label htmlFor="minSpend" className="block text-sm font-medium text-gray-700 mb-1">
+              Minimum Spend (Ksh)
+            </label>
+            <input
+              type="number"
+              id="minSpend"
+              name="minSpend"
+              min="0"
+              step="0.01"
+              value={discount.minSpend}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              placeholder="No minimum"
+            />
+          </div>
+
+          {/* Usage Limit */}
+          <div>
+            <label htmlFor="usageLimit" className="block text-sm font-medium text-gray-700 mb-1">
+              Usage Limit
+            </label>
+            <input
+              type="number"
+              id="usageLimit"
+              name="usageLimit"
+              min="1"
+              step="1"
+              value={discount.usageLimit}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              placeholder="Unlimited"
+            />
+          </div>
         </div>
         
         {/* Description */}
@@ -1,26 +1,50 @@
 // src/components/Navbar.js
 import { useState, useEffect } from "react";
 import { Link, useLocation, useNavigate } from "react-router-dom";
-import { FaShoppingCart, FaUser, FaChevronDown, FaSignOutAlt } from "react-icons/fa";
+import { FaShoppingCart, FaUser, FaChevronDown, FaSignOutAlt, FaStore, FaSyncAlt, FaExclamationTriangle, FaMobileAlt } from "react-icons/fa";
 import { useAuth } from "../context/AuthContext";
+import { useBranch } from "../context/BranchContext";
+import { useConnectivity } from "../context/ConnectivityContext";
+import { ALL_BRANCHES } from "../services/apiClient";
+import { getMpesaSessions } from "../services/mpesaService";
+
+// How often the count of M-Pesa payments needing attention is refreshed
+const MPESA_CHECK_MS = 60000;
 
 const Navbar = () => {
   const { pathname } = useLocation();
   const navigate = useNavigate();
   const { user, logout, hasPermission } = useAuth();
+  const { branches, activeBranchId, isMultiBranch, canViewAllBranches, selectBranch } = useBranch();
+  const { online, pendingCount, conflictCount, syncing, syncError } = useConnectivity();
   const [cartItemCount, setCartItemCount] = useState(0);
   const [showDropdown, setShowDropdown] = useState(false);
+  const [unresolvedMpesaCount, setUnresolvedMpesaCount] = useState(0);
 
-  const getCartItemCount = () => {
-    const cartData = sessionStorage.getItem('cart');
-    if (cartData) {
-      const cart = JSON.parse(cartData);
-      return cart.items.reduce((total, item) => total + (item.quantity || 1), 0);
-    }
-    return 0;
-  };
+  const userId = user?.id;
+  const canUsePos = hasPermission('pos_access');
+
+  // Confirmed M-Pesa payments that never made it into a sale
+  useEffect(() => {
+    if (!canUsePos || !online) return undefined;
+    const checkMpesa = () => getMpesaSessions({ unresolved: true })
+      .then(sessions => setUnresolvedMpesaCount(sessions.length))
+      .catch(error => console.error("Failed to check M-Pesa payments:", error));
+    checkMpesa();
+    const timer = setInterval(checkMpesa, MPESA_CHECK_MS);
+    return () => clearInterval(timer);
+  }, [canUsePos, online, userId]);
 
   useEffect(() => {
+    const getCartItemCount = () => {
+      const cartData = userId && localStorage.getItem(`cart_${userId}`);
+      if (cartData) {
+        const cart = JSON.parse(cartData);
+        return cart.items.reduce((total, item) => total + (item.quantity || 1), 0);
+      }
+      return 0;
+    };
+
     const handleStorageChange = () => {
       setCartItemCount(getCartItemCount());
     };
@@ -31,7 +55,7 @@ const Navbar = () => {
     return () => {
       window.removeEventListener('storage', handleStorageChange);
     };
-  }, []);
+  }, [userId]);
 
   const handleLogout = async () => {
     try {
@@ -43,6 +67,16 @@ const Navbar = () => {
     }
   };
 
+  const handleBranchChange = (e) => {
+    const branchId = e.target.value;
+    if (cartItemCount > 0 && !window.confirm(
+      `The cart has ${cartItemCount} item(s) priced for the current branch. Switch branch anyway?`
+    )) {
+      return;
+    }
+    selectBranch(branchId);
+  };
+
   const shouldHideNavbar = pathname === "/signin" || pathname === "/signup";
   if (shouldHideNavbar) return null;
 
@@ -50,6 +84,73 @@ const Navbar = () => {
     <nav className="sticky top-0 z-40 w-full bg-white border-b border-gray-200 shadow-sm h-16 flex items-center px-4 sm:px-6">
       <div className="flex items-center justify-end w-full">
         <div className="flex items-center space-x-4">
+          <span
+            className={`flex items-center text-xs font-medium px-2 py-1 rounded-full ${
+              online ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+            }`}
+            role="status"
+            title={online ? "Connected" : "No connection - cash sales are saved and synced later"}
+          >
+            <span className={`h-2 w-2 rounded-full mr-1.5 ${online ? "bg-green-500" : "bg-red-500"}`} aria-hidden="true" />
+            {online ? "Online" : "Offline"}
+          </span>
+
+          {hasPermission('pos_access') && pendingCount + conflictCount > 0 && (
+            <Link
+              to="/pos/offline-sales"
+              className={`flex items-center text-xs font-medium px-2 py-1 rounded-full ${
+                conflictCount > 0 ? "bg-red-100 text-red-800" : "bg-yellow-100 text-yellow-800"
+              }`}
+              title="Offline sales waiting to sync"
+            >
+              {conflictCount > 0
+                ? <FaExclamationTriangle className="mr-1" aria-hidden="true" />
+                : <FaSyncAlt className={`mr-1 ${syncing ? "animate-spin" : ""}`} aria-hidden="true" />}
+              {pendingCount > 0 && `${pendingCount} to sync`}
+              {pendingCount > 0 && conflictCount > 0 && ", "}
+              {conflictCount > 0 && `${conflictCount} to review`}
+            </Link>
+          )}
+
+          {canUsePos && syncError && (
+            <Link
+              to="/pos/offline-sales"
+              className="flex items-center text-xs font-medium px-2 py-1 rounded-full bg-red-100 text-red-800"
+              title={syncError}
+            >
+              <FaExclamationTriangle className="mr-1" aria-hidden="true" />
+              Sync failed
+            </Link>
+          )}
+
+          {canUsePos && unresolvedMpesaCount > 0 && (
+            <Link
+              to="/pos/mpesa-payments"
+              className="flex items-center text-xs font-medium px-2 py-1 rounded-full bg-yellow-100 text-yellow-800"
+              title="M-Pesa payments confirmed without a sale"
+            >
+              <FaMobileAlt className="mr-1" aria-hidden="true" />
+              {unresolvedMpesaCount} M-Pesa to resolve
+            </Link>
+          )}
+
+          {isMultiBranch && (
+            <label className="flex items-center text-gray-700">
+              <FaStore className="text-lg mr-2" aria-hidden="true" />
+              <span className="sr-only">Branch</span>
+              <select
+                value={activeBranchId || ''}
+                onChange={handleBranchChange}
+                className="text-sm border border-gray-300 rounded-md py-1 px-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {canViewAllBranches && <option value={ALL_BRANCHES}>All branches</option>}
+                {branches.map(branch => (
+                  <option key={branch.id} value={String(branch.id)}>{branch.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
           {/* Only show Cart if user has pos_access permission */}
           {hasPermission('pos_access') && (
             <Link
@@ -1,15 +1,19 @@
 // src/components/PermissionGate.js
-import { useContext } from 'react';
-import { AuthContext } from '../context/AuthContext';
+import { usePermission } from '../hooks/usePermission';
 
-const PermissionGate = ({ children, requiredPermissions, fallback = null }) => {
-  const { user } = useContext(AuthContext);
+/**
+ * Renders children only when the user satisfies the requirement.
+ * `requiredPermissions` is kept as the "any of" shorthand; `allOf`, `anyOf`
+ * and `not` can be combined.
+ */
+const PermissionGate = ({ children, requiredPermissions, allOf, anyOf, not, fallback = null }) => {
+  const { allowed } = usePermission({
+    allOf,
+    anyOf: anyOf || requiredPermissions,
+    not
+  });
 
-  const hasPermission = requiredPermissions.some(perm => 
-    user?.permissions?.includes(perm)
-  );
-
-  return hasPermission ? children : fallback;
+  return allowed ? children : fallback;
 };
 
-export default PermissionGate;
\ No newline at end of file
+export default PermissionGate;
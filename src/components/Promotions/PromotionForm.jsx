@@ -0,0 +1,289 @@
+import React from 'react';
+import { FaPlus, FaSave, FaTrash } from 'react-icons/fa';
+import { PROMOTION_TYPE_LABELS, PROMOTION_TYPES, WEEKDAYS } from '../utils/promotions';
+
+// What a new rule of each type starts as
+export const DEFAULT_RULES = {
+  [PROMOTION_TYPES.BUY_X_GET_Y]: { buyQuantity: 2, getQuantity: 1, getPercent: 100 },
+  [PROMOTION_TYPES.BUNDLE]: { bundleQuantity: 2, bundlePrice: '' },
+  [PROMOTION_TYPES.QUANTITY_TIER]: { tiers: [{ minQuantity: 3, percent: 10 }] },
+  [PROMOTION_TYPES.SPEND_THRESHOLD]: { minSpend: '', percent: 10, amountOff: null }
+};
+
+export const emptyPromotion = () => ({
+  name: '',
+  description: '',
+  type: PROMOTION_TYPES.BUY_X_GET_Y,
+  active: true,
+  productIds: [],
+  startsAt: '',
+  endsAt: '',
+  schedule: { days: [], startTime: '', endTime: '' },
+  rule: DEFAULT_RULES[PROMOTION_TYPES.BUY_X_GET_Y]
+});
+
+/**
+ * Builds a promotion: its rule, the products it covers and when it runs
+ * @param {Object} props
+ * @param {Object} props.promotion - The draft being edited
+ * @param {Array} props.products - Products that can be covered
+ * @param {Object} props.fieldErrors - From validatePromotion or the server
+ * @param {boolean} props.saving
+ * @param {Function} props.onChange - Called with the updated draft
+ * @param {Function} props.onSave
+ * @param {Function} props.onCancel
+ */
+const PromotionForm = ({ promotion, products, fieldErrors, saving, onChange, onSave, onCancel }) => {
+  const rule = promotion.rule || {};
+  const schedule = promotion.schedule || { days: [], startTime: '', endTime: '' };
+
+  const update = (changes) => onChange({ ...promotion, ...changes });
+  const updateRule = (changes) => update({ rule: { ...rule, ...changes } });
+  const updateSchedule = (changes) => update({ schedule: { ...schedule, ...changes } });
+  const updateTier = (index, changes) => updateRule({
+    tiers: rule.tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier))
+  });
+
+  const toggleProduct = (productId, checked) => update({
+    productIds: checked ? [...promotion.productIds, productId] : promotion.productIds.filter(id => id !== productId)
+  });
+  const toggleDay = (day, checked) => updateSchedule({
+    days: checked ? [...schedule.days, day] : schedule.days.filter(d => d !== day)
+  });
+
+  const inputClass = (field) => `w-full p-2 border rounded ${fieldErrors[field] ? 'border-red-500' : 'border-gray-300'}`;
+  const error = (field) => fieldErrors[field] && <p className="text-xs text-red-600 mt-1">{fieldErrors[field]}</p>;
+  const numberField = (label, field, props = {}) => (
+    <div>
+      <label className="block text-sm text-gray-700 mb-1">{label}</label>
+      <input
+        type="number"
+        min="0"
+        value={rule[field] ?? ''}
+        onChange={(e) => updateRule({ [field]: e.target.value })}
+        className={inputClass(`rule.${field}`)}
+        {...props}
+      />
+      {error(`rule.${field}`)}
+    </div>
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-4">
+      <h2 className="text-xl font-semibold">{promotion.id ? `Edit ${promotion.name || 'promotion'}` : 'New promotion'}</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm text-gray-700 mb-1">Name</label>
+          <input
+            value={promotion.name}
+            onChange={(e) => update({ name: e.target.value })}
+            placeholder="Shown on the cart and receipt"
+            className={inputClass('name')}
+          />
+          {error('name')}
+        </div>
+        <div>
+          <label className="block text-sm text-gray-700 mb-1">Type</label>
+          <select
+            value={promotion.type}
+            onChange={(e) => update({ type: e.target.value, rule: DEFAULT_RULES[e.target.value] })}
+            className={inputClass('type')}
+          >
+            {Object.values(PROMOTION_TYPES).map(type => (
+              <option key={type} value={type}>{PROMOTION_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+          {error('type')}
+        </div>
+      </div>
+      <input
+        value={promotion.description || ''}
+        onChange={(e) => update({ description: e.target.value })}
+        placeholder="Description (optional)"
+        className={inputClass('description')}
+      />
+
+      <div className="p-4 bg-gray-50 rounded-lg">
+        {promotion.type === PROMOTION_TYPES.BUY_X_GET_Y && (
+          <div className="grid grid-cols-3 gap-3">
+            {numberField('Buy', 'buyQuantity', { min: '1', step: '1' })}
+            {numberField('Get', 'getQuantity', { min: '1', step: '1' })}
+            {numberField('At % off', 'getPercent', { min: '1', max: '100' })}
+          </div>
+        )}
+        {promotion.type === PROMOTION_TYPES.BUNDLE && (
+          <div className="grid grid-cols-2 gap-3">
+            {numberField('Any this many', 'bundleQuantity', { min: '2', step: '1' })}
+            {numberField('For (Ksh)', 'bundlePrice', { step: '0.01' })}
+          </div>
+        )}
+        {promotion.type === PROMOTION_TYPES.QUANTITY_TIER && (
+          <div className="space-y-2">
+            {rule.tiers.map((tier, index) => (
+              <div key={index} className="flex items-start gap-2">
+                <div className="flex-1">
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={tier.minQuantity}
+                    onChange={(e) => updateTier(index, { minQuantity: e.target.value })}
+                    placeholder="From quantity"
+                    className={inputClass(`rule.tiers[${index}].minQuantity`)}
+                  />
+                  {error(`rule.tiers[${index}].minQuantity`)}
+                </div>
+                <span className="pt-2 text-sm text-gray-600">or more at</span>
+                <div className="flex-1">
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={tier.percent}
+                    onChange={(e) => updateTier(index, { percent: e.target.value })}
+                    placeholder="% off"
+                    className={inputClass(`rule.tiers[${index}].percent`)}
+                  />
+                  {error(`rule.tiers[${index}].percent`)}
+                </div>
+                <span className="pt-2 text-sm text-gray-600">% off</span>
+                <button
+                  type="button"
+                  onClick={() => updateRule({ tiers: rule.tiers.filter((_, i) => i !== index) })}
+                  disabled={rule.tiers.length === 1}
+                  className="p-2 text-red-600 hover:text-red-800 disabled:opacity-40"
+                  title="Remove tier"
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            ))}
+            {error('rule.tiers')}
+            <button
+              type="button"
+              onClick={() => updateRule({ tiers: [...rule.tiers, { minQuantity: '', percent: '' }] })}
+              className="flex items-center gap-2 px-3 py-1 text-sm bg-gray-100 hover:bg-gray-200 rounded"
+            >
+              <FaPlus /> Add tier
+            </button>
+          </div>
+        )}
+        {promotion.type === PROMOTION_TYPES.SPEND_THRESHOLD && (
+          <div className="grid grid-cols-2 gap-3">
+            {numberField('Spend at least (Ksh)', 'minSpend', { step: '0.01' })}
+            <div>
+              <label className="block text-sm text-gray-700 mb-1">Get off</label>
+              <div className="flex gap-2">
+                <select
+                  value={rule.amountOff != null ? 'AMOUNT' : 'PERCENT'}
+                  onChange={(e) => updateRule(e.target.value === 'AMOUNT'
+                    ? { amountOff: rule.percent ?? '', percent: null }
+                    : { percent: rule.amountOff ?? '', amountOff: null })}
+                  className="p-2 border border-gray-300 rounded"
+                >
+                  <option value="PERCENT">%</option>
+                  <option value="AMOUNT">Ksh</option>
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={(rule.amountOff != null ? rule.amountOff : rule.percent) ?? ''}
+                  onChange={(e) => updateRule(rule.amountOff != null ? { amountOff: e.target.value } : { percent: e.target.value })}
+                  className={inputClass('rule.value')}
+                />
+              </div>
+              {error('rule.value')}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm text-gray-700 mb-1">
+          Products {promotion.productIds.length === 0 && <span className="text-gray-500">(none ticked covers every product)</span>}
+        </label>
+        <div className="max-h-48 overflow-y-auto border border-gray-300 rounded p-2 grid grid-cols-1 sm:grid-cols-2 gap-1">
+          {products.map(product => (
+            <label key={product.id} className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                checked={promotion.productIds.includes(product.id)}
+                onChange={(e) => toggleProduct(product.id, e.target.checked)}
+                className="mr-2"
+              />
+              {product.name} <span className="ml-1 text-gray-500">Ksh {Number(product.price).toFixed(2)}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm text-gray-700 mb-1">Starts</label>
+          <input type="date" value={promotion.startsAt || ''} onChange={(e) => update({ startsAt: e.target.value })} className={inputClass('startsAt')} />
+          {error('startsAt')}
+        </div>
+        <div>
+          <label className="block text-sm text-gray-700 mb-1">Ends</label>
+          <input type="date" value={promotion.endsAt || ''} onChange={(e) => update({ endsAt: e.target.value })} className={inputClass('endsAt')} />
+          {error('endsAt')}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm text-gray-700 mb-1">
+          Days {schedule.days.length === 0 && <span className="text-gray-500">(none ticked runs every day)</span>}
+        </label>
+        <div className="flex flex-wrap gap-3">
+          {WEEKDAYS.map((label, day) => (
+            <label key={label} className="flex items-center text-sm">
+              <input type="checkbox" checked={schedule.days.includes(day)} onChange={(e) => toggleDay(day, e.target.checked)} className="mr-1" />
+              {label}
+            </label>
+          ))}
+        </div>
+        {error('schedule.days')}
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm text-gray-700 mb-1">From (optional)</label>
+          <input type="time" value={schedule.startTime || ''} onChange={(e) => updateSchedule({ startTime: e.target.value })} className={inputClass('schedule.startTime')} />
+          {error('schedule.startTime')}
+        </div>
+        <div>
+          <label className="block text-sm text-gray-700 mb-1">Until</label>
+          <input type="time" value={schedule.endTime || ''} onChange={(e) => updateSchedule({ endTime: e.target.value })} className={inputClass('schedule.endTime')} />
+          {error('schedule.endTime')}
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">A window that ends before it starts runs past midnight.</p>
+
+      <label className="flex items-center text-sm">
+        <input type="checkbox" checked={promotion.active !== false} onChange={(e) => update({ active: e.target.checked })} className="mr-2" />
+        Switched on
+      </label>
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-4 py-2 border rounded-lg hover:bg-gray-50">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium disabled:opacity-60"
+        >
+          <FaSave /> {saving ? 'Saving...' : 'Save promotion'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PromotionForm;
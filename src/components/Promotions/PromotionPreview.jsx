@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { FaPlus, FaTrash } from 'react-icons/fa';
+import { lineSubtotal, OVERRIDE_TYPES, priceLines } from '../utils/priceOverrides';
+import { isPromotionLive, livePromotions, validatePromotion } from '../utils/promotions';
+import { multiplyMoney, subtractMoney, sumMoney } from '../utils/money';
+
+const formatMoney = (value) => `Ksh ${Number(value || 0).toFixed(2)}`;
+
+const pad = (value) => String(value).padStart(2, '0');
+// A datetime-local input's value for a date, in local time
+const toLocalInput = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// A sample line as the cart would hold it
+const toCartLine = (product, quantity) => ({
+  id: product.id,
+  name: product.name,
+  price: Number(product.price) || 0,
+  quantity,
+  discountAmount: product.discountPercentage ? product.price * product.discountPercentage / 100 : 0
+});
+
+/**
+ * Prices a sample cart the way the till would at a chosen day and time, with
+ * the promotion being edited and, optionally, the others already saved
+ * @param {Object} props
+ * @param {Object} props.promotion - The draft being edited
+ * @param {Array} props.promotions - Saved promotions
+ * @param {Array} props.products
+ */
+const PromotionPreview = ({ promotion, promotions, products }) => {
+  const [sample, setSample] = useState([]);
+  const [productId, setProductId] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [at, setAt] = useState(() => toLocalInput(new Date()));
+  const [withOthers, setWithOthers] = useState(true);
+
+  const addLine = (e) => {
+    e.preventDefault();
+    const product = products.find(p => String(p.id) === String(productId));
+    const count = Math.max(Math.floor(Number(quantity)) || 0, 1);
+    if (!product) return;
+    setSample(prev => (prev.some(line => line.id === product.id)
+      ? prev.map(line => (line.id === product.id ? { ...line, quantity: line.quantity + count } : line))
+      : [...prev, toCartLine(product, count)]));
+  };
+
+  // The draft stands in for its saved version
+  const draft = { ...promotion, id: promotion.id ?? 'draft' };
+  const complete = Object.keys(validatePromotion(draft)).length === 0;
+  const moment = at ? new Date(at) : new Date();
+  const others = withOthers ? promotions.filter(saved => saved.id !== promotion.id) : [];
+  const running = livePromotions([...(complete ? [draft] : []), ...others], moment);
+  const priced = priceLines(sample, null, null, running);
+
+  const before = sumMoney(priced, line => subtractMoney(multiplyMoney(line.price, line.quantity), multiplyMoney(line.discountAmount, line.quantity)));
+  const after = sumMoney(priced, lineSubtotal);
+  const appliedTo = (line) => line.overrides.filter(override => override.type === OVERRIDE_TYPES.PROMOTION);
+  const draftSaves = sumMoney(priced, line => sumMoney(appliedTo(line).filter(override => override.promotionId === draft.id), 'amount'));
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold">Preview</h2>
+        <p className="text-sm text-gray-600">Build a sample cart to see how the till would price it.</p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm text-gray-700 mb-1">Day and time</label>
+          <input type="datetime-local" value={at} onChange={(e) => setAt(e.target.value)} className="w-full p-2 border border-gray-300 rounded" />
+        </div>
+        <label className="flex items-center text-sm sm:pt-6">
+          <input type="checkbox" checked={withOthers} onChange={(e) => setWithOthers(e.target.checked)} className="mr-2" />
+          Include the other promotions
+        </label>
+      </div>
+
+      <form onSubmit={addLine} className="flex gap-2">
+        <select value={productId} onChange={(e) => setProductId(e.target.value)} className="flex-1 p-2 border border-gray-300 rounded">
+          <option value="">Pick a product...</option>
+          {products.map(product => (
+            <option key={product.id} value={product.id}>{product.name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          step="1"
+          value={quantity}
+          onChange={(e) => setQuantity(e.target.value)}
+          className="w-20 p-2 border border-gray-300 rounded"
+        />
+        <button
+          type="submit"
+          disabled={!productId}
+          className="flex items-center gap-2 px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 rounded disabled:opacity-50"
+        >
+          <FaPlus /> Add
+        </button>
+      </form>
+
+      {!complete && <p className="text-sm text-yellow-700">Finish the rule to include this promotion in the preview.</p>}
+      {complete && !isPromotionLive(draft, moment) && (
+        <p className="text-sm text-yellow-700">This promotion isn't running at the chosen time.</p>
+      )}
+
+      {sample.length === 0 ? (
+        <p className="text-sm text-gray-500">No items yet</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-2 pr-2">Item</th>
+              <th className="py-2 pr-2">Promotions</th>
+              <th className="py-2 pr-2 text-right">Total</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {priced.map(line => (
+              <tr key={line.id} className="align-top border-t">
+                <td className="py-2 pr-2">
+                  {line.name}
+                  <div className="text-xs text-gray-500">{line.quantity} × {formatMoney(line.price)}</div>
+                </td>
+                <td className="py-2 pr-2">
+                  {appliedTo(line).map(override => (
+                    <div key={override.promotionId} className={`text-xs ${override.promotionId === draft.id ? 'text-green-700 font-medium' : 'text-gray-700'}`}>
+                      {override.promotionId === draft.id ? (promotion.name || 'This promotion') : override.name} -{formatMoney(override.amount)}
+                    </div>
+                  ))}
+                </td>
+                <td className="py-2 pr-2 text-right">{formatMoney(lineSubtotal(line))}</td>
+                <td className="py-2 text-right">
+                  <button
+                    type="button"
+                    onClick={() => setSample(prev => prev.filter(item => item.id !== line.id))}
+                    className="p-1 text-red-600 hover:text-red-800"
+                    title="Remove item"
+                  >
+                    <FaTrash />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="border-t font-medium">
+            <tr>
+              <td className="py-1 pr-2" colSpan={2}>Before promotions</td>
+              <td className="py-1 pr-2 text-right">{formatMoney(before)}</td>
+              <td />
+            </tr>
+            <tr className="text-green-700">
+              <td className="py-1 pr-2" colSpan={2}>Saved by this promotion</td>
+              <td className="py-1 pr-2 text-right">-{formatMoney(draftSaves)}</td>
+              <td />
+            </tr>
+            <tr className="text-lg">
+              <td className="py-1 pr-2" colSpan={2}>After promotions</td>
+              <td className="py-1 pr-2 text-right">{formatMoney(after)}</td>
+              <td />
+            </tr>
+          </tfoot>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default PromotionPreview;
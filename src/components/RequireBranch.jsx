@@ -0,0 +1,39 @@
+import { FaStore } from 'react-icons/fa';
+import { useBranch } from '../context/BranchContext';
+
+/**
+ * Wraps pages that work on one branch's stock or till (POS, inventory,
+ * purchases, sales). In the consolidated all-branches view it asks for a
+ * branch instead of rendering the page.
+ */
+const RequireBranch = ({ children }) => {
+  const { branches, isAllBranches, selectBranch } = useBranch();
+
+  if (!isAllBranches) return children;
+
+  return (
+    <div className="flex justify-center items-center min-h-[60vh] p-4">
+      <div className="bg-white rounded-lg shadow-md p-6 w-full max-w-md text-center">
+        <FaStore className="mx-auto text-4xl text-blue-600 mb-3" />
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Choose a branch</h2>
+        <p className="text-gray-600 mb-4">
+          This page works on a single branch. The all-branches view is available on the dashboard and reports.
+        </p>
+        <div className="flex flex-col gap-2">
+          {branches.map(branch => (
+            <button
+              key={branch.id}
+              onClick={() => selectBranch(branch.id)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg hover:bg-blue-50 hover:border-blue-400 text-left"
+            >
+              <span className="font-medium">{branch.name}</span>
+              {branch.address && <span className="block text-sm text-gray-500">{branch.address}</span>}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RequireBranch;
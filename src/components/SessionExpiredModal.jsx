@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { FaLock, FaSpinner } from 'react-icons/fa';
+import { loginUser } from '../services/api';
+
+// Shown over the current page when the session can't be refreshed, so the
+// user can sign in again without losing unsaved work (e.g. a POS cart).
+const SessionExpiredModal = ({ username, onSignedIn, onSignOut }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password.trim()) {
+      setError('Please enter your password');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    const { data, error: loginError, status } = await loginUser({ username, password });
+    setIsLoading(false);
+
+    if (loginError || !data?.token) {
+      setError(status === 401 ? 'Invalid password' : 'Sign in failed. Please try again.');
+      setPassword('');
+      return;
+    }
+
+    setPassword('');
+    onSignedIn(data);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[100]">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex items-center mb-4">
+          <FaLock className="text-blue-600 mr-2" />
+          <h3 className="text-xl font-bold">Session expired</h3>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Your session has expired. Enter your password to continue where you left off.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm text-gray-700 mb-1">Username</label>
+            <input
+              type="text"
+              value={username || ''}
+              readOnly
+              className="w-full p-2 border border-gray-300 rounded-md bg-gray-100"
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-700 mb-1">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md"
+              autoFocus
+            />
+          </div>
+
+          {error && (
+            <div className="text-red-500 text-sm p-2 bg-red-50 rounded">{error}</div>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onSignOut}
+              className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-100"
+            >
+              Sign out
+            </button>
+            <button
+              type="submit"
+              disabled={isLoading}
+              className={`px-4 py-2 rounded-md text-white ${
+                isLoading ? 'bg-blue-400' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              {isLoading ? (
+                <span className="flex items-center">
+                  <FaSpinner className="animate-spin mr-2" />
+                  Signing in...
+                </span>
+              ) : 'Continue'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SessionExpiredModal;
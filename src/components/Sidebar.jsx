@@ -6,7 +6,7 @@ import {
   Home, Boxes, Users, ShoppingCart, FileBarChart2, 
   ChevronDown, ClipboardList, DollarSign, FileText,
   Settings, CreditCard, ChevronLeft, ChevronRight,
-  Landmark
+  Landmark, Wallet, BadgePercent
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 
@@ -22,6 +22,7 @@ export default function Sidebar({ isMobileOpen, isMinimized, onLinkClick, onTogg
   const [settingsOpen, setSettingsOpen] = useState(false);
   const [purchasesOpen, setPurchasesOpen] = useState(false);
   const [financeOpen, setFinanceOpen] = useState(false);
+  const [shiftsOpen, setShiftsOpen] = useState(false);
 
   useEffect(() => {
     const handleResize = () => setIsMobile(window.innerWidth < 768);
@@ -39,6 +40,7 @@ export default function Sidebar({ isMobileOpen, isMinimized, onLinkClick, onTogg
       setSettingsOpen(false);
       setPurchasesOpen(false);
       setFinanceOpen(false);
+      setShiftsOpen(false);
     }
   }, [isMinimized, isMobileOpen]);
 
@@ -270,6 +272,21 @@ export default function Sidebar({ isMobileOpen, isMinimized, onLinkClick, onTogg
             </Link>
           )}
 
+          {/* Promotions - Only for users with promotion_manage permission */}
+          {hasPermission('promotion_manage') && (
+            <Link
+              to="/promotions"
+              onClick={onLinkClick}
+              className={`flex items-center gap-3 px-4 py-4 rounded-lg transition-all
+                ${isActive('/promotions') ? 'bg-blue-900/30 text-white border-l-4 border-blue-500' : 'hover:bg-gray-700/50'}
+                ${isMinimized && !isMobile ? 'justify-center px-2' : ''}`}
+              title={isMinimized && !isMobile ? 'Promotions' : undefined}
+            >
+              <BadgePercent size={20} className={`${isActive('/promotions') ? 'text-blue-400' : 'text-gray-300'}`} />
+              {(!isMinimized || isMobile) && <span className="font-medium">Promotions</span>}
+            </Link>
+          )}
+
           {/* Finance Module - Only for users with finance_view permission */}
           {hasPermission('finance_view') && (
             <div className="relative">
@@ -357,6 +374,42 @@ export default function Sidebar({ isMobileOpen, isMinimized, onLinkClick, onTogg
             </div>
           )}
 
+          {/* Shifts - Cash-up for cashiers, Z report archive for managers */}
+          {(hasPermission('shift_manage') || hasPermission('shift_reports_view')) && (
+            <div className="relative">
+              <button
+                onClick={() => setShiftsOpen(!shiftsOpen)}
+                className={`flex items-center justify-between w-full px-4 py-4 rounded-lg transition-all
+                  ${isActive('/shifts') ? 'bg-blue-900/30 text-white border-l-4 border-blue-500' : 'hover:bg-gray-700/50'}
+                  ${isMinimized && !isMobile ? 'justify-center px-2' : ''}`}
+                title={isMinimized && !isMobile ? 'Shifts' : undefined}
+              >
+                <div className="flex items-center gap-3">
+                  <Wallet size={20} className={`${isActive('/shifts') ? 'text-blue-400' : 'text-gray-300'}`} />
+                  {(!isMinimized || isMobile) && <span className="font-medium">Shifts</span>}
+                </div>
+                {(!isMinimized || isMobile) && (
+                  <ChevronDown 
+                    size={16} 
+                    className={`transition-transform ${shiftsOpen ? 'rotate-180' : ''} text-gray-400`}
+                  />
+                )}
+              </button>
+              {(shiftsOpen && (!isMinimized || isMobile)) && (
+                <div className="ml-10 mt-2 flex flex-col gap-1 pl-2 border-l border-gray-700">
+                  {[
+                    { path: '/shifts', label: 'Current Shift', requiredPermission: 'shift_manage' },
+                    { path: '/shifts/z-reports', label: 'Z Reports', requiredPermission: 'shift_reports_view' }
+                  ].map(item => ({
+                    ...item,
+                    icon: <Wallet size={14} />,
+                    onClick: () => setShiftsOpen(false)
+                  })).map(renderMenuItem)}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Reports - Only for users with specific report permissions */}
           {(hasPermission('salesreports_view') || 
             hasPermission('productsreports_view') || 
@@ -385,6 +438,7 @@ export default function Sidebar({ isMobileOpen, isMinimized, onLinkClick, onTogg
                 <div className="ml-10 mt-2 flex flex-col gap-1 pl-2 border-l border-gray-700">
                   {[
                     { path: '/reports/sales', label: 'Sales Report', requiredPermission: 'salesreports_view' },
+                    { path: '/reports/price-overrides', label: 'Discounts & Overrides', requiredPermission: 'salesreports_view' },
                     { path: '/reports/products', label: 'Product Performance', requiredPermission: 'productsreports_view' },
                     { path: '/reports/inventory', label: 'Inventory Valuation', requiredPermission: 'inventoryreports_view' },
                     { path: '/reports/suppliers', label: 'Supplier Purchases', requiredPermission: 'suppliersreports_view' }
@@ -404,12 +458,12 @@ export default function Sidebar({ isMobileOpen, isMinimized, onLinkClick, onTogg
               <button
                 onClick={() => setSettingsOpen(!settingsOpen)}
                 className={`flex items-center justify-between w-full px-4 py-4 rounded-lg transition-all
-                  ${isActive('/settings/business') ? 'bg-blue-900/30 text-white border-l-4 border-blue-500' : 'hover:bg-gray-700/50'}
+                  ${isActive('/settings') ? 'bg-blue-900/30 text-white border-l-4 border-blue-500' : 'hover:bg-gray-700/50'}
                   ${isMinimized && !isMobile ? 'justify-center px-2' : ''}`}
                 title={isMinimized && !isMobile ? 'Settings' : undefined}
               >
                 <div className="flex items-center gap-3">
-                  <Settings size={20} className={`${isActive('/settings/business') ? 'text-blue-400' : 'text-gray-300'}`} />
+                  <Settings size={20} className={`${isActive('/settings') ? 'text-blue-400' : 'text-gray-300'}`} />
                   {(!isMinimized || isMobile) && <span className="font-medium">Settings</span>}
                 </div>
                 {(!isMinimized || isMobile) && (
@@ -423,8 +477,10 @@ export default function Sidebar({ isMobileOpen, isMinimized, onLinkClick, onTogg
                 <div className="ml-10 mt-2 flex flex-col gap-1 pl-2 border-l border-gray-700">
                   {[
                     { path: '/settings/business/profile', label: 'Business Profile' },
+                    { path: '/settings/tax', label: 'Tax' },
                     { path: '/settings/business/roles', label: 'Roles', requiredPermission: 'role_manage' },
-                    { path: '/settings/business/roles-permissions', label: 'Roles & Permissions', requiredPermission: 'role_manage' }
+                    { path: '/settings/business/roles-permissions', label: 'Roles & Permissions', requiredPermission: 'role_manage' },
+                    { path: '/settings/audit', label: 'Audit Log', requiredPermission: 'audit_view' }
                   ].map(item => ({
                     ...item,
                     icon: <Settings size={14} />,
@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { FaPause, FaPlay, FaSpinner, FaSyncAlt, FaTrash } from 'react-icons/fa';
+import { discardHeldCart, fetchHeldCarts, resumeHeldCart, revalidateHeldItems } from '../../services/heldCartService';
+
+/**
+ * Sales parked at any till in the branch. Resuming takes the sale off the
+ * server list and hands its items, re-checked against current stock and
+ * prices, to `onResume`.
+ * @param {Object} props
+ * @param {number} props.refreshKey - Change to reload the list (e.g. after parking a sale)
+ * @param {boolean} props.canResume - False while the till has a sale in progress
+ * @param {Function} props.onResume - Called with { heldCart, items, changes }
+ */
+const HeldCartsList = ({ refreshKey, canResume, onResume }) => {
+  const [heldCarts, setHeldCarts] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadHeldCarts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setHeldCarts(await fetchHeldCarts());
+    } catch (err) {
+      setError(err.message || 'Failed to load held sales');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHeldCarts();
+  }, [loadHeldCarts, refreshKey]);
+
+  const handleResume = async (heldCart) => {
+    try {
+      setBusyId(heldCart.id);
+      setError(null);
+      const resumed = await resumeHeldCart(heldCart.id);
+      const { items, changes } = await revalidateHeldItems(resumed.items || []);
+      onResume({ heldCart: resumed, items, changes });
+      setExpanded(false);
+    } catch (err) {
+      setError(err.status === 404 || err.status === 409
+        ? 'Another till has already resumed this sale'
+        : err.message || 'Failed to resume the sale');
+    } finally {
+      setBusyId(null);
+      loadHeldCarts();
+    }
+  };
+
+  const handleDiscard = async (heldCart) => {
+    if (!window.confirm(`Discard the held sale "${heldCart.label}"? Its items will not be kept.`)) return;
+    try {
+      setBusyId(heldCart.id);
+      setError(null);
+      await discardHeldCart(heldCart.id);
+    } catch (err) {
+      setError(err.message || 'Failed to discard the sale');
+    } finally {
+      setBusyId(null);
+      loadHeldCarts();
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg mb-3">
+      <div className="flex items-center justify-between px-3 py-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center text-sm font-semibold text-yellow-800"
+        >
+          <FaPause className="mr-2" />
+          Held sales ({heldCarts.length})
+        </button>
+        <button
+          onClick={loadHeldCarts}
+          disabled={loading}
+          className="text-yellow-700 hover:text-yellow-900 disabled:opacity-50"
+          aria-label="Refresh held sales"
+        >
+          <FaSyncAlt className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+
+      {error && <div className="mx-3 mb-2 p-2 bg-red-100 text-red-800 rounded-md text-xs">{error}</div>}
+
+      {expanded && (
+        <ul className="max-h-48 overflow-y-auto divide-y divide-yellow-200 border-t border-yellow-200">
+          {heldCarts.length === 0 ? (
+            <li className="px-3 py-2 text-sm text-gray-500">No sales on hold</li>
+          ) : heldCarts.map(heldCart => (
+            <li key={heldCart.id} className="px-3 py-2 flex items-center justify-between text-sm">
+              <div>
+                <p className="font-medium text-gray-800">{heldCart.label}</p>
+                <p className="text-xs text-gray-500">
+                  {(heldCart.items || []).length} item{(heldCart.items || []).length === 1 ? '' : 's'}
+                  {' · '}Ksh {Number(heldCart.total || 0).toFixed(2)}
+                  {' · '}{heldCart.heldByName || 'Unknown'}
+                  {heldCart.heldAt && `, ${formatDistanceToNow(new Date(heldCart.heldAt), { addSuffix: true })}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                {busyId === heldCart.id ? (
+                  <FaSpinner className="animate-spin text-gray-500" />
+                ) : (
+                  <>
+                    <button
+                      onClick={() => handleResume(heldCart)}
+                      disabled={!canResume || busyId !== null}
+                      className="flex items-center px-2 py-1 bg-blue-600 text-white rounded text-xs hover:bg-blue-700 disabled:opacity-50"
+                      title={canResume ? 'Resume this sale' : 'Complete or park the current sale first'}
+                    >
+                      <FaPlay className="mr-1" /> Resume
+                    </button>
+                    <button
+                      onClick={() => handleDiscard(heldCart)}
+                      disabled={busyId !== null}
+                      className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                      aria-label="Discard held sale"
+                    >
+                      <FaTrash />
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HeldCartsList;
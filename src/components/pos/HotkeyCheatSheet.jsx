@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { FiX } from 'react-icons/fi';
+import { FaKeyboard } from 'react-icons/fa';
+import { eventToCombo } from '../../hooks/useHotkeys';
+import { DEFAULT_POS_HOTKEYS, POS_HOTKEY_ACTIONS } from '../../services/hotkeyPreferences';
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→'
+};
+
+const Key = ({ combo }) => (
+  <kbd className="px-2 py-1 text-xs font-mono font-semibold bg-gray-100 border border-gray-300 rounded shadow-sm">
+    {combo.split('+').map(part => KEY_LABELS[part] || part).join(' + ')}
+  </kbd>
+);
+
+/**
+ * Lists the POS shortcuts and lets the cashier rebind them. Pressing a key
+ * that another action already uses swaps the two, so no key is ever bound twice.
+ * @param {Object} props
+ * @param {Object<string, string>} props.hotkeys - Current bindings
+ * @param {Function|null} props.onChange - Called with the new bindings; null makes the sheet read-only
+ * @param {Function} props.onClose
+ */
+const HotkeyCheatSheet = ({ hotkeys, onChange, onClose }) => {
+  const [recording, setRecording] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!recording) {
+        if (e.key === 'Escape') onClose();
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        setRecording(null);
+        return;
+      }
+      const combo = eventToCombo(e);
+      if (!combo) return;
+
+      const clash = Object.keys(hotkeys).find(action => action !== recording && hotkeys[action] === combo);
+      onChange({
+        ...hotkeys,
+        ...(clash ? { [clash]: hotkeys[recording] } : {}),
+        [recording]: combo
+      });
+      setRecording(null);
+    };
+
+    // Capture phase, so the key being recorded doesn't also trigger the scanner
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recording, hotkeys, onChange, onClose]);
+
+  const isDefault = Object.keys(DEFAULT_POS_HOTKEYS).every(action => hotkeys[action] === DEFAULT_POS_HOTKEYS[action]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-[80]" role="dialog" aria-modal="true">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg shadow-xl">
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-center">
+            <FaKeyboard className="text-blue-600 text-xl mr-2" />
+            <h3 className="text-lg font-bold">Keyboard shortcuts</h3>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            <FiX />
+          </button>
+        </div>
+
+        <ul className="max-h-[60vh] overflow-y-auto divide-y border rounded-md">
+          {POS_HOTKEY_ACTIONS.map(action => (
+            <li key={action.id} className="flex items-center justify-between px-3 py-2 text-sm">
+              <span className="text-gray-700">{action.label}</span>
+              <span className="flex items-center gap-2">
+                {recording === action.id ? (
+                  <span className="text-xs text-blue-600 animate-pulse">Press a key...</span>
+                ) : (
+                  <Key combo={hotkeys[action.id]} />
+                )}
+                {onChange && (
+                  <button
+                    onClick={() => setRecording(recording === action.id ? null : action.id)}
+                    className="text-xs text-blue-600 hover:underline"
+                  >
+                    {recording === action.id ? 'Cancel' : 'Change'}
+                  </button>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <p className="text-xs text-gray-500 mt-3">
+          For a quantity multiplier, type the quantity in the search box and press <Key combo={hotkeys.setMultiplier} />.
+          The next product you add or scan is added that many times.
+        </p>
+
+        <div className="flex justify-end gap-3 mt-4">
+          {onChange && (
+            <button
+              onClick={() => onChange({ ...DEFAULT_POS_HOTKEYS })}
+              disabled={isDefault}
+              className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 text-sm"
+            >
+              Reset to defaults
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HotkeyCheatSheet;
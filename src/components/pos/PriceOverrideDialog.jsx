@@ -0,0 +1,292 @@
+import React, { useEffect, useState } from 'react';
+import { FiTag, FiX } from 'react-icons/fi';
+import { FaUserShield } from 'react-icons/fa';
+import { approveOverride } from '../../services/priceOverrideService';
+import { isOfflineError } from '../../services/offlineSalesService';
+import {
+  approvedPercent,
+  cartDiscountPercent,
+  DISCOUNT_KINDS,
+  lineOverridePercent,
+  needsApproval,
+  NOTE_REQUIRED_REASONS,
+  OVERRIDE_REASONS,
+  OVERRIDE_TYPES,
+  priceLines
+} from '../utils/priceOverrides';
+import { sumMoney } from '../utils/money';
+import { livePromotions } from '../utils/promotions';
+import { getPromotions } from '../../services/promotionService';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md';
+
+const formatMoney = (value) => `Ksh ${Number(value || 0).toFixed(2)}`;
+
+const overrideOfType = (line, type) => (line.overrides || []).find(override => override.type === type);
+
+// The cart's lines with a change applied, priced like the cart prices them
+const previewLines = (cart, items, cartDiscount) => priceLines(items, cartDiscount, cart.discountCode, livePromotions(getPromotions()));
+
+const previewLine = (cart, item, type, value, spec) => {
+  const changed = type === OVERRIDE_TYPES.PRICE
+    ? { ...item, price: value, originalPrice: item.originalPrice ?? item.price, priceOverride: spec, discountAmount: 0 }
+    : { ...item, manualDiscount: spec };
+  return previewLines(cart, cart.items.map(line => (line.id === item.id ? changed : line)), cart.cartDiscount)
+    .find(line => line.id === item.id);
+};
+
+/**
+ * Changes a line's price, discounts a line, or discounts the whole cart. Asks
+ * for a reason every time, and for a manager's username and PIN when the
+ * change gives away more than the approval threshold.
+ * @param {Object} props
+ * @param {Object} [props.item] - The cart line; omitted for a cart discount
+ * @param {Object} props.cart - From CartContext
+ * @param {number} props.threshold - Percent a cashier may give without approval
+ * @param {Function} props.onApply - Called with (type, value, spec); value is the unit price for a
+ *   price override, else null. `spec` is { kind?, value?, reasonCode, note, approval }
+ * @param {Function} props.onRemove - Called with the OVERRIDE_TYPES value to take off
+ * @param {Function} props.onClose
+ */
+const PriceOverrideDialog = ({ item, cart, threshold, onApply, onRemove, onClose }) => {
+  const initialType = item ? OVERRIDE_TYPES.PRICE : OVERRIDE_TYPES.CART_DISCOUNT;
+  const existing = (overrideType) => {
+    if (!item) return cart.cartDiscount;
+    return overrideType === OVERRIDE_TYPES.PRICE ? item.priceOverride : item.manualDiscount;
+  };
+  const [type, setType] = useState(initialType);
+  const [price, setPrice] = useState(item ? String(item.price) : '');
+  const [kind, setKind] = useState(existing(initialType)?.kind || DISCOUNT_KINDS.PERCENT);
+  const [value, setValue] = useState(existing(initialType)?.value ? String(existing(initialType).value) : '');
+  const [reasonCode, setReasonCode] = useState(existing(initialType)?.reasonCode || '');
+  const [note, setNote] = useState(existing(initialType)?.note || '');
+  const [managerName, setManagerName] = useState('');
+  const [managerPin, setManagerPin] = useState('');
+  const [error, setError] = useState(null);
+  const [approving, setApproving] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Switching between price and discount picks up what is already on the line
+  const switchType = (nextType) => {
+    const current = existing(nextType);
+    setType(nextType);
+    if (nextType !== OVERRIDE_TYPES.PRICE) {
+      setKind(current?.kind || DISCOUNT_KINDS.PERCENT);
+      setValue(current?.value ? String(current.value) : '');
+    }
+    setReasonCode(current?.reasonCode || '');
+    setNote(current?.note || '');
+    setError(null);
+  };
+
+  const isPrice = type === OVERRIDE_TYPES.PRICE;
+  const input = isPrice ? price : value;
+  const amount = Number(input);
+  const valid = input !== '' && Number.isFinite(amount) && (isPrice
+    ? amount >= 0
+    : amount > 0 && (kind !== DISCOUNT_KINDS.PERCENT || amount <= 100));
+  const spec = isPrice
+    ? { reasonCode, note: note.trim() || null }
+    : { kind, value: amount, reasonCode, note: note.trim() || null };
+
+  // Share of the value given away, and what a manager has already approved
+  let percent = 0;
+  let approved = 0;
+  let givenAway = 0;
+  if (valid && item) {
+    const line = previewLine(cart, item, type, amount, spec);
+    percent = lineOverridePercent(line);
+    // Approval for the line's other override covers the line as a whole
+    approved = approvedPercent([isPrice ? line.manualDiscount : line.priceOverride]);
+    givenAway = overrideOfType(line, type)?.amount || 0;
+  } else if (valid) {
+    const lines = previewLines(cart, cart.items, spec);
+    percent = cartDiscountPercent(lines);
+    givenAway = sumMoney(lines, line => overrideOfType(line, type)?.amount || 0);
+  }
+  const approvalNeeded = valid && needsApproval(percent, threshold, approved);
+
+  const currentOverride = existing(type);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (!valid) {
+      setError(isPrice ? 'Enter the new unit price' : 'Enter a discount above zero (at most 100%)');
+      return;
+    }
+    if (!reasonCode) {
+      setError('Pick a reason');
+      return;
+    }
+    if (NOTE_REQUIRED_REASONS.includes(reasonCode) && !note.trim()) {
+      setError('Say what the reason is');
+      return;
+    }
+
+    if (!approvalNeeded) {
+      onApply(type, isPrice ? amount : null, spec);
+      return;
+    }
+    if (!managerName.trim() || !managerPin.trim()) {
+      setError('A manager must enter their username and PIN');
+      return;
+    }
+    try {
+      setApproving(true);
+      const approval = await approveOverride({ username: managerName.trim(), pin: managerPin.trim(), type, percent, reasonCode });
+      onApply(type, isPrice ? amount : null, {
+        ...spec,
+        approval: {
+          id: approval.id,
+          percent: approval.percent,
+          approvedById: approval.approvedById,
+          approvedByName: approval.approvedByName
+        }
+      });
+    } catch (err) {
+      setError(isOfflineError(err) ? 'A manager\'s approval needs a connection to the server' : err.message || 'Approval failed');
+    } finally {
+      setApproving(false);
+      setManagerPin('');
+    }
+  };
+
+  const tabClass = (active) => `flex-1 py-1 text-sm rounded-md ${active ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-[80]" role="dialog" aria-modal="true">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 w-full max-w-md shadow-xl space-y-3">
+        <div className="flex items-start justify-between">
+          <div className="flex items-center">
+            <FiTag className="text-blue-500 text-xl mr-2" />
+            <h3 className="text-lg font-bold">{item ? item.name : 'Discount the whole cart'}</h3>
+          </div>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            <FiX />
+          </button>
+        </div>
+
+        {item && (
+          <>
+            <p className="text-sm text-gray-600">
+              Shelf price {formatMoney(item.originalPrice ?? item.price)} × {item.quantity}
+            </p>
+            <div className="flex gap-2">
+              <button type="button" onClick={() => switchType(OVERRIDE_TYPES.PRICE)} className={tabClass(isPrice)}>
+                Change price
+              </button>
+              <button type="button" onClick={() => switchType(OVERRIDE_TYPES.LINE_DISCOUNT)} className={tabClass(!isPrice)}>
+                Discount line
+              </button>
+            </div>
+          </>
+        )}
+
+        {isPrice ? (
+          <div>
+            <label className="block text-sm text-gray-700 mb-1">New unit price (Ksh)</label>
+            <input type="number" min="0" step="0.01" value={price} onChange={(e) => setPrice(e.target.value)} className={inputClass} autoFocus />
+          </div>
+        ) : (
+          <div className="flex gap-2">
+            <select value={kind} onChange={(e) => setKind(e.target.value)} className="p-2 border border-gray-300 rounded-md">
+              <option value={DISCOUNT_KINDS.PERCENT}>%</option>
+              <option value={DISCOUNT_KINDS.AMOUNT}>Ksh</option>
+            </select>
+            <input
+              type="number"
+              min="0"
+              step={kind === DISCOUNT_KINDS.PERCENT ? '1' : '0.01'}
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              placeholder={kind === DISCOUNT_KINDS.PERCENT ? 'Percent off' : `Amount off the ${item ? 'line' : 'cart'}`}
+              className={inputClass}
+              autoFocus
+            />
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm text-gray-700 mb-1">Reason</label>
+          <select value={reasonCode} onChange={(e) => setReasonCode(e.target.value)} className={inputClass}>
+            <option value="">Pick a reason...</option>
+            {Object.entries(OVERRIDE_REASONS).map(([code, label]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder={NOTE_REQUIRED_REASONS.includes(reasonCode) ? 'Note (required)' : 'Note (optional)'}
+          className={inputClass}
+        />
+
+        {valid && givenAway > 0 && (
+          <p className="text-sm text-gray-600">
+            Gives away {formatMoney(givenAway)} ({percent.toFixed(1)}% of the {item ? 'shelf value' : 'cart'}).
+          </p>
+        )}
+
+        {approvalNeeded && (
+          <div className="p-3 rounded-md bg-yellow-50 border border-yellow-200 space-y-2">
+            <p className="flex items-center text-sm text-yellow-800">
+              <FaUserShield className="mr-2" />
+              Over {threshold}% needs a manager's approval
+            </p>
+            <input
+              type="text"
+              value={managerName}
+              onChange={(e) => setManagerName(e.target.value)}
+              placeholder="Manager username"
+              autoComplete="off"
+              className={inputClass}
+            />
+            <input
+              type="password"
+              inputMode="numeric"
+              value={managerPin}
+              onChange={(e) => setManagerPin(e.target.value)}
+              placeholder="Manager PIN"
+              autoComplete="off"
+              className={inputClass}
+            />
+          </div>
+        )}
+
+        {error && <div className="text-red-500 text-sm p-2 bg-red-50 rounded">{error}</div>}
+
+        <div className="flex justify-between items-center pt-2">
+          {currentOverride ? (
+            <button type="button" onClick={() => onRemove(type)} className="text-sm text-red-600 hover:text-red-800">
+              {isPrice ? 'Back to shelf price' : 'Remove discount'}
+            </button>
+          ) : <span />}
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="px-4 py-2 border rounded-md hover:bg-gray-50">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={approving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {approving ? 'Checking...' : approvalNeeded ? 'Approve and apply' : 'Apply'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PriceOverrideDialog;
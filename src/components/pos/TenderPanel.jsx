@@ -0,0 +1,278 @@
+import React, { useEffect, useState } from 'react';
+import { FaCreditCard, FaKeyboard, FaMobileAlt, FaMoneyBillWave, FaSpinner, FaTrash, FaUserTag } from 'react-icons/fa';
+import { isValidMpesaCode, sumChange, sumTenders, tenderLabel, TENDER_TYPES } from '../utils/tenders';
+import { addMoney, roundCash, roundMoney, subtractMoney, sumMoney } from '../utils/money';
+import { getCashRoundingIncrement } from '../../services/cashRoundingService';
+
+const TENDER_OPTIONS = [
+  { method: TENDER_TYPES.CASH, icon: FaMoneyBillWave },
+  { method: TENDER_TYPES.MPESA, icon: FaMobileAlt },
+  { method: TENDER_TYPES.MPESA_MANUAL, icon: FaKeyboard },
+  { method: TENDER_TYPES.CARD, icon: FaCreditCard },
+  { method: TENDER_TYPES.STORE_CREDIT, icon: FaUserTag }
+];
+
+const REFERENCE_LABELS = {
+  [TENDER_TYPES.MPESA_MANUAL]: 'Code from the M-Pesa SMS, e.g. SGK4H7TQ2B',
+  [TENDER_TYPES.CARD]: 'Card approval code (optional)'
+};
+
+// Common Kenyan notes, for counting cash in with one tap per note
+const QUICK_CASH = [50, 100, 200, 500, 1000];
+
+const PHONE_PLACEHOLDERS = {
+  [TENDER_TYPES.MPESA]: 'M-Pesa phone number, e.g. 07XXXXXXXX',
+  [TENDER_TYPES.MPESA_MANUAL]: 'Phone the customer paid from (optional)'
+};
+
+const SUBMIT_LABELS = {
+  [TENDER_TYPES.MPESA]: 'Send push'
+};
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md';
+
+/**
+ * Takes payment as a list of tenders until the balance is zero. For M-Pesa,
+ * `onAdd` only sends the STK push; the parent adds the tender once the
+ * customer approves. Till/paybill M-Pesa codes must look like the code in
+ * the customer's SMS. Cash is entered as the amount handed
+ * over; anything above the balance is change. With cash rounding on, a cash
+ * tender that settles the sale is rounded to the nearest increment and carries
+ * the difference as `rounding`.
+ * @param {Object} props
+ * @param {number} props.total - Sale total
+ * @param {Array} props.tenders - Tenders taken so far
+ * @param {string} props.method - Tender type being entered
+ * @param {Function} props.onMethodChange
+ * @param {Function} props.onAdd - async ({ method, amount, tendered, rounding, phone, reference }) => void
+ * @param {Function} props.onRemove - Called with the tender's id
+ * @param {boolean} props.busy - A payment or checkout is in progress
+ * @param {boolean} props.hasCustomer - Store credit needs a selected customer
+ */
+const TenderPanel = ({ total, tenders, method, onMethodChange, onAdd, onRemove, busy, hasCustomer }) => {
+  const paid = sumTenders(tenders);
+  const balance = subtractMoney(addMoney(total, sumMoney(tenders, 'rounding')), paid);
+  // What settles the balance in cash; rounding never takes a small balance down to nothing
+  const roundedCash = roundCash(balance, getCashRoundingIncrement());
+  const cashDue = roundedCash > 0 ? roundedCash : balance;
+  const due = method === TENDER_TYPES.CASH ? cashDue : balance;
+  const [amount, setAmount] = useState('');
+  // True while the amount is the pre-filled balance, so the first quick-cash tap replaces it
+  const [amountIsBalance, setAmountIsBalance] = useState(true);
+  const [phone, setPhone] = useState('');
+  const [reference, setReference] = useState('');
+  const [error, setError] = useState(null);
+  // While onAdd runs, e.g. sending an STK push
+  const [adding, setAdding] = useState(false);
+  const locked = busy || adding;
+
+  // Offer the outstanding balance whenever it or the tender type changes
+  useEffect(() => {
+    setAmount(due > 0 ? due.toFixed(2) : '');
+    setAmountIsBalance(true);
+    setError(null);
+  }, [due, method]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const value = roundMoney(amount);
+
+    if (!value || value <= 0) {
+      setError('Enter an amount');
+      return;
+    }
+    if (value > balance && method !== TENDER_TYPES.CASH) {
+      setError(`Only Ksh ${balance.toFixed(2)} is left to pay`);
+      return;
+    }
+    if ([TENDER_TYPES.MPESA, TENDER_TYPES.MPESA_MANUAL].includes(method) && !Number.isInteger(value)) {
+      setError('M-Pesa payments are in whole shillings');
+      return;
+    }
+    if (method === TENDER_TYPES.MPESA && !phone.trim()) {
+      setError('Enter the M-Pesa phone number');
+      return;
+    }
+    if (method === TENDER_TYPES.MPESA_MANUAL && !isValidMpesaCode(reference)) {
+      setError(reference.trim()
+        ? 'M-Pesa codes are 10 letters and digits, e.g. SGK4H7TQ2B'
+        : 'Enter the M-Pesa transaction code');
+      return;
+    }
+    if (method === TENDER_TYPES.STORE_CREDIT && !hasCustomer) {
+      setError('Select the customer whose credit is being used');
+      return;
+    }
+
+    // Only the tender that settles the sale in cash is rounded
+    const settles = method === TENDER_TYPES.CASH && value >= cashDue;
+    try {
+      setError(null);
+      setAdding(true);
+      await onAdd({
+        method,
+        amount: settles ? cashDue : Math.min(value, balance),
+        tendered: method === TENDER_TYPES.CASH ? value : null,
+        rounding: settles ? subtractMoney(cashDue, balance) : 0,
+        phone: phone.trim(),
+        reference: reference.trim().toUpperCase()
+      });
+      setReference('');
+    } catch (err) {
+      setError(err.message || 'The payment could not be taken');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-2 mb-3">
+        {TENDER_OPTIONS.map(({ method: option, icon: Icon }) => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => onMethodChange(option)}
+            disabled={locked}
+            className={`flex items-center justify-center p-2 rounded-md border text-sm ${method === option ? 'bg-blue-100 border-blue-500' : 'bg-white border-gray-300'}`}
+          >
+            <Icon className="mr-2" />
+            <span>{tenderLabel(option)}</span>
+          </button>
+        ))}
+      </div>
+
+      {balance > 0 && (
+        <form onSubmit={handleAdd} className="space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={amount}
+              onChange={(e) => { setAmount(e.target.value); setAmountIsBalance(false); }}
+              className={inputClass}
+              placeholder={method === TENDER_TYPES.CASH ? 'Cash tendered' : 'Amount'}
+              aria-label={method === TENDER_TYPES.CASH ? 'Cash tendered' : 'Amount'}
+              disabled={locked}
+            />
+            <button
+              type="submit"
+              disabled={locked}
+              className="px-3 rounded-md bg-green-600 text-white text-sm whitespace-nowrap hover:bg-green-700 disabled:opacity-50"
+            >
+              {locked ? <FaSpinner className="animate-spin" /> : SUBMIT_LABELS[method] || 'Add'}
+            </button>
+          </div>
+          {method === TENDER_TYPES.CASH && (
+            <>
+              <div className="flex flex-wrap gap-1">
+                {QUICK_CASH.map(note => (
+                  <button
+                    key={note}
+                    type="button"
+                    onClick={() => {
+                      setAmount(prev => String((amountIsBalance ? 0 : Number(prev) || 0) + note));
+                      setAmountIsBalance(false);
+                    }}
+                    disabled={locked}
+                    className="px-2 py-1 text-xs rounded border border-gray-300 bg-white hover:bg-gray-100"
+                  >
+                    +{note}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => { setAmount(cashDue.toFixed(2)); setAmountIsBalance(true); }}
+                  disabled={locked}
+                  className="px-2 py-1 text-xs rounded border border-gray-300 bg-white hover:bg-gray-100"
+                >
+                  Exact
+                </button>
+              </div>
+              {cashDue !== balance && (
+                <p className="text-xs text-gray-600">
+                  Rounded to Ksh {cashDue.toFixed(2)} in cash ({subtractMoney(cashDue, balance) > 0 ? '+' : ''}{subtractMoney(cashDue, balance).toFixed(2)})
+                </p>
+              )}
+              {Number(amount) > cashDue && (
+                <p className="text-sm text-green-700 font-medium">
+                  Change due: Ksh {subtractMoney(amount, cashDue).toFixed(2)}
+                </p>
+              )}
+            </>
+          )}
+          {PHONE_PLACEHOLDERS[method] && (
+            <input
+              type="text"
+              placeholder={PHONE_PLACEHOLDERS[method]}
+              value={phone}
+              onChange={(e) => setPhone(e.target.value)}
+              className={inputClass}
+              disabled={locked}
+            />
+          )}
+          {REFERENCE_LABELS[method] && (
+            <input
+              type="text"
+              placeholder={REFERENCE_LABELS[method]}
+              value={reference}
+              onChange={(e) => setReference(e.target.value)}
+              className={`${inputClass} uppercase`}
+              disabled={locked}
+            />
+          )}
+          {error && <p className="text-red-600 text-xs">{error}</p>}
+        </form>
+      )}
+
+      {tenders.length > 0 && (
+        <ul className="mt-3 divide-y border rounded-md bg-white text-sm">
+          {tenders.map(tender => (
+            <li key={tender.id} className="flex justify-between items-center px-3 py-2">
+              <span>
+                {tenderLabel(tender.method)}
+                {tender.reference && <span className="text-xs text-gray-500 ml-1">({tender.reference})</span>}
+                {tender.rounding ? <span className="text-xs text-gray-500 ml-1">(rounding {tender.rounding.toFixed(2)})</span> : null}
+                {tender.change > 0 && (
+                  <span className="text-xs text-gray-500 ml-1">
+                    (tendered {tender.tendered.toFixed(2)}, change {tender.change.toFixed(2)})
+                  </span>
+                )}
+              </span>
+              <span className="flex items-center gap-3">
+                <span className="font-medium">Ksh {tender.amount.toFixed(2)}</span>
+                {/* An approved STK push has already moved money; it can't just be deleted */}
+                {tender.method !== TENDER_TYPES.MPESA && (
+                  <button
+                    type="button"
+                    onClick={() => onRemove(tender.id)}
+                    disabled={locked}
+                    className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                    aria-label="Remove payment"
+                  >
+                    <FaTrash className="text-xs" />
+                  </button>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {sumChange(tenders) > 0 && (
+        <div className="flex justify-between mt-2 p-2 rounded-md bg-green-100 text-green-800 font-bold">
+          <span>Change due</span>
+          <span>Ksh {sumChange(tenders).toFixed(2)}</span>
+        </div>
+      )}
+
+      <div className={`flex justify-between mt-2 text-sm font-semibold ${balance > 0 ? 'text-red-600' : balance < 0 ? 'text-yellow-700' : 'text-green-700'}`}>
+        <span>{balance < 0 ? 'Overpaid' : 'Balance due'}</span>
+        <span>Ksh {Math.abs(balance).toFixed(2)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default TenderPanel;
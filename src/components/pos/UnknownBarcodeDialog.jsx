@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { FiAlertTriangle, FiSearch, FiX } from 'react-icons/fi';
+import { searchProducts } from '../../services/productServices';
+
+const MAX_RESULTS = 8;
+
+const matchesQuery = (product, query) => {
+  const term = query.toLowerCase();
+  return product.name?.toLowerCase().includes(term) ||
+    product.sku?.toLowerCase().includes(term) ||
+    product.barcode?.toLowerCase().includes(term);
+};
+
+/**
+ * Shown when a scanned code matches no product. Lets the cashier find the item
+ * by name and add it instead, searching the loaded grid first and the full
+ * catalog on demand.
+ */
+const UnknownBarcodeDialog = ({ code, products, onSelect, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [remoteResults, setRemoteResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+
+  // A new unknown scan while open starts the lookup over
+  useEffect(() => {
+    setQuery('');
+    setRemoteResults(null);
+    setSearchError(null);
+  }, [code]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const localResults = query.trim()
+    ? products.filter(product => matchesQuery(product, query.trim())).slice(0, MAX_RESULTS)
+    : [];
+  const results = remoteResults || localResults;
+
+  const handleCatalogSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    try {
+      setSearching(true);
+      setSearchError(null);
+      const found = await searchProducts(query.trim());
+      setRemoteResults(found.slice(0, MAX_RESULTS));
+    } catch (err) {
+      setSearchError(err.message || 'Search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-[80]" role="dialog" aria-modal="true">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md shadow-xl">
+        <div className="flex items-start justify-between mb-3">
+          <div className="flex items-center">
+            <FiAlertTriangle className="text-yellow-500 text-xl mr-2" />
+            <h3 className="text-lg font-bold">Unknown barcode</h3>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            <FiX />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          No product has the barcode or SKU <span className="font-mono font-semibold text-gray-800">{code}</span>.
+          Look the item up by name to add it.
+        </p>
+
+        <form onSubmit={handleCatalogSearch} className="flex gap-2 mb-3">
+          <div className="relative flex-1">
+            <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => { setQuery(e.target.value); setRemoteResults(null); }}
+              placeholder="Product name or SKU"
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md"
+              autoFocus
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={searching || !query.trim()}
+            className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm"
+          >
+            {searching ? 'Searching...' : 'Search catalog'}
+          </button>
+        </form>
+
+        {searchError && <div className="text-red-500 text-sm p-2 bg-red-50 rounded mb-3">{searchError}</div>}
+
+        <ul className="max-h-64 overflow-y-auto divide-y border rounded-md">
+          {results.length === 0 ? (
+            <li className="p-3 text-sm text-gray-500 text-center">
+              {query.trim() ? 'No matches - try the full catalog' : 'Start typing to find the product'}
+            </li>
+          ) : results.map(product => (
+            <li key={product.id}>
+              <button
+                onClick={() => onSelect(product)}
+                className="w-full text-left p-3 hover:bg-blue-50 flex justify-between items-center"
+              >
+                <span>
+                  <span className="block text-sm font-medium text-gray-800">{product.name}</span>
+                  <span className="block text-xs text-gray-500">{product.sku || 'No SKU'}</span>
+                </span>
+                <span className="text-sm text-green-600 font-semibold">
+                  Ksh {Number(product.price).toLocaleString('en-US', { minimumFractionDigits: 2 })}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default UnknownBarcodeDialog;
@@ -0,0 +1,152 @@
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useLayoutEffect, useRef, useState } from 'react';
+
+// Columns at Tailwind's lg/md/sm breakpoints, as the POS grid always had
+const COLUMN_BREAKPOINTS = [[1024, 5], [768, 4], [640, 3]];
+const MIN_COLUMNS = 2;
+const GAP_PX = 12;
+// Until a row has been measured
+const ESTIMATED_ROW_HEIGHT = 320;
+// Rows rendered above and below the visible ones, so fast scrolling doesn't flash blank
+const OVERSCAN_ROWS = 2;
+// onEndReached fires once the last rendered row is this close to the end
+const END_REACHED_ROWS = 3;
+
+const columnsForViewport = () => (COLUMN_BREAKPOINTS.find(([minWidth]) => window.innerWidth >= minWidth) || [0, MIN_COLUMNS])[1];
+
+const findScrollParent = (element) => {
+  for (let node = element?.parentElement; node; node = node.parentElement) {
+    const { overflowY } = window.getComputedStyle(node);
+    if (overflowY === 'auto' || overflowY === 'scroll') return node;
+  }
+  return window;
+};
+
+/**
+ * Product grid that only renders the rows in view, so a catalog of thousands
+ * scrolls as smoothly as one of twenty. Scrolls with its nearest scrollable
+ * ancestor (or the page) rather than adding a scrollbar of its own.
+ *
+ * The ref exposes `scrollToIndex(index)`, which brings an item into view, and
+ * `columns`, the number of items per row.
+ * @param {Object} props
+ * @param {Array} props.items
+ * @param {Function} props.getKey - item => React key
+ * @param {Function} props.renderItem - (item, index) => element
+ * @param {Function} [props.onEndReached] - Called when the last rows come into view, e.g. to load the next page
+ */
+const VirtualProductGrid = forwardRef(function VirtualProductGrid({ items, getKey, renderItem, onEndReached }, ref) {
+  const containerRef = useRef(null);
+  const scrollParentRef = useRef(null);
+  const rowRefs = useRef(new Map());
+  const onEndReachedRef = useRef(onEndReached);
+  const [columns, setColumns] = useState(columnsForViewport);
+  const [measuredHeight, setMeasuredHeight] = useState(null);
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+
+  onEndReachedRef.current = onEndReached;
+
+  const rowHeight = measuredHeight || ESTIMATED_ROW_HEIGHT;
+  const stride = rowHeight + GAP_PX;
+  const rowCount = Math.ceil(items.length / columns);
+
+  // How far the top of the grid has scrolled out of view, and how much of it can be seen
+  const readViewport = useCallback(() => {
+    const container = containerRef.current;
+    const parent = scrollParentRef.current;
+    if (!container || !parent) return null;
+    const parentTop = parent === window ? 0 : parent.getBoundingClientRect().top;
+    return {
+      top: parentTop - container.getBoundingClientRect().top,
+      height: parent === window ? window.innerHeight : parent.clientHeight
+    };
+  }, []);
+
+  const updateViewport = useCallback(() => {
+    const next = readViewport();
+    if (next) setViewport(next);
+  }, [readViewport]);
+
+  useEffect(() => {
+    const parent = findScrollParent(containerRef.current);
+    scrollParentRef.current = parent;
+    const handleResize = () => {
+      setColumns(columnsForViewport());
+      updateViewport();
+    };
+    updateViewport();
+    parent.addEventListener('scroll', updateViewport, { passive: true });
+    window.addEventListener('resize', handleResize);
+    return () => {
+      parent.removeEventListener('scroll', updateViewport);
+      window.removeEventListener('resize', handleResize);
+    };
+  }, [updateViewport]);
+
+  // Cards change height with the column width
+  useEffect(() => {
+    setMeasuredHeight(null);
+  }, [columns]);
+
+  const firstRow = Math.max(0, Math.floor(viewport.top / stride) - OVERSCAN_ROWS);
+  const lastRow = Math.min(rowCount - 1, Math.ceil((viewport.top + viewport.height) / stride) + OVERSCAN_ROWS);
+
+  // Every row takes the height of the tallest one rendered so far, so rows never overlap
+  useLayoutEffect(() => {
+    const tallest = Math.max(0, ...[...rowRefs.current.values()].map(row => row.offsetHeight));
+    if (tallest > (measuredHeight || 0)) setMeasuredHeight(tallest);
+  }, [items, firstRow, lastRow, columns, measuredHeight]);
+
+  useEffect(() => {
+    if (rowCount > 0 && lastRow >= rowCount - 1 - END_REACHED_ROWS) {
+      onEndReachedRef.current?.();
+    }
+  }, [lastRow, rowCount]);
+
+  useImperativeHandle(ref, () => ({
+    columns,
+    scrollToIndex: (index) => {
+      const parent = scrollParentRef.current;
+      const current = readViewport();
+      if (!parent || !current || index < 0) return;
+      const rowTop = Math.floor(index / columns) * stride;
+      if (rowTop < current.top) {
+        parent.scrollBy({ top: rowTop - current.top });
+      } else if (rowTop + rowHeight > current.top + current.height) {
+        parent.scrollBy({ top: rowTop + rowHeight - current.top - current.height });
+      }
+    }
+  }), [columns, stride, rowHeight, readViewport]);
+
+  const rows = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    const start = row * columns;
+    rows.push(
+      <div
+        key={row}
+        ref={element => {
+          if (element) rowRefs.current.set(row, element);
+          else rowRefs.current.delete(row);
+        }}
+        className="absolute left-0 right-0 grid"
+        style={{
+          top: row * stride,
+          minHeight: measuredHeight || undefined,
+          gap: GAP_PX,
+          gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`
+        }}
+      >
+        {items.slice(start, start + columns).map((item, offset) => (
+          <React.Fragment key={getKey(item)}>{renderItem(item, start + offset)}</React.Fragment>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={containerRef} className="relative" style={{ height: Math.max(rowCount * stride - GAP_PX, 0) }}>
+      {rows}
+    </div>
+  );
+});
+
+export default VirtualProductGrid;
@@ -0,0 +1,135 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { tenderLabel } from '../utils/tenders';
+
+const formatMoney = (value) => `Ksh ${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'MMM dd, yyyy HH:mm') : '-');
+
+const Breakdown = ({ title, rows }) => (
+  <div className="border rounded-lg">
+    <h4 className="px-4 py-2 bg-gray-50 text-xs font-semibold text-gray-500 uppercase tracking-wider border-b">{title}</h4>
+    {rows.length === 0 ? (
+      <p className="px-4 py-3 text-sm text-gray-500">None</p>
+    ) : (
+      <ul className="divide-y">
+        {rows.map(({ key, label, count, amount }) => (
+          <li key={key} className="px-4 py-2 flex justify-between text-sm">
+            <span className="text-gray-700">{label}{count != null && <span className="text-gray-400"> ({count})</span>}</span>
+            <span className="font-medium text-gray-800">{formatMoney(amount)}</span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+/**
+ * Variance colour and wording: short is red, over is amber, exact is green
+ * @param {number} variance - Counted minus expected cash
+ */
+export const describeVariance = (variance) => {
+  if (variance == null) return { label: 'Variance', className: 'text-gray-700' };
+  if (variance < 0) return { label: 'Short', className: 'text-red-600' };
+  if (variance > 0) return { label: 'Over', className: 'text-yellow-600' };
+  return { label: 'Balanced', className: 'text-green-600' };
+};
+
+/**
+ * Renders an X or Z report: sales totals, breakdowns by tender, cashier and
+ * till, and the cash drawer reconciliation
+ */
+const ShiftReportView = ({ report }) => {
+  const variance = describeVariance(report.variance);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap justify-between gap-2 text-sm text-gray-600">
+        <div>
+          <p><span className="font-medium text-gray-800">Till:</span> {report.terminalId || '-'}</p>
+          <p><span className="font-medium text-gray-800">Opened:</span> {formatDateTime(report.openedAt)} by {report.openedByName || '-'}</p>
+          {report.closedAt && (
+            <p><span className="font-medium text-gray-800">Closed:</span> {formatDateTime(report.closedAt)} by {report.closedByName || '-'}</p>
+          )}
+        </div>
+        <div className="text-right">
+          <p className="text-lg font-bold text-gray-800">
+            {report.type === 'Z' ? `Z report${report.reportNumber ? ` #${report.reportNumber}` : ''}` : 'X report'}
+          </p>
+          <p>Generated {formatDateTime(report.generatedAt)}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {[
+          ['Sales', report.salesCount],
+          ['Gross sales', formatMoney(report.grossSales)],
+          ['Refunds / voids', `${formatMoney(report.refunds?.amount)} (${report.refunds?.count || 0})`],
+          ['Net sales', formatMoney(report.netSales)]
+        ].map(([label, value]) => (
+          <div key={label} className="bg-gray-50 rounded-lg p-3">
+            <p className="text-xs text-gray-500">{label}</p>
+            <p className="text-lg font-semibold text-gray-800">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <Breakdown
+          title="By tender"
+          rows={(report.tenders || []).map(tender => ({ key: tender.method, label: tenderLabel(tender.method), count: tender.count, amount: tender.amount }))}
+        />
+        <Breakdown
+          title="By cashier"
+          rows={(report.cashiers || []).map(cashier => ({ key: cashier.cashierId, label: cashier.cashierName || 'Unknown', count: cashier.count, amount: cashier.amount }))}
+        />
+        <Breakdown
+          title="By till"
+          rows={(report.terminals || []).map(terminal => ({ key: terminal.terminalId, label: terminal.terminalId || '-', count: terminal.count, amount: terminal.amount }))}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Breakdown
+          title="Payouts"
+          rows={(report.payouts || []).map(payout => ({ key: payout.id, label: `${payout.reason} - ${payout.paidByName || ''}`, amount: payout.amount }))}
+        />
+        <div className="border rounded-lg p-4 text-sm space-y-1">
+          <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">Cash drawer</h4>
+          {[
+            ['Opening float', report.openingFloat],
+            ['+ Cash sales', report.cashSales],
+            ...(report.roundingAdjustments ? [['incl. cash rounding', report.roundingAdjustments]] : []),
+            ['- Cash refunds', report.cashRefunds],
+            ['- Payouts', report.payoutsTotal]
+          ].map(([label, value]) => (
+            <div key={label} className="flex justify-between">
+              <span className="text-gray-600">{label}</span>
+              <span>{formatMoney(value)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between border-t pt-1 font-semibold">
+            <span>Expected cash</span>
+            <span>{formatMoney(report.expectedCash)}</span>
+          </div>
+          {report.countedCash != null && (
+            <>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Counted cash</span>
+                <span>{formatMoney(report.countedCash)}</span>
+              </div>
+              <div className={`flex justify-between font-bold ${variance.className}`}>
+                <span>{variance.label}</span>
+                <span>{formatMoney(Math.abs(report.variance))}</span>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {report.notes && <p className="text-sm text-gray-600"><span className="font-medium">Notes:</span> {report.notes}</p>}
+    </div>
+  );
+};
+
+export default ShiftReportView;
@@ -0,0 +1,65 @@
+import { fromCents, subtractMoney, toCents } from './money';
+
+// Discount codes created on the Discounts page: a percentage off the products
+// they name (or every product when `productIds` is empty) within a validity
+// window. Optional `minSpend` and `usageLimit` restrict them further; the
+// server counts uses in `timesUsed`. Only the cart and the mock backend check
+// codes with these functions.
+
+/**
+ * A code as typed, in the form it is stored
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// A date-only validTo covers the whole day
+const validUntil = (validTo) => new Date(String(validTo).length === 10 ? `${validTo}T23:59:59.999` : validTo);
+
+/**
+ * Why a discount can't be used right now, regardless of what is in the cart
+ * @param {Object} discount - { active?, validFrom, validTo, usageLimit?, timesUsed? }
+ * @param {Date} [now]
+ * @returns {string|null} Null when it can be used
+ */
+export const discountCodeProblem = (discount, now = new Date()) => {
+  if (!discount || discount.active === false) return 'This code is not active';
+  if (discount.validFrom && new Date(discount.validFrom) > now) return `This code starts on ${new Date(discount.validFrom).toLocaleDateString()}`;
+  if (discount.validTo && validUntil(discount.validTo) < now) return 'This code has expired';
+  if (discount.usageLimit && (Number(discount.timesUsed) || 0) >= Number(discount.usageLimit)) {
+    return 'This code has been used the maximum number of times';
+  }
+  return null;
+};
+
+/**
+ * Whether a code covers a line's product
+ * @param {Object} discount
+ * @param {Object} line - A cart item (`id`) or sale line (`productId`)
+ * @returns {boolean}
+ */
+export const codeCoversLine = (discount, line) => {
+  const productIds = (discount.productIds || []).map(Number);
+  return productIds.length === 0 || productIds.includes(Number(line.productId ?? line.id));
+};
+
+/**
+ * How much more must be spent before a code's minimum spend is met
+ * @param {Object} discount
+ * @param {number} spend - What the cart comes to before the code
+ * @returns {number} 0 when the minimum is met
+ */
+export const minSpendShortfall = (discount, spend) => fromCents(Math.max(toCents(subtractMoney(Number(discount.minSpend) || 0, spend)), 0));
+
+/**
+ * The parts of a discount a cart or sale keeps while the code is applied
+ * @param {Object} discount - As returned by the discounts API
+ * @returns {{id: number, code: string, percentage: number, productIds: number[], minSpend: number|null}}
+ */
+export const toAppliedCode = (discount) => ({
+  id: discount.id,
+  code: normalizeCode(discount.code),
+  percentage: Number(discount.percentage) || 0,
+  productIds: (discount.productIds || []).map(Number),
+  minSpend: Number(discount.minSpend) || null
+});
@@ -0,0 +1,104 @@
+import { codeCoversLine, discountCodeProblem, minSpendShortfall, normalizeCode, toAppliedCode } from './discountCodes';
+import { OVERRIDE_TYPES, priceLines } from './priceOverrides';
+
+const discount = (fields = {}) => ({
+  id: 7,
+  code: 'SAVE10',
+  percentage: 10,
+  active: true,
+  validFrom: '2026-05-01T00:00:00',
+  validTo: '2026-05-31',
+  productIds: [],
+  minSpend: null,
+  usageLimit: null,
+  timesUsed: 0,
+  ...fields
+});
+
+const at = (day, hour = 12) => new Date(2026, 4, day, hour);
+
+describe('normalizeCode', () => {
+  it('trims and upper-cases what was typed', () => {
+    expect(normalizeCode('  save10 ')).toBe('SAVE10');
+    expect(normalizeCode(null)).toBe('');
+  });
+});
+
+describe('discountCodeProblem', () => {
+  it('accepts a code inside its validity window', () => {
+    expect(discountCodeProblem(discount(), at(15))).toBeNull();
+  });
+
+  it('turns down a code that is switched off or missing', () => {
+    expect(discountCodeProblem(discount({ active: false }), at(15))).toBe('This code is not active');
+    expect(discountCodeProblem(null, at(15))).toBe('This code is not active');
+  });
+
+  it('turns down a code before it starts', () => {
+    expect(discountCodeProblem(discount(), new Date(2026, 3, 30, 23, 59))).toMatch(/^This code starts on /);
+  });
+
+  it('keeps a date-only end date valid until the end of that day', () => {
+    expect(discountCodeProblem(discount(), at(31, 23))).toBeNull();
+    expect(discountCodeProblem(discount(), new Date(2026, 5, 1, 0, 0))).toBe('This code has expired');
+  });
+
+  it('honours an exact end time', () => {
+    const ending = discount({ validTo: new Date(2026, 4, 15, 18).toISOString() });
+    expect(discountCodeProblem(ending, at(15, 17))).toBeNull();
+    expect(discountCodeProblem(ending, at(15, 19))).toBe('This code has expired');
+  });
+
+  it('turns down a code that has reached its usage limit', () => {
+    expect(discountCodeProblem(discount({ usageLimit: 5, timesUsed: 4 }), at(15))).toBeNull();
+    expect(discountCodeProblem(discount({ usageLimit: 5, timesUsed: 5 }), at(15)))
+      .toBe('This code has been used the maximum number of times');
+  });
+});
+
+describe('eligibility', () => {
+  it('covers every product unless products are named', () => {
+    expect(codeCoversLine(discount(), { id: 3 })).toBe(true);
+    expect(codeCoversLine(discount({ productIds: ['3', 4] }), { id: 3 })).toBe(true);
+    expect(codeCoversLine(discount({ productIds: [4] }), { productId: 3 })).toBe(false);
+  });
+
+  it('says how far the cart is from the minimum spend', () => {
+    expect(minSpendShortfall(discount({ minSpend: 500 }), 420.5)).toBe(79.5);
+    expect(minSpendShortfall(discount({ minSpend: 500 }), 500)).toBe(0);
+    expect(minSpendShortfall(discount(), 10)).toBe(0);
+  });
+
+  it('keeps only what the cart needs', () => {
+    expect(toAppliedCode(discount({ code: ' save10', percentage: '10', productIds: ['3'], minSpend: '' }))).toEqual({
+      id: 7, code: 'SAVE10', percentage: 10, productIds: [3], minSpend: null
+    });
+  });
+});
+
+describe('pricing with a code', () => {
+  const codeAmounts = (lines) => lines.map(line => line.overrides
+    .filter(override => override.type === OVERRIDE_TYPES.DISCOUNT_CODE)
+    .map(override => override.amount));
+
+  it('takes the percentage off covered lines only', () => {
+    const code = toAppliedCode(discount({ productIds: [1] }));
+    const priced = priceLines([{ id: 1, price: 100, quantity: 2 }, { id: 2, price: 50, quantity: 1 }], null, code);
+    expect(codeAmounts(priced)).toEqual([[20], []]);
+  });
+
+  it('skips lines with an agreed price', () => {
+    const code = toAppliedCode(discount());
+    const priced = priceLines([
+      { id: 1, price: 90, originalPrice: 100, quantity: 1, priceOverride: { reasonCode: 'NEGOTIATED' } },
+      { id: 2, price: 50, quantity: 1 }
+    ], null, code);
+    expect(codeAmounts(priced)).toEqual([[], [5]]);
+  });
+
+  it('takes nothing off while the cart is short of the minimum spend', () => {
+    const code = toAppliedCode(discount({ minSpend: 300 }));
+    expect(codeAmounts(priceLines([{ id: 1, price: 100, quantity: 2 }], null, code))).toEqual([[]]);
+    expect(codeAmounts(priceLines([{ id: 1, price: 100, quantity: 3 }], null, code))).toEqual([[30]]);
+  });
+});
@@ -0,0 +1,118 @@
+// Money arithmetic in whole cents. Amounts stay plain numbers of shillings at
+// the edges (API payloads, inputs, display) but every sum, product and
+// rounding goes through integer cents, so the cart, receipt and reports add
+// up to the same figure.
+//
+// Rounding rules:
+//   - amounts round to the cent, halves away from zero (1.005 -> 1.01, -1.005 -> -1.01)
+//   - a line is price x quantity rounded once, then discounts and tax are taken off it
+//   - cash rounding (optional) rounds what the customer hands over to the nearest
+//     `increment` shillings, halves up; the difference is kept as the sale's
+//     rounding adjustment
+
+// Halves away from zero, unlike Math.round which rounds -0.5 up to 0
+const roundHalfAway = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+/**
+ * Shillings to whole cents. Shifts the decimal point in the number's text so
+ * 1.005 becomes 101 rather than 100 (1.005 * 100 is 100.49999...).
+ * @param {number|string} value
+ * @returns {number} Integer cents; 0 for anything that isn't a number
+ */
+export const toCents = (value) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) return 0;
+  const text = String(amount);
+  const shifted = text.includes('e') ? amount * 100 : Number(`${text}e2`);
+  return roundHalfAway(shifted) || 0;
+};
+
+/**
+ * Whole cents back to shillings
+ * @param {number} cents
+ * @returns {number}
+ */
+export const fromCents = (cents) => cents / 100;
+
+/**
+ * Rounds an amount to the cent
+ * @param {number|string} value
+ * @returns {number}
+ */
+export const roundMoney = (value) => fromCents(toCents(value));
+
+/**
+ * Adds amounts to the cent
+ * @param {...(number|string)} values
+ * @returns {number}
+ */
+export const addMoney = (...values) => fromCents(values.reduce((cents, value) => cents + toCents(value), 0));
+
+/**
+ * a - b, to the cent
+ * @param {number|string} a
+ * @param {number|string} b
+ * @returns {number}
+ */
+export const subtractMoney = (a, b) => fromCents(toCents(a) - toCents(b));
+
+/**
+ * Price times quantity (or any factor, e.g. a rate), rounded once to the cent
+ * @param {number|string} amount
+ * @param {number|string} factor
+ * @returns {number}
+ */
+export const multiplyMoney = (amount, factor) => fromCents(roundHalfAway(toCents(amount) * (Number(factor) || 0)));
+
+/**
+ * Sums a field (or any amount) over a list, to the cent
+ * @param {Array} items
+ * @param {Function|string} [selector] - Field name or item => amount; the items themselves by default
+ * @returns {number}
+ */
+export const sumMoney = (items, selector = (item) => item) => {
+  const pick = typeof selector === 'function' ? selector : (item) => item?.[selector];
+  return fromCents((items || []).reduce((cents, item) => cents + toCents(pick(item)), 0));
+};
+
+/**
+ * Rounds a cash amount to the nearest `increment` shillings, halves up, e.g.
+ * 524.50 -> 525 with an increment of 1. An increment of 0 turns rounding off.
+ * @param {number} amount
+ * @param {number} increment - Whole shillings, e.g. 1 or 5
+ * @returns {number}
+ */
+export const roundCash = (amount, increment) => {
+  const step = toCents(increment);
+  if (step <= 0) return roundMoney(amount);
+  const cents = toCents(amount);
+  return fromCents(Math.floor(cents / step + 0.5) * step);
+};
+
+/**
+ * Splits an amount across items in proportion to their weights, to the cent.
+ * Leftover cents go to the largest remainders so the parts add up exactly.
+ * @param {number} amount
+ * @param {Array<number>} weights - e.g. line totals
+ * @returns {Array<number>} One part per weight; all zero when the weights are
+ */
+export const allocateMoney = (amount, weights) => {
+  const total = toCents(amount);
+  const weightCents = weights.map(weight => Math.max(toCents(weight), 0));
+  const weightTotal = weightCents.reduce((sum, weight) => sum + weight, 0);
+  if (weightTotal === 0) return weights.map(() => 0);
+
+  const exact = weightCents.map(weight => total * weight / weightTotal);
+  const parts = exact.map(Math.floor);
+  let leftover = total - parts.reduce((sum, part) => sum + part, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        parts[index] += 1;
+        leftover -= 1;
+      }
+    });
+  return parts.map(fromCents);
+};
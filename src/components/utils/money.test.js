@@ -0,0 +1,102 @@
+import {
+  addMoney,
+  allocateMoney,
+  fromCents,
+  multiplyMoney,
+  roundCash,
+  roundMoney,
+  subtractMoney,
+  sumMoney,
+  toCents
+} from './money';
+
+describe('toCents', () => {
+  it('rounds halves away from zero', () => {
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(-1.005)).toBe(-101);
+    expect(toCents(2.675)).toBe(268);
+    expect(toCents(0.125)).toBe(13);
+  });
+
+  it('reads numeric strings and treats anything else as zero', () => {
+    expect(toCents('19.99')).toBe(1999);
+    expect(toCents('')).toBe(0);
+    expect(toCents(null)).toBe(0);
+    expect(toCents(undefined)).toBe(0);
+    expect(toCents('abc')).toBe(0);
+    expect(toCents(Infinity)).toBe(0);
+  });
+
+  it('handles amounts written in exponent form', () => {
+    expect(toCents(1e-7)).toBe(0);
+    expect(toCents(1e21)).toBe(1e23);
+  });
+
+  it('never returns negative zero', () => {
+    expect(Object.is(toCents(-0.001), 0)).toBe(true);
+  });
+});
+
+describe('cent arithmetic', () => {
+  it('round trips through cents', () => {
+    expect(fromCents(toCents(12.34))).toBe(12.34);
+    expect(roundMoney(10.005)).toBe(10.01);
+    expect(roundMoney('3.14159')).toBe(3.14);
+  });
+
+  it('adds and subtracts without floating point drift', () => {
+    expect(addMoney(0.1, 0.2)).toBe(0.3);
+    expect(addMoney(0.1, 0.2, 0.3, '0.4')).toBe(1);
+    expect(subtractMoney(0.3, 0.1)).toBe(0.2);
+    expect(subtractMoney(1, 1.01)).toBe(-0.01);
+  });
+
+  it('rounds a product once, after multiplying', () => {
+    expect(multiplyMoney(19.99, 3)).toBe(59.97);
+    expect(multiplyMoney(1.15, 3)).toBe(3.45);
+    // 80 x 16 / 116 is 11.0344..., not a sum of rounded parts
+    expect(multiplyMoney(80, 16 / 116)).toBe(11.03);
+    expect(multiplyMoney(10, 'x')).toBe(0);
+  });
+
+  it('sums a field, a selector or the items themselves', () => {
+    const lines = [{ amount: 0.1 }, { amount: 0.2 }, { amount: '0.3' }];
+    expect(sumMoney(lines, 'amount')).toBe(0.6);
+    expect(sumMoney(lines, line => multiplyMoney(line.amount, 2))).toBe(1.2);
+    expect(sumMoney([1.1, 2.2])).toBe(3.3);
+    expect(sumMoney(null)).toBe(0);
+  });
+});
+
+describe('roundCash', () => {
+  it('rounds to the nearest increment, halves up', () => {
+    expect(roundCash(524.5, 1)).toBe(525);
+    expect(roundCash(524.49, 1)).toBe(524);
+    expect(roundCash(522.5, 5)).toBe(525);
+    expect(roundCash(522.49, 5)).toBe(520);
+  });
+
+  it('only rounds to the cent when cash rounding is off', () => {
+    expect(roundCash(524.499, 0)).toBe(524.5);
+  });
+});
+
+describe('allocateMoney', () => {
+  it('splits in proportion and gives leftover cents to the largest remainders', () => {
+    expect(allocateMoney(10, [1, 1, 1])).toEqual([3.34, 3.33, 3.33]);
+    expect(allocateMoney(0.05, [1, 1])).toEqual([0.03, 0.02]);
+    expect(allocateMoney(50, [450, 210])).toEqual([34.09, 15.91]);
+  });
+
+  it('always adds back up to the amount', () => {
+    const weights = [19.99, 7.5, 0.01, 123.45, 3];
+    [0.01, 1, 9.99, 33.33, 100].forEach(amount => {
+      expect(sumMoney(allocateMoney(amount, weights))).toBe(amount);
+    });
+  });
+
+  it('leaves out negative weights and returns zeros when nothing has weight', () => {
+    expect(allocateMoney(10, [-5, 5])).toEqual([0, 10]);
+    expect(allocateMoney(10, [0, 0])).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,195 @@
+import { addMoney, allocateMoney, fromCents, multiplyMoney, roundMoney, subtractMoney, sumMoney, toCents } from './money';
+import { codeCoversLine, minSpendShortfall } from './discountCodes';
+import { applyPromotions } from './promotions';
+
+// Price overrides and manual discounts given at the till. Each carries a
+// reason code, and one that gives away more than the approval threshold needs
+// a manager's PIN. The mock backend reprices recorded sales with `priceLines`;
+// the real backend has its own pricing, which these functions don't reach.
+//
+// On a line:
+//   - `price` is what is charged per unit; `originalPrice` is the shelf price
+//     when a `priceOverride` changed it
+//   - `discount` (or `discountAmount`) is the product's own per-unit discount
+//   - `manualDiscount` is a percentage or amount off the whole line
+//   - `lineDiscount` is worked out by priceLines: any promotions, the manual
+//     discount, any discount code and the line's share of the cart discount,
+//     taken off on top of `discount`
+//   - `overrides` lists each of the above with its amount, for reporting
+
+export const OVERRIDE_TYPES = {
+  PRICE: 'PRICE',
+  LINE_DISCOUNT: 'LINE_DISCOUNT',
+  CART_DISCOUNT: 'CART_DISCOUNT',
+  DISCOUNT_CODE: 'DISCOUNT_CODE',
+  PROMOTION: 'PROMOTION'
+};
+
+export const OVERRIDE_TYPE_LABELS = {
+  PRICE: 'Price override',
+  LINE_DISCOUNT: 'Line discount',
+  CART_DISCOUNT: 'Cart discount',
+  DISCOUNT_CODE: 'Discount code',
+  PROMOTION: 'Promotion'
+};
+
+export const DISCOUNT_KINDS = {
+  PERCENT: 'PERCENT',
+  AMOUNT: 'AMOUNT'
+};
+
+export const OVERRIDE_REASONS = {
+  NEGOTIATED: 'Negotiated price',
+  DAMAGED: 'Damaged goods',
+  PRICE_MATCH: 'Price match',
+  LOYALTY: 'Loyal customer',
+  STAFF: 'Staff purchase',
+  PRICE_ERROR: 'Wrong shelf price',
+  OTHER: 'Other'
+};
+
+// OTHER is only accepted with a note saying what the reason was
+export const NOTE_REQUIRED_REASONS = ['OTHER'];
+
+// Recorded on discounts the till gives by itself, which a cashier can't pick
+const SYSTEM_REASONS = {
+  DISCOUNT_CODE: 'Discount code',
+  PROMOTION: 'Promotion'
+};
+
+export const overrideReasonLabel = (code) => OVERRIDE_REASONS[code] || SYSTEM_REASONS[code] || code || 'Unknown';
+
+/**
+ * What a percentage or amount discount takes off `base`, never more than `base`
+ * @param {number} base
+ * @param {Object} [discount] - { kind, value }
+ * @returns {number}
+ */
+export const discountValue = (base, discount) => {
+  if (!discount) return 0;
+  const amount = discount.kind === DISCOUNT_KINDS.PERCENT
+    ? multiplyMoney(base, (Number(discount.value) || 0) / 100)
+    : roundMoney(discount.value);
+  return fromCents(Math.min(Math.max(toCents(amount), 0), Math.max(toCents(base), 0)));
+};
+
+// The fields of an override worth keeping on a sale line
+const overrideRecord = (type, amount, { reasonCode, note, approval }) => ({
+  type,
+  amount,
+  reasonCode,
+  note: note || null,
+  approval: approval || null
+});
+
+// A line's total after its own discounts, before the cart discount
+const lineAmount = (line) => {
+  const quantity = Number(line.quantity) || 0;
+  return subtractMoney(multiplyMoney(line.price, quantity), multiplyMoney(line.discount ?? line.discountAmount, quantity));
+};
+
+/**
+ * Works out each line's promotions, manual discount, discount code and share
+ * of the cart discount, and lists the overrides that apply to it
+ * @param {Array} lines - Cart items or sale lines
+ * @param {Object} [cartDiscount] - { kind, value, reasonCode, note, approval }
+ * @param {Object} [discountCode] - From toAppliedCode. Takes nothing off a line with an agreed
+ *   price, or off any line while the cart is short of the code's minimum spend.
+ * @param {Array} [promotions] - Those running now (see livePromotions); taken off first
+ * @returns {Array} The lines with `lineDiscount` and `overrides` set
+ */
+export const priceLines = (lines, cartDiscount, discountCode, promotions = []) => {
+  const promoted = applyPromotions(lines, promotions);
+  const manuallyPriced = lines.map((line, index) => {
+    const full = lineAmount(line);
+    const promotionAmounts = promoted[index].map(entry => ({ ...entry, amount: Math.min(entry.amount, full) }));
+    const amount = fromCents(Math.max(toCents(subtractMoney(full, sumMoney(promotionAmounts, 'amount'))), 0));
+    const manual = discountValue(amount, line.manualDiscount);
+    return { line, promotionAmounts, manual, remaining: subtractMoney(amount, manual) };
+  });
+
+  const codeApplies = discountCode && minSpendShortfall(discountCode, sumMoney(manuallyPriced, 'remaining')) === 0;
+  const priced = manuallyPriced.map(({ line, promotionAmounts, manual, remaining }) => {
+    const quantity = Number(line.quantity) || 0;
+    const overrides = [];
+    if (line.priceOverride && line.originalPrice != null) {
+      overrides.push(overrideRecord(OVERRIDE_TYPES.PRICE, multiplyMoney(subtractMoney(line.originalPrice, line.price), quantity), line.priceOverride));
+    }
+    promotionAmounts.forEach(({ promotionId, name, amount }) => {
+      overrides.push({ ...overrideRecord(OVERRIDE_TYPES.PROMOTION, amount, { reasonCode: 'PROMOTION' }), promotionId, name });
+    });
+    if (line.manualDiscount) {
+      overrides.push(overrideRecord(OVERRIDE_TYPES.LINE_DISCOUNT, manual, line.manualDiscount));
+    }
+    let codeAmount = 0;
+    if (codeApplies && !line.priceOverride && codeCoversLine(discountCode, line)) {
+      codeAmount = discountValue(remaining, { kind: DISCOUNT_KINDS.PERCENT, value: discountCode.percentage });
+      overrides.push({ ...overrideRecord(OVERRIDE_TYPES.DISCOUNT_CODE, codeAmount, { reasonCode: 'DISCOUNT_CODE' }), code: discountCode.code });
+    }
+    return { line, own: addMoney(sumMoney(promotionAmounts, 'amount'), manual, codeAmount), remaining: subtractMoney(remaining, codeAmount), overrides };
+  });
+
+  const cartAmount = discountValue(sumMoney(priced, 'remaining'), cartDiscount);
+  const shares = allocateMoney(cartAmount, priced.map(entry => entry.remaining));
+
+  return priced.map(({ line, own, overrides }, index) => ({
+    ...line,
+    lineDiscount: addMoney(own, shares[index]),
+    overrides: cartDiscount
+      ? [...overrides, overrideRecord(OVERRIDE_TYPES.CART_DISCOUNT, shares[index], cartDiscount)]
+      : overrides
+  }));
+};
+
+const percentOf = (amount, base) => (toCents(base) > 0 ? Math.max(toCents(amount), 0) / toCents(base) * 100 : 0);
+
+const overrideAmount = (line, types) => sumMoney((line.overrides || []).filter(override => types.includes(override.type)), 'amount');
+
+/**
+ * What a priced line comes to after its own discounts, before its share of the cart discount
+ * @param {Object} line - From priceLines
+ * @returns {number}
+ */
+export const lineSubtotal = (line) => subtractMoney(lineAmount(line), overrideAmount(line, [
+  OVERRIDE_TYPES.PROMOTION,
+  OVERRIDE_TYPES.LINE_DISCOUNT,
+  OVERRIDE_TYPES.DISCOUNT_CODE
+]));
+
+/**
+ * How much of a priced line's shelf value its price override and line
+ * discount give away together, so splitting one big discount into two small
+ * ones doesn't avoid approval
+ * @param {Object} line - From priceLines
+ * @returns {number} Percent
+ */
+export const lineOverridePercent = (line) => {
+  const shelfValue = multiplyMoney(line.originalPrice ?? line.price, Number(line.quantity) || 0);
+  return percentOf(overrideAmount(line, [OVERRIDE_TYPES.PRICE, OVERRIDE_TYPES.LINE_DISCOUNT]), shelfValue);
+};
+
+/**
+ * The cart discount as a percentage of what the lines come to before it
+ * @param {Array} lines - From priceLines
+ * @returns {number} Percent
+ */
+export const cartDiscountPercent = (lines) => percentOf(
+  sumMoney(lines, line => overrideAmount(line, [OVERRIDE_TYPES.CART_DISCOUNT])),
+  sumMoney(lines, lineSubtotal)
+);
+
+/**
+ * The largest percentage a manager has approved among some overrides
+ * @param {Array} overrides - Override specs or records with an optional `approval`
+ * @returns {number}
+ */
+export const approvedPercent = (overrides) => Math.max(0, ...overrides.map(override => Number(override?.approval?.percent) || 0));
+
+/**
+ * Whether giving away `percent` needs a manager, allowing for rounding to the cent
+ * @param {number} percent
+ * @param {number} threshold - Percent a cashier may give without approval
+ * @param {number} [approved=0] - Percent already approved
+ * @returns {boolean}
+ */
+export const needsApproval = (percent, threshold, approved = 0) => percent > Math.max(threshold, approved) + 0.01;
@@ -0,0 +1,103 @@
+import {
+  approvedPercent,
+  cartDiscountPercent,
+  DISCOUNT_KINDS,
+  discountValue,
+  lineOverridePercent,
+  lineSubtotal,
+  needsApproval,
+  OVERRIDE_TYPES,
+  priceLines
+} from './priceOverrides';
+
+const percentOff = (value, reasonCode = 'LOYALTY') => ({ kind: DISCOUNT_KINDS.PERCENT, value, reasonCode });
+const amountOff = (value, reasonCode = 'LOYALTY') => ({ kind: DISCOUNT_KINDS.AMOUNT, value, reasonCode });
+
+const amountsOf = (line, type) => line.overrides.filter(override => override.type === type).map(override => override.amount);
+
+describe('discountValue', () => {
+  it('takes a percentage or an amount off, never more than the base', () => {
+    expect(discountValue(200, percentOff(15))).toBe(30);
+    expect(discountValue(200, amountOff(45.5))).toBe(45.5);
+    expect(discountValue(200, amountOff(250))).toBe(200);
+    expect(discountValue(200, amountOff(-5))).toBe(0);
+    expect(discountValue(200, null)).toBe(0);
+  });
+});
+
+describe('priceLines', () => {
+  const lines = [
+    { id: 1, price: 100, quantity: 2 },
+    { id: 2, price: 50, quantity: 2 }
+  ];
+
+  it('shares the cart discount across lines in proportion to their value', () => {
+    const priced = priceLines(lines, amountOff(30));
+
+    expect(priced.map(line => line.lineDiscount)).toEqual([20, 10]);
+    expect(amountsOf(priced[0], OVERRIDE_TYPES.CART_DISCOUNT)).toEqual([20]);
+    expect(amountsOf(priced[1], OVERRIDE_TYPES.CART_DISCOUNT)).toEqual([10]);
+  });
+
+  it('takes the manual discount off first, then shares the cart discount to the cent', () => {
+    const priced = priceLines([{ ...lines[0], manualDiscount: percentOff(10, 'DAMAGED') }, lines[1]], amountOff(30));
+
+    expect(amountsOf(priced[0], OVERRIDE_TYPES.LINE_DISCOUNT)).toEqual([20]);
+    // 30 over 180 and 100; the spare cent goes to the larger remainder
+    expect(amountsOf(priced[0], OVERRIDE_TYPES.CART_DISCOUNT)).toEqual([19.29]);
+    expect(amountsOf(priced[1], OVERRIDE_TYPES.CART_DISCOUNT)).toEqual([10.71]);
+    expect(priced[0].lineDiscount).toBe(39.29);
+    expect(lineSubtotal(priced[0])).toBe(180);
+  });
+
+  it('records a price override against the shelf price', () => {
+    const [line] = priceLines([{ id: 1, price: 90, originalPrice: 100, quantity: 3, priceOverride: { reasonCode: 'PRICE_MATCH' } }]);
+
+    expect(line.overrides).toEqual([expect.objectContaining({ type: OVERRIDE_TYPES.PRICE, amount: 30, reasonCode: 'PRICE_MATCH' })]);
+    expect(line.lineDiscount).toBe(0);
+  });
+
+  it('leaves lines alone when nothing is given', () => {
+    expect(priceLines(lines).map(line => [line.lineDiscount, line.overrides])).toEqual([[0, []], [0, []]]);
+  });
+});
+
+describe('approval thresholds', () => {
+  it('counts a price override and a line discount together against the shelf value', () => {
+    // 20 off the price and 18 off the line: 38 of 200
+    const [line] = priceLines([{
+      id: 1,
+      price: 90,
+      originalPrice: 100,
+      quantity: 2,
+      priceOverride: { reasonCode: 'NEGOTIATED' },
+      manualDiscount: amountOff(18, 'NEGOTIATED')
+    }]);
+
+    expect(lineOverridePercent(line)).toBe(19);
+  });
+
+  it('measures the cart discount against the lines before it', () => {
+    expect(cartDiscountPercent(priceLines([{ id: 1, price: 100, quantity: 3 }], amountOff(30)))).toBe(10);
+    expect(cartDiscountPercent(priceLines([{ id: 1, price: 100, quantity: 3 }]))).toBe(0);
+  });
+
+  it('takes the largest approval given', () => {
+    expect(approvedPercent([{ approval: { percent: 12 } }, null, { approval: { percent: '25' } }, {}])).toBe(25);
+    expect(approvedPercent([])).toBe(0);
+  });
+
+  it('needs a manager above the threshold, allowing a cent of rounding', () => {
+    expect(needsApproval(10, 10)).toBe(false);
+    expect(needsApproval(10.01, 10)).toBe(false);
+    expect(needsApproval(10.02, 10)).toBe(true);
+    expect(needsApproval(50, 0)).toBe(true);
+  });
+
+  it('does not ask again for what a manager already approved', () => {
+    expect(needsApproval(15, 10, 15)).toBe(false);
+    expect(needsApproval(15.5, 10, 15)).toBe(true);
+    // An approval below the threshold doesn't lower it
+    expect(needsApproval(8, 10, 5)).toBe(false);
+  });
+});
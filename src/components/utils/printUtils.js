@@ -1,4 +1,25 @@
-export const printReceipt = async (receipt, paymentMethod, cashierName) => {
+import { getActiveBranch } from '../../services/branchService';
+import { getSalePayments, tenderLabel } from './tenders';
+import { calculateTaxTotals, taxClassLabel } from './tax';
+import { addMoney, multiplyMoney, roundMoney, subtractMoney } from './money';
+import { getTaxSettings } from '../../services/taxService';
+
+// Used until a branch has been selected (or on single-store backends)
+const DEFAULT_STORE = {
+  name: 'INVENTORY STORE',
+  address: '123 Business Street, KISII',
+  phone: '+254 700 000000'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const printReceipt = async (receipt, paymentMethod, cashierName, branch = getActiveBranch()) => {
+  const store = branch || DEFAULT_STORE;
+
   const printWindow = window.open('', '_blank');
   
   const now = new Date();
@@ -11,7 +32,10 @@ export const printReceipt = async (receipt, paymentMethod, cashierName) => {
   });
 
   const receiptNumber = receipt.receiptNumber || receipt.id || `TEMP-${Date.now().toString().slice(-6)}`;
-  const formattedPaymentMethod = paymentMethod ? paymentMethod.replace('_', ' ') : (receipt.paymentMethod || 'CASH');
+  // An explicit method overrides the receipt's own tenders
+  const payments = paymentMethod
+    ? [{ method: paymentMethod, amount: receipt.total || 0 }]
+    : getSalePayments(receipt);
 
   // Process items with better name fallback
   const items = (receipt.items || []).map(item => ({
@@ -22,15 +46,32 @@ export const printReceipt = async (receipt, paymentMethod, cashierName) => {
     unitPrice: item.unitPrice || item.price || 0, // Add unit price
     discountAmount: item.discountAmount || item.discount || 0,
     discountPercentage: item.discountPercentage || 0,
+    // Manual and cart discounts, taken off the line as a whole
+    lineDiscount: item.lineDiscount || 0,
+    originalPrice: item.priceOverride ? item.originalPrice : null,
     isSoldOut: item.isSoldOut || false
   }));
 
-  // Calculate totals - price already includes tax
-  const subtotal = receipt.subtotal || items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  const discount = receipt.discount || items.reduce((sum, item) => sum + (item.discountAmount * item.quantity), 0);
-  const taxableAmount = Math.max(0, subtotal - discount);
-  const tax = receipt.tax || taxableAmount - (taxableAmount / 1.16); // Reverse calculate 16% tax
-  const total = receipt.total || subtotal; // Total is same as subtotal (tax inclusive)
+  // The totals recorded with the sale, so a receipt shows what was charged even
+  // after the tax settings change. Receipts without them are worked out with the
+  // same tax module as the cart.
+  const totals = receipt.total != null && Array.isArray(receipt.taxBreakdown)
+    ? {
+      subtotal: roundMoney(receipt.subtotal),
+      discount: roundMoney(receipt.discountAmount ?? receipt.discount),
+      tax: roundMoney(receipt.tax),
+      total: roundMoney(receipt.total),
+      taxBreakdown: receipt.taxBreakdown
+    }
+    : calculateTaxTotals((receipt.items || []).map(item => ({
+      price: item.unitPrice || item.price || 0,
+      quantity: item.quantity || 1,
+      discount: item.discountAmount || item.discount || 0,
+      lineDiscount: item.lineDiscount || 0,
+      taxClass: item.taxClass
+    })), getTaxSettings());
+  // Cash rounding: the customer paid total + rounding
+  const rounding = roundMoney(receipt.roundingAdjustment);
 
   const receiptContent = `
     <!DOCTYPE html>
@@ -64,9 +105,10 @@ export const printReceipt = async (receipt, paymentMethod, cashierName) => {
     <body class="font-sans p-4 w-full max-w-[80mm] mx-auto">
       <!-- Header -->
       <div class="text-center mb-4">
-        <div class="text-xl font-bold tracking-tight">INVENTORY STORE</div>
-        <div class="text-xs text-gray-600">123 Business Street, KISII</div>
-        <div class="text-xs text-gray-600">Tel: +254 700 000000</div>
+        <div class="text-xl font-bold tracking-tight">${escapeHtml(store.name).toUpperCase()}</div>
+        ${store.address ? `<div class="text-xs text-gray-600">${escapeHtml(store.address)}</div>` : ''}
+        ${store.phone ? `<div class="text-xs text-gray-600">Tel: ${escapeHtml(store.phone)}</div>` : ''}
+        ${store.taxPin ? `<div class="text-xs text-gray-600">PIN: ${escapeHtml(store.taxPin)}</div>` : ''}
       </div>
 
       <!-- Receipt Info -->
@@ -78,7 +120,8 @@ export const printReceipt = async (receipt, paymentMethod, cashierName) => {
         </div>
         <div class="text-right">
           <div class="font-semibold">Receipt #:</div>
-          <div>${receiptNumber}</div>
+          <div>${escapeHtml(receiptNumber)}</div>
+          ${receipt.offlineReceiptNumber && !receipt.id ? '<div class="text-[10px] mt-1">OFFLINE SALE - PENDING SYNC</div>' : ''}
         </div>
       </div>
 
@@ -94,8 +137,9 @@ export const printReceipt = async (receipt, paymentMethod, cashierName) => {
         
         ${items.map(item => {
           const itemUnitPrice = item.unitPrice;
-          const itemDiscount = item.discountAmount;
-          const itemTotal = (itemUnitPrice - itemDiscount) * item.quantity;
+          // The whole line's discount, as manual and cart discounts aren't per unit
+          const itemDiscount = addMoney(multiplyMoney(item.discountAmount, item.quantity), item.lineDiscount);
+          const itemTotal = subtractMoney(multiplyMoney(itemUnitPrice, item.quantity), itemDiscount);
           const soldOutClass = item.isSoldOut ? 'sold-out' : '';
           
           return `
@@ -103,6 +147,7 @@ export const printReceipt = async (receipt, paymentMethod, cashierName) => {
             <div class="truncate">
               ${item.name}
               ${item.isSoldOut ? ' (SOLD OUT)' : ''}
+              ${item.originalPrice != null ? `<div class="text-[10px] text-gray-500">was ${Number(item.originalPrice).toFixed(2)}</div>` : ''}
             </div>
             <div class="text-right">${item.quantity}</div>
             <div class="text-right">${itemUnitPrice.toFixed(2)}</div>
@@ -116,24 +161,63 @@ export const printReceipt = async (receipt, paymentMethod, cashierName) => {
       <!-- Totals -->
       <div class="text-sm mt-4 space-y-1">
         <div class="flex justify-between">
-          <span>Subtotal (incl. tax):</span>
-          <span class="font-medium">Ksh ${subtotal.toFixed(2)}</span>
+          <span>Subtotal (tax exclusive):</span>
+          <span class="font-medium">Ksh ${totals.subtotal.toFixed(2)}</span>
         </div>
         <div class="flex justify-between">
-          <span>Discount:</span>
-          <span class="font-medium">Ksh ${discount.toFixed(2)}</span>
+          <span>Discount${receipt.discountCode ? ` (code ${escapeHtml(receipt.discountCode)})` : ''}:</span>
+          <span class="font-medium">Ksh ${totals.discount.toFixed(2)}</span>
         </div>
         <div class="flex justify-between">
-          <span>Tax (16%):</span>
-          <span class="font-medium">Ksh ${tax.toFixed(2)}</span>
+          <span>Tax:</span>
+          <span class="font-medium">Ksh ${totals.tax.toFixed(2)}</span>
         </div>
         <div class="flex justify-between border-t pt-1 font-bold text-base">
           <span>TOTAL:</span>
-          <span>Ksh ${total.toFixed(2)}</span>
+          <span>Ksh ${totals.total.toFixed(2)}</span>
+        </div>
+        ${rounding !== 0 ? `
+        <div class="flex justify-between">
+          <span>Cash rounding:</span>
+          <span class="font-medium">Ksh ${rounding.toFixed(2)}</span>
         </div>
-        <div class="flex justify-between text-xs mt-2">
-          <span class="font-semibold">Payment Method:</span>
-          <span class="uppercase">${formattedPaymentMethod}</span>
+        <div class="flex justify-between font-bold">
+          <span>AMOUNT PAID:</span>
+          <span>Ksh ${addMoney(totals.total, rounding).toFixed(2)}</span>
+        </div>
+        ` : ''}
+        <div class="text-xs mt-2">
+          <div class="item-row font-semibold border-b">
+            <div>TAX</div><div></div><div></div>
+            <div class="text-right">NET</div>
+            <div class="text-right">TAX</div>
+          </div>
+          ${totals.taxBreakdown.map(entry => `
+          <div class="item-row">
+            <div>${escapeHtml(taxClassLabel(entry))}</div><div></div><div></div>
+            <div class="text-right">${entry.taxable.toFixed(2)}</div>
+            <div class="text-right">${entry.tax.toFixed(2)}</div>
+          </div>
+          `).join('')}
+        </div>
+        <div class="text-xs mt-2">
+          <div class="font-semibold">${payments.length > 1 ? 'Payments:' : 'Payment Method:'}</div>
+          ${payments.map(payment => `
+          <div class="flex justify-between">
+            <span class="uppercase">${escapeHtml(tenderLabel(payment.method))}${payment.reference ? ` (${escapeHtml(payment.reference)})` : ''}</span>
+            <span>Ksh ${Number(payment.amount).toFixed(2)}</span>
+          </div>
+          `).join('')}
+          ${receipt.amountTendered != null ? `
+          <div class="flex justify-between mt-1">
+            <span>Cash Tendered:</span>
+            <span>Ksh ${Number(receipt.amountTendered).toFixed(2)}</span>
+          </div>
+          <div class="flex justify-between font-semibold">
+            <span>Change:</span>
+            <span>Ksh ${Number(receipt.changeGiven || 0).toFixed(2)}</span>
+          </div>
+          ` : ''}
         </div>
       </div>
 
@@ -162,4 +246,102 @@ export const printReceipt = async (receipt, paymentMethod, cashierName) => {
   
   printWindow.document.write(receiptContent);
   printWindow.document.close();
-};
\ No newline at end of file
+};
+
+/**
+ * Prints a shift's X (mid-shift) or Z (end-of-day) report on the receipt printer
+ * @param {Object} report - Report from the shift service
+ * @param {Object} [branch] - Store details for the header
+ */
+export const printShiftReport = (report, branch = getActiveBranch()) => {
+  const store = branch || DEFAULT_STORE;
+  const printWindow = window.open('', '_blank');
+
+  const money = (value) => `Ksh ${Number(value || 0).toFixed(2)}`;
+  const when = (value) => (value ? new Date(value).toLocaleString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  }) : '-');
+  const row = (label, value, className = '') => `
+    <div class="flex justify-between ${className}">
+      <span>${escapeHtml(label)}</span>
+      <span>${escapeHtml(value)}</span>
+    </div>`;
+  const section = (title, rows) => `
+    <div class="mt-3">
+      <div class="font-semibold border-b mb-1">${escapeHtml(title)}</div>
+      ${rows.length > 0 ? rows.join('') : '<div class="text-gray-500">None</div>'}
+    </div>`;
+
+  const isZ = report.type === 'Z';
+  const title = isZ ? `Z REPORT${report.reportNumber ? ` #${report.reportNumber}` : ''}` : 'X REPORT';
+
+  const content = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${title}</title>
+      <script src="https://cdn.tailwindcss.com"></script>
+      <style>
+        @media print {
+          @page { size: 80mm auto; margin: 0; }
+          body { width: 80mm; margin: 0; padding: 0; }
+        }
+      </style>
+    </head>
+    <body class="font-sans p-4 w-full max-w-[80mm] mx-auto text-xs">
+      <div class="text-center mb-3">
+        <div class="text-lg font-bold tracking-tight">${escapeHtml(store.name).toUpperCase()}</div>
+        ${store.address ? `<div class="text-gray-600">${escapeHtml(store.address)}</div>` : ''}
+        <div class="text-base font-bold mt-2">${title}</div>
+        ${isZ ? '' : '<div class="text-gray-600">Shift still open - not a cash-up</div>'}
+      </div>
+
+      ${row('Till', report.terminalId || '-')}
+      ${row('Opened', `${when(report.openedAt)} by ${report.openedByName || '-'}`)}
+      ${isZ ? row('Closed', `${when(report.closedAt)} by ${report.closedByName || '-'}`) : ''}
+      ${row('Printed', when(report.generatedAt || new Date()))}
+
+      ${section('Sales', [
+        row('Sales', String(report.salesCount)),
+        row('Gross sales', money(report.grossSales), 'font-semibold'),
+        row(`Refunds / voids (${report.refunds?.count || 0})`, money(report.refunds?.amount)),
+        row('Net sales', money(report.netSales), 'font-semibold'),
+        row('Change given', money(report.changeGiven)),
+        report.roundingAdjustments ? row('Cash rounding', money(report.roundingAdjustments)) : ''
+      ])}
+      ${section('By tender', (report.tenders || []).map(tender => row(`${tenderLabel(tender.method)} (${tender.count})`, money(tender.amount))))}
+      ${section('By cashier', (report.cashiers || []).map(cashier => row(`${cashier.cashierName || 'Unknown'} (${cashier.count})`, money(cashier.amount))))}
+      ${section('By till', (report.terminals || []).map(terminal => row(`${terminal.terminalId || '-'} (${terminal.count})`, money(terminal.amount))))}
+      ${section('Payouts', (report.payouts || []).map(payout => row(payout.reason, money(payout.amount))))}
+
+      ${section('Cash drawer', [
+        row('Opening float', money(report.openingFloat)),
+        row('+ Cash sales', money(report.cashSales)),
+        row('- Cash refunds', money(report.cashRefunds)),
+        row('- Payouts', money(report.payoutsTotal)),
+        row('Expected cash', money(report.expectedCash), 'font-semibold border-t'),
+        ...(report.countedCash != null ? [
+          row('Counted cash', money(report.countedCash)),
+          row(report.variance < 0 ? 'Short' : report.variance > 0 ? 'Over' : 'Variance', money(Math.abs(report.variance)), 'font-bold')
+        ] : [])
+      ])}
+      ${report.notes ? `<div class="mt-3">Notes: ${escapeHtml(report.notes)}</div>` : ''}
+
+      <div class="mt-6 pt-2 border-t border-dashed">
+        <div>Counted by: ____________________</div>
+        <div class="mt-3">Checked by: ____________________</div>
+      </div>
+
+      <script>
+        setTimeout(() => {
+          window.print();
+          window.close();
+        }, 300);
+      </script>
+    </body>
+    </html>
+  `;
+
+  printWindow.document.write(content);
+  printWindow.document.close();
+};
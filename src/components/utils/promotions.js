@@ -0,0 +1,310 @@
+import { addMoney, allocateMoney, multiplyMoney, roundMoney, subtractMoney, sumMoney, toCents } from './money';
+
+// Promotions the till applies by itself, set up on the Promotions page. Each
+// has a type, the products it covers (every product when `productIds` is
+// empty), an optional date range and weekly schedule, and a `rule` for its
+// type:
+//   - BUY_X_GET_Y: { buyQuantity, getQuantity, getPercent } - for every
+//     buyQuantity bought, getQuantity more at getPercent off (100 is free)
+//   - BUNDLE: { bundleQuantity, bundlePrice } - any bundleQuantity of the
+//     covered products, mixed as the customer likes, for bundlePrice
+//   - QUANTITY_TIER: { tiers: [{ minQuantity, percent }] } - percent off every
+//     covered unit once the cart holds minQuantity of them
+//   - SPEND_THRESHOLD: { minSpend, percent } or { minSpend, amountOff } - off
+//     the covered products once they come to minSpend
+// A schedule is { days: [0-6, Sunday first], startTime: 'HH:mm', endTime };
+// a window that ends before it starts runs past midnight.
+//
+// Promotions count whole units at the price after the product's own
+// discount, and skip lines with an agreed price. When several could use the
+// same units, the one saving the customer most takes them, then the next best
+// is tried on what is left. The mock backend applies promotions through
+// `priceLines` as well, so it agrees with the cart; the real backend is not
+// bound by this module.
+
+export const PROMOTION_TYPES = {
+  BUY_X_GET_Y: 'BUY_X_GET_Y',
+  BUNDLE: 'BUNDLE',
+  QUANTITY_TIER: 'QUANTITY_TIER',
+  SPEND_THRESHOLD: 'SPEND_THRESHOLD'
+};
+
+export const PROMOTION_TYPE_LABELS = {
+  BUY_X_GET_Y: 'Buy X get Y',
+  BUNDLE: 'Bundle price',
+  QUANTITY_TIER: 'Quantity tiers',
+  SPEND_THRESHOLD: 'Spend threshold'
+};
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const minutesOf = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A date-only start or end covers the whole day
+const startOf = (date) => new Date(String(date).length === 10 ? `${date}T00:00:00` : date);
+const endOf = (date) => new Date(String(date).length === 10 ? `${date}T23:59:59.999` : date);
+
+/**
+ * Whether a promotion is running at a given moment
+ * @param {Object} promotion
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isPromotionLive = (promotion, now = new Date()) => {
+  if (!promotion || promotion.active === false) return false;
+  if (promotion.startsAt && startOf(promotion.startsAt) > now) return false;
+  if (promotion.endsAt && endOf(promotion.endsAt) < now) return false;
+
+  const { days = [], startTime, endTime } = promotion.schedule || {};
+  let day = now.getDay();
+  if (startTime && endTime) {
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const start = minutesOf(startTime);
+    const end = minutesOf(endTime);
+    if (end > start) {
+      if (minute < start || minute >= end) return false;
+    } else {
+      if (minute < start && minute >= end) return false;
+      // The early hours of an overnight window belong to the day it started
+      if (minute < end) day = (day + 6) % 7;
+    }
+  }
+  return days.length === 0 || days.map(Number).includes(day);
+};
+
+export const PROMOTION_STATUS_LABELS = {
+  RUNNING: 'Running now',
+  SCHEDULED: 'Scheduled',
+  ENDED: 'Ended',
+  OFF: 'Switched off'
+};
+
+/**
+ * Whether a promotion is running, will run later, is over or is switched off
+ * @param {Object} promotion
+ * @param {Date} [now]
+ * @returns {string} A PROMOTION_STATUS_LABELS key
+ */
+export const promotionStatus = (promotion, now = new Date()) => {
+  if (promotion.active === false) return 'OFF';
+  if (promotion.endsAt && endOf(promotion.endsAt) < now) return 'ENDED';
+  return isPromotionLive(promotion, now) ? 'RUNNING' : 'SCHEDULED';
+};
+
+/**
+ * The promotions running at a given moment
+ * @param {Array} promotions
+ * @param {Date} [now]
+ * @returns {Array}
+ */
+export const livePromotions = (promotions, now = new Date()) => (promotions || []).filter(promotion => isPromotionLive(promotion, now));
+
+/**
+ * Whether a promotion covers a line's product
+ * @param {Object} promotion
+ * @param {Object} line - A cart item (`id`) or sale line (`productId`)
+ * @returns {boolean}
+ */
+export const promotionCoversLine = (promotion, line) => {
+  const productIds = (promotion.productIds || []).map(Number);
+  return productIds.length === 0 || productIds.includes(Number(line.productId ?? line.id));
+};
+
+const toUnits = (lines) => lines.flatMap((line, index) => {
+  if (line.priceOverride) return [];
+  const price = subtractMoney(line.price, roundMoney(line.discount ?? line.discountAmount ?? 0));
+  const count = Math.max(Math.floor(Number(line.quantity) || 0), 0);
+  return Array.from({ length: count }, () => ({ index, productId: line.productId ?? line.id, price }));
+});
+
+const byPriceDescending = (units) => [...units].sort((a, b) => b.price - a.price);
+
+const inGroupsOf = (units, size) => {
+  const groups = [];
+  for (let start = 0; size > 0 && start + size <= units.length; start += size) {
+    groups.push(units.slice(start, start + size));
+  }
+  return groups;
+};
+
+const shareAcross = (units, amount) => {
+  const shares = allocateMoney(amount, units.map(unit => unit.price));
+  return units.map((unit, position) => ({ unit, amount: shares[position] }));
+};
+
+// Each works out what a promotion takes off the units it covers, as
+// { unit, amount } for every unit it uses, including the ones paid in full.
+// Pairing the dearest units together gives the customer the most.
+const EVALUATORS = {
+  [PROMOTION_TYPES.BUY_X_GET_Y]: (units, { buyQuantity, getQuantity, getPercent }) => {
+    const buy = Number(buyQuantity) || 0;
+    return inGroupsOf(byPriceDescending(units), buy + (Number(getQuantity) || 0)).flatMap(group => group.map((unit, position) => ({
+      unit,
+      amount: position < buy ? 0 : multiplyMoney(unit.price, (Number(getPercent) || 0) / 100)
+    })));
+  },
+  [PROMOTION_TYPES.BUNDLE]: (units, { bundleQuantity, bundlePrice }) => inGroupsOf(byPriceDescending(units), Number(bundleQuantity) || 0)
+    .flatMap(group => {
+      const saving = subtractMoney(sumMoney(group, 'price'), bundlePrice);
+      return toCents(saving) > 0 ? shareAcross(group, saving) : [];
+    }),
+  [PROMOTION_TYPES.QUANTITY_TIER]: (units, { tiers = [] }) => {
+    const tier = tiers
+      .filter(candidate => units.length >= Number(candidate.minQuantity))
+      .sort((a, b) => Number(b.minQuantity) - Number(a.minQuantity))[0];
+    return tier ? units.map(unit => ({ unit, amount: multiplyMoney(unit.price, (Number(tier.percent) || 0) / 100) })) : [];
+  },
+  [PROMOTION_TYPES.SPEND_THRESHOLD]: (units, { minSpend, percent, amountOff }) => {
+    const spend = sumMoney(units, 'price');
+    if (toCents(spend) === 0 || toCents(spend) < toCents(minSpend)) return [];
+    const saving = amountOff
+      ? Math.min(roundMoney(amountOff), spend)
+      : multiplyMoney(spend, (Number(percent) || 0) / 100);
+    return shareAcross(units, saving);
+  }
+};
+
+// The promotion saving the most on the units left, with what it takes off each
+const bestDeal = (candidates, available) => candidates.reduce((current, promotion) => {
+  const covered = available.filter(unit => promotionCoversLine(promotion, unit));
+  const discounts = EVALUATORS[promotion.type](covered, promotion.rule || {});
+  const amount = sumMoney(discounts, 'amount');
+  return toCents(amount) > toCents(current?.amount || 0) ? { promotion, discounts, amount } : current;
+}, null);
+
+/**
+ * Works out which promotions apply to some lines and what each takes off
+ * each line, keeping the best deal where promotions compete for the same units
+ * @param {Array} lines - Cart items or sale lines
+ * @param {Array} promotions - Those running now (see livePromotions)
+ * @returns {Array<Array<{promotionId: number, name: string, amount: number}>>} One list per line
+ */
+export const applyPromotions = (lines, promotions = []) => {
+  const applied = lines.map(() => []);
+  let available = toUnits(lines);
+  let candidates = promotions.filter(promotion => EVALUATORS[promotion.type]);
+
+  while (candidates.length > 0 && available.length > 0) {
+    const best = bestDeal(candidates, available);
+    if (!best) break;
+
+    const used = new Set(best.discounts.map(({ unit }) => unit));
+    available = available.filter(unit => !used.has(unit));
+    candidates = candidates.filter(promotion => promotion !== best.promotion);
+    best.discounts.forEach(({ unit, amount }) => {
+      const lineApplied = applied[unit.index];
+      let entry = lineApplied.find(candidate => candidate.promotionId === best.promotion.id);
+      if (!entry) {
+        entry = { promotionId: best.promotion.id, name: best.promotion.name, amount: 0 };
+        lineApplied.push(entry);
+      }
+      entry.amount = addMoney(entry.amount, amount);
+    });
+  }
+  return applied.map(entries => entries.filter(entry => toCents(entry.amount) > 0));
+};
+
+const formatAmount = (amount) => `Ksh ${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * A promotion's rule in a few words, e.g. "Buy 2 get 1 free"
+ * @param {Object} promotion
+ * @returns {string}
+ */
+export const describePromotion = (promotion) => {
+  const rule = promotion.rule || {};
+  switch (promotion.type) {
+    case PROMOTION_TYPES.BUY_X_GET_Y:
+      return `Buy ${rule.buyQuantity} get ${rule.getQuantity} ${Number(rule.getPercent) >= 100 ? 'free' : `at ${rule.getPercent}% off`}`;
+    case PROMOTION_TYPES.BUNDLE:
+      return `Any ${rule.bundleQuantity} for ${formatAmount(rule.bundlePrice)}`;
+    case PROMOTION_TYPES.QUANTITY_TIER:
+      return (rule.tiers || []).map(tier => `${tier.minQuantity}+ at ${tier.percent}% off`).join(', ');
+    case PROMOTION_TYPES.SPEND_THRESHOLD:
+      return `Spend ${formatAmount(rule.minSpend)}, get ${rule.amountOff ? formatAmount(rule.amountOff) : `${rule.percent}%`} off`;
+    default:
+      return promotion.type;
+  }
+};
+
+/**
+ * When a promotion runs, e.g. "Mon-Fri 17:00-19:00"
+ * @param {Object} promotion
+ * @returns {string}
+ */
+export const describeSchedule = (promotion) => {
+  const { days = [], startTime, endTime } = promotion.schedule || {};
+  const parts = [];
+  if (days.length > 0 && days.length < 7) parts.push([...days].map(Number).sort().map(day => WEEKDAYS[day]).join(', '));
+  if (startTime && endTime) parts.push(`${startTime}-${endTime}`);
+  if (promotion.startsAt || promotion.endsAt) {
+    parts.push(`${promotion.startsAt ? String(promotion.startsAt).slice(0, 10) : '…'} to ${promotion.endsAt ? String(promotion.endsAt).slice(0, 10) : '…'}`);
+  }
+  return parts.join(' · ') || 'Always';
+};
+
+const isWhole = (value, min = 1) => Number.isInteger(Number(value)) && Number(value) >= min;
+const isPercent = (value) => Number.isFinite(Number(value)) && Number(value) > 0 && Number(value) <= 100;
+const isPositive = (value) => Number.isFinite(Number(value)) && Number(value) > 0;
+
+/**
+ * What is wrong with a promotion before it can be saved
+ * @param {Object} promotion
+ * @returns {Object} Messages keyed by field, e.g. `rule.buyQuantity`; empty when it is valid
+ */
+export const validatePromotion = (promotion) => {
+  const fieldErrors = {};
+  const rule = promotion.rule || {};
+  if (!String(promotion.name || '').trim()) fieldErrors.name = 'Name is required';
+
+  switch (promotion.type) {
+    case PROMOTION_TYPES.BUY_X_GET_Y:
+      if (!isWhole(rule.buyQuantity)) fieldErrors['rule.buyQuantity'] = 'At least 1';
+      if (!isWhole(rule.getQuantity)) fieldErrors['rule.getQuantity'] = 'At least 1';
+      if (!isPercent(rule.getPercent)) fieldErrors['rule.getPercent'] = 'Between 1 and 100';
+      break;
+    case PROMOTION_TYPES.BUNDLE:
+      if (!isWhole(rule.bundleQuantity, 2)) fieldErrors['rule.bundleQuantity'] = 'At least 2';
+      if (!isPositive(rule.bundlePrice)) fieldErrors['rule.bundlePrice'] = 'Must be more than zero';
+      break;
+    case PROMOTION_TYPES.QUANTITY_TIER: {
+      const tiers = rule.tiers || [];
+      if (tiers.length === 0) fieldErrors['rule.tiers'] = 'Add at least one tier';
+      tiers.forEach((tier, index) => {
+        if (!isWhole(tier.minQuantity)) fieldErrors[`rule.tiers[${index}].minQuantity`] = 'At least 1';
+        if (!isPercent(tier.percent)) fieldErrors[`rule.tiers[${index}].percent`] = 'Between 1 and 100';
+      });
+      if (new Set(tiers.map(tier => Number(tier.minQuantity))).size < tiers.length) {
+        fieldErrors['rule.tiers'] = 'Each tier needs a different quantity';
+      }
+      break;
+    }
+    case PROMOTION_TYPES.SPEND_THRESHOLD:
+      if (!isPositive(rule.minSpend)) fieldErrors['rule.minSpend'] = 'Must be more than zero';
+      if (rule.amountOff != null ? !isPositive(rule.amountOff) : !isPercent(rule.percent)) {
+        fieldErrors['rule.value'] = rule.amountOff != null ? 'Must be more than zero' : 'Between 1 and 100';
+      }
+      break;
+    default:
+      fieldErrors.type = 'Pick a type';
+  }
+
+  if (promotion.startsAt && promotion.endsAt && startOf(promotion.startsAt) > endOf(promotion.endsAt)) {
+    fieldErrors.endsAt = 'Ends before it starts';
+  }
+  const { days = [], startTime, endTime } = promotion.schedule || {};
+  if (days.some(day => !isWhole(day, 0) || Number(day) > 6)) fieldErrors['schedule.days'] = 'Unknown day';
+  if (Boolean(startTime) !== Boolean(endTime)) {
+    fieldErrors[startTime ? 'schedule.endTime' : 'schedule.startTime'] = 'Set both times, or neither';
+  } else if (startTime && (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime))) {
+    fieldErrors['schedule.startTime'] = 'Use HH:mm';
+  } else if (startTime && startTime === endTime) {
+    fieldErrors['schedule.endTime'] = 'Must differ from the start';
+  }
+  return fieldErrors;
+};
@@ -0,0 +1,164 @@
+import {
+  applyPromotions,
+  isPromotionLive,
+  livePromotions,
+  PROMOTION_TYPES,
+  promotionStatus,
+  validatePromotion
+} from './promotions';
+
+const COKE = 1;
+const BREAD = 2;
+const MILK = 3;
+const WATER = 4;
+
+const line = (id, price, quantity, fields = {}) => ({ id, price, quantity, ...fields });
+
+const threeForTwo = {
+  id: 1,
+  name: 'Coke 3 for 2',
+  type: PROMOTION_TYPES.BUY_X_GET_Y,
+  productIds: [COKE],
+  rule: { buyQuantity: 2, getQuantity: 1, getPercent: 100 }
+};
+const breakfastBundle = {
+  id: 2,
+  name: 'Any 2 for 115',
+  type: PROMOTION_TYPES.BUNDLE,
+  productIds: [BREAD, MILK],
+  rule: { bundleQuantity: 2, bundlePrice: 115 }
+};
+const waterTiers = {
+  id: 3,
+  name: 'Water by the case',
+  type: PROMOTION_TYPES.QUANTITY_TIER,
+  productIds: [WATER],
+  rule: { tiers: [{ minQuantity: 6, percent: 10 }, { minQuantity: 12, percent: 15 }] }
+};
+const spendAndSave = {
+  id: 4,
+  name: 'Spend 600 get 50 off',
+  type: PROMOTION_TYPES.SPEND_THRESHOLD,
+  productIds: [],
+  rule: { minSpend: 600, amountOff: 50 }
+};
+const cokeHappyHour = {
+  id: 5,
+  name: 'Happy hour',
+  type: PROMOTION_TYPES.QUANTITY_TIER,
+  productIds: [COKE],
+  rule: { tiers: [{ minQuantity: 1, percent: 20 }] }
+};
+
+// What each line gets off, as [promotionId, amount] pairs
+const savings = (lines, promotions) => applyPromotions(lines, promotions)
+  .map(entries => entries.map(({ promotionId, amount }) => [promotionId, amount]));
+
+describe('applyPromotions', () => {
+  it('gives every third unit free on buy 2 get 1', () => {
+    expect(savings([line(COKE, 80, 7)], [threeForTwo])).toEqual([[[1, 160]]]);
+  });
+
+  it('prices any mix of bundled products at the bundle price, shared by value', () => {
+    expect(savings([line(BREAD, 65, 1), line(MILK, 60, 2)], [breakfastBundle])).toEqual([[[2, 5.2]], [[2, 4.8]]]);
+  });
+
+  it('takes the highest tier the quantity reaches', () => {
+    expect(savings([line(WATER, 60, 5)], [waterTiers])).toEqual([[]]);
+    expect(savings([line(WATER, 60, 6)], [waterTiers])).toEqual([[[3, 36]]]);
+    expect(savings([line(WATER, 60, 13)], [waterTiers])).toEqual([[[3, 117]]]);
+  });
+
+  it('spreads a spend threshold saving across the lines it covers', () => {
+    expect(savings([line(BREAD, 450, 1), line(MILK, 210, 1)], [spendAndSave])).toEqual([[[4, 34.09]], [[4, 15.91]]]);
+    expect(savings([line(BREAD, 450, 1)], [spendAndSave])).toEqual([[]]);
+  });
+
+  it('counts units at the price after the product discount', () => {
+    expect(savings([line(COKE, 80, 3, { discount: 10 })], [threeForTwo])).toEqual([[[1, 70]]]);
+  });
+
+  it('leaves lines with an agreed price out', () => {
+    expect(savings([line(COKE, 70, 3, { priceOverride: { reasonCode: 'NEGOTIATED' } })], [threeForTwo])).toEqual([[]]);
+  });
+
+  describe('when promotions compete for the same units', () => {
+    it('gives them to the one saving the most', () => {
+      // 3 for 2 saves 80; 20% off three saves 48
+      expect(savings([line(COKE, 80, 3)], [cokeHappyHour, threeForTwo])).toEqual([[[1, 80]]]);
+      // Too few for 3 for 2, so 20% off two
+      expect(savings([line(COKE, 80, 2)], [threeForTwo, cokeHappyHour])).toEqual([[[5, 32]]]);
+    });
+
+    it('lets the next best have the units left over', () => {
+      expect(savings([line(COKE, 80, 4)], [cokeHappyHour, threeForTwo])).toEqual([[[1, 80], [5, 16]]]);
+    });
+
+    it('picks the best of a bundle, tiers and buy X get Y across a cart', () => {
+      const cart = [line(COKE, 80, 3), line(BREAD, 65, 1), line(MILK, 60, 1), line(WATER, 60, 6)];
+      const everyProduct = { ...cokeHappyHour, id: 6, name: '5% off everything', productIds: [], rule: { tiers: [{ minQuantity: 1, percent: 5 }] } };
+
+      expect(savings(cart, [everyProduct, breakfastBundle, waterTiers, threeForTwo])).toEqual([
+        [[1, 80]],
+        [[2, 5.2]],
+        [[2, 4.8]],
+        [[3, 36]]
+      ]);
+    });
+  });
+});
+
+describe('scheduling', () => {
+  // 15 May 2026 is a Friday
+  const at = (day, hour, minute = 0) => new Date(2026, 4, day, hour, minute);
+  const fridayNights = { ...cokeHappyHour, schedule: { days: [5], startTime: '22:00', endTime: '02:00' } };
+
+  it('runs an overnight window into the next morning', () => {
+    expect(isPromotionLive(fridayNights, at(15, 21, 59))).toBe(false);
+    expect(isPromotionLive(fridayNights, at(15, 22))).toBe(true);
+    expect(isPromotionLive(fridayNights, at(16, 1, 59))).toBe(true);
+    expect(isPromotionLive(fridayNights, at(16, 2))).toBe(false);
+    // Saturday night isn't on the schedule
+    expect(isPromotionLive(fridayNights, at(16, 23))).toBe(false);
+  });
+
+  it('runs through the whole of a date-only end day', () => {
+    const ending = { ...threeForTwo, startsAt: '2026-05-10', endsAt: '2026-05-15' };
+    expect(isPromotionLive(ending, at(9, 23))).toBe(false);
+    expect(isPromotionLive(ending, at(15, 23, 59))).toBe(true);
+    expect(isPromotionLive(ending, at(16, 0))).toBe(false);
+    expect(promotionStatus(ending, at(9, 12))).toBe('SCHEDULED');
+    expect(promotionStatus(ending, at(16, 0))).toBe('ENDED');
+  });
+
+  it('leaves out promotions that are switched off', () => {
+    const off = { ...threeForTwo, active: false };
+    expect(livePromotions([off, waterTiers], at(15, 12))).toEqual([waterTiers]);
+    expect(promotionStatus(off, at(15, 12))).toBe('OFF');
+  });
+});
+
+describe('validatePromotion', () => {
+  it('accepts a complete promotion', () => {
+    [threeForTwo, breakfastBundle, waterTiers, spendAndSave].forEach(promotion => {
+      expect(validatePromotion(promotion)).toEqual({});
+    });
+  });
+
+  it('points at the fields that need attention', () => {
+    expect(validatePromotion({
+      name: ' ',
+      type: PROMOTION_TYPES.QUANTITY_TIER,
+      rule: { tiers: [{ minQuantity: 3, percent: 10 }, { minQuantity: 3, percent: 120 }] },
+      startsAt: '2026-06-01',
+      endsAt: '2026-05-01',
+      schedule: { days: [], startTime: '09:00', endTime: '' }
+    })).toEqual({
+      name: 'Name is required',
+      'rule.tiers': 'Each tier needs a different quantity',
+      'rule.tiers[1].percent': 'Between 1 and 100',
+      endsAt: 'Ends before it starts',
+      'schedule.endTime': 'Set both times, or neither'
+    });
+  });
+});
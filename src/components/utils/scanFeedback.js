@@ -0,0 +1,46 @@
+// Short beeps for scan results, generated with the Web Audio API so no sound
+// files need to ship. Browsers only allow audio after the first user gesture,
+// which a cashier has always made by the time they scan.
+
+let audioContext = null;
+
+const TONES = {
+  success: [{ frequency: 1760, duration: 0.08 }],
+  error: [{ frequency: 220, duration: 0.15 }, { frequency: 180, duration: 0.2 }]
+};
+
+const getAudioContext = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  if (!audioContext) audioContext = new AudioContextClass();
+  return audioContext;
+};
+
+/**
+ * Plays the scan tone
+ * @param {'success'|'error'} kind - Which tone
+ */
+export const playScanTone = (kind = 'success') => {
+  try {
+    const context = getAudioContext();
+    if (!context) return;
+    if (context.state === 'suspended') context.resume();
+
+    let startAt = context.currentTime;
+    TONES[kind].forEach(({ frequency, duration }) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'square';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.08, startAt);
+      gain.gain.exponentialRampToValueAtTime(0.001, startAt + duration);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(startAt);
+      oscillator.stop(startAt + duration);
+      startAt += duration + 0.05;
+    });
+  } catch (error) {
+    // Sound is a nicety; the on-screen message still shows
+    console.warn('Could not play scan tone:', error);
+  }
+};
@@ -0,0 +1,155 @@
+// Shared tax calculation for the cart, receipts and the sales report's tax
+// summary. The mock backend uses it too; the real backend works tax out on its
+// own, so a sale's recorded totals are what receipts and returns rely on.
+//
+// A tax class says how a product is taxed:
+//   STANDARD   - taxed at `rate` percent
+//   ZERO_RATED - a taxable supply at 0%, reported separately from exempt sales
+//   EXEMPT     - outside the tax, no VAT at all
+// `priceIncludesTax` says whether shelf prices already contain the tax (the
+// usual case) or whether it is added on top at the till.
+//
+// All amounts go through the money module, so they are exact to the cent.
+
+import { addMoney, multiplyMoney, subtractMoney, sumMoney } from './money';
+
+export const TAX_KINDS = {
+  STANDARD: 'STANDARD',
+  ZERO_RATED: 'ZERO_RATED',
+  EXEMPT: 'EXEMPT'
+};
+
+export const TAX_KIND_LABELS = {
+  STANDARD: 'Standard',
+  ZERO_RATED: 'Zero-rated',
+  EXEMPT: 'Exempt'
+};
+
+export const DEFAULT_TAX_SETTINGS = {
+  defaultClass: 'VAT16',
+  classes: [
+    { code: 'VAT16', name: 'VAT 16%', kind: TAX_KINDS.STANDARD, rate: 16, priceIncludesTax: true },
+    { code: 'VAT16_EXCL', name: 'VAT 16% (added at till)', kind: TAX_KINDS.STANDARD, rate: 16, priceIncludesTax: false },
+    { code: 'ZERO', name: 'Zero-rated', kind: TAX_KINDS.ZERO_RATED, rate: 0, priceIncludesTax: true },
+    { code: 'EXEMPT', name: 'Exempt', kind: TAX_KINDS.EXEMPT, rate: 0, priceIncludesTax: true }
+  ]
+};
+
+/**
+ * Looks up a tax class, falling back to the default class
+ * @param {Object} settings - { defaultClass, classes }
+ * @param {...string} codes - Candidate codes in priority order, e.g. the product's then its category's
+ * @returns {Object} Tax class
+ */
+export const resolveTaxClass = (settings = DEFAULT_TAX_SETTINGS, ...codes) => {
+  const classes = settings.classes || [];
+  const code = codes.find(candidate => candidate && classes.some(taxClass => taxClass.code === candidate));
+  return classes.find(taxClass => taxClass.code === (code || settings.defaultClass)) || classes[0] || DEFAULT_TAX_SETTINGS.classes[0];
+};
+
+/**
+ * Display label such as "VAT 16%" or "Exempt"
+ * @param {Object} taxClass
+ * @returns {string}
+ */
+export const taxClassLabel = (taxClass) => taxClass?.name || taxClass?.code || 'Unknown';
+
+/**
+ * Tax on one line, after its discount
+ * @param {Object} line
+ * @param {number} line.price - Unit shelf price
+ * @param {number} line.quantity
+ * @param {number} [line.discount] - Discount per unit (`discountAmount` is also read)
+ * @param {number} [line.lineDiscount] - Taken off the whole line on top of `discount` (see priceOverrides)
+ * @param {Object} taxClass - From resolveTaxClass, or the snapshot kept on a recorded sale line
+ * @returns {{net: number, tax: number, gross: number, discount: number}} `gross` is what the customer pays
+ */
+export const calculateLineTax = (line, taxClass) => {
+  const quantity = Number(line.quantity) || 0;
+  const discount = addMoney(multiplyMoney(line.discount ?? line.discountAmount, quantity), line.lineDiscount || 0);
+  const amount = subtractMoney(multiplyMoney(line.price, quantity), discount);
+  const rate = taxClass.kind === TAX_KINDS.STANDARD ? (Number(taxClass.rate) || 0) / 100 : 0;
+
+  let net;
+  let tax;
+  if (taxClass.priceIncludesTax === false) {
+    net = amount;
+    tax = multiplyMoney(amount, rate);
+  } else {
+    // The tax inside an inclusive price: amount x rate / (1 + rate)
+    tax = multiplyMoney(amount, rate / (1 + rate));
+    net = subtractMoney(amount, tax);
+  }
+  return { net, tax, gross: addMoney(net, tax), discount };
+};
+
+/**
+ * The fields of a tax class worth keeping on a sale line, so later rate
+ * changes don't rewrite the tax on past sales
+ * @param {Object} taxClass
+ * @returns {Object}
+ */
+export const taxSnapshot = ({ code, name, kind, rate, priceIncludesTax }) => ({ code, name, kind, rate, priceIncludesTax });
+
+/**
+ * Totals for a set of lines, with the tax split by class
+ * @param {Array} lines - [{ price, quantity, discount|discountAmount, lineDiscount?, taxClass? }]; `taxClass` is a class
+ *   code, or the taxSnapshot stored on a recorded sale line
+ * @param {Object} [settings] - Tax settings used for lines without a snapshot
+ * @returns {{subtotal: number, discount: number, tax: number, total: number, taxBreakdown: Array}}
+ *   subtotal is net of tax and discount; total is what the customer pays
+ */
+export const calculateTaxTotals = (lines, settings = DEFAULT_TAX_SETTINGS) => {
+  const breakdown = new Map();
+  const totals = { subtotal: 0, discount: 0, tax: 0, total: 0 };
+
+  lines.forEach(line => {
+    const taxClass = line.taxClass && typeof line.taxClass === 'object' ? line.taxClass : resolveTaxClass(settings, line.taxClass);
+    const { net, tax, gross, discount } = calculateLineTax(line, taxClass);
+    totals.subtotal = addMoney(totals.subtotal, net);
+    totals.discount = addMoney(totals.discount, discount);
+    totals.tax = addMoney(totals.tax, tax);
+    totals.total = addMoney(totals.total, gross);
+
+    const entry = breakdown.get(taxClass.code) || { ...taxSnapshot(taxClass), taxable: 0, tax: 0, gross: 0 };
+    entry.taxable = addMoney(entry.taxable, net);
+    entry.tax = addMoney(entry.tax, tax);
+    entry.gross = addMoney(entry.gross, gross);
+    breakdown.set(taxClass.code, entry);
+  });
+
+  return { ...totals, taxBreakdown: [...breakdown.values()] };
+};
+
+/**
+ * Tax summary over many sales, e.g. for a VAT return
+ * @param {Array} sales - Sales with `items` (or `saleItems`)
+ * @param {Object} [settings] - Tax settings for lines without a stored snapshot
+ * @returns {{taxableSales: number, zeroRatedSales: number, exemptSales: number, totalTax: number, totalSales: number, transactions: number, byClass: Array}}
+ */
+export const summarizeTax = (sales, settings = DEFAULT_TAX_SETTINGS) => {
+  const byClass = new Map();
+  sales.forEach(sale => {
+    const { taxBreakdown } = calculateTaxTotals(sale.items || sale.saleItems || [], settings);
+    taxBreakdown.forEach(entry => {
+      const current = byClass.get(entry.code) || { ...entry, taxable: 0, tax: 0, gross: 0 };
+      current.taxable = addMoney(current.taxable, entry.taxable);
+      current.tax = addMoney(current.tax, entry.tax);
+      current.gross = addMoney(current.gross, entry.gross);
+      byClass.set(entry.code, current);
+    });
+  });
+
+  const classes = [...byClass.values()];
+  const sumWhere = (kind, field) => sumMoney(classes.filter(entry => entry.kind === kind), field);
+
+  return {
+    taxableSales: sumWhere(TAX_KINDS.STANDARD, 'taxable'),
+    zeroRatedSales: sumWhere(TAX_KINDS.ZERO_RATED, 'taxable'),
+    exemptSales: sumWhere(TAX_KINDS.EXEMPT, 'taxable'),
+    totalTax: sumMoney(classes, 'tax'),
+    totalSales: sumMoney(classes, 'gross'),
+    transactions: sales.length,
+    byClass: classes
+  };
+};
@@ -0,0 +1,98 @@
+import {
+  calculateLineTax,
+  calculateTaxTotals,
+  DEFAULT_TAX_SETTINGS,
+  resolveTaxClass,
+  summarizeTax,
+  TAX_KINDS
+} from './tax';
+
+const taxClass = (code) => resolveTaxClass(DEFAULT_TAX_SETTINGS, code);
+
+describe('resolveTaxClass', () => {
+  it('takes the first code that exists, then the default class', () => {
+    expect(resolveTaxClass(DEFAULT_TAX_SETTINGS, 'EXEMPT', 'ZERO').code).toBe('EXEMPT');
+    expect(resolveTaxClass(DEFAULT_TAX_SETTINGS, 'GONE', 'ZERO').code).toBe('ZERO');
+    expect(resolveTaxClass(DEFAULT_TAX_SETTINGS, null, undefined).code).toBe('VAT16');
+  });
+});
+
+describe('calculateLineTax', () => {
+  it('takes the tax out of a tax-inclusive price', () => {
+    expect(calculateLineTax({ price: 116, quantity: 1 }, taxClass('VAT16'))).toEqual({ net: 100, tax: 16, gross: 116, discount: 0 });
+  });
+
+  it('adds the tax on top of a tax-exclusive price', () => {
+    expect(calculateLineTax({ price: 100, quantity: 2 }, taxClass('VAT16_EXCL'))).toEqual({ net: 200, tax: 32, gross: 232, discount: 0 });
+  });
+
+  it('charges no tax on zero-rated and exempt lines', () => {
+    expect(calculateLineTax({ price: 50, quantity: 1 }, taxClass('ZERO'))).toEqual({ net: 50, tax: 0, gross: 50, discount: 0 });
+    expect(calculateLineTax({ price: 30, quantity: 1 }, taxClass('EXEMPT'))).toEqual({ net: 30, tax: 0, gross: 30, discount: 0 });
+  });
+
+  it('works out the tax after unit and line discounts', () => {
+    // 160 less 20 off is 140, of which 140 x 16 / 116 is tax
+    expect(calculateLineTax({ price: 80, quantity: 2, discount: 10 }, taxClass('VAT16')))
+      .toEqual({ net: 120.69, tax: 19.31, gross: 140, discount: 20 });
+    expect(calculateLineTax({ price: 100, quantity: 1, discountAmount: 0, lineDiscount: 5 }, taxClass('VAT16_EXCL')))
+      .toEqual({ net: 95, tax: 15.2, gross: 110.2, discount: 5 });
+  });
+
+  it('keeps net plus tax equal to the inclusive price', () => {
+    [0.01, 0.99, 19.99, 33.33, 1234.56].forEach(price => {
+      const { net, tax, gross } = calculateLineTax({ price, quantity: 3 }, taxClass('VAT16'));
+      expect(gross).toBe(Math.round(price * 300) / 100);
+      expect(Math.round((net + tax) * 100)).toBe(Math.round(gross * 100));
+    });
+  });
+});
+
+describe('calculateTaxTotals', () => {
+  const lines = [
+    { price: 116, quantity: 1, taxClass: 'VAT16' },
+    { price: 100, quantity: 2, taxClass: 'VAT16_EXCL' },
+    { price: 50, quantity: 1, taxClass: 'ZERO' },
+    { price: 30, quantity: 1, taxClass: 'EXEMPT' }
+  ];
+
+  it('totals a cart that mixes inclusive and exclusive classes', () => {
+    const totals = calculateTaxTotals(lines);
+
+    expect(totals).toMatchObject({ subtotal: 380, discount: 0, tax: 48, total: 428 });
+    expect(totals.taxBreakdown.map(({ code, taxable, tax, gross }) => ({ code, taxable, tax, gross }))).toEqual([
+      { code: 'VAT16', taxable: 100, tax: 16, gross: 116 },
+      { code: 'VAT16_EXCL', taxable: 200, tax: 32, gross: 232 },
+      { code: 'ZERO', taxable: 50, tax: 0, gross: 50 },
+      { code: 'EXEMPT', taxable: 30, tax: 0, gross: 30 }
+    ]);
+  });
+
+  it('uses the default class for lines without one', () => {
+    const { taxBreakdown } = calculateTaxTotals([{ price: 58, quantity: 1 }]);
+    expect(taxBreakdown).toEqual([expect.objectContaining({ code: 'VAT16', taxable: 50, tax: 8 })]);
+  });
+
+  it('keeps the rate recorded on a sale line after the settings change', () => {
+    const snapshot = { code: 'VAT16', name: 'VAT 14%', kind: TAX_KINDS.STANDARD, rate: 14, priceIncludesTax: true };
+    expect(calculateTaxTotals([{ price: 114, quantity: 1, taxClass: snapshot }])).toMatchObject({ subtotal: 100, tax: 14, total: 114 });
+  });
+});
+
+describe('summarizeTax', () => {
+  it('reports taxable, zero-rated and exempt sales separately', () => {
+    const sales = [
+      { items: [{ price: 116, quantity: 1, taxClass: 'VAT16' }, { price: 50, quantity: 1, taxClass: 'ZERO' }] },
+      { saleItems: [{ price: 100, quantity: 1, taxClass: 'VAT16_EXCL' }, { price: 30, quantity: 2, taxClass: 'EXEMPT' }] }
+    ];
+
+    expect(summarizeTax(sales)).toMatchObject({
+      taxableSales: 200,
+      zeroRatedSales: 50,
+      exemptSales: 60,
+      totalTax: 32,
+      totalSales: 342,
+      transactions: 2
+    });
+  });
+});
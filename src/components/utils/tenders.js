@@ -0,0 +1,82 @@
+// Payment tenders. A sale is paid by one or more tenders whose amounts add up
+// to its total; sales recorded before split tender only carry `paymentMethod`.
+
+import { addMoney, sumMoney } from './money';
+
+export const TENDER_TYPES = {
+  CASH: 'CASH',
+  MPESA: 'MPESA',
+  MPESA_MANUAL: 'MPESA_MANUAL',
+  CARD: 'CARD',
+  STORE_CREDIT: 'STORE_CREDIT'
+};
+
+export const TENDER_LABELS = {
+  CASH: 'Cash',
+  MPESA: 'M-Pesa',
+  MPESA_MANUAL: 'M-Pesa till/paybill',
+  CARD: 'Card',
+  STORE_CREDIT: 'Store credit',
+  SPLIT: 'Split'
+};
+
+// As printed in the confirmation SMS: ten capital letters and digits, starting with a letter
+const MPESA_CODE_PATTERN = /^[A-Z][A-Z0-9]{9}$/;
+
+/**
+ * Whether a code looks like an M-Pesa transaction code, e.g. SGK4H7TQ2B
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const isValidMpesaCode = (code) => MPESA_CODE_PATTERN.test(String(code || '').trim().toUpperCase());
+
+export const tenderLabel = (method) => TENDER_LABELS[method] || String(method || 'Unknown').replace(/_/g, ' ');
+
+/**
+ * Total of a list of tenders, to the cent
+ * @param {Array} payments - [{ amount }]
+ * @returns {number}
+ */
+export const sumTenders = (payments) => sumMoney(payments, 'amount');
+
+// Change handed back on cash tenders
+export const sumChange = (payments) => sumMoney(payments, 'change');
+
+/**
+ * A sale's tenders, falling back to one tender for the whole total on older sales
+ * @param {Object} sale - Sale or receipt
+ * @returns {Array} [{ method, amount, reference }]
+ */
+export const getSalePayments = (sale) => {
+  if (Array.isArray(sale?.payments) && sale.payments.length > 0) {
+    return sale.payments.map(payment => ({ ...payment, amount: Number(payment.amount) || 0 }));
+  }
+  return [{
+    method: sale?.paymentMethod || TENDER_TYPES.CASH,
+    amount: Number(sale?.total) || 0,
+    reference: sale?.mpesaReceiptNumber || null
+  }];
+};
+
+/**
+ * Short description of how a sale was paid, e.g. "Cash 500.00 + M-Pesa 250.00"
+ * @param {Object} sale
+ * @returns {string}
+ */
+export const describeSalePayments = (sale) => {
+  const payments = getSalePayments(sale);
+  if (payments.length === 1) return tenderLabel(payments[0].method);
+  return payments.map(payment => `${tenderLabel(payment.method)} ${payment.amount.toFixed(2)}`).join(' + ');
+};
+
+/**
+ * Amount taken per tender type across sales
+ * @param {Array} sales
+ * @returns {Object<string, number>} Tender type to total
+ */
+export const totalsByTender = (sales) => sales.reduce((totals, sale) => {
+  getSalePayments(sale).forEach(payment => {
+    totals[payment.method] = addMoney(totals[payment.method] || 0, payment.amount);
+  });
+  return totals;
+}, {});
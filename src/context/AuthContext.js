@@ -1,56 +1,60 @@
-import { createContext, useState, useEffect, useCallback, useContext, useMemo } from 'react';
+import { createContext, useState, useEffect, useCallback, useContext, useRef } from 'react';
 import { jwtDecode } from 'jwt-decode';
+import SessionExpiredModal from '../components/SessionExpiredModal';
+import {
+  getAccessToken,
+  setTokens,
+  clearTokens,
+  onTokenChange,
+  refreshAccessToken,
+  setUnauthorizedHandler
+} from '../services/apiClient';
 import {
   fetchAllRoles,
-  fetchRolePermissions,
   assignRolePermissions,
   fetchAllPermissions,
-  getDefaultPermissionsForRole
+  getCachedPermissions,
+  resolveEffectivePermissions,
+  holdsRole
 } from '../services/permissionServices';
+import { broadcast, subscribe, SYNC_EVENTS, withTabLock } from '../services/tabSync';
 
 export const AuthContext = createContext();
 
+// Refresh the access token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+// How often to check whether an admin changed the permissions of the user's roles
+const PERMISSIONS_POLL_MS = 2 * 60 * 1000;
+
+// The server turned the session down, as opposed to not being reachable
+const isSessionRejected = (error) => error?.status === 401 || error?.code === 'REFRESH_FAILED' || error?.name === 'InvalidTokenError';
+
+const decodeClaims = (token) => {
+  try {
+    return jwtDecode(token);
+  } catch (error) {
+    return {};
+  }
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [allRoles, setAllRoles] = useState([]);
   const [allPermissions, setAllPermissions] = useState([]);
   const [loading, setLoading] = useState(true); // Changed to true initially
   const [rolesLoaded, setRolesLoaded] = useState(false);
+  const [permissionsLoading, setPermissionsLoading] = useState(false);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  // Resolvers for requests waiting on the user to sign in again
+  const sessionWaitersRef = useRef([]);
+  // Latest user for listeners registered once
+  const userRef = useRef(null);
+  userRef.current = user;
 
-  const rolePermissions = useMemo(() => ({
-    ADMIN: [
-      'dashboard_access',
-      'product_view', 'product_create',
-      'category_view', 'brand_view', 'unit_view',
-      'pos_access', 'supplier_view', 'customer_view',
-      'user_view', 'user_create', 'user_update',
-      'purchase_view', 'purchase_create', 'purchase_update',
-      'sale_view', 'sale_return', 'discount_apply',
-      'salesreports_view','productsreports_view','inventoryreports_view','financialreports_view','suppliersreports_view','finance_view', 'settings_manage',
-      'role_manage', 'role_create',
-      'inventory_view'
-    ],
-    MANAGER: [
-      'dashboard_access',
-      'category_view', 'product_view',
-      'sale_view', 'sale_return',
-      'purchase_view', 'inventory_view',
-      
-    ],
-    CASHIER: [
-      'dashboard_access',
-      'customer_view', 'product_view',
-      'sale_view', 'sale_return',
-      'pos_access'
-    ],
-    RECEIVING_CLERK: [
-      'product_view', 'product_create',
-      'category_view', 'brand_view', 'unit_view',
-      'purchase_view', 'purchase_create',
-      'purchase_update', 'inventory_view','supplier_view','user_view', 'user_create', 'user_update', 'user_create', 'user_update',
-      'inventoryreports_view','financialreports_view','suppliersreports_view', 'settings_manage','role_manage','role_create',
-    ]
-  }), []);
+  const settleSessionWaiters = useCallback((restored) => {
+    sessionWaitersRef.current.forEach(resolve => resolve(restored));
+    sessionWaitersRef.current = [];
+  }, []);
 
   const loadRolesAndPermissions = useCallback(async () => {
     try {
@@ -69,9 +73,37 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
-  const getPermissionsFromRoles = useCallback((roles) => {
-    return roles.flatMap(role => rolePermissions[role] || []);
-  }, [rolePermissions]);
+  /**
+   * Resolves the effective permissions for the given roles and applies them to
+   * the signed-in user. Only touches state when the version stamp changed.
+   * @param {Array} roles - The user's roles
+   * @param {string} token - Current access token (for permission claims)
+   * @param {{background?: boolean}} [options] - Background checks don't block routes
+   * @returns {Promise<string[]>} The resolved permissions
+   */
+  const applyEffectivePermissions = useCallback(async (roles, token, { background = false } = {}) => {
+    if (!background) setPermissionsLoading(true);
+    try {
+      const { permissions, version } = await resolveEffectivePermissions(roles, decodeClaims(token));
+      const current = userRef.current;
+      if (current && current.permissionsVersion !== version) {
+        broadcast(SYNC_EVENTS.PERMISSIONS, { userId: current.id, permissions, version });
+      }
+      setUser(prev => (
+        prev && prev.permissionsVersion !== version
+          ? { ...prev, permissions, permissionsVersion: version }
+          : prev
+      ));
+      return permissions;
+    } finally {
+      if (!background) setPermissionsLoading(false);
+    }
+  }, []);
+
+  const refreshPermissions = useCallback(() => {
+    if (!user) return Promise.resolve([]);
+    return applyEffectivePermissions(user.roles, user.token, { background: true });
+  }, [user, applyEffectivePermissions]);
 
   const hasPermission = useCallback((requiredPermission) => {
     if (!user) return false;
@@ -82,9 +114,9 @@ export const AuthProvider = ({ children }) => {
     try {
       setLoading(true);
       await assignRolePermissions(roleId, permissionNames);
-      if (user?.roles.some(role => role.id === roleId)) {
-        const updatedPermissions = getPermissionsFromRoles(user.roles);
-        setUser(prev => ({ ...prev, permissions: updatedPermissions }));
+      const editedRole = allRoles.find(role => String(role.id) === String(roleId)) || { id: roleId };
+      if (user && holdsRole(user.roles, editedRole)) {
+        await refreshPermissions();
       }
       return true;
     } catch (error) {
@@ -93,91 +125,265 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [user, getPermissionsFromRoles]);
+  }, [user, allRoles, refreshPermissions]);
 
-  const login = (authData) => {
-    localStorage.setItem('token', authData.token);
-    localStorage.setItem('userName', authData.name || authData.username);
-    localStorage.setItem('userRoles', JSON.stringify(authData.roles)); // Store roles
-    const permissions = getPermissionsFromRoles(authData.roles);
+  // Shows the signed-in user; permissions start from the cache until resolved
+  const startSession = useCallback((profile, token) => {
+    const roles = profile.roles || [];
+    const cached = getCachedPermissions(roles);
     setUser({
+      id: profile.id,
+      username: profile.username,
+      name: profile.name || profile.username,
+      email: profile.email,
+      roles,
+      permissions: cached?.permissions || [],
+      permissionsVersion: null,
+      token
+    });
+  }, []);
+
+  /**
+   * Signs the user in (in every open tab) and resolves their permissions from the backend
+   * @param {Object} authData - Login response
+   * @returns {Promise<string[]>} The resolved permissions
+   */
+  const login = (authData) => {
+    const profile = {
       id: authData.id,
       username: authData.username,
       name: authData.name || authData.username,
       email: authData.email,
-      roles: authData.roles,
-      permissions,
-      token: authData.token
-    });
+      roles: authData.roles || []
+    };
+    setTokens({ token: authData.token, refreshToken: authData.refreshToken });
+    localStorage.setItem('userName', profile.name);
+    localStorage.setItem('userRoles', JSON.stringify(profile.roles)); // Store roles
+    startSession(profile, authData.token);
+    broadcast(SYNC_EVENTS.LOGIN, { profile });
+    return applyEffectivePermissions(profile.roles, authData.token);
   };
 
-  const logout = useCallback(() => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('userName');
-    localStorage.removeItem('userRoles');
+  // Clears this tab's session only; `logout` also tells the other tabs
+  const endSession = useCallback(() => {
     setUser(null);
     setAllRoles([]);
     setAllPermissions([]);
     setRolesLoaded(false);
-  }, []);
+    setSessionExpired(false);
+    settleSessionWaiters(false);
+  }, [settleSessionWaiters]);
+
+  const logout = useCallback(() => {
+    clearTokens();
+    localStorage.removeItem('userName');
+    localStorage.removeItem('userRoles');
+    endSession();
+    broadcast(SYNC_EVENTS.LOGOUT);
+  }, [endSession]);
+
+  // The user signed in again, so the held requests can be replayed; they keep
+  // the cached permissions if the fresh ones can't be loaded
+  const restoreSession = async (authData) => {
+    try {
+      await login(authData);
+    } catch (error) {
+      console.error('Failed to load permissions after signing in again:', error);
+    }
+    setSessionExpired(false);
+    settleSessionWaiters(true);
+  };
 
   const initializeAuth = useCallback(async () => {
-    const token = localStorage.getItem('token');
+    let token = localStorage.getItem('token');
     if (token) {
       try {
-        const decoded = jwtDecode(token);
+        let decoded = jwtDecode(token);
         
-        // Check token expiration
+        // An expired token can still be exchanged for a new one. Offline, the
+        // till keeps its session and cached permissions until the server can
+        // be asked again.
         if (decoded.exp * 1000 < Date.now()) {
-          throw new Error('Token expired');
+          try {
+            token = await refreshAccessToken();
+            decoded = jwtDecode(token);
+          } catch (error) {
+            if (isSessionRejected(error)) throw error;
+            console.warn('Could not refresh the session, keeping it for now:', error.message);
+          }
         }
 
         // Try to get roles from localStorage first
         const storedRoles = JSON.parse(localStorage.getItem('userRoles')) || decoded.roles || [];
-        const permissions = getPermissionsFromRoles(storedRoles);
         
-        setUser({
+        startSession({
           id: decoded.id,
           username: decoded.sub,
           name: decoded.name || decoded.sub,
           email: decoded.email,
-          roles: storedRoles,
-          permissions,
-          token
-        });
+          roles: storedRoles
+        }, token);
 
-        // Load fresh roles and permissions in background
-        await loadRolesAndPermissions();
+        await Promise.all([
+          applyEffectivePermissions(storedRoles, token),
+          loadRolesAndPermissions()
+        ]);
       } catch (error) {
         console.error('Auth initialization error:', error);
-        logout();
+        if (isSessionRejected(error)) logout();
       }
     }
     setLoading(false);
-  }, [getPermissionsFromRoles, logout, loadRolesAndPermissions]);
+  }, [startSession, applyEffectivePermissions, logout, loadRolesAndPermissions]);
 
   useEffect(() => {
     initializeAuth();
   }, [initializeAuth]);
 
+  // Keep user.token in step with silent refreshes, and re-resolve permissions
+  // with each new token
+  useEffect(() => {
+    return onTokenChange((token) => {
+      setUser(prev => (prev ? { ...prev, token } : prev));
+      broadcast(SYNC_EVENTS.TOKEN, { token });
+      if (userRef.current) {
+        applyEffectivePermissions(userRef.current.roles, token, { background: true }).catch(error => {
+          console.error('Failed to refresh permissions:', error);
+        });
+      }
+    });
+  }, [applyEffectivePermissions]);
+
+  // Apply sign-ins, sign-outs, token refreshes and permission changes from other tabs.
+  // Tokens live in shared localStorage, so only this tab's state needs updating.
+  useEffect(() => {
+    return subscribe(({ type, payload }) => {
+      switch (type) {
+        case SYNC_EVENTS.LOGIN: {
+          const token = getAccessToken();
+          if (!token) return;
+          startSession(payload.profile, token);
+          setSessionExpired(false);
+          settleSessionWaiters(true);
+          applyEffectivePermissions(payload.profile.roles || [], token, { background: true }).catch(error => {
+            console.error('Failed to load permissions:', error);
+          });
+          break;
+        }
+        case SYNC_EVENTS.LOGOUT:
+          endSession();
+          break;
+        case SYNC_EVENTS.TOKEN:
+          setUser(prev => (prev ? { ...prev, token: payload.token } : prev));
+          // Another tab refreshed the session, so anything waiting here can carry on
+          setSessionExpired(false);
+          settleSessionWaiters(true);
+          break;
+        case SYNC_EVENTS.PERMISSIONS:
+          setUser(prev => (
+            prev && prev.id === payload.userId
+              ? { ...prev, permissions: payload.permissions, permissionsVersion: payload.version }
+              : prev
+          ));
+          break;
+        default:
+          break;
+      }
+    });
+  }, [startSession, endSession, settleSessionWaiters, applyEffectivePermissions]);
+
+  // Pick up role changes made by an admin while this session is open
+  const isAuthenticated = !!user;
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const check = () => {
+      if (!userRef.current) return;
+      const { roles, token } = userRef.current;
+      applyEffectivePermissions(roles, token, { background: true }).catch(error => {
+        console.error('Permission check failed:', error);
+      });
+    };
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+
+    const timer = setInterval(check, PERMISSIONS_POLL_MS);
+    document.addEventListener('visibilitychange', onVisible);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+  }, [isAuthenticated, applyEffectivePermissions]);
+
+  // Refresh proactively shortly before the current token expires
+  useEffect(() => {
+    if (!user?.token) return undefined;
+
+    let exp;
+    try {
+      exp = jwtDecode(user.token).exp;
+    } catch (error) {
+      return undefined;
+    }
+    if (!exp) return undefined;
+
+    const delay = Math.max(exp * 1000 - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0);
+    // Every tab's timer fires at about the same time. One refreshes and
+    // broadcasts the token; the rest find it already in shared storage, so a
+    // rotated refresh token is never spent twice.
+    const timer = setTimeout(() => {
+      withTabLock('auth:refresh', async () => {
+        const stored = getAccessToken();
+        if (stored && stored !== user.token && decodeClaims(stored).exp * 1000 - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+          setUser(prev => (prev ? { ...prev, token: stored } : prev));
+          return;
+        }
+        await refreshAccessToken();
+      }).catch(error => {
+        console.error('Silent token refresh failed:', error);
+      });
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [user?.token]);
+
+  // When a refresh fails mid-session, hold the failed requests and ask the
+  // user to sign in again instead of reloading the page
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    setUnauthorizedHandler(() => new Promise(resolve => {
+      sessionWaitersRef.current.push(resolve);
+      setSessionExpired(true);
+    }));
+    return () => setUnauthorizedHandler(null);
+  }, [isAuthenticated]);
+
   const value = {
     user,
     allRoles,
     allPermissions,
-    loading,
+    loading: loading || permissionsLoading,
     rolesLoaded,
     login,
     logout,
-    isAuthenticated: !!user,
+    isAuthenticated,
     hasPermission,
     updateRolePermissions,
-    getDefaultPermissionsForRole,
+    refreshPermissions,
     loadRolesAndPermissions
   };
 
   return (
     <AuthContext.Provider value={value}>
       {children}
+      {sessionExpired && user && (
+        <SessionExpiredModal
+          username={user.username}
+          onSignedIn={restoreSession}
+          onSignOut={logout}
+        />
+      )}
     </AuthContext.Provider>
   );
 };
@@ -0,0 +1,106 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { ALL_BRANCHES, getActiveBranchId, setActiveBranchId } from '../services/apiClient';
+import { fetchBranches, storeActiveBranch } from '../services/branchService';
+import { broadcast, subscribe, SYNC_EVENTS } from '../services/tabSync';
+
+export const BranchContext = createContext();
+
+/**
+ * Tracks which branch the app is working in. The choice is shared by every
+ * open tab, since requests read it from localStorage. Backends without
+ * branches (GET /branches fails or is empty) run as a single store and no
+ * branch header is sent.
+ */
+export const BranchProvider = ({ children }) => {
+  const { user, hasPermission } = useAuth();
+  const [branches, setBranches] = useState([]);
+  const [activeBranchId, setActiveBranchIdState] = useState(getActiveBranchId);
+  const [loading, setLoading] = useState(false);
+
+  const userId = user?.id;
+  const canViewAllBranches = !!user && hasPermission('branch_all_view');
+
+  const applyBranch = useCallback((branchId, branchList) => {
+    const id = branchId === null || branchId === undefined ? null : String(branchId);
+    setActiveBranchId(id);
+    storeActiveBranch(branchList.find(branch => String(branch.id) === id) || null);
+    setActiveBranchIdState(id);
+  }, []);
+
+  useEffect(() => {
+    if (!userId) {
+      setBranches([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    fetchBranches()
+      .then(list => {
+        if (cancelled) return;
+        setBranches(list);
+        if (list.length === 0) {
+          applyBranch(null, list);
+          return;
+        }
+        // Keep the stored choice while it's still allowed, else the first branch
+        const stored = getActiveBranchId();
+        const allowed = stored === ALL_BRANCHES
+          ? canViewAllBranches
+          : list.some(branch => String(branch.id) === stored);
+        applyBranch(allowed ? stored : list[0].id, list);
+      })
+      .catch(error => {
+        console.error('Failed to load branches, running as a single store:', error);
+        if (!cancelled) {
+          setBranches([]);
+          applyBranch(null, []);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, canViewAllBranches, applyBranch]);
+
+  // Follow a branch switch made in another tab
+  useEffect(() => subscribe(({ type, payload }) => {
+    if (type === SYNC_EVENTS.BRANCH) {
+      setActiveBranchIdState(payload.branchId);
+    }
+  }), []);
+
+  const selectBranch = useCallback((branchId) => {
+    if (branchId === ALL_BRANCHES && !canViewAllBranches) return;
+    applyBranch(branchId, branches);
+    broadcast(SYNC_EVENTS.BRANCH, { branchId: branchId === null ? null : String(branchId) });
+  }, [branches, canViewAllBranches, applyBranch]);
+
+  const value = useMemo(() => {
+    const isAllBranches = activeBranchId === ALL_BRANCHES;
+    return {
+      branches,
+      activeBranchId,
+      activeBranch: isAllBranches ? null : branches.find(branch => String(branch.id) === activeBranchId) || null,
+      isAllBranches,
+      isMultiBranch: branches.length > 1 || isAllBranches,
+      canViewAllBranches,
+      selectBranch,
+      loading
+    };
+  }, [branches, activeBranchId, canViewAllBranches, selectBranch, loading]);
+
+  return <BranchContext.Provider value={value}>{children}</BranchContext.Provider>;
+};
+
+export const useBranch = () => {
+  const context = useContext(BranchContext);
+  if (context === undefined) {
+    throw new Error('useBranch must be used within a BranchProvider');
+  }
+  return context;
+};
@@ -1,16 +1,30 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { useAuth } from './AuthContext';
+import { broadcast, subscribe, SYNC_EVENTS } from '../services/tabSync';
+import { getTaxSettings } from '../services/taxService';
+import { calculateTaxTotals } from '../components/utils/tax';
+import { priceLines } from '../components/utils/priceOverrides';
+import { livePromotions } from '../components/utils/promotions';
+import { getPromotions } from '../services/promotionService';
 
 const CartContext = createContext();
 
+// Re-checked this often, so a happy hour starts and ends on a cart already rung up
+const PROMOTION_CHECK_MS = 60 * 1000;
+
+// Changes whenever a promotion starts, stops or is edited
+const promotionsKey = (promotions) => promotions.map(promotion => `${promotion.id}:${promotion.updatedAt || ''}`).join(',');
+
 export const CartProvider = ({ children }) => {
   const { user } = useAuth();
   
   const getCartFromStorage = () => {
     if (!user) return getEmptyCart();
     
+    // The cart is kept in localStorage so every open POS tab shares it; carts
+    // left in sessionStorage by older builds are picked up once
     const userCartKey = `cart_${user.id}`;
-    const cartData = sessionStorage.getItem(userCartKey);
+    const cartData = localStorage.getItem(userCartKey) || sessionStorage.getItem(userCartKey);
     return cartData ? JSON.parse(cartData) : getEmptyCart();
   };
 
@@ -19,66 +33,93 @@ export const CartProvider = ({ children }) => {
     subtotal: 0,
     discount: 0,
     tax: 0,
-    total: 0
+    total: 0,
+    taxBreakdown: [],
+    cartDiscount: null,
+    discountCode: null
   });
 
   const saveCartToStorage = (cart) => {
     if (user) {
       const userCartKey = `cart_${user.id}`;
-      sessionStorage.setItem(userCartKey, JSON.stringify(cart));
+      localStorage.setItem(userCartKey, JSON.stringify(cart));
+      sessionStorage.removeItem(userCartKey);
+      broadcast(SYNC_EVENTS.CART, { userId: user.id, cart });
     }
   };
 
-  
-const calculateCartTotals = (items) => {
-  // Calculate tax-inclusive subtotal (sum of all item prices)
-  const taxInclusiveSubtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
-  // Calculate total tax (16% of each item's price)
-  const tax = items.reduce((sum, item) => sum + (item.price * 0.16 * item.quantity), 0);
-
-  // Calculate tax-exclusive subtotal (price without tax)
-  const taxExclusiveSubtotal = taxInclusiveSubtotal - tax;
-
-  // Calculate discount
-  const discount = items.reduce((sum, item) => sum + ((item.discountAmount || 0) * item.quantity), 0);
-
-  // Apply discount to tax-exclusive subtotal
-  const taxableAmount = taxExclusiveSubtotal - discount;
-
-  // Recalculate tax after discount (optional, if discount affects tax)
-  // const tax = taxableAmount * 0.16;
-
-  return {
-    preTaxAmount: parseFloat(taxableAmount.toFixed(2)), // 168.00
-    subtotal: parseFloat(taxableAmount.toFixed(2)),     // 168.00 (tax-exclusive)
-    discount: parseFloat(discount.toFixed(2)),          // 0.00
-    tax: parseFloat(tax.toFixed(2)),                   // 32.00 (16% of 200)
-    total: parseFloat(taxInclusiveSubtotal.toFixed(2))  // 200.00
+  // Prices and tax per line come from the shared tax module, using each
+  // item's tax class (resolved from its product or category when added)
+  const calculateCartTotals = (items) => {
+    const { subtotal, discount, tax, total, taxBreakdown } = calculateTaxTotals(items, getTaxSettings());
+    return {
+      preTaxAmount: subtotal,
+      subtotal,
+      discount,
+      tax,
+      total,
+      taxBreakdown
+    };
   };
-};
 
   const [cart, setCart] = useState(getEmptyCart());
+  // The promotions the cart was last priced with
+  const pricedWith = useRef('');
 
   // Update cart when user changes
   useEffect(() => {
     setCart(getCartFromStorage());
   }, [user]);
 
+  // Mirror cart changes made in other tabs
+  useEffect(() => {
+    return subscribe(({ type, payload }) => {
+      if (type === SYNC_EVENTS.CART && user && payload.userId === user.id) {
+        setCart(payload.cart);
+      }
+    });
+  }, [user]);
+
+  // Promotions, price overrides and discounts are applied to the lines first
+  // (see priceOverrides). The cart discount and discount code carry over
+  // unless `newCart` sets them.
   const updateCart = (newCart) => {
+    const carried = (key) => (newCart[key] === undefined ? cart[key] || null : newCart[key]);
+    const empty = newCart.items.length === 0;
+    const cartDiscount = empty ? null : carried('cartDiscount');
+    const discountCode = empty ? null : carried('discountCode');
+    const promotions = livePromotions(getPromotions());
+    pricedWith.current = promotionsKey(promotions);
+    const items = priceLines(newCart.items, cartDiscount, discountCode, promotions);
     const cartWithTotals = {
       ...newCart,
-      ...calculateCartTotals(newCart.items)
+      items,
+      cartDiscount,
+      discountCode,
+      ...calculateCartTotals(items)
     };
     setCart(cartWithTotals);
     saveCartToStorage(cartWithTotals);
   };
 
+  // Re-price the cart when the promotions running change
+  const repriceRef = useRef(null);
+  repriceRef.current = () => {
+    if (cart.items.length > 0 && promotionsKey(livePromotions(getPromotions())) !== pricedWith.current) {
+      updateCart({ items: cart.items });
+    }
+  };
+  useEffect(() => {
+    const timer = setInterval(() => repriceRef.current(), PROMOTION_CHECK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Returns false when there isn't enough stock to add the quantity
   const addToCart = (product, quantity = 1) => {
     const productStock = product.quantity_in_stock || 0;
     const existingItem = cart.items.find(item => item.id === product.id);
 
-    if (productStock < 1) return;
+    if (productStock < 1) return false;
 
     const discountAmount = product.discountPercentage 
       ? (product.price * product.discountPercentage / 100)
@@ -87,7 +128,7 @@ const calculateCartTotals = (items) => {
     let updatedItems;
     if (existingItem) {
       if (existingItem.quantity + quantity > productStock) {
-        return;
+        return false;
       }
       updatedItems = cart.items.map(item => 
         item.id === product.id 
@@ -95,7 +136,8 @@ const calculateCartTotals = (items) => {
               ...item, 
               quantity: item.quantity + quantity,
               discountPercentage: product.discountPercentage,
-              discountAmount
+              // An agreed price replaces the product's own discount
+              discountAmount: item.priceOverride ? 0 : discountAmount
             }
           : item
       );
@@ -112,7 +154,8 @@ const calculateCartTotals = (items) => {
           imageUrl: product.hasImage ? `/api/products/${product.id}/image` : null,
           stock: product.quantity_in_stock,
           sku: product.sku || '',
-          barcode: product.barcode || ''
+          barcode: product.barcode || '',
+          taxClass: product.taxClass || null
         }
       ];
     }
@@ -120,6 +163,7 @@ const calculateCartTotals = (items) => {
     updateCart({
       items: updatedItems
     });
+    return true;
   };
 
   const removeFromCart = (id) => {
@@ -147,6 +191,79 @@ const calculateCartTotals = (items) => {
     });
   };
 
+  /**
+   * Charges a different unit price on a line, e.g. a negotiated price. The
+   * product's own discount no longer applies while the price is overridden.
+   * @param {number} id - Product ID
+   * @param {number|null} price - Null goes back to the shelf price
+   * @param {Object} [override] - { reasonCode, note, approval }
+   */
+  const overridePrice = (id, price, override) => {
+    const updatedItems = cart.items.map(item => {
+      if (item.id !== id) return item;
+      const { originalPrice, priceOverride, ...line } = item;
+      const shelfPrice = originalPrice ?? item.price;
+      if (price === null) {
+        return {
+          ...line,
+          price: shelfPrice,
+          discountAmount: item.discountPercentage ? shelfPrice * item.discountPercentage / 100 : 0
+        };
+      }
+      return { ...line, price, originalPrice: shelfPrice, priceOverride: override, discountAmount: 0 };
+    });
+    updateCart({
+      items: updatedItems
+    });
+  };
+
+  /**
+   * Takes a percentage or amount off a whole line
+   * @param {number} id - Product ID
+   * @param {Object|null} discount - { kind, value, reasonCode, note, approval }; null removes it
+   */
+  const setLineDiscount = (id, discount) => {
+    const updatedItems = cart.items.map(item => {
+      if (item.id !== id) return item;
+      const { manualDiscount, ...line } = item;
+      return discount ? { ...line, manualDiscount: discount } : line;
+    });
+    updateCart({
+      items: updatedItems
+    });
+  };
+
+  /**
+   * Takes a percentage or amount off the whole cart, shared across the lines
+   * @param {Object|null} discount - { kind, value, reasonCode, note, approval }; null removes it
+   */
+  const setCartDiscount = (discount) => {
+    updateCart({
+      items: cart.items,
+      cartDiscount: discount
+    });
+  };
+
+  /**
+   * Applies a discount code to the lines it covers
+   * @param {Object|null} discountCode - From toAppliedCode; null removes it
+   */
+  const setDiscountCode = (discountCode) => {
+    updateCart({
+      items: cart.items,
+      discountCode
+    });
+  };
+
+  // Replaces the cart's contents, e.g. with a resumed held sale
+  const loadCart = (items, { cartDiscount = null, discountCode = null } = {}) => {
+    updateCart({
+      items,
+      cartDiscount,
+      discountCode
+    });
+  };
+
   const clearCart = () => {
     const emptyCart = getEmptyCart();
     setCart(emptyCart);
@@ -159,6 +276,11 @@ const calculateCartTotals = (items) => {
       addToCart, 
       removeFromCart, 
       updateQuantity, 
+      overridePrice,
+      setLineDiscount,
+      setCartDiscount,
+      setDiscountCode,
+      loadCart,
       clearCart 
     }}>
       {children}
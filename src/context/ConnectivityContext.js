@@ -0,0 +1,111 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { getQueuedSales, onQueueChange, QUEUED_SALE_STATUS, syncQueuedSales } from '../services/offlineSalesService';
+
+// How often to retry queued sales while some are still waiting
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+export const ConnectivityContext = createContext();
+
+const isBrowserOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+/**
+ * Tracks whether the browser is online and how many offline sales are still
+ * queued, and syncs them when the connection returns
+ */
+export const ConnectivityProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [online, setOnline] = useState(isBrowserOnline);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [conflictCount, setConflictCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  // Why the last sync failed, e.g. the queue's storage is unavailable
+  const [syncError, setSyncError] = useState(null);
+
+  const userId = user?.id;
+
+  const refreshCounts = useCallback(async () => {
+    try {
+      const records = await getQueuedSales();
+      setPendingCount(records.filter(record => record.status === QUEUED_SALE_STATUS.PENDING).length);
+      setConflictCount(records.filter(record => record.status === QUEUED_SALE_STATUS.CONFLICT).length);
+    } catch (error) {
+      console.error('Failed to read the offline sales queue:', error);
+      setSyncError(error.message || 'The offline sales queue could not be read');
+    }
+  }, []);
+
+  const syncNow = useCallback(async () => {
+    if (!userId || !isBrowserOnline()) return null;
+    try {
+      setSyncing(true);
+      const result = await syncQueuedSales();
+      if (result.synced > 0) setLastSyncedAt(new Date().toISOString());
+      setSyncError(null);
+      return result;
+    } catch (error) {
+      setSyncError(error.message || 'Offline sales could not be synced');
+      throw error;
+    } finally {
+      setSyncing(false);
+      refreshCounts();
+    }
+  }, [userId, refreshCounts]);
+
+  // Syncs nobody is waiting on; a failure shows up as syncError
+  const syncInBackground = useCallback(() => {
+    syncNow().catch(error => console.error('Failed to sync offline sales:', error));
+  }, [syncNow]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      syncInBackground();
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncInBackground]);
+
+  useEffect(() => {
+    refreshCounts();
+    return onQueueChange(refreshCounts);
+  }, [refreshCounts]);
+
+  // Sales queued before a reload (or by another user on this till) go as soon as someone signs in
+  useEffect(() => {
+    syncInBackground();
+  }, [syncInBackground]);
+
+  useEffect(() => {
+    if (pendingCount === 0) return undefined;
+    const timer = setInterval(syncInBackground, SYNC_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [pendingCount, syncInBackground]);
+
+  const value = useMemo(() => ({
+    online,
+    pendingCount,
+    conflictCount,
+    syncing,
+    lastSyncedAt,
+    syncError,
+    syncNow
+  }), [online, pendingCount, conflictCount, syncing, lastSyncedAt, syncError, syncNow]);
+
+  return <ConnectivityContext.Provider value={value}>{children}</ConnectivityContext.Provider>;
+};
+
+export const useConnectivity = () => {
+  const context = useContext(ConnectivityContext);
+  if (context === undefined) {
+    throw new Error('useConnectivity must be used within a ConnectivityProvider');
+  }
+  return context;
+};
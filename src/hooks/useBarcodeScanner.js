@@ -0,0 +1,74 @@
+// hooks/useBarcodeScanner.js
+import { useEffect, useRef } from 'react';
+
+// Keyboard-wedge scanners "type" a whole code within a few milliseconds per
+// character and finish with Enter. People rarely manage four keys in a row
+// this fast, which is how the two are told apart.
+const DEFAULT_MAX_KEY_INTERVAL_MS = 35;
+const DEFAULT_MIN_LENGTH = 4;
+
+const isEditable = (element) => !!element && (
+  element.isContentEditable ||
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+);
+
+/**
+ * Listens for barcode scans anywhere on the page. Scans typed into an input are
+ * ignored unless the input has a `data-barcode-input` attribute (e.g. the POS
+ * search box), so cash, phone and PIN fields are never hijacked.
+ * @param {Function} onScan - Called with (code, { target }) for each scan
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Stop listening while false
+ * @param {number} [options.minLength] - Shortest code accepted
+ * @param {number} [options.maxKeyIntervalMs] - Slowest gap between scanner keystrokes
+ */
+const useBarcodeScanner = (onScan, {
+  enabled = true,
+  minLength = DEFAULT_MIN_LENGTH,
+  maxKeyIntervalMs = DEFAULT_MAX_KEY_INTERVAL_MS
+} = {}) => {
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+      const target = event.target;
+      if (isEditable(target) && !target.closest('[data-barcode-input]')) {
+        buffer = '';
+        return;
+      }
+
+      const now = event.timeStamp || performance.now();
+      const isFast = now - lastKeyAt <= maxKeyIntervalMs;
+      lastKeyAt = now;
+
+      if (event.key === 'Enter') {
+        const code = buffer;
+        buffer = '';
+        if (isFast && code.length >= minLength) {
+          event.preventDefault();
+          event.stopPropagation();
+          onScanRef.current(code, { target });
+        }
+        return;
+      }
+
+      if (event.key.length === 1) {
+        buffer = isFast ? buffer + event.key : event.key;
+      }
+    };
+
+    // Capture phase, so the Enter never submits a form or clicks a focused button
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [enabled, minLength, maxKeyIntervalMs]);
+};
+
+export default useBarcodeScanner;
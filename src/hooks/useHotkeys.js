@@ -0,0 +1,71 @@
+// hooks/useHotkeys.js
+import { useEffect, useRef } from 'react';
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+const isEditable = (element) => !!element && (
+  element.isContentEditable ||
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)
+);
+
+/**
+ * Turns a keydown into a combo string such as 'F2', 'Ctrl+K' or '*'. Shift is
+ * left out for printable keys because it is already reflected in `key`.
+ * @param {KeyboardEvent} event
+ * @returns {string|null} null for a bare modifier press
+ */
+export const eventToCombo = (event) => {
+  if (MODIFIER_KEYS.includes(event.key)) return null;
+
+  const key = event.key === ' ' ? 'Space' : event.key.length === 1 ? event.key.toUpperCase() : event.key;
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.metaKey) parts.push('Meta');
+  if (event.shiftKey && event.key.length > 1) parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+};
+
+// Function keys and modifier chords don't type anything, so they stay live in inputs
+const worksInInputs = (combo) => /^F\d{1,2}$/.test(combo) || /^(Ctrl|Alt|Meta)\+/.test(combo) || combo === 'Escape';
+
+/**
+ * Binds actions to key combos for as long as the component is mounted
+ * @param {Object<string, string>} bindings - Action name to combo, e.g. { checkout: 'F9' }
+ * @param {Object<string, Function>} handlers - Action name to handler; called with the event.
+ *   Return false from a handler to let the key through.
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Stop listening while false
+ * @param {string[]} [options.inputActions] - Actions that also fire while typing in an input
+ */
+const useHotkeys = (bindings, handlers, { enabled = true, inputActions = [] } = {}) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  const inputActionsRef = useRef(inputActions);
+  inputActionsRef.current = inputActions;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented) return;
+      const combo = eventToCombo(event);
+      if (!combo) return;
+
+      const action = Object.keys(bindings).find(name => bindings[name] === combo && handlersRef.current[name]);
+      if (!action) return;
+
+      if (isEditable(event.target) && !worksInInputs(combo) && !inputActionsRef.current.includes(action)) return;
+
+      if (handlersRef.current[action](event) !== false) {
+        event.preventDefault();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [bindings, enabled]);
+};
+
+export default useHotkeys;
@@ -0,0 +1,56 @@
+// hooks/usePermission.js
+import { useContext } from 'react';
+import { AuthContext } from '../context/AuthContext';
+
+/**
+ * Normalizes a permission requirement. A string or array means "any of",
+ * matching how routes and PermissionGate have always treated lists.
+ * @param {string|string[]|{allOf?: string[], anyOf?: string[], not?: string[]}} requirement
+ * @returns {{allOf: string[], anyOf: string[], not: string[]}}
+ */
+const toRequirement = (requirement) => {
+  if (!requirement) return { allOf: [], anyOf: [], not: [] };
+  if (typeof requirement === 'string') return { allOf: [], anyOf: [requirement], not: [] };
+  if (Array.isArray(requirement)) return { allOf: [], anyOf: requirement, not: [] };
+  return {
+    allOf: requirement.allOf || [],
+    anyOf: requirement.anyOf || [],
+    not: requirement.not || []
+  };
+};
+
+/**
+ * Checks granted permissions against a requirement
+ * @param {string[]} granted - The user's permissions
+ * @param {string|string[]|Object} requirement - See toRequirement
+ * @returns {{allowed: boolean, missing: string[], mode: 'all'|'any'|'not'|null}}
+ *   `missing` names what was lacking: every absent allOf permission, the
+ *   whole anyOf list, or the `not` permissions the user does hold
+ */
+export const checkPermissions = (granted = [], requirement) => {
+  const { allOf, anyOf, not } = toRequirement(requirement);
+  const has = (permission) => granted.includes(permission);
+
+  const missingAll = allOf.filter(permission => !has(permission));
+  if (missingAll.length > 0) {
+    return { allowed: false, missing: missingAll, mode: 'all' };
+  }
+  if (anyOf.length > 0 && !anyOf.some(has)) {
+    return { allowed: false, missing: anyOf, mode: 'any' };
+  }
+  const forbidden = not.filter(has);
+  if (forbidden.length > 0) {
+    return { allowed: false, missing: forbidden, mode: 'not' };
+  }
+  return { allowed: true, missing: [], mode: null };
+};
+
+/**
+ * Checks the signed-in user against a permission requirement
+ * @param {string|string[]|{allOf?: string[], anyOf?: string[], not?: string[]}} requirement
+ * @returns {{allowed: boolean, missing: string[], mode: string|null}}
+ */
+export const usePermission = (requirement) => {
+  const { user } = useContext(AuthContext);
+  return checkPermissions(user?.permissions, requirement);
+};
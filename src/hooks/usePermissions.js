@@ -1,6 +1,7 @@
 // hooks/usePermissions.js
 import { useContext } from 'react';
 import { AuthContext } from '../context/AuthContext';
+import { checkPermissions } from './usePermission';
 
 export const usePermissions = () => {
   const { user } = useContext(AuthContext);
@@ -9,6 +10,9 @@ export const usePermissions = () => {
     if (!user || !user.permissions) return false;
     return user.permissions.includes(requiredPermission);
   };
+
+  // Like usePermission, for components that check several requirements
+  const can = (requirement) => checkPermissions(user?.permissions, requirement).allowed;
   
-  return { hasPermission };
-};
\ No newline at end of file
+  return { hasPermission, can };
+};
@@ -2,11 +2,13 @@ import { useState, useEffect } from "react";
 import Sidebar from "../components/Sidebar";
 import Navbar from "../components/Navbar";
 import { Menu } from "lucide-react";
+import { useBranch } from "../context/BranchContext";
 
 const DashboardLayout = ({ children }) => {
   const [isMobileSidebarOpen, setIsMobileSidebarOpen] = useState(false);
   const [isSidebarMinimized, setIsSidebarMinimized] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
+  const { activeBranchId } = useBranch();
 
   useEffect(() => {
     const handleResize = () => {
@@ -66,7 +68,8 @@ const DashboardLayout = ({ children }) => {
       } w-full max-w-[100vw] overflow-x-hidden`}>
         <Navbar />
         <main className="flex-1 p-4 md:p-6 bg-gray-100 w-full max-w-[100vw] overflow-x-hidden">
-          <div className="mx-auto w-full max-w-full">
+          {/* Keyed by branch so pages reload their data after a branch switch */}
+          <div key={activeBranchId || 'single'} className="mx-auto w-full max-w-full">
             {children}
           </div>
         </main>
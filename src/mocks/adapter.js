@@ -0,0 +1,126 @@
+import { AxiosError } from 'axios';
+import { matchRoute, MockHttpError } from './http';
+import { getDb, persistDb } from './db';
+import { verifyAccessToken } from './tokens';
+
+// Enough delay for spinners to show, short enough not to slow anyone down
+const LATENCY_MS = Number(process.env.REACT_APP_MOCK_API_LATENCY_MS) || 150;
+
+const STATUS_TEXT = { 200: 'OK', 201: 'Created', 204: 'No Content', 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found', 409: 'Conflict', 500: 'Internal Server Error' };
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Strips the API base URL so routes can be written as '/products/:id'
+const parseUrl = (config) => {
+  const url = new URL(config.url, 'http://mock.local/');
+  const base = config.baseURL ? new URL(config.baseURL, 'http://mock.local/').pathname.replace(/\/$/, '') : '';
+  const pathname = base && url.pathname.startsWith(base) ? url.pathname.slice(base.length) : url.pathname;
+
+  const query = Object.fromEntries(url.searchParams.entries());
+  Object.entries(config.params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query[key] = String(value);
+  });
+  return { pathname: pathname || '/', query };
+};
+
+// JSON bodies arrive serialized; multipart bodies keep their File parts and
+// have JSON Blob parts (e.g. `request`) parsed
+const parseBody = async (data) => {
+  if (data === undefined || data === null || data === '') return {};
+  if (typeof FormData !== 'undefined' && data instanceof FormData) {
+    const body = {};
+    for (const [key, value] of data.entries()) {
+      if (typeof File !== 'undefined' && value instanceof File) {
+        body[key] = value;
+      } else if (typeof Blob !== 'undefined' && value instanceof Blob) {
+        const text = await value.text();
+        try {
+          body[key] = JSON.parse(text);
+        } catch (error) {
+          body[key] = text;
+        }
+      } else {
+        body[key] = value;
+      }
+    }
+    return body;
+  }
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return { value: data };
+    }
+  }
+  return data;
+};
+
+const authenticate = (config) => {
+  const header = config.headers?.Authorization || config.headers?.authorization || '';
+  const token = String(header).replace(/^Bearer\s+/i, '');
+  const claims = token ? verifyAccessToken(token) : null;
+  return claims ? getDb().users.find(user => user.id === claims.id) || null : null;
+};
+
+const toResponseData = (body, config) => {
+  if (config.responseType === 'blob' && typeof Blob !== 'undefined' && !(body instanceof Blob)) {
+    return typeof body === 'string'
+      ? new Blob([body], { type: 'text/csv' })
+      : new Blob([JSON.stringify(body)], { type: 'application/json' });
+  }
+  return body;
+};
+
+const settle = (config, status, data) => {
+  const response = {
+    data: toResponseData(data, config),
+    status,
+    statusText: STATUS_TEXT[status] || '',
+    headers: {},
+    config,
+    request: {}
+  };
+  if (status < 400) return response;
+
+  const code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+  throw new AxiosError(data?.message || `Request failed with status code ${status}`, code, config, response.request, response);
+};
+
+/**
+ * Builds an axios adapter that answers requests from the in-memory handlers
+ * instead of the network
+ * @param {Array} handlers - Route definitions built with `http`
+ * @returns {Function} Axios adapter
+ */
+export const createMockAdapter = (handlers) => async (config) => {
+  await delay(LATENCY_MS);
+
+  const method = (config.method || 'get').toLowerCase();
+  const { pathname, query } = parseUrl(config);
+  const match = matchRoute(handlers, method, pathname);
+  if (!match) {
+    return settle(config, 404, { message: `No mock handler for ${method.toUpperCase()} ${pathname}` });
+  }
+
+  const user = authenticate(config);
+  if (!match.handler.isPublic && !user) {
+    return settle(config, 401, { message: 'Authentication required' });
+  }
+
+  const db = getDb();
+  try {
+    const body = await parseBody(config.data);
+    const result = await match.handler.resolver({ params: match.params, query, body, headers: config.headers || {}, user, db });
+    if (method !== 'get') persistDb();
+
+    if (result?.__mockResponse) return settle(config, result.status, result.body);
+    return settle(config, result === null || result === undefined ? 204 : 200, result ?? '');
+  } catch (error) {
+    if (error instanceof AxiosError) throw error;
+    if (error instanceof MockHttpError) {
+      return settle(config, error.status, { message: error.message, status: error.status, ...error.extra });
+    }
+    console.error(`Mock handler for ${method.toUpperCase()} ${pathname} failed:`, error);
+    return settle(config, 500, { message: error.message || 'Mock handler failed' });
+  }
+};
@@ -0,0 +1,68 @@
+import { createSeed } from './fixtures';
+
+// Bump when the fixtures change so browsers drop their saved mock data
+const DB_VERSION = 16;
+const STORAGE_KEY = 'mockBackendDb';
+
+const canPersist = () => typeof window !== 'undefined' && !!window.localStorage;
+
+const load = () => {
+  if (!canPersist()) return null;
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved?.version === DB_VERSION ? saved.tables : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+let tables = load() || createSeed();
+
+/**
+ * The mock backend's tables. Handlers read and mutate these directly.
+ * @returns {Object}
+ */
+export const getDb = () => tables;
+
+// Saved after every write so a page reload keeps the data (browser only)
+export const persistDb = () => {
+  if (!canPersist()) return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: DB_VERSION, tables }));
+};
+
+/**
+ * Restores the seed data, e.g. between tests
+ * @returns {Object} The fresh tables
+ */
+export const resetDb = () => {
+  tables = createSeed();
+  persistDb();
+  return tables;
+};
+
+export const nextId = (records) => records.reduce((max, record) => Math.max(max, Number(record.id) || 0), 0) + 1;
+
+/**
+ * Looks up a record by ID, accepting numeric or string IDs
+ * @param {Array} records - Table
+ * @param {number|string} id - Record ID
+ * @returns {Object|undefined}
+ */
+export const findById = (records, id) => records.find(record => String(record.id) === String(id));
+
+export const removeById = (records, id) => {
+  const index = records.findIndex(record => String(record.id) === String(id));
+  if (index === -1) return false;
+  records.splice(index, 1);
+  return true;
+};
+
+/**
+ * Marks a record as changed now, so clients that sync incrementally pick it up
+ * @param {Object} record
+ * @returns {Object} The same record
+ */
+export const touch = (record) => {
+  record.updatedAt = new Date().toISOString();
+  return record;
+};
@@ -0,0 +1,179 @@
+import { getDefaultPermissionsForRole } from '../services/permissionServices';
+import { DEFAULT_TAX_SETTINGS } from '../components/utils/tax';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString().split('T')[0];
+
+const ROLE_NAMES = ['ADMIN', 'MANAGER', 'CASHIER', 'RECEIVING_CLERK'];
+
+const roles = ROLE_NAMES.map((name, index) => ({
+  id: index + 1,
+  name,
+  description: `${name.replace('_', ' ').toLowerCase()} role`,
+  updatedAt: daysAgo(30)
+}));
+
+const permissionNames = [...new Set(ROLE_NAMES.flatMap(getDefaultPermissionsForRole))].sort();
+const permissions = permissionNames.map((name, index) => ({ id: index + 1, name }));
+
+const rolePermissions = roles.reduce((acc, role) => {
+  acc[role.id] = [...new Set(getDefaultPermissionsForRole(role.name))];
+  return acc;
+}, {});
+
+// Sign in with any of these; the PIN unlocks a locked till
+const users = [
+  { id: 1, username: 'admin', password: 'admin123', pin: '1111', fullName: 'Amina Wanjiru', email: 'admin@example.com', roles: ['ADMIN'] },
+  { id: 2, username: 'manager', password: 'manager123', pin: '2222', fullName: 'Brian Otieno', email: 'manager@example.com', roles: ['MANAGER'] },
+  { id: 3, username: 'cashier', password: 'cashier123', pin: '3333', fullName: 'Cynthia Muthoni', email: 'cashier@example.com', roles: ['CASHIER'] },
+  { id: 4, username: 'clerk', password: 'clerk123', pin: '4444', fullName: 'David Kiptoo', email: 'clerk@example.com', roles: ['RECEIVING_CLERK'] }
+].map(user => ({ ...user, active: true, createdAt: daysAgo(90) }));
+
+const branches = [
+  { id: 1, name: 'Kisii Town', address: 'Hospital Road, Kisii', phone: '+254 700 000001', email: 'kisii@example.com', taxPin: 'P051234567A' },
+  { id: 2, name: 'Nairobi CBD', address: 'Moi Avenue, Nairobi', phone: '+254 700 000002', email: 'cbd@example.com', taxPin: 'P051234567A' }
+];
+
+const categories = [
+  { id: 1, name: 'Beverages', description: 'Soft drinks, juices and water' },
+  { id: 2, name: 'Bakery', description: 'Bread and baked goods', taxClass: 'ZERO' },
+  { id: 3, name: 'Dairy', description: 'Milk, yoghurt and butter' },
+  { id: 4, name: 'Household', description: 'Cleaning and home care' }
+];
+
+const brands = [
+  { id: 1, name: 'Coca-Cola' },
+  { id: 2, name: 'Brookside' },
+  { id: 3, name: 'Supaloaf' },
+  { id: 4, name: 'Omo' }
+];
+
+const units = [
+  { id: 1, name: 'Piece', abbreviation: 'pc' },
+  { id: 2, name: 'Litre', abbreviation: 'L' },
+  { id: 3, name: 'Kilogram', abbreviation: 'kg' }
+];
+
+const suppliers = [
+  {
+    id: 1, companyName: 'Nairobi Bottlers Ltd', contactPerson: 'Grace Njeri', email: 'orders@nbl.example.com',
+    phone: '0711000001', address: 'Industrial Area, Nairobi', website: 'https://nbl.example.com', rating: 4.5,
+    categoryIds: [1], createdAt: daysAgo(120), updatedAt: daysAgo(10)
+  },
+  {
+    id: 2, companyName: 'Fresh Dairy Distributors', contactPerson: 'Peter Mwangi', email: 'sales@freshdairy.example.com',
+    phone: '0711000002', address: 'Ruiru', website: '', rating: 4,
+    categoryIds: [3], createdAt: daysAgo(100), updatedAt: daysAgo(20)
+  },
+  {
+    id: 3, companyName: 'Home Essentials Wholesale', contactPerson: 'Lucy Akinyi', email: 'lucy@homeessentials.example.com',
+    phone: '0711000003', address: 'Mombasa Road', website: '', rating: 3.5,
+    categoryIds: [2, 4], createdAt: daysAgo(80), updatedAt: daysAgo(5)
+  }
+];
+
+const products = [
+  { id: 1, name: 'Coca-Cola 500ml', sku: 'BEV-001', barcode: '5449000000996', price: 80, costPrice: 55, quantityInStock: 120, lowStockThreshold: 24, categoryId: 1, brandId: 1, unitId: 1, supplierId: 1, expiryDate: daysFromNow(180) },
+  { id: 2, name: 'Dasani Water 1L', sku: 'BEV-002', barcode: '5449000131805', price: 60, costPrice: 35, quantityInStock: 200, lowStockThreshold: 30, categoryId: 1, brandId: 1, unitId: 2, supplierId: 1, expiryDate: daysFromNow(365) },
+  { id: 3, name: 'Minute Maid Mango 1L', sku: 'BEV-003', barcode: '5449000214911', price: 180, costPrice: 130, quantityInStock: 8, lowStockThreshold: 12, categoryId: 1, brandId: 1, unitId: 2, supplierId: 1, expiryDate: daysFromNow(20) },
+  { id: 4, name: 'White Bread 400g', sku: 'BAK-001', barcode: '6161100400017', price: 65, costPrice: 50, quantityInStock: 40, lowStockThreshold: 15, categoryId: 2, brandId: 3, unitId: 1, supplierId: 3, expiryDate: daysFromNow(4) },
+  { id: 5, name: 'Brown Bread 400g', sku: 'BAK-002', barcode: '6161100400024', price: 70, costPrice: 54, quantityInStock: 0, lowStockThreshold: 10, categoryId: 2, brandId: 3, unitId: 1, supplierId: 3, expiryDate: daysFromNow(4) },
+  { id: 6, name: 'Fresh Milk 500ml', sku: 'DAI-001', barcode: '6161101000019', price: 60, costPrice: 45, quantityInStock: 75, lowStockThreshold: 20, categoryId: 3, brandId: 2, unitId: 2, supplierId: 2, expiryDate: daysFromNow(6), taxClass: 'EXEMPT' },
+  { id: 7, name: 'Natural Yoghurt 250ml', sku: 'DAI-002', barcode: '6161101000026', price: 90, costPrice: 68, quantityInStock: 30, lowStockThreshold: 10, categoryId: 3, brandId: 2, unitId: 1, supplierId: 2, expiryDate: daysFromNow(-2) },
+  { id: 8, name: 'Salted Butter 250g', sku: 'DAI-003', barcode: '6161101000033', price: 320, costPrice: 250, quantityInStock: 18, lowStockThreshold: 6, categoryId: 3, brandId: 2, unitId: 1, supplierId: 2, expiryDate: daysFromNow(60) },
+  { id: 9, name: 'Omo Washing Powder 1kg', sku: 'HOU-001', barcode: '6001087000012', price: 450, costPrice: 360, quantityInStock: 25, lowStockThreshold: 8, categoryId: 4, brandId: 4, unitId: 3, supplierId: 3, expiryDate: null },
+  { id: 10, name: 'Dish Soap 750ml', sku: 'HOU-002', barcode: '6001087000029', price: 210, costPrice: 150, quantityInStock: 5, lowStockThreshold: 8, categoryId: 4, brandId: 4, unitId: 2, supplierId: 3, expiryDate: null }
+].map(product => ({ ...product, description: '', hasImage: false, createdAt: daysAgo(60), updatedAt: daysAgo(60) }));
+
+const customers = [
+  { id: 1, name: 'Walk-in Customer', email: '', phone: '', address: '', createdAt: daysAgo(120) },
+  { id: 2, name: 'Mary Achieng', email: 'mary@example.com', phone: '0722000001', address: 'Kilimani', createdAt: daysAgo(45) },
+  { id: 3, name: 'John Kamau', email: 'john@example.com', phone: '0722000002', address: 'Westlands', createdAt: daysAgo(12) }
+];
+
+const discounts = [
+  { id: 1, code: 'WELCOME10', description: '10% off for new customers', percentage: 10, active: true, validFrom: daysAgo(30), validTo: daysFromNow(30), productIds: [], minSpend: null, usageLimit: 100, timesUsed: 12 },
+  { id: 2, code: 'DAIRY5', description: '5% off dairy', percentage: 5, active: false, validFrom: daysAgo(90), validTo: daysAgo(60), productIds: [6, 7, 8], minSpend: null, usageLimit: null, timesUsed: 40 },
+  { id: 3, code: 'DRINKS15', description: '15% off drinks when you spend Ksh 500', percentage: 15, active: true, validFrom: daysAgo(7), validTo: daysFromNow(21), productIds: [1, 2, 3], minSpend: 500, usageLimit: null, timesUsed: 0 }
+];
+
+// Promotions the till applies by itself (see components/utils/promotions)
+const promotions = [
+  { id: 1, name: 'Coca-Cola 3 for 2', type: 'BUY_X_GET_Y', active: true, productIds: [1], startsAt: null, endsAt: null, schedule: null, rule: { buyQuantity: 2, getQuantity: 1, getPercent: 100 } },
+  { id: 2, name: 'Breakfast combo', description: 'Any bread and milk, 2 for Ksh 115', type: 'BUNDLE', active: true, productIds: [4, 5, 6], startsAt: null, endsAt: null, schedule: null, rule: { bundleQuantity: 2, bundlePrice: 115 } },
+  { id: 3, name: 'Water by the case', type: 'QUANTITY_TIER', active: true, productIds: [2], startsAt: null, endsAt: null, schedule: null, rule: { tiers: [{ minQuantity: 6, percent: 10 }, { minQuantity: 12, percent: 15 }] } },
+  { id: 4, name: 'Household savings', description: 'Ksh 50 off household goods over Ksh 600', type: 'SPEND_THRESHOLD', active: true, productIds: [9, 10], startsAt: daysAgo(10).slice(0, 10), endsAt: daysFromNow(20), schedule: null, rule: { minSpend: 600, amountOff: 50 } },
+  { id: 5, name: 'Happy hour drinks', description: '20% off drinks on weekday evenings', type: 'QUANTITY_TIER', active: true, productIds: [1, 2, 3], startsAt: null, endsAt: null, schedule: { days: [1, 2, 3, 4, 5], startTime: '17:00', endTime: '19:00' }, rule: { tiers: [{ minQuantity: 1, percent: 20 }] } }
+].map(promotion => ({ description: '', ...promotion, createdAt: daysAgo(14) }));
+
+// A few weeks of history so dashboards and reports have something to show
+const sales = [
+  { id: 1, day: 20, customerId: 2, paymentMethod: 'CASH', cashierId: 3, items: [[1, 6], [4, 2]] },
+  { id: 2, day: 14, customerId: 1, paymentMethod: 'MPESA', cashierId: 3, items: [[9, 1], [10, 2]] },
+  { id: 3, day: 9, customerId: 3, paymentMethod: 'CASH', cashierId: 3, items: [[6, 4], [8, 1]] },
+  { id: 4, day: 3, customerId: 1, paymentMethod: 'MPESA', cashierId: 3, items: [[2, 12], [3, 2]] },
+  { id: 5, day: 0, customerId: 2, paymentMethod: 'CASH', cashierId: 3, items: [[1, 3], [7, 2], [4, 1]] }
+].map(({ id, day, customerId, paymentMethod, cashierId, items }) => ({
+  id,
+  customerId,
+  paymentMethod,
+  cashierId,
+  status: 'COMPLETED',
+  saleDate: daysAgo(day),
+  items: items.map(([productId, quantity]) => ({
+    productId,
+    quantity,
+    price: products.find(product => product.id === productId).price
+  }))
+}));
+
+const purchases = [
+  { id: 1, supplierId: 1, status: 'RECEIVED', orderDate: daysAgo(25), receivedDate: daysAgo(22), items: [{ productId: 1, quantity: 48, unitPrice: 55 }, { productId: 2, quantity: 60, unitPrice: 35 }] },
+  { id: 2, supplierId: 2, status: 'RECEIVED', orderDate: daysAgo(15), receivedDate: daysAgo(14), items: [{ productId: 6, quantity: 40, unitPrice: 45 }] },
+  { id: 3, supplierId: 3, status: 'PENDING', orderDate: daysAgo(2), receivedDate: null, items: [{ productId: 5, quantity: 30, unitPrice: 54 }, { productId: 10, quantity: 20, unitPrice: 150 }] }
+];
+
+const payments = [
+  { id: 1, workerId: 3, workerName: 'Cynthia Muthoni', amount: 25000, paymentDate: daysAgo(28), description: 'Monthly salary', paymentMethod: 'BANK' },
+  { id: 2, workerId: 4, workerName: 'David Kiptoo', amount: 22000, paymentDate: daysAgo(28), description: 'Monthly salary', paymentMethod: 'BANK' }
+];
+
+/**
+ * Returns a fresh copy of the seed data
+ * @returns {Object} Tables keyed by name
+ */
+export const createSeed = () => JSON.parse(JSON.stringify({
+  roles,
+  permissions,
+  rolePermissions,
+  users,
+  branches,
+  categories,
+  brands,
+  units,
+  suppliers,
+  products,
+  customers,
+  discounts,
+  promotions,
+  sales,
+  purchases,
+  payments,
+  inventoryAdjustments: [],
+  // IDs and times of deleted products, for the POS catalog's incremental sync
+  deletedProducts: [],
+  auditEvents: [],
+  cart: [],
+  heldCarts: [],
+  shifts: [],
+  taxSettings: DEFAULT_TAX_SETTINGS,
+  // Whole shillings cash payments round to; 0 takes cash to the cent
+  cashRounding: { increment: 0 },
+  // Percent of a line or cart a cashier may give away before a manager must approve
+  priceOverridePolicy: { approvalThresholdPercent: 10 },
+  overrideApprovals: [],
+  mpesaRequests: [],
+  refreshTokens: {}
+}));
@@ -0,0 +1,32 @@
+import { http, json } from '../http';
+import { nextId } from '../db';
+import { inDateRange, paginate } from '../views';
+
+const matches = (event, query) => ['userId', 'entityType', 'entityId', 'action']
+  .every(field => !query[field] || String(event[field]) === String(query[field]));
+
+export const auditHandlers = [
+  http.post('/audit', ({ body, db, user }) => {
+    const event = {
+      ...body,
+      id: nextId(db.auditEvents),
+      // Trust the session over what the client says
+      userId: user.id,
+      username: user.username,
+      userName: user.fullName,
+      occurredAt: body.occurredAt || new Date().toISOString(),
+      receivedAt: new Date().toISOString()
+    };
+    db.auditEvents.push(event);
+    return json(event, 201);
+  }),
+
+  http.get('/audit', ({ query, db }) => {
+    const events = inDateRange(db.auditEvents, 'occurredAt', query)
+      .filter(event => matches(event, query))
+      .sort((a, b) => b.occurredAt.localeCompare(a.occurredAt));
+    // Always paged, like the real endpoint
+    return paginate(events, { page: 0, size: 25, ...query });
+  })
+];
+
@@ -0,0 +1,87 @@
+import { http, httpError } from '../http';
+import { findById } from '../db';
+import { createAccessToken, createRefreshToken } from '../tokens';
+import { userView } from '../views';
+
+const userPermissions = (db, user) => new Set(user.roles.flatMap(roleName => {
+  const role = db.roles.find(r => r.name === roleName);
+  return role ? db.rolePermissions[role.id] || [] : [];
+}));
+
+const issueTokens = (db, user) => {
+  const refreshToken = createRefreshToken();
+  db.refreshTokens[refreshToken] = user.id;
+  return {
+    ...userView(user),
+    token: createAccessToken(user),
+    refreshToken,
+    permissions: [...userPermissions(db, user)]
+  };
+};
+
+export const authHandlers = [
+  http.post('/auth/login', ({ body, db }) => {
+    const user = db.users.find(u => u.username === body?.username);
+    if (!user || user.password !== body?.password) {
+      throw httpError(401, 'Invalid username or password');
+    }
+    if (!user.active) {
+      throw httpError(403, 'This account is disabled');
+    }
+    return issueTokens(db, user);
+  }, { isPublic: true }),
+
+  http.post('/auth/register', ({ body, db }) => {
+    if (db.users.some(u => u.username === body?.username)) {
+      throw httpError(409, 'Username is already taken', { fieldErrors: { username: 'Username is already taken' } });
+    }
+    const user = {
+      id: db.users.reduce((max, u) => Math.max(max, u.id), 0) + 1,
+      username: body.username,
+      password: body.password,
+      pin: null,
+      fullName: body.fullName || body.name || body.username,
+      email: body.email || '',
+      roles: body.roles?.length ? body.roles : ['CASHIER'],
+      active: true,
+      createdAt: new Date().toISOString()
+    };
+    db.users.push(user);
+    return issueTokens(db, user);
+  }, { isPublic: true }),
+
+  http.post('/auth/refresh-token', ({ body, db }) => {
+    const userId = db.refreshTokens[body?.refreshToken];
+    const user = userId && findById(db.users, userId);
+    if (!user) {
+      throw httpError(401, 'Refresh token is invalid or expired');
+    }
+    // Rotate the refresh token like the real backend does
+    delete db.refreshTokens[body.refreshToken];
+    return issueTokens(db, user);
+  }, { isPublic: true }),
+
+  http.post('/auth/verify-pin', ({ body, db }) => {
+    const user = db.users.find(u => u.username === body?.username);
+    if (!user || !user.pin || user.pin !== String(body?.pin)) {
+      throw httpError(401, 'Incorrect PIN');
+    }
+    return { valid: true };
+  }),
+
+  // A manager unlocks someone else's till with their PIN
+  http.post('/auth/verify-override', ({ body, db }) => {
+    const manager = db.users.find(u => u.username === body?.username);
+    if (!manager || !manager.active || !manager.pin || manager.pin !== String(body?.pin)) {
+      throw httpError(401, 'Incorrect username or PIN');
+    }
+    if (!userPermissions(db, manager).has('pos_override')) {
+      throw httpError(403, `${manager.fullName} is not allowed to override the till lock`);
+    }
+    return { valid: true, approvedById: manager.id, approvedByName: manager.fullName };
+  }),
+
+  http.post('/auth/logout', () => ({ message: 'Logged out' })),
+
+  http.get('/auth/me', ({ user }) => userView(user))
+];
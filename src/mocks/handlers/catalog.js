@@ -0,0 +1,85 @@
+import { http, httpError } from '../http';
+import { findById, nextId, removeById } from '../db';
+import { paginate, purchaseView, supplierView } from '../views';
+
+const matches = (record, term, fields) => {
+  const needle = String(term || '').toLowerCase();
+  return fields.some(field => String(record[field] || '').toLowerCase().includes(needle));
+};
+
+/**
+ * Standard list/get/create/update/delete routes for a simple table
+ * @param {string} base - Route prefix, e.g. '/categories'
+ * @param {string} table - Table name in the mock db
+ * @param {Object} [options]
+ * @param {Function} [options.view] - (db, record) => response shape
+ * @param {string[]} [options.searchFields] - Fields matched by `${base}/search?query=`
+ * @param {string} [options.uniqueField] - Field that must be unique
+ * @returns {Array} Route definitions
+ */
+const crudHandlers = (base, table, { view = (db, record) => record, searchFields = ['name'], uniqueField = 'name' } = {}) => {
+  const label = table.replace(/s$/, '');
+  const find = (db, id) => {
+    const record = findById(db[table], id);
+    if (!record) throw httpError(404, `${label} ${id} not found`);
+    return record;
+  };
+  const assertUnique = (db, body, id) => {
+    const value = body[uniqueField];
+    if (value && db[table].some(record => record[uniqueField] === value && String(record.id) !== String(id))) {
+      throw httpError(409, `A ${label} with this ${uniqueField} already exists`, { fieldErrors: { [uniqueField]: 'Already exists' } });
+    }
+  };
+
+  return [
+    http.get(base, ({ query, db }) => paginate(db[table].map(record => view(db, record)), query)),
+    http.get(`${base}/search`, ({ query, db }) => db[table]
+      .filter(record => matches(record, query.query || query.q, searchFields))
+      .map(record => view(db, record))),
+    http.get(`${base}/:id`, ({ params, db }) => view(db, find(db, params.id))),
+    http.post(base, ({ body, db }) => {
+      assertUnique(db, body);
+      const record = { ...body, id: nextId(db[table]), createdAt: new Date().toISOString() };
+      db[table].push(record);
+      return view(db, record);
+    }),
+    http.put(`${base}/:id`, ({ params, body, db }) => {
+      const record = find(db, params.id);
+      assertUnique(db, body, record.id);
+      Object.assign(record, body, { id: record.id, updatedAt: new Date().toISOString() });
+      return view(db, record);
+    }),
+    http.delete(`${base}/:id`, ({ params, db }) => {
+      find(db, params.id);
+      removeById(db[table], params.id);
+      return null;
+    })
+  ];
+};
+
+export const catalogHandlers = [
+  ...crudHandlers('/categories', 'categories'),
+  ...crudHandlers('/brands', 'brands'),
+  ...crudHandlers('/units', 'units'),
+  ...crudHandlers('/customers', 'customers', { searchFields: ['name', 'email', 'phone'], uniqueField: 'phone' }),
+
+  http.get('/suppliers/:id/purchases', ({ params, db }) => db.purchases
+    .filter(purchase => String(purchase.supplierId) === String(params.id))
+    .map(purchase => purchaseView(db, purchase))),
+  ...crudHandlers('/suppliers', 'suppliers', {
+    view: supplierView,
+    searchFields: ['companyName', 'contactPerson', 'email'],
+    uniqueField: 'companyName'
+  }),
+
+  http.get('/discounts/active', ({ db }) => {
+    const now = new Date().toISOString();
+    return db.discounts.filter(discount => discount.active &&
+      (!discount.validFrom || discount.validFrom <= now) &&
+      (!discount.validTo || discount.validTo >= now.slice(0, 10)));
+  }),
+  ...crudHandlers('/discounts', 'discounts', { searchFields: ['code', 'description'], uniqueField: 'code' }),
+
+  // Branch selection works, but the mock keeps one shared set of stock and sales
+  ...crudHandlers('/branches', 'branches', { searchFields: ['name', 'address'], uniqueField: 'name' })
+];
@@ -0,0 +1,41 @@
+import { http, httpError, json } from '../http';
+import { findById, nextId, removeById } from '../db';
+
+const findHeldCart = (db, id) => {
+  const heldCart = findById(db.heldCarts, id);
+  // Same answer whether it never existed or another till resumed it first
+  if (!heldCart) throw httpError(404, 'This held sale was already resumed or discarded');
+  return heldCart;
+};
+
+export const heldCartHandlers = [
+  http.get('/held-carts', ({ db }) => [...db.heldCarts].sort((a, b) => a.heldAt.localeCompare(b.heldAt))),
+
+  http.post('/held-carts', ({ body, db, user }) => {
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      throw httpError(400, 'Cannot hold an empty cart', { fieldErrors: { items: 'Add at least one item' } });
+    }
+    const heldCart = {
+      ...body,
+      id: nextId(db.heldCarts),
+      label: body.label || body.customerName || 'Held sale',
+      heldBy: user.id,
+      heldByName: user.fullName,
+      heldAt: new Date().toISOString()
+    };
+    db.heldCarts.push(heldCart);
+    return json(heldCart, 201);
+  }),
+
+  http.post('/held-carts/:id/resume', ({ params, db }) => {
+    const heldCart = findHeldCart(db, params.id);
+    removeById(db.heldCarts, heldCart.id);
+    return heldCart;
+  }),
+
+  http.delete('/held-carts/:id', ({ params, db }) => {
+    findHeldCart(db, params.id);
+    removeById(db.heldCarts, params.id);
+    return null;
+  })
+];
@@ -0,0 +1,34 @@
+import { authHandlers } from './auth';
+import { userHandlers } from './users';
+import { catalogHandlers } from './catalog';
+import { productHandlers } from './products';
+import { inventoryHandlers } from './inventory';
+import { saleHandlers } from './sales';
+import { purchaseHandlers } from './purchases';
+import { mpesaHandlers } from './mpesa';
+import { paymentHandlers, reportHandlers } from './reports';
+import { auditHandlers } from './audit';
+import { heldCartHandlers } from './heldCarts';
+import { shiftHandlers } from './shifts';
+import { settingsHandlers } from './settings';
+import { priceOverrideHandlers } from './priceOverrides';
+import { promotionHandlers } from './promotions';
+
+export const handlers = [
+  ...authHandlers,
+  ...userHandlers,
+  ...catalogHandlers,
+  ...productHandlers,
+  ...inventoryHandlers,
+  ...saleHandlers,
+  ...purchaseHandlers,
+  ...mpesaHandlers,
+  ...reportHandlers,
+  ...paymentHandlers,
+  ...auditHandlers,
+  ...heldCartHandlers,
+  ...shiftHandlers,
+  ...settingsHandlers,
+  ...priceOverrideHandlers,
+  ...promotionHandlers
+];
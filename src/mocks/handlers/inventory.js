@@ -0,0 +1,112 @@
+import { http, httpError } from '../http';
+import { findById, nextId, touch } from '../db';
+import { paginate, productView } from '../views';
+import { multiplyMoney, sumMoney } from '../../components/utils/money';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const inventoryView = (db, product) => ({
+  ...productView(db, product),
+  productId: product.id,
+  productName: product.name,
+  currentStock: product.quantityInStock,
+  totalValue: multiplyMoney(product.costPrice, product.quantityInStock),
+  isExpired: !!product.expiryDate && product.expiryDate < today(),
+  isLowStock: product.quantityInStock <= product.lowStockThreshold
+});
+
+export const inventoryHandlers = [
+  http.get('/inventory', ({ query, db }) => {
+    const needle = String(query.search || query.query || '').toLowerCase();
+    let products = db.products.filter(product => !needle || product.name.toLowerCase().includes(needle));
+    if (query.categoryId) {
+      products = products.filter(product => String(product.categoryId) === String(query.categoryId));
+    }
+    if (query.brandId) {
+      products = products.filter(product => String(product.brandId) === String(query.brandId));
+    }
+    if (String(query.lowStockOnly) === 'true') {
+      products = products.filter(product => product.quantityInStock <= product.lowStockThreshold);
+    }
+    if (String(query.expiredOnly) === 'true') {
+      products = products.filter(product => product.expiryDate && product.expiryDate < today());
+    }
+    return paginate(products.map(product => inventoryView(db, product)), query);
+  }),
+
+  http.post('/inventory/adjust', ({ body, db, user }) => {
+    const product = findById(db.products, body.productId);
+    if (!product) throw httpError(404, `Product ${body.productId} not found`);
+
+    const amount = Number(body.adjustmentAmount) || 0;
+    if (product.quantityInStock + amount < 0) {
+      throw httpError(400, 'Adjustment would make stock negative', { fieldErrors: { adjustmentAmount: 'Too large a reduction' } });
+    }
+
+    const previousQuantity = product.quantityInStock;
+    touch(product).quantityInStock += amount;
+    const adjustment = {
+      id: nextId(db.inventoryAdjustments),
+      productId: product.id,
+      adjustmentAmount: amount,
+      previousQuantity,
+      newQuantity: product.quantityInStock,
+      adjustmentType: amount >= 0 ? 'INCREASE' : 'DECREASE',
+      reason: body.reason || '',
+      adjustedBy: user.username,
+      adjustmentDate: new Date().toISOString()
+    };
+    db.inventoryAdjustments.push(adjustment);
+
+    if (body.createSupplierOrder && body.orderQuantity > 0) {
+      db.purchases.push({
+        id: nextId(db.purchases),
+        supplierId: product.supplierId,
+        status: 'PENDING',
+        orderDate: new Date().toISOString(),
+        receivedDate: null,
+        items: [{ productId: product.id, quantity: Number(body.orderQuantity), unitPrice: product.costPrice }]
+      });
+    }
+    return adjustment;
+  }),
+
+  http.get('/inventory/adjustments/:productId', ({ params, db }) => db.inventoryAdjustments
+    .filter(adjustment => String(adjustment.productId) === String(params.productId))
+    .reverse()),
+
+  http.post('/inventory/remove-expired', ({ db }) => {
+    const expired = db.products.filter(product => product.expiryDate && product.expiryDate < today() && product.quantityInStock > 0);
+    expired.forEach(product => {
+      db.inventoryAdjustments.push({
+        id: nextId(db.inventoryAdjustments),
+        productId: product.id,
+        adjustmentAmount: -product.quantityInStock,
+        previousQuantity: product.quantityInStock,
+        newQuantity: 0,
+        adjustmentType: 'EXPIRED',
+        reason: 'Expired stock removed',
+        adjustmentDate: new Date().toISOString()
+      });
+      touch(product).quantityInStock = 0;
+    });
+    return { removedCount: expired.length, productIds: expired.map(product => product.id) };
+  }),
+
+  http.get('/inventory/low-stock-suggestions', ({ db }) => db.products
+    .filter(product => product.quantityInStock <= product.lowStockThreshold)
+    .map(product => ({
+      ...inventoryView(db, product),
+      suggestedOrderQuantity: Math.max(product.lowStockThreshold * 2 - product.quantityInStock, 1)
+    }))),
+
+  http.get('/inventory/valuation', ({ db }) => {
+    const items = db.products.map(product => inventoryView(db, product));
+    return {
+      totalItems: items.length,
+      totalQuantity: items.reduce((sum, item) => sum + item.quantityInStock, 0),
+      totalValue: sumMoney(items, 'totalValue'),
+      items
+    };
+  })
+];
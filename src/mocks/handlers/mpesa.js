@@ -0,0 +1,73 @@
+import { http, httpError } from '../http';
+
+// How long the simulated customer takes to approve the STK push
+const APPROVAL_DELAY_MS = 6000;
+
+// Numbers ending in these digits let you exercise the failure paths
+const DECLINED_SUFFIX = '000';
+const CANCELLED_SUFFIX = '111';
+// Approves after the till has stopped waiting, as a late payment
+const LATE_SUFFIX = '222';
+const LATE_DELAY_MS = 150 * 1000;
+
+const newRequestId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`.toUpperCase();
+
+const resolveStatus = (request) => {
+  const delay = request.phoneNumber.endsWith(LATE_SUFFIX) ? LATE_DELAY_MS : APPROVAL_DELAY_MS;
+  if (request.status !== 'PENDING' || Date.now() - request.createdAt < delay) return request;
+
+  if (request.phoneNumber.endsWith(DECLINED_SUFFIX)) {
+    request.status = 'FAILED';
+    request.stkResponseDescription = 'The balance is insufficient for the transaction';
+  } else if (request.phoneNumber.endsWith(CANCELLED_SUFFIX)) {
+    request.status = 'CANCELLED';
+    request.stkResponseDescription = 'Request cancelled by user';
+  } else {
+    request.status = 'COMPLETED';
+    request.stkResponseDescription = 'The service request is processed successfully.';
+    request.mpesaReceiptNumber = `Q${Math.random().toString(36).slice(2, 11).toUpperCase()}`;
+  }
+  return request;
+};
+
+export const mpesaHandlers = [
+  http.post('/mpesa/stkpush/initiate', ({ body, db }) => {
+    const phoneNumber = String(body.phoneNumber || body.phone || '');
+    if (!/^254\d{9}$/.test(phoneNumber)) {
+      throw httpError(400, 'Enter a valid Safaricom number', { fieldErrors: { phoneNumber: 'Use the 2547XXXXXXXX format' } });
+    }
+    const request = {
+      CheckoutRequestID: newRequestId('ws_CO'),
+      MerchantRequestID: newRequestId('MR'),
+      phoneNumber,
+      amount: Number(body.amount) || 0,
+      status: 'PENDING',
+      createdAt: Date.now()
+    };
+    db.mpesaRequests.push(request);
+    return {
+      CheckoutRequestID: request.CheckoutRequestID,
+      MerchantRequestID: request.MerchantRequestID,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    };
+  }),
+
+  http.get('/mpesa/payment-status', ({ query, db }) => {
+    const request = db.mpesaRequests.find(r => r.CheckoutRequestID === query.checkout_id);
+    if (!request) throw httpError(404, 'Unknown checkout request');
+    resolveStatus(request);
+    return {
+      status: request.status,
+      transaction: {
+        checkoutRequestId: request.CheckoutRequestID,
+        merchantRequestId: request.MerchantRequestID,
+        amount: request.amount,
+        phoneNumber: request.phoneNumber,
+        mpesaReceiptNumber: request.mpesaReceiptNumber || null,
+        stkResponseDescription: request.stkResponseDescription || null
+      }
+    };
+  })
+];
@@ -0,0 +1,152 @@
+import { http, httpError } from '../http';
+import { findById } from '../db';
+import {
+  approvedPercent,
+  cartDiscountPercent,
+  DISCOUNT_KINDS,
+  lineOverridePercent,
+  needsApproval,
+  NOTE_REQUIRED_REASONS,
+  OVERRIDE_REASONS,
+  OVERRIDE_TYPES,
+  lineSubtotal,
+  priceLines
+} from '../../components/utils/priceOverrides';
+import { discountCodeProblem, minSpendShortfall, normalizeCode, toAppliedCode } from '../../components/utils/discountCodes';
+import { livePromotions } from '../../components/utils/promotions';
+import { sumMoney } from '../../components/utils/money';
+
+const userPermissions = (db, user) => new Set(user.roles.flatMap(roleName => {
+  const role = db.roles.find(r => r.name === roleName);
+  return role ? db.rolePermissions[role.id] || [] : [];
+}));
+
+const approvalThreshold = (db) => db.priceOverridePolicy?.approvalThresholdPercent ?? 10;
+
+const validateSpec = (spec, field, fieldErrors, { discount = false } = {}) => {
+  if (!spec) return;
+  if (!OVERRIDE_REASONS[spec.reasonCode]) fieldErrors[`${field}.reasonCode`] = 'Pick a reason';
+  else if (NOTE_REQUIRED_REASONS.includes(spec.reasonCode) && !String(spec.note || '').trim()) fieldErrors[`${field}.note`] = 'Say what the reason is';
+  if (discount) {
+    const value = Number(spec.value);
+    if (!Object.values(DISCOUNT_KINDS).includes(spec.kind)) fieldErrors[`${field}.kind`] = 'Unknown discount kind';
+    else if (!Number.isFinite(value) || value <= 0 || (spec.kind === DISCOUNT_KINDS.PERCENT && value > 100)) {
+      fieldErrors[`${field}.value`] = 'Out of range';
+    }
+  }
+};
+
+// An approval is good for one sale, and for no more than the manager approved
+const checkApprovals = (db, specs, percent, field, fieldErrors) => {
+  if (!needsApproval(percent, approvalThreshold(db))) return [];
+  const approvals = specs.filter(spec => spec?.approval).map(spec => findById(db.overrideApprovals, spec.approval.id));
+  if (approvals.some(approval => !approval || approval.saleId)) {
+    fieldErrors[field] = 'Manager approval is invalid or was already used';
+  } else if (needsApproval(percent, approvalThreshold(db), approvedPercent(approvals.map(approval => ({ approval }))))) {
+    fieldErrors[field] = `Gives away ${percent.toFixed(1)}%, which needs a manager's approval`;
+  }
+  return approvals.filter(Boolean);
+};
+
+// The sale keeps who approved an override as recorded here, not as the till sent it
+const withStoredApproval = (db, spec) => {
+  const approval = spec?.approval && findById(db.overrideApprovals, spec.approval.id);
+  if (!approval) return spec;
+  const { id, percent, approvedById, approvedByName, approvedAt } = approval;
+  return { ...spec, approval: { id, percent, approvedById, approvedByName, approvedAt } };
+};
+
+const findDiscountCode = (db, code) => {
+  if (!code) return null;
+  const discount = db.discounts.find(record => normalizeCode(record.code) === normalizeCode(code));
+  const problem = discount ? discountCodeProblem(discount) : `There is no discount code ${normalizeCode(code)}`;
+  if (problem) throw httpError(400, problem, { fieldErrors: { discountCode: problem } });
+  return discount;
+};
+
+// A code must take something off the sale it was entered on
+const checkDiscountCode = (discount, priced) => {
+  if (!discount || priced.some(line => line.overrides.some(override => override.type === OVERRIDE_TYPES.DISCOUNT_CODE))) return;
+  const shortfall = minSpendShortfall(discount, sumMoney(priced, lineSubtotal));
+  const problem = shortfall > 0
+    ? `Spend Ksh ${shortfall.toFixed(2)} more to use code ${normalizeCode(discount.code)}`
+    : `Code ${normalizeCode(discount.code)} does not cover any item in the sale`;
+  throw httpError(400, problem, { fieldErrors: { discountCode: problem } });
+};
+
+/**
+ * Prices a sale's lines with the promotions running when it was made, their
+ * overrides, discount code and cart discount, checking each override has a reason and that any over the
+ * approval threshold was approved by a manager. Used by recordSale; the
+ * approvals are marked used and the code's use counted once it's stored.
+ * @param {Object} db
+ * @param {Array} lines - Sale lines with `price` and, when overridden, `originalPrice`
+ * @param {Object} [cartDiscount]
+ * @param {string} [code] - Discount code entered at the till
+ * @param {Date} [soldAt] - When the sale was rung up, which is earlier than now for a sale queued offline
+ * @returns {{lines: Array, cartDiscount: Object|null, discount: Object|null, approvals: Array}} Priced
+ *   lines, the cart discount as stored, the discount the code is for, and the approval records used
+ */
+export const applyPriceOverrides = (db, lines, cartDiscount, code, soldAt = new Date()) => {
+  const fieldErrors = {};
+  const discount = findDiscountCode(db, code);
+  lines.forEach((line, index) => {
+    validateSpec(line.priceOverride, `items[${index}].priceOverride`, fieldErrors);
+    validateSpec(line.manualDiscount, `items[${index}].manualDiscount`, fieldErrors, { discount: true });
+    if (line.priceOverride && !(line.price >= 0)) fieldErrors[`items[${index}].price`] = 'Must be zero or more';
+  });
+  validateSpec(cartDiscount, 'cartDiscount', fieldErrors, { discount: true });
+  if (Object.keys(fieldErrors).length > 0) {
+    throw httpError(400, 'Some price overrides are invalid', { fieldErrors });
+  }
+
+  const storedCartDiscount = withStoredApproval(db, cartDiscount) || null;
+  const priced = priceLines(lines.map(line => ({
+    ...line,
+    ...(line.priceOverride ? { priceOverride: withStoredApproval(db, line.priceOverride) } : {}),
+    ...(line.manualDiscount ? { manualDiscount: withStoredApproval(db, line.manualDiscount) } : {})
+  })), storedCartDiscount, discount && toAppliedCode(discount), livePromotions(db.promotions, soldAt));
+  checkDiscountCode(discount, priced);
+  const approvals = priced.flatMap((line, index) => checkApprovals(
+    db, [line.priceOverride, line.manualDiscount], lineOverridePercent(line), `items[${index}].approval`, fieldErrors
+  ));
+  if (cartDiscount) {
+    approvals.push(...checkApprovals(db, [storedCartDiscount], cartDiscountPercent(priced), 'cartDiscount.approval', fieldErrors));
+  }
+  if (Object.keys(fieldErrors).length > 0) {
+    throw httpError(403, 'Some price overrides need a manager\'s approval', { fieldErrors });
+  }
+  return { lines: priced, cartDiscount: storedCartDiscount, discount, approvals };
+};
+
+export const priceOverrideHandlers = [
+  // A manager approves an override at the till with their PIN
+  http.post('/price-overrides/approvals', ({ body, user, db }) => {
+    const manager = db.users.find(u => u.username === body?.username);
+    if (!manager || !manager.active || !manager.pin || manager.pin !== String(body?.pin)) {
+      throw httpError(401, 'Incorrect username or PIN');
+    }
+    if (!userPermissions(db, manager).has('pos_override')) {
+      throw httpError(403, `${manager.fullName} is not allowed to approve price overrides`);
+    }
+    const percent = Number(body.percent);
+    if (!Object.values(OVERRIDE_TYPES).includes(body.type) || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw httpError(400, 'Say what is being approved', { fieldErrors: { percent: 'Between 0 and 100' } });
+    }
+
+    const approval = {
+      id: `APR-${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+      type: body.type,
+      // Rounded up so the cent rounding of the discount itself stays covered
+      percent: Math.ceil(percent * 100) / 100,
+      reasonCode: body.reasonCode || null,
+      approvedById: manager.id,
+      approvedByName: manager.fullName,
+      requestedById: user.id,
+      approvedAt: new Date().toISOString(),
+      saleId: null
+    };
+    db.overrideApprovals.push(approval);
+    return approval;
+  })
+];
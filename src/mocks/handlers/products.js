@@ -0,0 +1,154 @@
+import { http, httpError, json } from '../http';
+import { findById, nextId, removeById, touch } from '../db';
+import { paginate, productView } from '../views';
+
+const NUMERIC_FIELDS = ['price', 'costPrice', 'quantityInStock', 'lowStockThreshold', 'categoryId', 'brandId', 'unitId', 'supplierId'];
+
+// Multipart bodies arrive as strings (or nested under `request`); store numbers as numbers
+const toProductFields = (body) => {
+  const fields = { ...(body.request || body.product || {}), ...body };
+  delete fields.request;
+  delete fields.product;
+  delete fields.imageFile;
+  delete fields.image;
+  NUMERIC_FIELDS.forEach(field => {
+    if (fields[field] !== undefined && fields[field] !== null && fields[field] !== '') {
+      fields[field] = Number(fields[field]);
+    }
+  });
+  return fields;
+};
+
+const findProduct = (db, id) => {
+  const product = findById(db.products, id);
+  if (!product) throw httpError(404, `Product ${id} not found`);
+  return product;
+};
+
+const assertUniqueCodes = (db, fields, id) => {
+  const fieldErrors = {};
+  ['sku', 'barcode'].forEach(field => {
+    if (fields[field] && db.products.some(p => p[field] === fields[field] && String(p.id) !== String(id))) {
+      fieldErrors[field] = `This ${field} is already in use`;
+    }
+  });
+  if (Object.keys(fieldErrors).length > 0) {
+    throw httpError(409, 'Product conflicts with an existing one', { fieldErrors });
+  }
+};
+
+const searchProducts = (db, term) => {
+  const needle = String(term || '').toLowerCase();
+  return db.products.filter(product => [product.name, product.sku, product.barcode]
+    .some(value => String(value || '').toLowerCase().includes(needle)));
+};
+
+export const productHandlers = [
+  http.get('/products', ({ query, db }) => paginate(db.products.map(product => productView(db, product)), query)),
+
+  http.get('/products/search', ({ query, db }) => paginate(searchProducts(db, query.query || query.q)
+    .filter(product => !query.categoryId || String(product.categoryId) === String(query.categoryId))
+    .map(product => productView(db, product)), query)),
+
+  // Products added or changed, and IDs deleted, since a sync; no `since` sends everything
+  http.get('/products/changes', ({ query, db }) => {
+    const since = query.since ? new Date(query.since).toISOString() : '';
+    return {
+      products: db.products
+        .filter(product => (product.updatedAt || product.createdAt || '') >= since)
+        .map(product => productView(db, product)),
+      deletedIds: db.deletedProducts.filter(entry => entry.deletedAt >= since).map(entry => entry.id),
+      syncedAt: new Date().toISOString()
+    };
+  }),
+
+  http.get('/products/count', ({ db }) => db.products.length),
+
+  http.get('/products/low-stock', ({ db }) => db.products
+    .filter(product => product.quantityInStock <= product.lowStockThreshold)
+    .map(product => productView(db, product))),
+
+  http.get('/products/expiring', ({ query, db }) => {
+    const days = Number(query.days) || 30;
+    const cutoff = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return db.products
+      .filter(product => product.expiryDate && product.expiryDate <= cutoff)
+      .map(product => productView(db, product));
+  }),
+
+  http.get('/products/check-sku', ({ query, db }) => db.products.some(p => p.sku === query.sku && String(p.id) !== String(query.excludeId))),
+
+  http.get('/products/check-barcode', ({ query, db }) => db.products.some(p => p.barcode === query.barcode && String(p.id) !== String(query.excludeId))),
+
+  http.get('/products/export', ({ db }) => {
+    const header = 'id,name,sku,barcode,price,costPrice,quantityInStock';
+    const rows = db.products.map(p => [p.id, `"${p.name}"`, p.sku, p.barcode, p.price, p.costPrice, p.quantityInStock].join(','));
+    return [header, ...rows].join('\n');
+  }),
+
+  http.post('/products/import', () => json({ imported: 0, message: 'Import is not supported by the mock backend' })),
+
+  http.get('/products/supplier/:supplierId', ({ params, db }) => db.products
+    .filter(product => String(product.supplierId) === String(params.supplierId))
+    .map(product => productView(db, product))),
+
+  http.get('/products/category/:categoryId', ({ params, query, db }) => paginate(db.products
+    .filter(product => String(product.categoryId) === String(params.categoryId))
+    .map(product => productView(db, product)), query)),
+
+  http.get('/products/:id', ({ params, db }) => productView(db, findProduct(db, params.id))),
+
+  http.get('/products/:id/image', () => {
+    throw httpError(404, 'No image for this product');
+  }),
+
+  http.delete('/products/:id/image', ({ params, db }) => {
+    const product = findProduct(db, params.id);
+    touch(product).hasImage = false;
+    return productView(db, product);
+  }),
+
+  http.post('/products', ({ body, db }) => {
+    const fields = toProductFields(body);
+    if (!fields.name) {
+      throw httpError(400, 'Product name is required', { fieldErrors: { name: 'Name is required' } });
+    }
+    assertUniqueCodes(db, fields);
+    const product = {
+      quantityInStock: 0,
+      lowStockThreshold: 0,
+      description: '',
+      expiryDate: null,
+      ...fields,
+      id: nextId(db.products),
+      hasImage: false,
+      createdAt: new Date().toISOString()
+    };
+    db.products.push(touch(product));
+    return json(productView(db, product), 201);
+  }),
+
+  ...['/products/:id', '/products/:id/with-image'].map(path => http.put(path, ({ params, body, db }) => {
+    const product = findProduct(db, params.id);
+    const fields = toProductFields(body);
+    assertUniqueCodes(db, fields, product.id);
+    Object.assign(product, fields, { id: product.id });
+    return productView(db, touch(product));
+  })),
+
+  http.post('/products/:id/stock', ({ params, body, db }) => {
+    const product = findProduct(db, params.id);
+    touch(product).quantityInStock += Number(body.quantity) || 0;
+    return productView(db, product);
+  }),
+
+  http.delete('/products/:id', ({ params, db }) => {
+    findProduct(db, params.id);
+    if (db.sales.some(sale => sale.items.some(item => String(item.productId) === String(params.id)))) {
+      throw httpError(409, 'This product has sales and cannot be deleted');
+    }
+    removeById(db.products, params.id);
+    db.deletedProducts.push({ id: Number(params.id), deletedAt: new Date().toISOString() });
+    return null;
+  })
+];
@@ -0,0 +1,78 @@
+import { http, httpError, json } from '../http';
+import { findById, nextId, removeById } from '../db';
+import { PROMOTION_TYPES, validatePromotion } from '../../components/utils/promotions';
+
+const RULE_FIELDS = {
+  [PROMOTION_TYPES.BUY_X_GET_Y]: ['buyQuantity', 'getQuantity', 'getPercent'],
+  [PROMOTION_TYPES.BUNDLE]: ['bundleQuantity', 'bundlePrice'],
+  [PROMOTION_TYPES.QUANTITY_TIER]: ['tiers'],
+  [PROMOTION_TYPES.SPEND_THRESHOLD]: ['minSpend', 'percent', 'amountOff']
+};
+
+const findPromotion = (db, id) => {
+  const promotion = findById(db.promotions, id);
+  if (!promotion) throw httpError(404, `Promotion ${id} not found`);
+  return promotion;
+};
+
+// Only the fields a promotion of its type uses, with numbers as numbers
+const toStoredPromotion = (body) => {
+  const fieldErrors = validatePromotion(body || {});
+  if (Object.keys(fieldErrors).length > 0) {
+    throw httpError(400, 'This promotion is not complete', { fieldErrors });
+  }
+  const rule = {};
+  RULE_FIELDS[body.type].forEach(field => {
+    const value = body.rule[field];
+    if (value == null || value === '') return;
+    rule[field] = field === 'tiers'
+      ? value
+        .map(tier => ({ minQuantity: Number(tier.minQuantity), percent: Number(tier.percent) }))
+        .sort((a, b) => a.minQuantity - b.minQuantity)
+      : Number(value);
+  });
+  const { days = [], startTime, endTime } = body.schedule || {};
+  return {
+    name: body.name.trim(),
+    description: body.description || '',
+    type: body.type,
+    active: body.active !== false,
+    productIds: (body.productIds || []).map(Number),
+    startsAt: body.startsAt || null,
+    endsAt: body.endsAt || null,
+    schedule: days.length > 0 || startTime ? { days: days.map(Number), startTime: startTime || null, endTime: endTime || null } : null,
+    rule
+  };
+};
+
+// Switched on and not over; the till works out which are running at the moment of sale
+const isCurrent = (promotion, today) => promotion.active && (!promotion.endsAt || String(promotion.endsAt).slice(0, 10) >= today);
+
+export const promotionHandlers = [
+  http.get('/promotions', ({ db }) => db.promotions),
+
+  http.get('/promotions/active', ({ db }) => {
+    const today = new Date().toISOString().slice(0, 10);
+    return db.promotions.filter(promotion => isCurrent(promotion, today));
+  }),
+
+  http.get('/promotions/:id', ({ params, db }) => findPromotion(db, params.id)),
+
+  http.post('/promotions', ({ body, db }) => {
+    const promotion = { ...toStoredPromotion(body), id: nextId(db.promotions), createdAt: new Date().toISOString() };
+    db.promotions.push(promotion);
+    return json(promotion, 201);
+  }),
+
+  http.put('/promotions/:id', ({ params, body, db }) => {
+    const promotion = findPromotion(db, params.id);
+    Object.assign(promotion, toStoredPromotion(body), { updatedAt: new Date().toISOString() });
+    return promotion;
+  }),
+
+  http.delete('/promotions/:id', ({ params, db }) => {
+    findPromotion(db, params.id);
+    removeById(db.promotions, params.id);
+    return null;
+  })
+];
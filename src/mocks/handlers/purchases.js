@@ -0,0 +1,105 @@
+import { http, httpError, json } from '../http';
+import { findById, nextId, removeById, touch } from '../db';
+import { purchaseView } from '../views';
+import { multiplyMoney, roundMoney, sumMoney } from '../../components/utils/money';
+
+const findPurchase = (db, id) => {
+  const purchase = findById(db.purchases, id);
+  if (!purchase) throw httpError(404, `Purchase ${id} not found`);
+  return purchase;
+};
+
+const assertPending = (purchase, action) => {
+  if (purchase.status !== 'PENDING') {
+    throw httpError(409, `Only pending purchases can be ${action} (this one is ${purchase.status})`);
+  }
+};
+
+const toItems = (db, items = []) => {
+  if (items.length === 0) {
+    throw httpError(400, 'A purchase needs at least one item', { fieldErrors: { items: 'Add at least one item' } });
+  }
+  return items.map((item, index) => {
+    if (!findById(db.products, item.productId)) {
+      throw httpError(400, `Product ${item.productId} not found`, { fieldErrors: { [`items[${index}].productId`]: 'Unknown product' } });
+    }
+    return { productId: Number(item.productId), quantity: Number(item.quantity) || 0, unitPrice: Number(item.unitPrice) || 0 };
+  });
+};
+
+export const purchaseHandlers = [
+  http.get('/purchases', ({ db }) => db.purchases.map(purchase => purchaseView(db, purchase))),
+
+  http.get('/purchases/pending', ({ db }) => db.purchases
+    .filter(purchase => purchase.status === 'PENDING')
+    .map(purchase => purchaseView(db, purchase))),
+
+  http.get('/purchases/:id', ({ params, db }) => purchaseView(db, findPurchase(db, params.id))),
+
+  http.post('/purchases', ({ body, db }) => {
+    if (!findById(db.suppliers, body.supplierId)) {
+      throw httpError(400, 'Supplier not found', { fieldErrors: { supplierId: 'Select a supplier' } });
+    }
+    const purchase = {
+      id: nextId(db.purchases),
+      supplierId: Number(body.supplierId),
+      status: 'PENDING',
+      orderDate: body.orderDate || new Date().toISOString(),
+      receivedDate: null,
+      items: toItems(db, body.items)
+    };
+    db.purchases.push(purchase);
+    return json(purchaseView(db, purchase), 201);
+  }),
+
+  http.put('/purchases/:id', ({ params, body, db }) => {
+    const purchase = findPurchase(db, params.id);
+    assertPending(purchase, 'edited');
+    Object.assign(purchase, {
+      supplierId: body.supplierId ? Number(body.supplierId) : purchase.supplierId,
+      orderDate: body.orderDate || purchase.orderDate,
+      items: body.items ? toItems(db, body.items) : purchase.items
+    });
+    return purchaseView(db, purchase);
+  }),
+
+  // Receiving adds the ordered quantities to stock
+  http.post('/purchases/:id/receive', ({ params, db }) => {
+    const purchase = findPurchase(db, params.id);
+    assertPending(purchase, 'received');
+    purchase.items.forEach(item => {
+      const product = findById(db.products, item.productId);
+      if (product) {
+        touch(product).quantityInStock += item.quantity;
+        product.costPrice = item.unitPrice || product.costPrice;
+      }
+    });
+    purchase.status = 'RECEIVED';
+    purchase.receivedDate = new Date().toISOString();
+    return purchaseView(db, purchase);
+  }),
+
+  http.post('/purchases/:id/cancel', ({ params, db }) => {
+    const purchase = findPurchase(db, params.id);
+    assertPending(purchase, 'cancelled');
+    purchase.status = 'CANCELLED';
+    return purchaseView(db, purchase);
+  }),
+
+  http.post('/purchases/:id/discount', ({ params, body, db }) => {
+    const purchase = findPurchase(db, params.id);
+    assertPending(purchase, 'discounted');
+    const gross = sumMoney(purchase.items, item => multiplyMoney(item.unitPrice, item.quantity));
+    purchase.discountAmount = body.discountPercentage
+      ? multiplyMoney(gross, Number(body.discountPercentage) / 100)
+      : roundMoney(body.discountAmount);
+    return purchaseView(db, purchase);
+  }),
+
+  http.delete('/purchases/:id', ({ params, db }) => {
+    const purchase = findPurchase(db, params.id);
+    assertPending(purchase, 'deleted');
+    removeById(db.purchases, params.id);
+    return null;
+  })
+];
@@ -0,0 +1,249 @@
+import { http, httpError, json } from '../http';
+import { findById, nextId } from '../db';
+import { inDateRange, productView, purchaseView, saleView } from '../views';
+import { dailySummary } from './sales';
+import { summarizeTax } from '../../components/utils/tax';
+import { overrideReasonLabel } from '../../components/utils/priceOverrides';
+import { addMoney, multiplyMoney, roundMoney, subtractMoney, sumMoney } from '../../components/utils/money';
+
+const completedSales = (db, query) => inDateRange(db.sales, 'saleDate', query)
+  .filter(sale => sale.status === 'COMPLETED')
+  .map(sale => saleView(db, sale));
+
+const salesReport = (db, query) => {
+  const sales = completedSales(db, query);
+  const byDay = sales.reduce((acc, sale) => {
+    const day = sale.saleDate.slice(0, 10);
+    acc[day] = acc[day] || { date: day, transactions: 0, revenue: 0 };
+    acc[day].transactions += 1;
+    acc[day].revenue = addMoney(acc[day].revenue, sale.total);
+    return acc;
+  }, {});
+
+  return {
+    startDate: query.startDate || null,
+    endDate: query.endDate || null,
+    totalSales: sales.length,
+    totalRevenue: sumMoney(sales, sale => sale.total),
+    totalTax: sumMoney(sales, sale => sale.tax),
+    totalDiscount: sumMoney(sales, sale => sale.discountAmount),
+    averageSale: sales.length ? roundMoney(sumMoney(sales, sale => sale.total) / sales.length) : 0,
+    dailySales: Object.values(byDay).sort((a, b) => a.date.localeCompare(b.date)),
+    sales
+  };
+};
+
+const productReport = (db, query) => {
+  const rows = {};
+  completedSales(db, query).forEach(sale => sale.items.forEach(item => {
+    const row = rows[item.productId] || (rows[item.productId] = {
+      productId: item.productId,
+      productName: item.productName,
+      sku: item.sku,
+      unitsSold: 0,
+      revenue: 0,
+      cost: 0
+    });
+    row.unitsSold += item.quantity;
+    row.revenue = addMoney(row.revenue, item.totalPrice);
+    row.cost = addMoney(row.cost, multiplyMoney(item.costPrice, item.quantity));
+  }));
+
+  return Object.values(rows)
+    .map(row => ({ ...row, quantitySold: row.unitsSold, profit: subtractMoney(row.revenue, row.cost) }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+const profitLoss = (db, query) => {
+  const products = productReport(db, query);
+  const totalRevenue = sumMoney(products, row => row.revenue);
+  const totalCost = sumMoney(products, row => row.cost);
+  const expenses = inDateRange(db.payments, 'paymentDate', query)
+    .map(payment => ({ category: 'Salaries', description: payment.description, amount: payment.amount, date: payment.paymentDate }));
+  const operatingExpenses = sumMoney(expenses, expense => expense.amount);
+  const grossProfit = subtractMoney(totalRevenue, totalCost);
+
+  return {
+    startDate: query.startDate || null,
+    endDate: query.endDate || null,
+    totalRevenue,
+    totalCost,
+    grossProfit,
+    operatingExpenses,
+    expenses,
+    otherIncome: 0,
+    otherExpenses: 0,
+    netProfit: subtractMoney(grossProfit, operatingExpenses)
+  };
+};
+
+const inventoryReport = (db) => db.products.map(product => {
+  const view = productView(db, product);
+  return {
+    productId: product.id,
+    productName: product.name,
+    sku: product.sku,
+    category: view.categoryName,
+    quantity: product.quantityInStock,
+    costPrice: product.costPrice,
+    sellingPrice: product.price,
+    totalValue: multiplyMoney(product.costPrice, product.quantityInStock),
+    retailValue: multiplyMoney(product.price, product.quantityInStock)
+  };
+});
+
+const supplierReport = (db, query) => {
+  const purchases = inDateRange(db.purchases, 'orderDate', query)
+    .filter(purchase => purchase.status !== 'CANCELLED')
+    .filter(purchase => !query.supplierId || String(purchase.supplierId) === String(query.supplierId))
+    .map(purchase => purchaseView(db, purchase));
+
+  return db.suppliers
+    .map(supplier => {
+      const own = purchases.filter(purchase => purchase.supplierId === supplier.id);
+      const dates = own.map(purchase => purchase.orderDate).sort();
+      return {
+        supplierId: supplier.id,
+        supplierName: supplier.contactPerson,
+        companyName: supplier.companyName,
+        purchaseCount: own.length,
+        totalAmount: sumMoney(own, purchase => purchase.totalAmount),
+        firstPurchaseDate: dates[0] || null,
+        lastPurchaseDate: dates[dates.length - 1] || null,
+        purchaseDates: dates
+      };
+    })
+    .filter(row => row.purchaseCount > 0);
+};
+
+const taxReport = (db, query) => ({
+  startDate: query.startDate || null,
+  endDate: query.endDate || null,
+  ...summarizeTax(completedSales(db, query), db.taxSettings)
+});
+
+// One row per override per sale line, e.g. a price override and the line's share of a cart discount
+const priceOverrideReport = (db, query) => {
+  const rows = completedSales(db, query).flatMap(sale => sale.items.flatMap(item => (item.overrides || [])
+    .filter(override => override.amount !== 0)
+    .map(override => ({
+      saleId: sale.id,
+      saleDate: sale.saleDate,
+      cashierId: sale.cashierId,
+      cashierName: sale.cashierName,
+      productId: item.productId,
+      productName: item.productName,
+      quantity: item.quantity,
+      originalPrice: item.originalPrice ?? item.price,
+      price: item.price,
+      type: override.type,
+      amount: override.amount,
+      reasonCode: override.reasonCode,
+      reason: overrideReasonLabel(override.reasonCode),
+      note: override.note,
+      code: override.code || null,
+      promotionId: override.promotionId || null,
+      promotion: override.promotionId ? override.name : null,
+      approvedByName: override.approval?.approvedByName || null
+    }))));
+
+  const totalsBy = (key, label) => Object.values(rows.reduce((acc, row) => {
+    const entry = acc[row[key]] || (acc[row[key]] = { [key]: row[key], [label]: row[label], count: 0, amount: 0 });
+    entry.count += 1;
+    entry.amount = addMoney(entry.amount, row.amount);
+    return acc;
+  }, {})).sort((a, b) => b.amount - a.amount);
+
+  return {
+    startDate: query.startDate || null,
+    endDate: query.endDate || null,
+    totalAmount: sumMoney(rows, 'amount'),
+    approvedCount: rows.filter(row => row.approvedByName).length,
+    byReason: totalsBy('reasonCode', 'reason'),
+    byCashier: totalsBy('cashierId', 'cashierName'),
+    rows
+  };
+};
+
+const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]).filter(key => typeof rows[0][key] !== 'object');
+  const cell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  return [columns.join(','), ...rows.map(row => columns.map(key => cell(row[key])).join(','))].join('\n');
+};
+
+const exportRows = (db, query) => {
+  switch (String(query.reportType || '').toUpperCase()) {
+    case 'SALES': return salesReport(db, query).sales;
+    case 'PRODUCTS': return productReport(db, query);
+    case 'INVENTORY': return inventoryReport(db);
+    case 'SUPPLIERS': return supplierReport(db, query);
+    case 'PROFIT_LOSS': return [profitLoss(db, query)];
+    case 'TAX': return [taxReport(db, query)];
+    case 'PRICE_OVERRIDES': return priceOverrideReport(db, query).rows;
+    default: throw httpError(400, `Unknown report type ${query.reportType}`);
+  }
+};
+
+// The same reports are served under /reports and /reports/financial
+const reportRoutes = (base) => [
+  http.get(`${base}/sales`, ({ query, db }) => salesReport(db, query)),
+  http.get(`${base}/products`, ({ query, db }) => productReport(db, query)),
+  http.get(`${base}/profit-loss`, ({ query, db }) => profitLoss(db, query)),
+  http.get(`${base}/inventory`, ({ db }) => inventoryReport(db)),
+  http.get(`${base}/suppliers`, ({ query, db }) => supplierReport(db, query)),
+  http.get(`${base}/tax`, ({ query, db }) => taxReport(db, query)),
+  http.get(`${base}/price-overrides`, ({ query, db }) => priceOverrideReport(db, query)),
+  http.get(`${base}/daily-summary`, ({ query, db }) => dailySummary(db, query.date)),
+  http.post(`${base}/export`, ({ body, db }) => {
+    if (body.format && String(body.format).toUpperCase() !== 'CSV') {
+      throw httpError(400, 'The mock backend only exports CSV');
+    }
+    return toCsv(exportRows(db, body));
+  })
+];
+
+export const reportHandlers = [
+  ...reportRoutes('/reports/financial'),
+  ...reportRoutes('/reports'),
+
+  http.get('/dashboard/low-stock', ({ db }) => db.products
+    .filter(product => product.quantityInStock <= product.lowStockThreshold)
+    .map(product => ({
+      productId: product.id,
+      productName: product.name,
+      sku: product.sku,
+      currentStock: product.quantityInStock,
+      threshold: product.lowStockThreshold,
+      category: findById(db.categories, product.categoryId)?.name || null
+    }))),
+
+  http.get('/dashboard/top-products', ({ db }) => productReport(db, {})
+    .slice(0, 5)
+    .map(({ productId, productName, unitsSold, revenue }) => ({ productId, productName, unitsSold, revenue })))
+];
+
+export const paymentHandlers = [
+  http.get('/payments', ({ db }) => db.payments),
+
+  http.get('/payments/worker/:workerId', ({ params, db }) => db.payments
+    .filter(payment => String(payment.workerId) === String(params.workerId))),
+
+  http.post('/payments', ({ body, db }) => {
+    const worker = findById(db.users, body.workerId);
+    if (!worker) throw httpError(400, 'Worker not found', { fieldErrors: { workerId: 'Select a worker' } });
+    if (!(Number(body.amount) > 0)) throw httpError(400, 'Amount must be positive', { fieldErrors: { amount: 'Enter an amount' } });
+
+    const payment = {
+      id: nextId(db.payments),
+      workerId: worker.id,
+      workerName: worker.fullName,
+      amount: Number(body.amount),
+      paymentDate: body.paymentDate || new Date().toISOString(),
+      description: body.description || '',
+      paymentMethod: body.paymentMethod || 'CASH'
+    };
+    db.payments.push(payment);
+    return json(payment, 201);
+  })
+];
@@ -0,0 +1,231 @@
+import { http, httpError, json } from '../http';
+import { findById, nextId, removeById, touch } from '../db';
+import { inDateRange, productTaxClass, saleTotals, saleView } from '../views';
+import { addMoney, roundMoney, sumMoney, toCents } from '../../components/utils/money';
+import { applyPriceOverrides } from './priceOverrides';
+import { normalizeCode } from '../../components/utils/discountCodes';
+
+const findSale = (db, id) => {
+  const sale = findById(db.sales, id);
+  if (!sale) throw httpError(404, `Sale ${id} not found`);
+  return sale;
+};
+
+const restock = (db, sale) => {
+  sale.items.forEach(item => {
+    const product = findById(db.products, item.productId);
+    if (product) touch(product).quantityInStock += item.quantity;
+  });
+};
+
+/**
+ * Records a sale and takes its items out of stock. Shared with cart checkout.
+ * @param {Object} db - Mock tables
+ * @param {Object} body - Sale request ({ customerId, paymentMethod, payments?: [{ method, amount, reference? }], items: [{ productId, quantity, price?, discount?, priceOverride?, manualDiscount? }], cartDiscount?, discountCode?, roundingAdjustment? })
+ * @param {Object} user - Signed-in user
+ * @returns {Object} Stored sale
+ */
+export const recordSale = (db, body, user) => {
+  const items = body.items || [];
+  if (items.length === 0) {
+    throw httpError(400, 'A sale needs at least one item', { fieldErrors: { items: 'Add at least one item' } });
+  }
+
+  const fieldErrors = {};
+  const lines = items.map((item, index) => {
+    const product = findById(db.products, item.productId);
+    const quantity = Number(item.quantity) || 0;
+    if (!product) {
+      fieldErrors[`items[${index}].productId`] = `Product ${item.productId} not found`;
+    } else if (quantity < 1 || quantity > product.quantityInStock) {
+      fieldErrors[`items[${index}].quantity`] = `Only ${product.quantityInStock} of ${product.name} in stock`;
+    }
+    return {
+      productId: product?.id ?? item.productId,
+      quantity,
+      price: Number(item.price ?? product?.price) || 0,
+      discount: Number(item.discount) || 0,
+      // Kept on the line so a later rate change doesn't alter this sale's tax
+      taxClass: productTaxClass(db, product),
+      // An override is measured against the shelf price, not what the till sent
+      ...(item.priceOverride ? { originalPrice: product?.price ?? null, priceOverride: item.priceOverride } : {}),
+      ...(item.manualDiscount ? { manualDiscount: item.manualDiscount } : {})
+    };
+  });
+  if (Object.keys(fieldErrors).length > 0) {
+    throw httpError(400, 'Some items cannot be sold', { fieldErrors });
+  }
+  // A sale queued offline gets the promotions that were running when it was rung up
+  const soldAt = body.soldAt && new Date(body.soldAt) < new Date() ? new Date(body.soldAt) : new Date();
+  const { lines: pricedLines, cartDiscount, discount, approvals } = applyPriceOverrides(db, lines, body.cartDiscount, body.discountCode, soldAt);
+
+  // Split-tender sales must be paid in full
+  const payments = Array.isArray(body.payments) && body.payments.length > 0
+    ? body.payments.map(payment => ({ ...payment, amount: roundMoney(payment.amount) }))
+    : null;
+  // Cash rounding: at most half the increment either way, and only when cash was taken
+  const roundingAdjustment = roundMoney(body.roundingAdjustment);
+  const halfIncrement = toCents(db.cashRounding?.increment || 0) / 2;
+  if (roundingAdjustment !== 0 &&
+      (Math.abs(toCents(roundingAdjustment)) > halfIncrement || !payments?.some(payment => payment.method === 'CASH'))) {
+    throw httpError(400, `A rounding adjustment of ${roundingAdjustment.toFixed(2)} is not allowed`, {
+      fieldErrors: { roundingAdjustment: 'Exceeds the cash rounding increment' }
+    });
+  }
+  if (payments) {
+    const due = addMoney(saleTotals(db, pricedLines).total, roundingAdjustment);
+    const paid = sumMoney(payments, 'amount');
+    if (paid !== due) {
+      throw httpError(400, `Payments of ${paid.toFixed(2)} do not match the amount due of ${due.toFixed(2)}`, {
+        fieldErrors: { payments: 'Must add up to the sale total' }
+      });
+    }
+  }
+
+  lines.forEach(line => {
+    touch(findById(db.products, line.productId)).quantityInStock -= line.quantity;
+  });
+
+  const sale = {
+    ...body,
+    id: nextId(db.sales),
+    customerId: body.customerId || null,
+    paymentMethod: body.paymentMethod || (payments?.length > 1 ? 'SPLIT' : payments?.[0]?.method) || 'CASH',
+    payments,
+    roundingAdjustment,
+    cartDiscount,
+    discountCode: discount ? normalizeCode(discount.code) : null,
+    cashierId: user.id,
+    status: 'COMPLETED',
+    saleDate: new Date().toISOString(),
+    items: pricedLines
+  };
+  db.sales.push(sale);
+  approvals.forEach(approval => { approval.saleId = sale.id; });
+  if (discount) discount.timesUsed = (Number(discount.timesUsed) || 0) + 1;
+  return sale;
+};
+
+const salesInRange = (db, query) => inDateRange(db.sales, 'saleDate', query).map(sale => saleView(db, sale));
+
+export const dailySummary = (db, date) => {
+  const day = date || new Date().toISOString().slice(0, 10);
+  const sales = db.sales
+    .filter(sale => sale.status === 'COMPLETED' && sale.saleDate.slice(0, 10) === day)
+    .map(sale => saleView(db, sale));
+  const sum = (field) => sumMoney(sales, field);
+  const tendered = (methods) => sumMoney(sales
+    .flatMap(sale => sale.payments)
+    .filter(payment => methods.includes(payment.method)), 'amount');
+
+  return {
+    date: day,
+    totalSales: sales.length,
+    totalTransactions: sales.length,
+    totalRevenue: sum('total'),
+    totalTax: sum('tax'),
+    totalDiscount: sum('discountAmount'),
+    cashTotal: tendered(['CASH']),
+    // Cash handed over and change given back; cashTotal is what stays in the drawer
+    cashTendered: sumMoney(sales, 'amountTendered'),
+    changeGiven: sumMoney(sales, 'changeGiven'),
+    roundingAdjustments: sumMoney(sales, 'roundingAdjustment'),
+    mpesaTotal: tendered(['MPESA', 'MPESA_MANUAL']),
+    cardTotal: tendered(['CARD']),
+    storeCreditTotal: tendered(['STORE_CREDIT'])
+  };
+};
+
+const cartView = (db) => {
+  const items = db.cart.map(item => {
+    const product = findById(db.products, item.productId);
+    return { ...item, name: product?.name, price: product?.price || 0, taxClass: productTaxClass(db, product) };
+  });
+  return { items, ...saleTotals(db, items) };
+};
+
+export const saleHandlers = [
+  http.get('/sales', ({ query, db }) => salesInRange(db, query)),
+
+  http.get('/sales/date-range', ({ query, db }) => salesInRange(db, query)),
+
+  http.get('/sales/daily-summary', ({ query, db }) => dailySummary(db, query.date)),
+
+  http.get('/sales/customer/:customerId', ({ params, db }) => db.sales
+    .filter(sale => String(sale.customerId) === String(params.customerId))
+    .map(sale => saleView(db, sale))),
+
+  http.get('/sales/status/:status', ({ params, db }) => db.sales
+    .filter(sale => sale.status === params.status.toUpperCase())
+    .map(sale => saleView(db, sale))),
+
+  http.get('/sales/:id', ({ params, db }) => saleView(db, findSale(db, params.id))),
+
+  http.get('/sales/:id/receipt', ({ params, db }) => {
+    const sale = saleView(db, findSale(db, params.id));
+    return { ...sale, receiptNumber: `RCPT-${String(sale.id).padStart(6, '0')}` };
+  }),
+
+  http.post('/sales', ({ body, headers, db, user }) => {
+    // A retried request (e.g. an offline sale syncing twice) gets the original sale back
+    const idempotencyKey = headers['Idempotency-Key'] || null;
+    const existing = idempotencyKey && db.sales.find(sale => sale.idempotencyKey === idempotencyKey);
+    if (existing) return saleView(db, existing);
+    return json(saleView(db, recordSale(db, { ...body, idempotencyKey }, user)), 201);
+  }),
+
+  http.patch('/sales/:id/status', ({ params, body, db }) => {
+    const sale = findSale(db, params.id);
+    const status = String(body.status || '').toUpperCase();
+    if (!['COMPLETED', 'PENDING', 'CANCELLED', 'REFUNDED'].includes(status)) {
+      throw httpError(400, `Unknown sale status ${body.status}`);
+    }
+    if (sale.status === 'CANCELLED' && status !== 'CANCELLED') {
+      throw httpError(409, 'A cancelled sale cannot be reopened');
+    }
+    if (sale.status !== 'CANCELLED' && (status === 'CANCELLED' || status === 'REFUNDED')) {
+      restock(db, sale);
+    }
+    sale.status = status;
+    return saleView(db, sale);
+  }),
+
+  http.delete('/sales/:id', ({ params, db }) => {
+    const sale = findSale(db, params.id);
+    if (sale.status !== 'CANCELLED') restock(db, sale);
+    removeById(db.sales, params.id);
+    return null;
+  }),
+
+  // Server-side cart used by cartService
+  http.get('/cart', ({ db }) => cartView(db)),
+
+  http.post('/cart', ({ body, db }) => {
+    const items = Array.isArray(body) ? body : body.items || [body];
+    items.forEach(({ productId, quantity = 1 }) => {
+      const line = db.cart.find(item => String(item.productId) === String(productId));
+      if (line) line.quantity += Number(quantity);
+      else db.cart.push({ productId: Number(productId), quantity: Number(quantity) });
+    });
+    return cartView(db);
+  }),
+
+  http.put('/cart/:productId', ({ params, body, db }) => {
+    const line = db.cart.find(item => String(item.productId) === String(params.productId));
+    if (!line) throw httpError(404, 'Item is not in the cart');
+    line.quantity = Number(body.quantity) || 0;
+    db.cart = db.cart.filter(item => item.quantity > 0);
+    return cartView(db);
+  }),
+
+  http.delete('/cart/:productId', ({ params, db }) => {
+    db.cart = db.cart.filter(item => String(item.productId) !== String(params.productId));
+    return cartView(db);
+  }),
+
+  http.post('/cart/checkout', ({ body, db, user }) => {
+    const sale = recordSale(db, { ...body, items: db.cart }, user);
+    db.cart = [];
+    return json(saleView(db, sale), 201);
+  })
+];
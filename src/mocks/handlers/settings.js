@@ -0,0 +1,80 @@
+import { http, httpError } from '../http';
+import { TAX_KINDS } from '../../components/utils/tax';
+
+const validateTaxSettings = (db, body) => {
+  const classes = Array.isArray(body.classes) ? body.classes : [];
+  if (classes.length === 0) {
+    throw httpError(400, 'Add at least one tax class', { fieldErrors: { classes: 'Required' } });
+  }
+
+  const fieldErrors = {};
+  const codes = new Set();
+  classes.forEach((taxClass, index) => {
+    const code = String(taxClass.code || '').trim();
+    if (!code) fieldErrors[`classes[${index}].code`] = 'Required';
+    else if (codes.has(code)) fieldErrors[`classes[${index}].code`] = 'Must be unique';
+    codes.add(code);
+    if (!String(taxClass.name || '').trim()) fieldErrors[`classes[${index}].name`] = 'Required';
+    if (!Object.values(TAX_KINDS).includes(taxClass.kind)) fieldErrors[`classes[${index}].kind`] = 'Unknown kind';
+    const rate = Number(taxClass.rate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) fieldErrors[`classes[${index}].rate`] = 'Must be between 0 and 100';
+  });
+  if (!codes.has(body.defaultClass)) fieldErrors.defaultClass = 'Pick one of the classes';
+  if (Object.keys(fieldErrors).length > 0) {
+    throw httpError(400, 'Some tax classes are invalid', { fieldErrors });
+  }
+
+  // Removing a class that products or categories still use would silently retax them
+  const inUse = [...db.products, ...db.categories].find(record => record.taxClass && !codes.has(record.taxClass));
+  if (inUse) {
+    throw httpError(409, `Tax class ${inUse.taxClass} is still assigned to ${inUse.name}`);
+  }
+
+  return {
+    defaultClass: body.defaultClass,
+    classes: classes.map(taxClass => ({
+      code: String(taxClass.code).trim(),
+      name: String(taxClass.name).trim(),
+      kind: taxClass.kind,
+      rate: taxClass.kind === TAX_KINDS.STANDARD ? Number(taxClass.rate) : 0,
+      priceIncludesTax: taxClass.priceIncludesTax !== false
+    }))
+  };
+};
+
+const CASH_ROUNDING_INCREMENTS = [0, 1, 5, 10];
+
+export const settingsHandlers = [
+  http.get('/settings/tax', ({ db }) => db.taxSettings),
+
+  http.put('/settings/tax', ({ body, db }) => {
+    db.taxSettings = validateTaxSettings(db, body);
+    return db.taxSettings;
+  }),
+
+  http.get('/settings/cash-rounding', ({ db }) => db.cashRounding),
+
+  http.put('/settings/cash-rounding', ({ body, db }) => {
+    const increment = Number(body.increment);
+    if (!CASH_ROUNDING_INCREMENTS.includes(increment)) {
+      throw httpError(400, `Cash rounding must be one of ${CASH_ROUNDING_INCREMENTS.join(', ')} shillings`, {
+        fieldErrors: { increment: 'Unsupported increment' }
+      });
+    }
+    db.cashRounding = { increment };
+    return db.cashRounding;
+  }),
+
+  http.get('/settings/price-overrides', ({ db }) => db.priceOverridePolicy),
+
+  http.put('/settings/price-overrides', ({ body, db }) => {
+    const percent = Number(body.approvalThresholdPercent);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw httpError(400, 'The approval threshold must be between 0 and 100 percent', {
+        fieldErrors: { approvalThresholdPercent: 'Between 0 and 100' }
+      });
+    }
+    db.priceOverridePolicy = { approvalThresholdPercent: percent };
+    return db.priceOverridePolicy;
+  })
+];
@@ -0,0 +1,163 @@
+import { http, httpError, json } from '../http';
+import { findById, nextId } from '../db';
+import { paginate, saleView } from '../views';
+import { addMoney, roundMoney, subtractMoney, sumMoney } from '../../components/utils/money';
+
+const findShift = (db, id) => {
+  const shift = findById(db.shifts, id);
+  if (!shift) throw httpError(404, `Shift ${id} not found`);
+  return shift;
+};
+
+const findOpenShift = (db, id) => {
+  const shift = findShift(db, id);
+  if (shift.status !== 'OPEN') throw httpError(409, 'This shift has already been closed');
+  return shift;
+};
+
+// Totals per key, e.g. per tender or per cashier
+const groupTotals = (entries, keyOf, extra = () => ({})) => Object.values(entries.reduce((acc, entry) => {
+  const key = keyOf(entry);
+  acc[key] = acc[key] || { ...extra(entry), count: 0, amount: 0 };
+  acc[key].count += 1;
+  acc[key].amount = addMoney(acc[key].amount, entry.amount);
+  return acc;
+}, {}));
+
+const cashOf = (sale) => sumMoney(sale.payments.filter(payment => payment.method === 'CASH'), 'amount');
+
+/**
+ * X report for an open shift, or the Z report once it is closed
+ * @param {Object} db - Mock tables
+ * @param {Object} shift
+ * @returns {Object} Report
+ */
+const shiftReport = (db, shift) => {
+  const sales = db.sales.filter(sale => String(sale.shiftId) === String(shift.id)).map(sale => saleView(db, sale));
+  // Everything rung up counts as taken; later voids and refunds are paid back out
+  const rungUp = sales.filter(sale => sale.status !== 'PENDING');
+  const refunded = rungUp.filter(sale => sale.status === 'CANCELLED' || sale.status === 'REFUNDED');
+
+  const grossSales = sumMoney(rungUp, 'total');
+  const refundsAmount = sumMoney(refunded, 'total');
+  const cashSales = sumMoney(rungUp, cashOf);
+  const cashRefunds = sumMoney(refunded, cashOf);
+  const payoutsTotal = sumMoney(shift.payouts, 'amount');
+  const expectedCash = subtractMoney(addMoney(shift.openingFloat, cashSales), addMoney(cashRefunds, payoutsTotal));
+
+  return {
+    type: shift.status === 'OPEN' ? 'X' : 'Z',
+    shiftId: shift.id,
+    reportNumber: shift.reportNumber || null,
+    terminalId: shift.terminalId,
+    openedAt: shift.openedAt,
+    openedByName: shift.openedByName,
+    closedAt: shift.closedAt || null,
+    closedByName: shift.closedByName || null,
+    openingFloat: shift.openingFloat,
+    salesCount: rungUp.length,
+    grossSales,
+    netSales: subtractMoney(grossSales, refundsAmount),
+    tenders: groupTotals(rungUp.flatMap(sale => sale.payments), payment => payment.method, payment => ({ method: payment.method })),
+    cashiers: groupTotals(
+      rungUp.map(sale => ({ cashierId: sale.cashierId, cashierName: sale.cashierName, amount: sale.total })),
+      entry => entry.cashierId,
+      entry => ({ cashierId: entry.cashierId, cashierName: entry.cashierName })
+    ),
+    terminals: groupTotals(
+      rungUp.map(sale => ({ terminalId: sale.terminalId || shift.terminalId, amount: sale.total })),
+      entry => entry.terminalId,
+      entry => ({ terminalId: entry.terminalId })
+    ),
+    refunds: { count: refunded.length, amount: refundsAmount },
+    cashSales,
+    cashRefunds,
+    changeGiven: sumMoney(rungUp, 'changeGiven'),
+    roundingAdjustments: sumMoney(rungUp, 'roundingAdjustment'),
+    payouts: shift.payouts,
+    payoutsTotal,
+    expectedCash,
+    countedCash: shift.countedCash ?? null,
+    variance: shift.countedCash == null ? null : subtractMoney(shift.countedCash, expectedCash),
+    notes: shift.closingNotes || null,
+    generatedAt: new Date().toISOString()
+  };
+};
+
+export const shiftHandlers = [
+  http.get('/shifts/current', ({ query, db }) => {
+    const shift = db.shifts.find(s => s.status === 'OPEN' && s.terminalId === query.terminalId);
+    if (!shift) throw httpError(404, 'No shift is open on this till');
+    return shift;
+  }),
+
+  http.post('/shifts', ({ body, db, user }) => {
+    const openingFloat = Number(body.openingFloat);
+    if (!Number.isFinite(openingFloat) || openingFloat < 0) {
+      throw httpError(400, 'Enter the opening float', { fieldErrors: { openingFloat: 'Must be zero or more' } });
+    }
+    if (db.shifts.some(s => s.status === 'OPEN' && s.terminalId === body.terminalId)) {
+      throw httpError(409, 'A shift is already open on this till');
+    }
+    const shift = {
+      id: nextId(db.shifts),
+      terminalId: body.terminalId,
+      status: 'OPEN',
+      openingFloat,
+      openingNotes: body.notes || '',
+      openedBy: user.id,
+      openedByName: user.fullName,
+      openedAt: new Date().toISOString(),
+      payouts: []
+    };
+    db.shifts.push(shift);
+    return json(shift, 201);
+  }),
+
+  http.get('/shifts/z-reports', ({ query, db }) => {
+    const reports = db.shifts
+      .filter(shift => shift.status === 'CLOSED')
+      .filter(shift => !query.terminalId || shift.terminalId === query.terminalId)
+      .filter(shift => !query.startDate || shift.closedAt.slice(0, 10) >= query.startDate)
+      .filter(shift => !query.endDate || shift.closedAt.slice(0, 10) <= query.endDate)
+      .sort((a, b) => b.closedAt.localeCompare(a.closedAt))
+      .map(shift => shiftReport(db, shift));
+    return paginate(reports, { page: 0, size: 20, ...query });
+  }),
+
+  http.get('/shifts/:id', ({ params, db }) => findShift(db, params.id)),
+
+  http.get('/shifts/:id/report', ({ params, db }) => shiftReport(db, findShift(db, params.id))),
+
+  http.post('/shifts/:id/payouts', ({ params, body, db, user }) => {
+    const shift = findOpenShift(db, params.id);
+    const amount = Number(body.amount);
+    if (!amount || amount <= 0) {
+      throw httpError(400, 'Enter the amount paid out', { fieldErrors: { amount: 'Must be more than zero' } });
+    }
+    if (!String(body.reason || '').trim()) {
+      throw httpError(400, 'Give a reason for the payout', { fieldErrors: { reason: 'Required' } });
+    }
+    const payout = { id: shift.payouts.length + 1, amount: roundMoney(amount), reason: body.reason.trim(), paidByName: user.fullName, paidAt: new Date().toISOString() };
+    shift.payouts.push(payout);
+    return json(payout, 201);
+  }),
+
+  http.post('/shifts/:id/close', ({ params, body, db, user }) => {
+    const shift = findOpenShift(db, params.id);
+    const countedCash = Number(body.countedCash);
+    if (!Number.isFinite(countedCash) || countedCash < 0) {
+      throw httpError(400, 'Enter the cash counted in the drawer', { fieldErrors: { countedCash: 'Must be zero or more' } });
+    }
+    Object.assign(shift, {
+      status: 'CLOSED',
+      countedCash: roundMoney(countedCash),
+      closingNotes: body.notes || '',
+      closedBy: user.id,
+      closedByName: user.fullName,
+      closedAt: new Date().toISOString(),
+      reportNumber: db.shifts.filter(s => s.status === 'CLOSED').length + 1
+    });
+    return shiftReport(db, shift);
+  })
+];
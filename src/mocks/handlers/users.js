@@ -0,0 +1,157 @@
+import { http, httpError } from '../http';
+import { findById, nextId, removeById } from '../db';
+import { userView } from '../views';
+
+const roleNamesFrom = (body) => {
+  if (Array.isArray(body.roles)) return body.roles.map(role => (typeof role === 'string' ? role : role.name));
+  if (body.role) return [body.role];
+  return ['CASHIER'];
+};
+
+const findRole = (db, id) => {
+  const role = findById(db.roles, id);
+  if (!role) throw httpError(404, `Role ${id} not found`);
+  return role;
+};
+
+// Accepts permission names or IDs
+const toPermissionNames = (db, values = []) => values.map(value => (
+  typeof value === 'string' && Number.isNaN(Number(value)) ? value : findById(db.permissions, value)?.name
+)).filter(Boolean);
+
+export const userHandlers = [
+  http.get('/users', ({ db }) => db.users.map(userView)),
+
+  http.get('/users/roles', ({ db }) => db.roles),
+
+  http.get('/users/check-username', ({ query, db }) => ({
+    available: !db.users.some(u => u.username === query.username)
+  })),
+
+  http.get('/users/:id', ({ params, db }) => {
+    const user = findById(db.users, params.id);
+    if (!user) throw httpError(404, 'User not found');
+    return userView(user);
+  }),
+
+  http.post('/users', ({ body, db }) => {
+    if (db.users.some(u => u.username === body.username)) {
+      throw httpError(409, 'Username is already taken', { fieldErrors: { username: 'Username is already taken' } });
+    }
+    const user = {
+      id: nextId(db.users),
+      username: body.username,
+      password: body.password,
+      pin: body.pin || null,
+      fullName: body.fullName || body.username,
+      email: body.email || '',
+      roles: roleNamesFrom(body),
+      active: body.active ?? true,
+      createdAt: new Date().toISOString()
+    };
+    db.users.push(user);
+    return userView(user);
+  }),
+
+  http.put('/users/:id', ({ params, body, db }) => {
+    const user = findById(db.users, params.id);
+    if (!user) throw httpError(404, 'User not found');
+    Object.assign(user, {
+      fullName: body.fullName ?? user.fullName,
+      email: body.email ?? user.email,
+      active: body.active ?? user.active,
+      roles: body.roles || body.role ? roleNamesFrom(body) : user.roles
+    });
+    return userView(user);
+  }),
+
+  http.put('/users/:id/password', ({ params, body, db }) => {
+    const user = findById(db.users, params.id);
+    if (!user) throw httpError(404, 'User not found');
+    if (body.currentPassword && body.currentPassword !== user.password) {
+      throw httpError(400, 'Current password is incorrect', { fieldErrors: { currentPassword: 'Current password is incorrect' } });
+    }
+    user.password = body.newPassword || body.password;
+    return { message: 'Password updated' };
+  }),
+
+  http.put('/users/:id/roles', ({ params, body, db }) => {
+    const user = findById(db.users, params.id);
+    if (!user) throw httpError(404, 'User not found');
+    user.roles = roleNamesFrom(body);
+    return userView(user);
+  }),
+
+  http.post('/users/:id/upload-profile', ({ params, db }) => {
+    const user = findById(db.users, params.id);
+    if (!user) throw httpError(404, 'User not found');
+    return userView(user);
+  }),
+
+  http.delete('/users/:id', ({ params, db }) => {
+    if (!removeById(db.users, params.id)) throw httpError(404, 'User not found');
+    return null;
+  }),
+
+  http.get('/roles', ({ db }) => db.roles),
+
+  http.post('/roles', ({ body, db }) => {
+    if (db.roles.some(role => role.name === body.name)) {
+      throw httpError(409, 'A role with this name already exists');
+    }
+    const role = { id: nextId(db.roles), name: body.name, description: body.description || '', updatedAt: new Date().toISOString() };
+    db.roles.push(role);
+    db.rolePermissions[role.id] = [];
+    return role;
+  }),
+
+  http.put('/roles/:id', ({ params, body, db }) => {
+    const role = findRole(db, params.id);
+    Object.assign(role, { name: body.name ?? role.name, description: body.description ?? role.description, updatedAt: new Date().toISOString() });
+    return role;
+  }),
+
+  http.delete('/roles/:id', ({ params, db }) => {
+    findRole(db, params.id);
+    removeById(db.roles, params.id);
+    delete db.rolePermissions[params.id];
+    return null;
+  }),
+
+  http.get('/roles/:id/permissions', ({ params, db }) => {
+    const role = findRole(db, params.id);
+    return db.rolePermissions[role.id] || [];
+  }),
+
+  http.post('/roles/:id/permissions', ({ params, body, db }) => {
+    const role = findRole(db, params.id);
+    const names = toPermissionNames(db, body.permissionNames || body.permissionIds || body.permissions);
+    db.rolePermissions[role.id] = [...new Set([...(db.rolePermissions[role.id] || []), ...names])];
+    role.updatedAt = new Date().toISOString();
+    return db.rolePermissions[role.id];
+  }),
+
+  http.put('/roles/:id/permissions', ({ params, body, db }) => {
+    const role = findRole(db, params.id);
+    db.rolePermissions[role.id] = toPermissionNames(db, body.permissionIds || body.permissionNames || body.permissions);
+    role.updatedAt = new Date().toISOString();
+    return db.rolePermissions[role.id];
+  }),
+
+  http.delete('/roles/:id/permissions', ({ params, body, db }) => {
+    const role = findRole(db, params.id);
+    const names = toPermissionNames(db, body?.permissionNames || body?.permissionIds || []);
+    db.rolePermissions[role.id] = (db.rolePermissions[role.id] || []).filter(name => !names.includes(name));
+    role.updatedAt = new Date().toISOString();
+    return db.rolePermissions[role.id];
+  }),
+
+  http.post('/role-permissions/assign', ({ body, db }) => {
+    const role = findRole(db, body.roleId);
+    db.rolePermissions[role.id] = toPermissionNames(db, body.permissionNames);
+    role.updatedAt = new Date().toISOString();
+    return { roleId: role.id, permissionNames: db.rolePermissions[role.id] };
+  }),
+
+  http.get('/permissions', ({ db }) => db.permissions)
+];
@@ -0,0 +1,71 @@
+// Minimal MSW-style route builders for the mock backend. A resolver receives
+// { params, query, body, headers, user, db } and returns the response body (200), or
+// json(body, status) for anything else. Throw httpError() to fail a request.
+
+export class MockHttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = 'MockHttpError';
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+/**
+ * Builds an error response; fields in `extra` (e.g. fieldErrors) are added to the body
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} [extra] - Extra body fields
+ * @returns {MockHttpError}
+ */
+export const httpError = (status, message, extra) => new MockHttpError(status, message, extra);
+
+export const json = (body, status = 200) => ({ __mockResponse: true, body, status });
+
+// '/products/:id' -> /^\/products\/([^/]+)$/ with ['id']
+const compilePath = (path) => {
+  const keys = [];
+  const pattern = path.replace(/:([A-Za-z]+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+};
+
+const route = (method) => (path, resolver, { isPublic = false } = {}) => ({
+  method,
+  path,
+  isPublic,
+  resolver,
+  ...compilePath(path)
+});
+
+export const http = {
+  get: route('get'),
+  post: route('post'),
+  put: route('put'),
+  patch: route('patch'),
+  delete: route('delete')
+};
+
+/**
+ * Finds the handler for a request
+ * @param {Array} handlers - Route definitions built with `http`
+ * @param {string} method - Lower-case HTTP method
+ * @param {string} pathname - Path without the API base URL or query string
+ * @returns {{handler: Object, params: Object}|null}
+ */
+export const matchRoute = (handlers, method, pathname) => {
+  for (const handler of handlers) {
+    if (handler.method !== method) continue;
+    const match = handler.regex.exec(pathname);
+    if (match) {
+      const params = handler.keys.reduce((acc, key, index) => {
+        acc[key] = decodeURIComponent(match[index + 1]);
+        return acc;
+      }, {});
+      return { handler, params };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,15 @@
+import { createMockAdapter } from './adapter';
+import { handlers } from './handlers';
+
+export { handlers } from './handlers';
+export { getDb, resetDb } from './db';
+
+/**
+ * Points an axios instance at the in-browser mock backend. Enabled with
+ * REACT_APP_USE_MOCK_API=true; see src/mocks/fixtures.js for the seed users.
+ * @param {Object} client - Axios instance
+ */
+export const installMockBackend = (client) => {
+  client.defaults.adapter = createMockAdapter(handlers);
+  console.info('Using the in-browser mock API. Sign in as admin/admin123, manager/manager123, cashier/cashier123 or clerk/clerk123.');
+};
@@ -0,0 +1,137 @@
+import apiClient, { clearTokens, setTokens } from '../services/apiClient';
+import { loginUser } from '../services/api';
+import { createSale, getProfitLossReport, getSalesReport } from '../services/salesService';
+import { createPurchase, receivePurchase } from '../services/purchaseService';
+import { getDb, installMockBackend, resetDb } from '.';
+
+const today = new Date().toISOString().slice(0, 10);
+const COKE = 1;
+
+const signIn = async (username, password) => {
+  const { data, error } = await loginUser({ username, password });
+  if (error) throw new Error(`Could not sign in as ${username}`);
+  setTokens(data);
+  return data;
+};
+
+const stockOf = (productId) => getDb().products.find(product => product.id === productId).quantityInStock;
+
+const cashSale = (items, amount) => ({
+  customerId: null,
+  paymentMethod: 'CASH',
+  payments: [{ method: 'CASH', amount }],
+  items
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+  installMockBackend(apiClient);
+});
+
+beforeEach(async () => {
+  localStorage.clear();
+  resetDb();
+  await signIn('cashier', 'cashier123');
+});
+
+afterEach(() => {
+  clearTokens();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkout', () => {
+  it('records the sale with its tax and takes the items out of stock', async () => {
+    const before = stockOf(COKE);
+    const sale = await createSale(cashSale([{ productId: COKE, quantity: 2, price: 80 }], 160));
+
+    expect(sale.status).toBe('COMPLETED');
+    expect(sale.total).toBe(160);
+    // VAT is included in the shelf price
+    expect(sale.tax).toBe(22.07);
+    expect(sale.subtotal).toBe(137.93);
+    expect(sale.taxBreakdown).toHaveLength(1);
+    expect(stockOf(COKE)).toBe(before - 2);
+  });
+
+  it('applies running promotions on the server', async () => {
+    // The seed runs Coca-Cola 3 for 2
+    const sale = await createSale(cashSale([{ productId: COKE, quantity: 3, price: 80 }], 160));
+
+    expect(sale.total).toBe(160);
+    expect(sale.items[0].overrides).toEqual([expect.objectContaining({ type: 'PROMOTION', amount: 80 })]);
+  });
+
+  it('returns the original sale when the same checkout is sent twice', async () => {
+    const before = stockOf(COKE);
+    const body = cashSale([{ productId: COKE, quantity: 1, price: 80 }], 80);
+    const first = await createSale(body, { idempotencyKey: 'till-1-0001' });
+    const retried = await createSale(body, { idempotencyKey: 'till-1-0001' });
+
+    expect(retried.id).toBe(first.id);
+    expect(stockOf(COKE)).toBe(before - 1);
+  });
+
+  it('turns down payments that do not add up to the total', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(createSale(cashSale([{ productId: COKE, quantity: 2, price: 80 }], 150)))
+      .rejects.toMatchObject({ status: 400, fieldErrors: { payments: 'Must add up to the sale total' } });
+  });
+
+  it('turns down more than is in stock', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const quantity = stockOf(COKE) + 1;
+    await expect(createSale(cashSale([{ productId: COKE, quantity, price: 80 }], 80 * quantity)))
+      .rejects.toMatchObject({ status: 400, fieldErrors: { 'items[0].quantity': expect.any(String) } });
+  });
+});
+
+describe('receiving', () => {
+  it('adds a received purchase to stock and updates the cost price', async () => {
+    await signIn('admin', 'admin123');
+    const before = stockOf(COKE);
+    const purchase = await createPurchase({ supplierId: 1, items: [{ productId: COKE, quantity: 24, unitPrice: 50 }] });
+    expect(purchase.status).toBe('PENDING');
+    expect(stockOf(COKE)).toBe(before);
+
+    const received = await receivePurchase(purchase.id);
+
+    expect(received.status).toBe('RECEIVED');
+    expect(stockOf(COKE)).toBe(before + 24);
+    expect(getDb().products.find(product => product.id === COKE).costPrice).toBe(50);
+  });
+
+  it('only receives a purchase once', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await signIn('admin', 'admin123');
+    const purchase = await createPurchase({ supplierId: 1, items: [{ productId: COKE, quantity: 6, unitPrice: 50 }] });
+    await receivePurchase(purchase.id);
+
+    await expect(receivePurchase(purchase.id)).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('reports', () => {
+  it('include a completed sale in the sales and profit reports', async () => {
+    await signIn('admin', 'admin123');
+    const salesBefore = await getSalesReport(today, today);
+    const profitBefore = await getProfitLossReport(today, today);
+
+    await createSale(cashSale([{ productId: COKE, quantity: 2, price: 80 }], 160));
+    const salesAfter = await getSalesReport(today, today);
+    const profitAfter = await getProfitLossReport(today, today);
+
+    expect(salesAfter.totalSales).toBe(salesBefore.totalSales + 1);
+    expect(salesAfter.totalRevenue).toBeCloseTo(salesBefore.totalRevenue + 160, 2);
+    expect(salesAfter.totalTax).toBeCloseTo(salesBefore.totalTax + 22.07, 2);
+    expect(profitAfter.totalRevenue).toBeCloseTo(profitBefore.totalRevenue + 160, 2);
+  });
+
+  it('need a signed-in user', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    clearTokens();
+    await expect(getSalesReport(today, today)).rejects.toMatchObject({ status: 401 });
+  });
+});
@@ -0,0 +1,51 @@
+// Unsigned JWTs for the mock backend. They decode like real tokens (jwt-decode
+// only reads the payload), which is all the app needs.
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+const base64UrlEncode = (value) => btoa(unescape(encodeURIComponent(JSON.stringify(value))))
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+const base64UrlDecode = (segment) => JSON.parse(decodeURIComponent(escape(
+  atob(segment.replace(/-/g, '+').replace(/_/g, '/'))
+)));
+
+/**
+ * Issues an access token for a mock user
+ * @param {Object} user - User record
+ * @returns {string}
+ */
+export const createAccessToken = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  return [
+    base64UrlEncode({ alg: 'none', typ: 'JWT' }),
+    base64UrlEncode({
+      sub: user.username,
+      id: user.id,
+      name: user.fullName,
+      email: user.email,
+      roles: user.roles,
+      iat: now,
+      exp: now + ACCESS_TOKEN_TTL_SECONDS
+    }),
+    'mock'
+  ].join('.');
+};
+
+export const createRefreshToken = () => `mock-refresh-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Reads the claims of a token if it is well formed and not expired
+ * @param {string} token - Access token
+ * @returns {Object|null}
+ */
+export const verifyAccessToken = (token) => {
+  try {
+    const claims = base64UrlDecode(token.split('.')[1]);
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,150 @@
+import { findById } from './db';
+import { calculateTaxTotals, resolveTaxClass, taxSnapshot } from '../components/utils/tax';
+import { multiplyMoney, roundMoney, subtractMoney, sumMoney } from '../components/utils/money';
+
+// Shapes returned to the app. Records are stored normalized; these add the
+// names and aliases (camelCase and snake_case) the pages read.
+
+export const userView = ({ password, pin, ...user }) => ({ ...user, name: user.fullName });
+
+export const productView = (db, product) => {
+  const category = findById(db.categories, product.categoryId);
+  const brand = findById(db.brands, product.brandId);
+  const unit = findById(db.units, product.unitId);
+  const supplier = findById(db.suppliers, product.supplierId);
+
+  return {
+    ...product,
+    categoryName: category?.name || null,
+    brandName: brand?.name || null,
+    unitName: unit?.name || null,
+    supplierName: supplier?.companyName || null,
+    imageUrl: null,
+    quantity_in_stock: product.quantityInStock,
+    category_id: product.categoryId,
+    brand_id: product.brandId,
+    unit_id: product.unitId,
+    supplier_id: product.supplierId,
+    cost_price: product.costPrice,
+    low_stock_threshold: product.lowStockThreshold,
+    expiry_date: product.expiryDate
+  };
+};
+
+export const supplierView = (db, supplier) => ({
+  ...supplier,
+  contactNumber: supplier.phone,
+  categories: (supplier.categoryIds || []).map(id => findById(db.categories, id)).filter(Boolean)
+});
+
+/**
+ * The product's tax class, else its category's, else the default
+ * @param {Object} db - Mock tables
+ * @param {Object} product
+ * @returns {Object} Tax class snapshot to keep on a sale line
+ */
+export const productTaxClass = (db, product) => {
+  const category = findById(db.categories, product?.categoryId);
+  return taxSnapshot(resolveTaxClass(db.taxSettings, product?.taxClass, category?.taxClass));
+};
+
+/**
+ * Totals for a list of { price, quantity, discount, lineDiscount?, taxClass } lines, using
+ * the same tax module as the cart
+ * @param {Object} db - Mock tables
+ * @param {Array} items - Sale lines
+ * @returns {{subtotal: number, discountAmount: number, tax: number, total: number, taxBreakdown: Array}}
+ */
+export const saleTotals = (db, items) => {
+  const { subtotal, discount, tax, total, taxBreakdown } = calculateTaxTotals(items, db.taxSettings);
+  return { subtotal, discountAmount: discount, tax, total, taxBreakdown };
+};
+
+export const saleView = (db, sale) => {
+  const customer = findById(db.customers, sale.customerId);
+  const cashier = findById(db.users, sale.cashierId);
+  const items = sale.items.map(item => {
+    const product = findById(db.products, item.productId);
+    return {
+      ...item,
+      productName: product?.name || item.name || 'Unknown product',
+      name: product?.name || item.name || 'Unknown product',
+      sku: product?.sku || '',
+      unitPrice: item.price,
+      costPrice: product?.costPrice || 0,
+      totalPrice: multiplyMoney(item.price, item.quantity)
+    };
+  });
+
+  const totals = saleTotals(db, sale.items);
+  return {
+    ...sale,
+    ...totals,
+    // Cash rounding: what was actually paid is total + roundingAdjustment
+    roundingAdjustment: roundMoney(sale.roundingAdjustment),
+    // Sales from before split tender were paid with a single method
+    payments: sale.payments || [{ method: sale.paymentMethod || 'CASH', amount: totals.total, reference: sale.mpesaReceiptNumber || null }],
+    items,
+    customer: customer || null,
+    customerName: customer?.name || 'Walk-in Customer',
+    cashierName: cashier?.fullName || 'Unknown',
+    createdAt: sale.saleDate
+  };
+};
+
+export const purchaseView = (db, purchase) => {
+  const supplier = findById(db.suppliers, purchase.supplierId);
+  const items = purchase.items.map(item => {
+    const product = findById(db.products, item.productId);
+    return {
+      ...item,
+      productName: product?.name || 'Unknown product',
+      product: product ? { id: product.id, name: product.name } : null,
+      totalPrice: multiplyMoney(item.unitPrice, item.quantity)
+    };
+  });
+  const gross = sumMoney(items, 'totalPrice');
+
+  return {
+    ...purchase,
+    items,
+    supplier: supplier ? { id: supplier.id, companyName: supplier.companyName } : null,
+    supplierName: supplier?.companyName || null,
+    totalAmount: subtractMoney(gross, purchase.discountAmount || 0)
+  };
+};
+
+/**
+ * Returns a Spring-style page when the caller asked for one (page/size query),
+ * otherwise the plain list
+ * @param {Array} records - Records to return
+ * @param {Object} query - Request query
+ * @returns {Array|Object}
+ */
+export const paginate = (records, query) => {
+  if (query.page === undefined && query.size === undefined) return records;
+
+  const page = Math.max(Number(query.page) || 0, 0);
+  const size = Math.max(Number(query.size) || 20, 1);
+  return {
+    content: records.slice(page * size, page * size + size),
+    totalElements: records.length,
+    totalPages: Math.ceil(records.length / size),
+    number: page,
+    size
+  };
+};
+
+/**
+ * Filters records whose date field falls inside optional startDate/endDate query params
+ * @param {Array} records - Records
+ * @param {string} field - Date field name
+ * @param {Object} query - Request query
+ * @returns {Array}
+ */
+export const inDateRange = (records, field, { startDate, endDate }) => records.filter(record => {
+  const day = String(record[field] || '').slice(0, 10);
+  if (startDate && day < startDate) return false;
+  if (endDate && day > endDate) return false;
+  return true;
+});
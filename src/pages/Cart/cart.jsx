@@ -1,50 +1,158 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { printReceipt } from '../../components/utils/printUtils';
-import { FaMoneyBillWave, FaCreditCard, FaMobileAlt, FaUniversity, FaSpinner, FaPlus } from 'react-icons/fa';
+import { FaSpinner, FaPlus, FaPause, FaDesktop, FaTag } from 'react-icons/fa';
 import { MdCheckCircle, MdError, MdPending, MdClose } from 'react-icons/md';
 import { useCart } from '../../context/CartContext';
+import { getActiveBranchId, toList } from '../../services/apiClient';
+import { getAllCustomers, createCustomer } from '../../services/customerService';
+import { createSale } from '../../services/salesService';
+import { createIdempotencyKey, isOfflineError, queueSale } from '../../services/offlineSalesService';
+import { cacheData, readCachedData } from '../../services/offlineStore';
+import { holdCart } from '../../services/heldCartService';
+import { getActiveShift } from '../../services/shiftService';
+import { getTerminalId } from '../../services/terminalSettings';
+import {
+  cancelMpesaSession,
+  clearActiveMpesaSession,
+  fetchMpesaSession,
+  findMpesaCodeSale,
+  getActiveMpesaSession,
+  isSessionOpen,
+  isSessionUnresolved,
+  markMpesaSessionUsed,
+  MPESA_SESSION_STATUS,
+  recordMpesaCodeUsed,
+  startMpesaSession
+} from '../../services/mpesaService';
+import { openCustomerDisplay, publishPaymentStatus, subscribePaymentStatusRequests } from '../../services/customerDisplayService';
+import { getApprovalThreshold } from '../../services/priceOverrideService';
+import { findActiveDiscount } from '../../services/discountService';
+import HeldCartsList from '../../components/pos/HeldCartsList';
+import PriceOverrideDialog from '../../components/pos/PriceOverrideDialog';
+import TenderPanel from '../../components/pos/TenderPanel';
+import { sumChange, sumTenders, tenderLabel, TENDER_TYPES } from '../../components/utils/tenders';
+import { taxClassLabel } from '../../components/utils/tax';
+import { addMoney, subtractMoney, sumMoney } from '../../components/utils/money';
+import {
+  approvedPercent,
+  cartDiscountPercent,
+  DISCOUNT_KINDS,
+  lineOverridePercent,
+  lineSubtotal,
+  needsApproval,
+  overrideReasonLabel,
+  OVERRIDE_TYPES
+} from '../../components/utils/priceOverrides';
+import { codeCoversLine, discountCodeProblem, minSpendShortfall, normalizeCode, toAppliedCode } from '../../components/utils/discountCodes';
+import useHotkeys from '../../hooks/useHotkeys';
+import { usePosHotkeys } from '../Pos/PosHotkeys';
 
-const getAuthHeader = () => {
-  const token = localStorage.getItem('token');
-  return {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json'
-  };
+// Customers are cached per branch for selling offline
+const customersCacheKey = () => `customers:${getActiveBranchId() || 'default'}`;
+
+const PAYMENT_METHODS = Object.values(TENDER_TYPES);
+
+const MPESA_POLL_MS = 5000;
+
+// What one kind of override takes off the cart, e.g. the cart discount
+const overrideTotal = (items, type) => sumMoney(items, item => sumMoney((item.overrides || []).filter(override => override.type === type), 'amount'));
+
+// What each promotion running on the cart saves across all its lines
+const promotionSavings = (items) => {
+  const savings = [];
+  items.flatMap(item => item.overrides || []).filter(override => override.type === OVERRIDE_TYPES.PROMOTION).forEach(override => {
+    const entry = savings.find(saving => saving.promotionId === override.promotionId);
+    if (entry) entry.amount = addMoney(entry.amount, override.amount);
+    else savings.push({ promotionId: override.promotionId, name: override.name, amount: override.amount });
+  });
+  return savings;
+};
+
+const describeMpesaSession = (session) => {
+  const amount = `Ksh ${Number(session.amount).toFixed(2)}`;
+  switch (session.status) {
+    case MPESA_SESSION_STATUS.INITIATED:
+      return `Sending a payment request for ${amount} to ${session.phoneNumber}...`;
+    case MPESA_SESSION_STATUS.PENDING:
+      return `Waiting for the customer to enter their M-Pesa PIN to pay ${amount}...`;
+    case MPESA_SESSION_STATUS.CONFIRMED:
+      return `Payment of ${amount} confirmed (${session.mpesaReceiptNumber})`;
+    case MPESA_SESSION_STATUS.EXPIRED:
+      return `The customer did not respond to the request for ${amount} in time.`;
+    default:
+      return `Payment failed: ${session.failureReason || 'declined'}`;
+  }
 };
 
+// A confirmed push, as the M-Pesa tender it pays for
+const toMpesaTender = (session) => ({
+  id: session.id,
+  method: TENDER_TYPES.MPESA,
+  amount: session.amount,
+  reference: session.mpesaReceiptNumber,
+  mpesaNumber: session.phoneNumber,
+  mpesaTransactionId: session.checkoutRequestId,
+  mpesaReceiptNumber: session.mpesaReceiptNumber,
+  mpesaSessionId: session.id
+});
+
 const Cart = ({ onCloseCart }) => {
-  const { cart, removeFromCart, updateQuantity, clearCart } = useCart();
+  const { cart, removeFromCart, updateQuantity, overridePrice, setLineDiscount, setCartDiscount, setDiscountCode, loadCart, clearCart } = useCart();
   const [customers, setCustomers] = useState([]);
   const [selectedCustomer, setSelectedCustomer] = useState(null);
-  const [paymentMethod, setPaymentMethod] = useState('CASH');
-  const [mpesaNumber, setMpesaNumber] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState(TENDER_TYPES.CASH);
+  const [tenders, setTenders] = useState([]);
   const [checkoutError, setCheckoutError] = useState(null);
   const [isCheckingOut, setIsCheckingOut] = useState(false);
   const [customerError, setCustomerError] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [mpesaStatus, setMpesaStatus] = useState(null);
-  const [mpesaLoading, setMpesaLoading] = useState(false);
-  const [checkoutRequestId, setCheckoutRequestId] = useState(null);
-  const [merchantRequestId, setMerchantRequestId] = useState(null);
-  const [mpesaReceiptNumber, setMpesaReceiptNumber] = useState(null);
+  // Picked up again after a reload, so a payment in progress isn't lost
+  const [mpesaSession, setMpesaSession] = useState(getActiveMpesaSession);
+  const [mpesaStarting, setMpesaStarting] = useState(false);
   const [lastStatusCheck, setLastStatusCheck] = useState(null);
-  const [paymentStatus, setPaymentStatus] = useState(null);
-  const [activeTimer, setActiveTimer] = useState(null);
+  // Shown on the customer display, with the change due, until the next sale starts
+  const [completedSale, setCompletedSale] = useState(null);
   const [showAddCustomerModal, setShowAddCustomerModal] = useState(false);
   const [newCustomer, setNewCustomer] = useState({
     name: '',
     phone: ''
   });
   const [isAddingCustomer, setIsAddingCustomer] = useState(false);
+  const [showHoldModal, setShowHoldModal] = useState(false);
+  const [holdLabel, setHoldLabel] = useState('');
+  const [isHolding, setIsHolding] = useState(false);
+  const [heldCartsVersion, setHeldCartsVersion] = useState(0);
+  const [resumeNotice, setResumeNotice] = useState(null);
+  // { item } for a line, { cart: true } for the whole cart
+  const [adjusting, setAdjusting] = useState(null);
+  const [codeInput, setCodeInput] = useState('');
+  const [codeError, setCodeError] = useState(null);
+  const [applyingCode, setApplyingCode] = useState(false);
+  const customerSelectRef = useRef(null);
+  const { hotkeys, enabled: hotkeysEnabled } = usePosHotkeys();
 
+  // Checks the open M-Pesa session until the customer answers or it expires
   useEffect(() => {
-    return () => {
-      if (activeTimer) {
-        clearInterval(activeTimer);
+    if (!isSessionOpen(mpesaSession)) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        setMpesaSession(await fetchMpesaSession(mpesaSession.id));
+      } catch (error) {
+        console.error("Status check error:", error);
       }
-    };
-  }, [activeTimer]);
+      setLastStatusCheck(new Date().toLocaleTimeString());
+    }, MPESA_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [mpesaSession, lastStatusCheck]);
+
+  // A confirmed push becomes a tender, including one confirmed while the page was closed
+  useEffect(() => {
+    if (!isSessionUnresolved(mpesaSession)) return;
+    setTenders(prev => (prev.some(tender => tender.mpesaSessionId === mpesaSession.id)
+      ? prev
+      : [...prev, toMpesaTender(mpesaSession)]));
+  }, [mpesaSession]);
 
   useEffect(() => {
     const fetchCustomers = async () => {
@@ -52,21 +160,19 @@ const Cart = ({ onCloseCart }) => {
         setLoading(true);
         setCustomerError(null);
         
-        const customersResponse = await fetch(`${process.env.REACT_APP_API_BASE_URL}/customers`, {
-          headers: getAuthHeader()
-        });
-
-        if (!customersResponse.ok) {
-          throw new Error('Failed to fetch customers');
-        }
-
-        const customersData = await customersResponse.json();
-        setCustomers(Array.isArray(customersData?.data) ? customersData.data : 
-                   Array.isArray(customersData) ? customersData : []);
+        const customersResponse = await getAllCustomers();
+        const customerList = toList(customersResponse.data);
+        setCustomers(customerList);
+        cacheData(customersCacheKey(), customerList);
       } catch (error) {
         console.error("Failed to fetch customers:", error);
-        setCustomerError('Failed to load customers. Please try again.');
-        setCustomers([]);
+        const cached = isOfflineError(error) ? await readCachedData(customersCacheKey()) : null;
+        if (cached) {
+          setCustomers(cached.data);
+        } else {
+          setCustomerError('Failed to load customers. Please try again.');
+          setCustomers([]);
+        }
       } finally {
         setLoading(false);
       }
@@ -84,132 +190,113 @@ const Cart = ({ onCloseCart }) => {
     return null;
   };
 
-  const checkPaymentStatus = async (checkoutId, merchantId) => {
-    try {
-      const response = await fetch(
-        `${process.env.REACT_APP_API_BASE_URL}/mpesa/payment-status?checkout_id=${checkoutId}&merchant_id=${merchantId}`,
-        { headers: getAuthHeader() }
-      );
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
-      }
-
-      const statusData = await response.json();
-      return statusData;
-    } catch (error) {
-      console.error("Status check error:", error);
-      return { status: 'PENDING', error: error.message };
+  /**
+   * Sends an STK push for one M-Pesa tender. The tender is added once the
+   * customer approves; until then the push can be cancelled.
+   * @param {number} amount - Tender amount
+   * @param {string} phone - Customer phone number
+   */
+  const startMpesaPush = async (amount, phone) => {
+    const formattedPhone = formatPhoneNumber(phone);
+    if (!formattedPhone) {
+      throw new Error('Invalid phone number format. Use 07XXXXXXXX or 2547XXXXXXXX');
     }
-  };
 
-  const verifyMpesaPayment = async (checkoutId, merchantId) => {
-    if (!checkoutId || !merchantId) {
-      throw new Error('Missing request IDs for payment verification');
+    // M-Pesa only takes whole shillings
+    const stkAmount = Math.round(amount);
+    if (stkAmount <= 0) {
+      throw new Error('Invalid payment amount');
     }
 
-    let retries = 0;
-    const maxRetries = 24;
-    let statusData = await checkPaymentStatus(checkoutId, merchantId);
-    setLastStatusCheck(new Date().toLocaleTimeString());
-    
-    while (retries < maxRetries && statusData.status.toUpperCase() === 'PENDING') {
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      statusData = await checkPaymentStatus(checkoutId, merchantId);
-      setLastStatusCheck(new Date().toLocaleTimeString());
-      retries++;
+    try {
+      setMpesaStarting(true);
+      setLastStatusCheck(null);
+      setMpesaSession(await startMpesaSession({
+        amount: stkAmount,
+        phoneNumber: formattedPhone,
+        accountReference: `INV-${Date.now()}`,
+        description: `Payment for ${selectedCustomerName() || 'guest'}`
+      }));
+    } finally {
+      setMpesaStarting(false);
     }
+  };
 
-    switch (statusData.status.toUpperCase()) {
-      case 'COMPLETED':
-        setMpesaReceiptNumber(statusData.transaction?.mpesaReceiptNumber || 'N/A');
-        setMpesaStatus('Payment confirmed successfully!');
-        setPaymentStatus('completed');
-        return true;
-      case 'FAILED':
-      case 'CANCELLED':
-        setMpesaStatus(statusData.transaction?.stkResponseDescription || 'Payment failed. Please try again.');
-        setPaymentStatus('failed');
-        return false;
-      default:
-        setMpesaStatus('Payment verification timeout. Please check your M-Pesa messages.');
-        setPaymentStatus('failed');
-        return false;
+  const handleCancelMpesa = async () => {
+    try {
+      setMpesaSession(await cancelMpesaSession(mpesaSession.id));
+    } catch (error) {
+      // Most likely the customer answered first
+      console.error("Failed to cancel the M-Pesa payment:", error);
+      setCheckoutError(error.message || 'Failed to cancel the M-Pesa payment');
+      fetchMpesaSession(mpesaSession.id).then(setMpesaSession).catch(() => {});
     }
   };
 
-  const initiateMpesaPayment = async () => {
+  const handleRetryMpesa = async () => {
     try {
-      setMpesaLoading(true);
-      setPaymentStatus('pending');
-      setMpesaStatus('Initiating M-Pesa payment...');
-      
-      const formattedPhone = formatPhoneNumber(mpesaNumber);
-      if (!formattedPhone) {
-        throw new Error('Invalid phone number format. Use 07XXXXXXXX or 2547XXXXXXXX');
-      }
-
-      const amount = Math.round(cart.total || 0);
-      if (amount <= 0) {
-        throw new Error('Invalid payment amount');
-      }
-
-      const mpesaRequest = {
-        amount,
-        phoneNumber: formattedPhone,
-        accountReference: `INV-${Date.now()}`,
-        transactionDesc: `Payment for ${selectedCustomer?.name || 'guest'}`
-      };
-
-      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/mpesa/stkpush/initiate`, {
-        method: 'POST',
-        headers: getAuthHeader(),
-        body: JSON.stringify(mpesaRequest)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData?.message || 'M-Pesa payment initiation failed');
-      }
-
-      const mpesaResponse = await response.json();
-      if (!mpesaResponse?.CheckoutRequestID || !mpesaResponse?.MerchantRequestID) {
-        throw new Error('Invalid M-Pesa response: Missing required fields');
-      }
-
-      setCheckoutRequestId(mpesaResponse.CheckoutRequestID);
-      setMerchantRequestId(mpesaResponse.MerchantRequestID);
-      setMpesaStatus('Payment initiated. Please check your phone to complete payment...');
-      
-      const paymentVerified = await verifyMpesaPayment(
-        mpesaResponse.CheckoutRequestID,
-        mpesaResponse.MerchantRequestID
-      );
-      
-      return paymentVerified;
+      setCheckoutError(null);
+      await startMpesaPush(mpesaSession.amount, mpesaSession.phoneNumber);
     } catch (error) {
       console.error("M-Pesa payment error:", error);
-      setMpesaStatus(`Payment failed: ${error.message}`);
-      setPaymentStatus('failed');
-      throw error;
-    } finally {
-      setMpesaLoading(false);
+      setCheckoutError(error.message || 'Failed to resend the M-Pesa request');
+    }
+  };
+
+  // A payment to the till or paybill number, by the code in the customer's SMS
+  const takeTillPayment = (amount, code, phone) => {
+    const transactionCode = code.trim().toUpperCase();
+    if (tenders.some(tender => tender.mpesaReceiptNumber === transactionCode)) {
+      throw new Error(`${transactionCode} is already a payment on this sale`);
+    }
+    const usedOn = findMpesaCodeSale(transactionCode);
+    if (usedOn) {
+      throw new Error(`${transactionCode} has already been used on sale #${usedOn}`);
+    }
+    const phoneNumber = phone ? formatPhoneNumber(phone) : null;
+    if (phone && !phoneNumber) {
+      throw new Error('Invalid phone number format. Use 07XXXXXXXX or 2547XXXXXXXX');
     }
+    return {
+      method: TENDER_TYPES.MPESA_MANUAL,
+      amount,
+      reference: transactionCode,
+      mpesaNumber: phoneNumber,
+      mpesaReceiptNumber: transactionCode
+    };
+  };
+
+  const dismissMpesaSession = () => {
+    clearActiveMpesaSession();
+    setMpesaSession(null);
   };
 
   const resetPaymentState = () => {
-    setMpesaStatus(null);
-    setMpesaNumber('');
-    setPaymentMethod('CASH');
-    setMpesaReceiptNumber(null);
-    setCheckoutRequestId(null);
-    setMerchantRequestId(null);
-    setPaymentStatus(null);
-    if (activeTimer) {
-      clearInterval(activeTimer);
-      setActiveTimer(null);
+    setPaymentMethod(TENDER_TYPES.CASH);
+    setTenders([]);
+    dismissMpesaSession();
+  };
+
+  const handleAddTender = async ({ method, amount, tendered, rounding, phone, reference }) => {
+    setCheckoutError(null);
+    if (method === TENDER_TYPES.MPESA) {
+      // Added as a tender once the customer approves
+      await startMpesaPush(amount, phone);
+      return;
     }
+    let tender;
+    if (method === TENDER_TYPES.MPESA_MANUAL) {
+      tender = takeTillPayment(amount, reference, phone);
+    } else if (method === TENDER_TYPES.CASH) {
+      tender = { method, amount, tendered, change: subtractMoney(tendered, amount), rounding };
+    } else {
+      tender = { method, amount, reference: reference || null };
+    }
+    setTenders(prev => [...prev, { ...tender, id: `${Date.now()}-${prev.length}` }]);
+  };
+
+  const handleRemoveTender = (id) => {
+    setTenders(prev => prev.filter(tender => tender.id !== id));
   };
 
   const handleAddCustomer = async () => {
@@ -220,18 +307,7 @@ const Cart = ({ onCloseCart }) => {
 
     try {
       setIsAddingCustomer(true);
-      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/customers`, {
-        method: 'POST',
-        headers: getAuthHeader(),
-        body: JSON.stringify(newCustomer)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to add customer');
-      }
-
-      const customerData = await response.json();
+      const { data: customerData } = await createCustomer(newCustomer);
       setCustomers([...customers, customerData]);
       setSelectedCustomer(customerData.id);
       setShowAddCustomerModal(false);
@@ -247,92 +323,153 @@ const Cart = ({ onCloseCart }) => {
     }
   };
 
+  // What the applied discount code takes off, and how far the cart is from its minimum spend
+  const codeSavings = overrideTotal(cart.items, OVERRIDE_TYPES.DISCOUNT_CODE);
+  const codeLineCount = cart.items.filter(item => (item.overrides || []).some(override => override.type === OVERRIDE_TYPES.DISCOUNT_CODE)).length;
+  const codeShortfall = cart.discountCode ? minSpendShortfall(cart.discountCode, sumMoney(cart.items, lineSubtotal)) : 0;
+
+  // Cash rounding taken on a tender changes what is due, not the sale total
+  const roundingAdjustment = sumMoney(tenders, 'rounding');
+  const amountDue = addMoney(cart.total || 0, roundingAdjustment);
+  const balanceDue = subtractMoney(amountDue, sumTenders(tenders));
+
   const handleCheckout = async () => {
     if (cart.items.length === 0) {
       alert('Cart is empty');
       return;
     }
 
-    if (paymentMethod === 'MPESA' && !mpesaNumber) {
-      alert('Please enter M-Pesa phone number');
+    if (tenders.length === 0 || balanceDue > 0) {
+      setCheckoutError(`Add payments for the remaining Ksh ${balanceDue.toFixed(2)}`);
       return;
     }
 
+    if (balanceDue < 0) {
+      setCheckoutError(`Payments exceed the total by Ksh ${(-balanceDue).toFixed(2)}. Remove a payment first.`);
+      return;
+    }
 
-
+    // The threshold may have been lowered since an override was given
+    const threshold = getApprovalThreshold();
+    const unapproved = cart.items.find(item => needsApproval(
+      lineOverridePercent(item), threshold, approvedPercent([item.priceOverride, item.manualDiscount])
+    ));
+    if (unapproved) {
+      setCheckoutError(`The price change on ${unapproved.name} needs a manager's approval. Adjust it again to get one.`);
+      return;
+    }
+    if (cart.cartDiscount && needsApproval(cartDiscountPercent(cart.items), threshold, approvedPercent([cart.cartDiscount]))) {
+      setCheckoutError('The cart discount needs a manager\'s approval. Adjust it again to get one.');
+      return;
+    }
+    if (cart.discountCode && codeSavings === 0) {
+      setCheckoutError(`Code ${cart.discountCode.code} no longer takes anything off. Remove it to continue.`);
+      return;
+    }
 
     try {
       setIsCheckingOut(true);
       setCheckoutError(null);
-      
-      let paymentSuccess = true;
-      
-      if (paymentMethod === 'MPESA') {
-        paymentSuccess = await initiateMpesaPayment();
-      }
 
-      if (!paymentSuccess && paymentMethod === 'MPESA') {
-        throw new Error('M-Pesa payment was not completed successfully');
-      }
+      // The session ID is the till's own; the backend knows the push by its checkout request ID
+      const payments = tenders.map(({ id, rounding, mpesaSessionId, ...tender }) => tender);
+      const mpesaTender = payments.find(tender => [TENDER_TYPES.MPESA, TENDER_TYPES.MPESA_MANUAL].includes(tender.method));
+      const cashTenders = payments.filter(tender => tender.method === TENDER_TYPES.CASH);
+      const amountTendered = cashTenders.length > 0 ? sumTenders(cashTenders.map(tender => ({ amount: tender.tendered }))) : null;
+      const changeGiven = cashTenders.length > 0 ? sumChange(cashTenders) : null;
 
       const checkoutData = {
         customerId: selectedCustomer || null,
-        paymentMethod: paymentMethod,
-        mpesaNumber: paymentMethod === 'MPESA' ? formatPhoneNumber(mpesaNumber) : null,
-        mpesaTransactionId: paymentMethod === 'MPESA' ? checkoutRequestId : null,
-        mpesaReceiptNumber: paymentMethod === 'MPESA' ? mpesaReceiptNumber : null,
+        // Kept for backends that predate split tender
+        paymentMethod: payments.length === 1 ? payments[0].method : 'SPLIT',
+        payments,
+        amountTendered,
+        changeGiven,
+        mpesaNumber: mpesaTender?.mpesaNumber || null,
+        mpesaTransactionId: mpesaTender?.mpesaTransactionId || null,
+        mpesaReceiptNumber: mpesaTender?.mpesaReceiptNumber || null,
         items: cart.items.map(item => ({
           productId: item.id,
           quantity: item.quantity,
           price: item.price,
           name: item.name,
           sku: item.sku,
-          discount: item.discount || 0
+          discount: item.discountAmount || item.discount || 0,
+          taxClass: item.taxClass || null,
+          originalPrice: item.originalPrice ?? null,
+          priceOverride: item.priceOverride || null,
+          manualDiscount: item.manualDiscount || null,
+          lineDiscount: item.lineDiscount || 0,
+          overrides: item.overrides || []
         })),
+        cartDiscount: cart.cartDiscount || null,
+        discountCode: cart.discountCode?.code || null,
         subtotal: cart.subtotal,
         discount: cart.discount,
-        tax: cart.tax, // Shows the calculated tax (64 for 400 subtotal)
-        total: cart.subtotal // Total remains equal to subtotal
+        tax: cart.tax,
+        taxBreakdown: cart.taxBreakdown,
+        total: cart.total,
+        roundingAdjustment,
+        // Ties the sale to this till's cash-up
+        shiftId: getActiveShift()?.id || null,
+        terminalId: getTerminalId()
       };
 
-      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/sales`, {
-        method: 'POST',
-        headers: getAuthHeader(),
-        body: JSON.stringify(checkoutData)
-      });
-
-
-      
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Checkout failed');
+      // Reused if the sale has to be queued, so it can't be recorded twice
+      const idempotencyKey = createIdempotencyKey();
+      let sale;
+      let queued = null;
+      try {
+        sale = await createSale(checkoutData, { idempotencyKey });
+      } catch (err) {
+        if (!isOfflineError(err)) throw err;
+        if (payments.some(tender => tender.method !== TENDER_TYPES.CASH)) {
+          throw new Error('The server cannot be reached. Only cash sales can be taken offline.');
+        }
+        queued = await queueSale(checkoutData, idempotencyKey);
+        sale = { ...queued.sale, receiptNumber: queued.receiptNumber };
       }
-
-      const sale = await response.json();
       
+      tenders.forEach(tender => {
+        if (tender.mpesaSessionId) markMpesaSessionUsed(tender.mpesaSessionId, sale?.id || null);
+        if (tender.method === TENDER_TYPES.MPESA_MANUAL) recordMpesaCodeUsed(tender.mpesaReceiptNumber, sale?.id || null);
+      });
+
       try {
-        if (sale?.id) {
+        if (sale?.id || queued) {
           await printReceipt({
             ...sale,
-            subtotal: cart.subtotal,
-            discount: cart.discount,
-            tax: cart.tax,
-            total: cart.total
+            payments,
+            amountTendered,
+            changeGiven
           });
         }
       } catch (printError) {
         console.error("Failed to print receipt:", printError);
       }
       
+      // Sent before the cart empties so the display goes straight to the change due
+      const completed = {
+        saleNumber: queued ? queued.receiptNumber : sale?.id || null,
+        amountDue,
+        paid: sumTenders(payments.map(tender => ({ amount: tender.tendered ?? tender.amount }))),
+        change: changeGiven || 0,
+        completedAt: Date.now()
+      };
+      setCompletedSale(completed);
+      publishPaymentStatus({ ...paymentStatus, completedSale: completed });
+
       clearCart();
       resetPaymentState();
+      setResumeNotice(null);
       
       alert(
-        `Order #${sale?.id || 'N/A'} completed successfully!\n\n` +
-        `Payment Method: ${paymentMethod}\n` +
-        `${paymentMethod === 'MPESA' ? 'M-Pesa Receipt: ' + (mpesaReceiptNumber || checkoutRequestId || 'N/A') : ''}\n` +
-        `Total Amount: Ksh ${(cart.total || 0).toFixed(2)}`
+        (queued
+          ? `Offline sale ${queued.receiptNumber} saved. It will be sent when the connection returns.\n\n`
+          : `Order #${sale?.id || 'N/A'} completed successfully!\n\n`) +
+        payments.map(tender => `${tenderLabel(tender.method)}: Ksh ${tender.amount.toFixed(2)}${tender.reference ? ` (${tender.reference})` : ''}`).join('\n') +
+        `\nTotal Amount: Ksh ${amountDue.toFixed(2)}` +
+        (changeGiven > 0 ? `\nChange Due: Ksh ${changeGiven.toFixed(2)}` : '')
       );
       
     } catch (err) {
@@ -343,19 +480,174 @@ const Cart = ({ onCloseCart }) => {
     }
   };
 
-  const renderStatusIcon = () => {
-    switch (paymentStatus) {
-      case 'completed':
-        return <MdCheckCircle className="text-green-500 text-xl mr-2" />;
-      case 'failed':
-        return <MdError className="text-red-500 text-xl mr-2" />;
-      case 'pending':
-        return <MdPending className="text-yellow-500 text-xl mr-2" />;
-      default:
-        return null;
+  const selectedCustomerName = () => customers.find(customer => customer.id === selectedCustomer)?.name || null;
+
+  const openHoldModal = () => {
+    setHoldLabel(selectedCustomerName() || '');
+    setCheckoutError(null);
+    setShowHoldModal(true);
+  };
+
+  const handleHoldCart = async () => {
+    try {
+      setIsHolding(true);
+      await holdCart({
+        label: holdLabel.trim() || selectedCustomerName() || `Sale held at ${new Date().toLocaleTimeString()}`,
+        customerId: selectedCustomer,
+        customerName: selectedCustomerName(),
+        cart
+      });
+      clearCart();
+      resetPaymentState();
+      setSelectedCustomer(null);
+      setResumeNotice(null);
+      setShowHoldModal(false);
+      setHeldCartsVersion(version => version + 1);
+    } catch (error) {
+      console.error("Failed to hold cart:", error);
+      setShowHoldModal(false);
+      setCheckoutError(error.message || 'Failed to park the sale. Please try again.');
+    } finally {
+      setIsHolding(false);
     }
   };
 
+  const handleApplyOverride = (type, price, spec) => {
+    if (type === OVERRIDE_TYPES.PRICE) overridePrice(adjusting.item.id, price, spec);
+    else if (type === OVERRIDE_TYPES.LINE_DISCOUNT) setLineDiscount(adjusting.item.id, spec);
+    else setCartDiscount(spec);
+    setAdjusting(null);
+  };
+
+  const handleRemoveOverride = (type) => {
+    if (type === OVERRIDE_TYPES.PRICE) overridePrice(adjusting.item.id, null);
+    else if (type === OVERRIDE_TYPES.LINE_DISCOUNT) setLineDiscount(adjusting.item.id, null);
+    else setCartDiscount(null);
+    setAdjusting(null);
+  };
+
+  // Checked here for a clear message; the server checks the code again when the sale is recorded
+  const handleApplyCode = async (e) => {
+    e.preventDefault();
+    const code = normalizeCode(codeInput);
+    if (!code) return;
+    setCodeError(null);
+    try {
+      setApplyingCode(true);
+      const discount = await findActiveDiscount(code);
+      const problem = discount ? discountCodeProblem(discount) : `${code} is not a valid discount code`;
+      if (problem) {
+        setCodeError(problem);
+        return;
+      }
+      const applied = toAppliedCode(discount);
+      if (!cart.items.some(item => !item.priceOverride && codeCoversLine(applied, item))) {
+        setCodeError(`${code} does not cover anything in the cart`);
+        return;
+      }
+      const shortfall = minSpendShortfall(applied, sumMoney(cart.items, lineSubtotal));
+      if (shortfall > 0) {
+        setCodeError(`Spend Ksh ${shortfall.toFixed(2)} more to use ${code}`);
+        return;
+      }
+      setDiscountCode(applied);
+      setCodeInput('');
+    } catch (error) {
+      console.error("Failed to check discount code:", error);
+      setCodeError(error.message || 'Failed to check the code. Please try again.');
+    } finally {
+      setApplyingCode(false);
+    }
+  };
+
+  const handleRemoveCode = () => {
+    setDiscountCode(null);
+    setCodeError(null);
+  };
+
+  const handleResumeCart = ({ heldCart, items, changes }) => {
+    loadCart(items, { cartDiscount: heldCart.cartDiscount || null, discountCode: heldCart.discountCode || null });
+    resetPaymentState();
+    setSelectedCustomer(heldCart.customerId || null);
+    setCheckoutError(null);
+    setResumeNotice({ label: heldCart.label, changes });
+  };
+
+  const mpesaBusy = mpesaStarting || isSessionOpen(mpesaSession);
+  const isProcessing = isCheckingOut || mpesaBusy;
+  const lastItem = cart.items[cart.items.length - 1];
+
+  useHotkeys(hotkeys, {
+    openCustomer: () => {
+      const select = customerSelectRef.current;
+      if (!select) return false;
+      select.focus();
+      try {
+        select.showPicker?.();
+      } catch (error) {
+        // Older browsers only allow opening the list from a click; focus is enough
+      }
+      return true;
+    },
+    cyclePayment: () => {
+      if (isProcessing) return false;
+      setPaymentMethod(method => PAYMENT_METHODS[(PAYMENT_METHODS.indexOf(method) + 1) % PAYMENT_METHODS.length]);
+      return true;
+    },
+    removeLastLine: () => {
+      if (!lastItem || isProcessing) return false;
+      removeFromCart(lastItem.id);
+      return true;
+    },
+    increaseLastLine: () => {
+      if (!lastItem || isProcessing) return false;
+      if (!lastItem.stock || lastItem.quantity < lastItem.stock) {
+        updateQuantity(lastItem.id, lastItem.quantity + 1);
+      }
+      return true;
+    },
+    decreaseLastLine: () => {
+      if (!lastItem || isProcessing) return false;
+      updateQuantity(lastItem.id, lastItem.quantity - 1);
+      return true;
+    },
+    checkout: () => {
+      if (cart.items.length === 0 || isProcessing) return false;
+      handleCheckout();
+      return true;
+    }
+  }, { enabled: hotkeysEnabled && !showAddCustomerModal && !showHoldModal && !adjusting });
+
+  const paymentStatus = useMemo(() => ({
+    roundingAdjustment,
+    paid: sumTenders(tenders),
+    balanceDue,
+    change: sumChange(tenders),
+    tenders: tenders.map(({ method, amount, tendered }) => ({ method, amount, tendered: tendered ?? amount })),
+    mpesa: mpesaSession ? { status: mpesaSession.status, amount: mpesaSession.amount } : null,
+    completedSale
+  }), [roundingAdjustment, balanceDue, tenders, mpesaSession, completedSale]);
+  const paymentStatusRef = useRef(paymentStatus);
+  paymentStatusRef.current = paymentStatus;
+
+  useEffect(() => {
+    publishPaymentStatus(paymentStatus);
+  }, [paymentStatus]);
+
+  // A display opened mid-sale asks for what it missed
+  useEffect(() => subscribePaymentStatusRequests(() => publishPaymentStatus(paymentStatusRef.current)), []);
+
+  // The next sale has started
+  useEffect(() => {
+    if (cart.items.length > 0) setCompletedSale(null);
+  }, [cart.items.length]);
+
+  const renderStatusIcon = () => {
+    if (isSessionOpen(mpesaSession)) return <MdPending className="text-yellow-500 text-xl mr-2 flex-shrink-0" />;
+    if (mpesaSession.status === MPESA_SESSION_STATUS.CONFIRMED) return <MdCheckCircle className="text-green-500 text-xl mr-2 flex-shrink-0" />;
+    return <MdError className="text-red-500 text-xl mr-2 flex-shrink-0" />;
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-full">
@@ -368,13 +660,47 @@ const Cart = ({ onCloseCart }) => {
     <div className="bg-white rounded-lg shadow-md p-4 h-full flex flex-col">
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-lg font-bold">Cart Details</h2>
-        <button 
-          onClick={onCloseCart}
-          className="lg:hidden text-gray-500 hover:text-gray-700"
-        >
-          ×
-        </button>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => {
+              if (!openCustomerDisplay()) alert('Allow popups for this site to open the customer display');
+            }}
+            className="text-gray-500 hover:text-blue-600"
+            title="Open the customer display"
+            aria-label="Open the customer display"
+          >
+            <FaDesktop />
+          </button>
+          <button 
+            onClick={onCloseCart}
+            className="lg:hidden text-gray-500 hover:text-gray-700"
+          >
+            ×
+          </button>
+        </div>
       </div>
+
+      <HeldCartsList
+        refreshKey={heldCartsVersion}
+        canResume={cart.items.length === 0 && !isProcessing}
+        onResume={handleResumeCart}
+      />
+
+      {resumeNotice && (
+        <div className={`mb-3 p-2 rounded-md text-sm ${resumeNotice.changes.length ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
+          <div className="flex justify-between items-start">
+            <p className="font-medium">Resumed "{resumeNotice.label}"</p>
+            <button onClick={() => setResumeNotice(null)} className="ml-2" aria-label="Dismiss">
+              <MdClose />
+            </button>
+          </div>
+          {resumeNotice.changes.length > 0 && (
+            <ul className="list-disc ml-5 mt-1 text-xs">
+              {resumeNotice.changes.map(change => <li key={change}>{change}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
       
       {cart.items.length === 0 ? (
         <div className="flex flex-col items-center justify-center flex-grow">
@@ -401,9 +727,11 @@ const Cart = ({ onCloseCart }) => {
                 </label>
                 <div className="flex">
                   <select
+                    ref={customerSelectRef}
                     value={selectedCustomer || ''}
                     onChange={(e) => setSelectedCustomer(e.target.value ? Number(e.target.value) : null)}
                     className="w-full p-2 border border-gray-300 rounded-l-md"
+                    title={`Choose customer (${hotkeys.openCustomer})`}
                   >
                     <option value="">Guest Customer</option>
                     {customers.map((customer) => (
@@ -441,6 +769,21 @@ const Cart = ({ onCloseCart }) => {
                       Discount: Ksh {item.discount.toFixed(2)} ({(item.discount / item.price * 100).toFixed(0)}%)
                     </div>
                   )}
+                  {(item.overrides || []).filter(override => override.type !== OVERRIDE_TYPES.CART_DISCOUNT).map(override => (
+                    <div key={`${override.type}-${override.promotionId || ''}`} className="text-xs text-purple-700">
+                      {override.type === OVERRIDE_TYPES.PROMOTION && `${override.name} -Ksh ${override.amount.toFixed(2)}`}
+                      {override.type === OVERRIDE_TYPES.DISCOUNT_CODE && `Code ${override.code} -Ksh ${override.amount.toFixed(2)}`}
+                      {[OVERRIDE_TYPES.PRICE, OVERRIDE_TYPES.LINE_DISCOUNT].includes(override.type) && (
+                        <>
+                          {override.type === OVERRIDE_TYPES.PRICE
+                            ? `Was Ksh ${item.originalPrice.toFixed(2)}`
+                            : `Line discount -Ksh ${override.amount.toFixed(2)}`}
+                          {' · '}{overrideReasonLabel(override.reasonCode)}
+                          {override.approval && ` · approved by ${override.approval.approvedByName}`}
+                        </>
+                      )}
+                    </div>
+                  ))}
                   <div className="flex justify-between items-center mt-1">
                     <div className="flex items-center">
                       <button
@@ -460,8 +803,15 @@ const Cart = ({ onCloseCart }) => {
                       </button>
                     </div>
                     <p className="font-bold text-sm">
-                      Ksh {((item.price - (item.discount || 0)) * item.quantity).toFixed(2)}
+                      Ksh {lineSubtotal(item).toFixed(2)}
                     </p>
+                    <button
+                      onClick={() => setAdjusting({ item })}
+                      disabled={isProcessing}
+                      className="text-blue-500 hover:text-blue-700 text-xs disabled:opacity-50"
+                    >
+                      Adjust
+                    </button>
                     <button
                       onClick={() => removeFromCart(item.id)}
                       className="text-red-500 hover:text-red-700 text-xs"
@@ -474,57 +824,62 @@ const Cart = ({ onCloseCart }) => {
             </div>
           </div>
 
-          {/* Payment Method Section */}
+          {/* Payment Section */}
           <div className="bg-gray-50 rounded-lg p-3 mb-3">
-            <h3 className="font-bold mb-2">Payment Method</h3>
-            <div className="grid grid-cols-2 gap-2 mb-3">
-              <button
-                onClick={() => setPaymentMethod('CASH')}
-                className={`flex items-center justify-center p-2 rounded-md border ${paymentMethod === 'CASH' ? 'bg-blue-100 border-blue-500' : 'bg-white border-gray-300'}`}
-              >
-                <FaMoneyBillWave className="mr-2" />
-                <span>Cash</span>
-              </button>
-              <button
-                onClick={() => setPaymentMethod('MPESA')}
-                className={`flex items-center justify-center p-2 rounded-md border ${paymentMethod === 'MPESA' ? 'bg-blue-100 border-blue-500' : 'bg-white border-gray-300'}`}
-              >
-                <FaMobileAlt className="mr-2" />
-                <span>M-Pesa</span>
-              </button>
-            </div>
-
-            {paymentMethod === 'MPESA' && (
-              <div className="mt-2">
-                <label className="block text-sm text-gray-700 mb-1">
-                  M-Pesa Phone Number
-                </label>
-                <input
-                  type="text"
-                  placeholder="e.g. 07XXXXXXXX"
-                  value={mpesaNumber}
-                  onChange={(e) => setMpesaNumber(e.target.value)}
-                  className="w-full p-2 border border-gray-300 rounded-md"
-                />
-              </div>
-            )}
+            <h3 className="font-bold mb-2">
+              Payment <span className="text-xs font-normal text-gray-500">({hotkeys.cyclePayment} to switch method)</span>
+            </h3>
+            <TenderPanel
+              total={cart.total || 0}
+              tenders={tenders}
+              method={paymentMethod}
+              onMethodChange={setPaymentMethod}
+              onAdd={handleAddTender}
+              onRemove={handleRemoveTender}
+              busy={isProcessing}
+              hasCustomer={!!selectedCustomer}
+            />
 
-            {mpesaStatus && (
-              <div className={`mt-2 p-2 rounded-md text-sm flex items-center ${
-                paymentStatus === 'completed' ? 'bg-green-100 text-green-800' :
-                paymentStatus === 'failed' ? 'bg-red-100 text-red-800' :
-                'bg-yellow-100 text-yellow-800'
+            {mpesaSession && (
+              <div className={`mt-2 p-2 rounded-md text-sm ${
+                mpesaSession.status === MPESA_SESSION_STATUS.CONFIRMED ? 'bg-green-100 text-green-800' :
+                isSessionOpen(mpesaSession) ? 'bg-yellow-100 text-yellow-800' :
+                'bg-red-100 text-red-800'
               }`}>
-                {renderStatusIcon()}
-                <div>
-                  <p>{mpesaStatus}</p>
-                  {lastStatusCheck && (
-                    <p className="text-xs mt-1">Last checked: {lastStatusCheck}</p>
-                  )}
-                  {mpesaReceiptNumber && (
-                    <p className="text-xs mt-1">Receipt: {mpesaReceiptNumber}</p>
+                <div className="flex items-center">
+                  {renderStatusIcon()}
+                  <div className="flex-1">
+                    <p>{describeMpesaSession(mpesaSession)}</p>
+                    {isSessionOpen(mpesaSession) && lastStatusCheck && (
+                      <p className="text-xs mt-1">Last checked: {lastStatusCheck}</p>
+                    )}
+                  </div>
+                  {isSessionOpen(mpesaSession) && (
+                    <button onClick={handleCancelMpesa} className="ml-2 px-2 py-1 text-xs rounded border border-current hover:bg-yellow-200">
+                      Cancel
+                    </button>
                   )}
                 </div>
+                {[MPESA_SESSION_STATUS.FAILED, MPESA_SESSION_STATUS.EXPIRED].includes(mpesaSession.status) && (
+                  <>
+                    <p className="text-xs mt-1">
+                      If the customer pays after all, the payment will be listed
+                      under <Link to="/pos/mpesa-payments" className="underline">pending M-Pesa payments</Link>.
+                    </p>
+                    <div className="flex justify-end gap-2 mt-2">
+                      <button onClick={dismissMpesaSession} className="px-2 py-1 text-xs rounded border border-current hover:bg-red-200">
+                        Dismiss
+                      </button>
+                      <button
+                        onClick={handleRetryMpesa}
+                        disabled={isProcessing}
+                        className="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        Send again
+                      </button>
+                    </div>
+                  </>
+                )}
               </div>
             )}
           </div>
@@ -538,31 +893,125 @@ const Cart = ({ onCloseCart }) => {
                 <span>Discount:</span>
                 <span>Ksh {cart.discount?.toFixed(2) || '0.00'}</span> {/* 0.00 */}
               </div>
-              <div className="flex justify-between mb-1">
-                <span>Tax (16%):</span>
-                <span>Ksh {cart.tax?.toFixed(2) || '0.00'}</span> {/* 32.00 */}
-              </div>
+              {promotionSavings(cart.items).map(saving => (
+                <div key={saving.promotionId} className="flex justify-between mb-1 text-sm text-green-700">
+                  <span>{saving.name}</span>
+                  <span>-Ksh {saving.amount.toFixed(2)}</span>
+                </div>
+              ))}
+              {cart.cartDiscount && (
+                <div className="flex justify-between mb-1 text-sm text-purple-700">
+                  <span>
+                    Cart discount{cart.cartDiscount.kind === DISCOUNT_KINDS.PERCENT ? ` (${cart.cartDiscount.value}%)` : ''}
+                    {' · '}{overrideReasonLabel(cart.cartDiscount.reasonCode)}
+                  </span>
+                  <span>-Ksh {overrideTotal(cart.items, OVERRIDE_TYPES.CART_DISCOUNT).toFixed(2)}</span>
+                </div>
+              )}
+              <button
+                onClick={() => setAdjusting({ cart: true })}
+                disabled={isProcessing}
+                className="flex items-center text-sm text-blue-600 hover:text-blue-800 mb-1 disabled:opacity-50"
+              >
+                <FaTag className="mr-1" />
+                {cart.cartDiscount ? 'Change cart discount' : 'Discount cart'}
+              </button>
+              {cart.discountCode ? (
+                <div className="flex justify-between items-center mb-1 p-2 rounded-md bg-green-50 text-sm text-green-800">
+                  <div>
+                    <p className="font-medium">
+                      Code {cart.discountCode.code} ({cart.discountCode.percentage}% off)
+                    </p>
+                    {codeSavings > 0 ? (
+                      <p className="text-xs">
+                        -Ksh {codeSavings.toFixed(2)} on {codeLineCount} line{codeLineCount > 1 ? 's' : ''}
+                      </p>
+                    ) : (
+                      <p className="text-xs text-yellow-700">
+                        {codeShortfall > 0 ? `Spend Ksh ${codeShortfall.toFixed(2)} more to use it` : 'Does not cover anything in the cart'}
+                      </p>
+                    )}
+                  </div>
+                  <button onClick={handleRemoveCode} disabled={isProcessing} className="ml-2 text-red-600 hover:text-red-800 disabled:opacity-50" aria-label="Remove code">
+                    <MdClose />
+                  </button>
+                </div>
+              ) : (
+                <form onSubmit={handleApplyCode} className="flex mb-1">
+                  <input
+                    type="text"
+                    value={codeInput}
+                    onChange={(e) => setCodeInput(e.target.value)}
+                    placeholder="Discount code"
+                    className="w-full p-1 text-sm border border-gray-300 rounded-l-md uppercase"
+                  />
+                  <button
+                    type="submit"
+                    disabled={applyingCode || isProcessing || !codeInput.trim()}
+                    className="px-3 text-sm bg-blue-500 text-white rounded-r-md hover:bg-blue-600 disabled:opacity-50"
+                  >
+                    {applyingCode ? <FaSpinner className="animate-spin" /> : 'Apply'}
+                  </button>
+                </form>
+              )}
+              {codeError && <div className="text-red-500 text-xs mb-1">{codeError}</div>}
+              {(cart.taxBreakdown || []).length > 1 ? cart.taxBreakdown.map(entry => (
+                <div key={entry.code} className="flex justify-between mb-1 text-sm text-gray-600">
+                  <span>{taxClassLabel(entry)}:</span>
+                  <span>Ksh {entry.tax.toFixed(2)}</span>
+                </div>
+              )) : (
+                <div className="flex justify-between mb-1">
+                  <span>{cart.taxBreakdown?.length === 1 ? taxClassLabel(cart.taxBreakdown[0]) : 'Tax'}:</span>
+                  <span>Ksh {cart.tax?.toFixed(2) || '0.00'}</span>
+                </div>
+              )}
               <div className="flex justify-between font-bold text-lg mt-2 pt-2 border-t border-gray-200">
                 <span>Total:</span>
                 <span>Ksh {cart.total?.toFixed(2) || '0.00'}</span> {/* 200.00 */}
               </div>
+              {roundingAdjustment !== 0 && (
+                <>
+                  <div className="flex justify-between text-sm text-gray-600">
+                    <span>Cash rounding:</span>
+                    <span>Ksh {roundingAdjustment.toFixed(2)}</span>
+                  </div>
+                  <div className="flex justify-between font-bold">
+                    <span>To pay:</span>
+                    <span>Ksh {amountDue.toFixed(2)}</span>
+                  </div>
+                </>
+              )}
             </div>
 
+          <button
+            onClick={openHoldModal}
+            disabled={isProcessing || tenders.length > 0}
+            title={tenders.length > 0 ? 'Remove the payments taken before parking this sale' : undefined}
+            className="w-full py-2 px-4 mb-2 rounded-md border border-yellow-500 text-yellow-700 font-medium hover:bg-yellow-50 disabled:opacity-50 flex items-center justify-center"
+          >
+            <FaPause className="mr-2" />
+            Park Sale
+          </button>
+
           {/* Checkout Button */}
           <button
             onClick={handleCheckout}
-            disabled={isCheckingOut || mpesaLoading}
+            disabled={isProcessing || tenders.length === 0 || balanceDue !== 0}
+            title={`Complete sale (${hotkeys.checkout})`}
             className={`w-full py-3 px-4 rounded-md text-white font-bold ${
-              isCheckingOut || mpesaLoading ? 'bg-blue-400' : 'bg-blue-600 hover:bg-blue-700'
+              isProcessing || tenders.length === 0 || balanceDue !== 0 ? 'bg-blue-400' : 'bg-blue-600 hover:bg-blue-700'
             }`}
           >
-            {isCheckingOut || mpesaLoading ? (
+            {isProcessing ? (
               <div className="flex items-center justify-center">
                 <FaSpinner className="animate-spin mr-2" />
                 Processing...
               </div>
+            ) : balanceDue > 0 ? (
+              `Ksh ${balanceDue.toFixed(2)} left to pay`
             ) : (
-              `Complete Sales (Ksh ${cart.total?.toFixed(2) || '0.00'})`
+              `Complete Sales (Ksh ${amountDue.toFixed(2)})`
             )}
           </button>
 
@@ -574,6 +1023,72 @@ const Cart = ({ onCloseCart }) => {
         </div>
       )}
 
+      {adjusting && (
+        <PriceOverrideDialog
+          item={adjusting.item}
+          cart={cart}
+          threshold={getApprovalThreshold()}
+          onApply={handleApplyOverride}
+          onRemove={handleRemoveOverride}
+          onClose={() => setAdjusting(null)}
+        />
+      )}
+
+      {showHoldModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-bold">Park Sale</h3>
+              <button 
+                onClick={() => setShowHoldModal(false)}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <MdClose size={24} />
+              </button>
+            </div>
+
+            <form onSubmit={(e) => { e.preventDefault(); handleHoldCart(); }} className="space-y-4">
+              <div>
+                <label className="block text-sm text-gray-700 mb-1">Label or customer name</label>
+                <input
+                  type="text"
+                  value={holdLabel}
+                  onChange={(e) => setHoldLabel(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md"
+                  placeholder="e.g. Lady in red jacket"
+                  autoFocus
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  {cart.items.length} item{cart.items.length === 1 ? '' : 's'}, Ksh {cart.total?.toFixed(2) || '0.00'}. Any till in this branch can resume it.
+                </p>
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setShowHoldModal(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-100"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isHolding}
+                  className={`px-4 py-2 rounded-md text-white ${isHolding ? 'bg-blue-400' : 'bg-blue-600 hover:bg-blue-700'}`}
+                >
+                  {isHolding ? (
+                    <span className="flex items-center">
+                      <FaSpinner className="animate-spin mr-2" />
+                      Parking...
+                    </span>
+                  ) : 'Park Sale'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Add Customer Modal - Simplified to only show name and phone */}
       {showAddCustomerModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -0,0 +1,244 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MdCheckCircle, MdError, MdPhoneIphone } from 'react-icons/md';
+import { CartProvider, useCart } from '../../context/CartContext';
+import { requestPaymentStatus, subscribePaymentStatus } from '../../services/customerDisplayService';
+import { isSessionOpen, MPESA_SESSION_STATUS } from '../../services/mpesaService';
+import { tenderLabel } from '../../components/utils/tenders';
+import { taxClassLabel } from '../../components/utils/tax';
+import { addMoney, multiplyMoney, subtractMoney } from '../../components/utils/money';
+import { lineSubtotal } from '../../components/utils/priceOverrides';
+import logo from '../../assets/logo.png';
+
+// Shown in turn while the till is idle. REACT_APP_CUSTOMER_DISPLAY_IMAGES
+// takes a comma-separated list of image URLs to use instead.
+const PROMO_IMAGES = (process.env.REACT_APP_CUSTOMER_DISPLAY_IMAGES || '/basket.jpg,/basket1.jpg')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+const PROMO_INTERVAL_MS = 8000;
+// How long the change due stays up after a sale if the next one hasn't started
+const THANK_YOU_MS = 20000;
+
+const formatMoney = (value) => `Ksh ${Number(value || 0).toFixed(2)}`;
+
+// The line's own discounts; its share of a cart discount shows in "You save"
+const lineDiscount = (item) => subtractMoney(multiplyMoney(item.price, item.quantity), lineSubtotal(item));
+
+const MpesaBanner = ({ mpesa }) => {
+  if (isSessionOpen(mpesa)) {
+    return (
+      <div className="flex items-center p-4 rounded-lg bg-yellow-100 text-yellow-900 text-xl">
+        <MdPhoneIphone className="text-4xl mr-3 flex-shrink-0 animate-pulse" />
+        Check your phone and enter your M-Pesa PIN to pay {formatMoney(mpesa.amount)}
+      </div>
+    );
+  }
+  if (mpesa.status === MPESA_SESSION_STATUS.CONFIRMED) {
+    return (
+      <div className="flex items-center p-4 rounded-lg bg-green-100 text-green-900 text-xl">
+        <MdCheckCircle className="text-4xl mr-3 flex-shrink-0" />
+        M-Pesa payment of {formatMoney(mpesa.amount)} received
+      </div>
+    );
+  }
+  return (
+    <div className="flex items-center p-4 rounded-lg bg-red-100 text-red-900 text-xl">
+      <MdError className="text-4xl mr-3 flex-shrink-0" />
+      The M-Pesa payment of {formatMoney(mpesa.amount)} did not go through
+    </div>
+  );
+};
+
+const IdleScreen = () => {
+  const [index, setIndex] = useState(0);
+
+  useEffect(() => {
+    if (PROMO_IMAGES.length < 2) return undefined;
+    const timer = setInterval(() => setIndex(current => (current + 1) % PROMO_IMAGES.length), PROMO_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="relative h-screen w-screen bg-black overflow-hidden">
+      {PROMO_IMAGES.map((url, position) => (
+        <img
+          key={url}
+          src={url}
+          alt=""
+          className={`absolute inset-0 h-full w-full object-cover transition-opacity duration-1000 ${position === index ? 'opacity-100' : 'opacity-0'}`}
+        />
+      ))}
+      <div className="absolute bottom-0 left-0 right-0 flex items-center gap-4 p-6 bg-gradient-to-t from-black/70 to-transparent text-white">
+        <img src={logo} alt="" className="h-12 w-12 rounded-full bg-white p-1" />
+        <p className="text-3xl font-semibold">Welcome! Your items will appear here.</p>
+      </div>
+    </div>
+  );
+};
+
+const ThankYouScreen = ({ sale }) => (
+  <div className="h-screen w-screen flex flex-col items-center justify-center bg-green-50 text-gray-800">
+    <MdCheckCircle className="text-green-500 text-8xl mb-6" />
+    <h1 className="text-5xl font-bold mb-8">Thank you!</h1>
+    <div className="w-full max-w-md text-2xl space-y-3">
+      <div className="flex justify-between">
+        <span>Total</span>
+        <span>{formatMoney(sale.amountDue)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span>Paid</span>
+        <span>{formatMoney(sale.paid)}</span>
+      </div>
+      {sale.change > 0 && (
+        <div className="flex justify-between text-4xl font-bold text-green-700 pt-3 border-t border-green-200">
+          <span>Change</span>
+          <span>{formatMoney(sale.change)}</span>
+        </div>
+      )}
+    </div>
+    {sale.saleNumber && <p className="mt-8 text-gray-500">Receipt {sale.saleNumber}</p>}
+  </div>
+);
+
+const CustomerDisplayScreen = () => {
+  const { cart } = useCart();
+  const [status, setStatus] = useState(null);
+  const [recentSale, setRecentSale] = useState(null);
+  const lastLineRef = useRef(null);
+  const completedSale = status?.completedSale || null;
+
+  useEffect(() => {
+    document.title = 'Customer display';
+    const unsubscribe = subscribePaymentStatus(setStatus);
+    requestPaymentStatus();
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    const remaining = completedSale ? completedSale.completedAt + THANK_YOU_MS - Date.now() : 0;
+    if (remaining <= 0) {
+      setRecentSale(null);
+      return undefined;
+    }
+    setRecentSale(completedSale);
+    const timer = setTimeout(() => setRecentSale(null), remaining);
+    return () => clearTimeout(timer);
+  }, [completedSale]);
+
+  // Keeps the line just rung up in view
+  useEffect(() => {
+    lastLineRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [cart.items.length]);
+
+  if (cart.items.length === 0) {
+    return recentSale ? <ThankYouScreen sale={recentSale} /> : <IdleScreen />;
+  }
+
+  const rounding = status?.roundingAdjustment || 0;
+  const amountDue = addMoney(cart.total || 0, rounding);
+  const tenders = status?.tenders || [];
+
+  return (
+    <div className="h-screen w-screen flex bg-gray-100 text-gray-800">
+      <div className="flex-1 flex flex-col p-6 min-w-0">
+        <h1 className="text-2xl font-bold mb-4">Your items</h1>
+        <div className="flex-1 overflow-y-auto bg-white rounded-lg shadow divide-y divide-gray-200">
+          {cart.items.map((item, position) => (
+            <div
+              key={item.id}
+              ref={position === cart.items.length - 1 ? lastLineRef : undefined}
+              className="flex justify-between items-start px-5 py-4 text-xl"
+            >
+              <div className="min-w-0">
+                <p className="font-medium truncate">{item.name || 'Product'}</p>
+                <p className="text-base text-gray-500">
+                  {item.quantity} × {formatMoney(item.price)}
+                  {item.priceOverride && item.originalPrice > item.price && (
+                    <span className="ml-2 line-through">{formatMoney(item.originalPrice)}</span>
+                  )}
+                </p>
+                {lineDiscount(item) > 0 && (
+                  <p className="text-base text-green-600">
+                    Discount -{formatMoney(lineDiscount(item))}
+                  </p>
+                )}
+              </div>
+              <p className="font-semibold ml-4 whitespace-nowrap">{formatMoney(lineSubtotal(item))}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="w-2/5 max-w-lg flex flex-col gap-4 p-6 bg-white shadow-lg">
+        <div className="space-y-2 text-xl">
+          <div className="flex justify-between">
+            <span>Subtotal (before tax)</span>
+            <span>{formatMoney(cart.subtotal)}</span>
+          </div>
+          {(cart.taxBreakdown || []).length > 1 ? cart.taxBreakdown.map(entry => (
+            <div key={entry.code} className="flex justify-between text-lg text-gray-600">
+              <span>{taxClassLabel(entry)}</span>
+              <span>{formatMoney(entry.tax)}</span>
+            </div>
+          )) : (
+            <div className="flex justify-between">
+              <span>{cart.taxBreakdown?.length === 1 ? taxClassLabel(cart.taxBreakdown[0]) : 'Tax'}</span>
+              <span>{formatMoney(cart.tax)}</span>
+            </div>
+          )}
+          {rounding !== 0 && (
+            <div className="flex justify-between text-lg text-gray-600">
+              <span>Cash rounding</span>
+              <span>{formatMoney(rounding)}</span>
+            </div>
+          )}
+          <div className="flex justify-between text-4xl font-bold pt-4 border-t border-gray-200">
+            <span>Total</span>
+            <span>{formatMoney(amountDue)}</span>
+          </div>
+          {cart.discount > 0 && (
+            <p className="text-right text-green-600">You save {formatMoney(cart.discount)}</p>
+          )}
+        </div>
+
+        {tenders.length > 0 && (
+          <div className="space-y-2 text-xl pt-4 border-t border-gray-200">
+            {tenders.map((tender, position) => (
+              <div key={position} className="flex justify-between text-gray-600">
+                <span>{tenderLabel(tender.method)}</span>
+                <span>{formatMoney(tender.tendered)}</span>
+              </div>
+            ))}
+            {status.balanceDue > 0 && (
+              <div className="flex justify-between text-2xl font-semibold">
+                <span>Left to pay</span>
+                <span>{formatMoney(status.balanceDue)}</span>
+              </div>
+            )}
+            {status.change > 0 && (
+              <div className="flex justify-between text-3xl font-bold text-green-700">
+                <span>Change</span>
+                <span>{formatMoney(status.change)}</span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {status?.mpesa && <MpesaBanner mpesa={status.mpesa} />}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * What the customer sees on a second screen: the items being rung up, the
+ * totals and how payment is going, and promotions while the till is idle.
+ * Opened from the cart panel and updated live by the till in the same browser.
+ */
+const CustomerDisplay = () => (
+  <CartProvider>
+    <CustomerDisplayScreen />
+  </CartProvider>
+);
+
+export default CustomerDisplay;
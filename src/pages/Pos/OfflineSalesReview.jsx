@@ -0,0 +1,214 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast, ToastContainer } from 'react-toastify';
+import { format } from 'date-fns';
+import { FaRedo, FaSyncAlt, FaTrash } from 'react-icons/fa';
+import { useConnectivity } from '../../context/ConnectivityContext';
+import {
+  discardQueuedSale,
+  getQueuedSales,
+  onQueueChange,
+  QUEUED_SALE_STATUS,
+  retryQueuedSale
+} from '../../services/offlineSalesService';
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'MMM dd, yyyy HH:mm') : 'N/A');
+
+const formatMoney = (value) => `Ksh ${Number(value || 0).toFixed(2)}`;
+
+// 'items[2].quantity' -> the name of the third item, so the cashier knows which line failed
+const describeConflict = (record) => {
+  const entries = Object.entries(record.fieldErrors || {});
+  if (entries.length === 0) return [record.error || 'Refused by the server'];
+  return entries.map(([field, message]) => {
+    const index = /^items\[(\d+)\]/.exec(field)?.[1];
+    const item = index !== undefined ? record.sale.items?.[Number(index)] : null;
+    return item ? `${item.name || `Product ${item.productId}`}: ${message}` : message;
+  });
+};
+
+/**
+ * Sales taken while offline that have not reached the server yet, and the
+ * ones it refused (e.g. stock ran out or a product was deleted meanwhile)
+ */
+const OfflineSalesReview = () => {
+  const { online, syncing, syncError, syncNow } = useConnectivity();
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyKey, setBusyKey] = useState(null);
+
+  const loadRecords = useCallback(async () => {
+    try {
+      setError(null);
+      setRecords(await getQueuedSales());
+    } catch (err) {
+      setError(err.message || 'Failed to read the offline sales queue');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRecords();
+    return onQueueChange(loadRecords);
+  }, [loadRecords]);
+
+  const handleSyncNow = async () => {
+    try {
+      const result = await syncNow();
+      if (!result) return;
+      if (result.synced > 0) toast.success(`${result.synced} sale${result.synced === 1 ? '' : 's'} synced`);
+      if (result.conflicts > 0) toast.warning(`${result.conflicts} sale${result.conflicts === 1 ? ' needs' : 's need'} review`);
+      if (result.remaining > 0) toast.info('The server is still unreachable - the rest will sync later');
+    } catch (err) {
+      toast.error(err.message || 'Sync failed');
+    }
+  };
+
+  const handleRetry = async (record) => {
+    try {
+      setBusyKey(record.idempotencyKey);
+      const result = await retryQueuedSale(record.idempotencyKey);
+      if (result.synced) {
+        toast.success(`${record.receiptNumber} synced`);
+      } else {
+        toast.error(`${record.receiptNumber} was refused again: ${result.error?.message || 'see details'}`);
+      }
+    } catch (err) {
+      toast.error(err.message || 'The server cannot be reached');
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleDiscard = async (record) => {
+    const reason = window.prompt(
+      `Discard offline sale ${record.receiptNumber} (${formatMoney(record.sale.total)})? ` +
+      'It will not be recorded. Give a reason, e.g. "Refunded the customer".'
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error('A reason is required to discard a sale');
+      return;
+    }
+    try {
+      setBusyKey(record.idempotencyKey);
+      await discardQueuedSale(record.idempotencyKey, { reason: reason.trim() });
+      toast.info(`${record.receiptNumber} discarded`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to discard the sale');
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const conflicts = records.filter(record => record.status === QUEUED_SALE_STATUS.CONFLICT);
+  const pending = records.filter(record => record.status === QUEUED_SALE_STATUS.PENDING);
+
+  const renderRecord = (record) => {
+    const isConflict = record.status === QUEUED_SALE_STATUS.CONFLICT;
+    return (
+      <tr key={record.idempotencyKey} className={isConflict ? 'bg-red-50' : ''}>
+        <td className="px-4 py-3 text-sm font-mono text-gray-800">{record.receiptNumber}</td>
+        <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">{formatDateTime(record.sale.soldAt || record.queuedAt)}</td>
+        <td className="px-4 py-3 text-sm text-gray-700">
+          {(record.sale.items || []).map(item => `${item.quantity} × ${item.name || `Product ${item.productId}`}`).join(', ')}
+        </td>
+        <td className="px-4 py-3 text-sm font-medium text-gray-800">{formatMoney(record.sale.total)}</td>
+        <td className="px-4 py-3 text-sm">
+          {isConflict ? (
+            <ul className="text-red-700 list-disc list-inside">
+              {describeConflict(record).map(message => <li key={message}>{message}</li>)}
+            </ul>
+          ) : (
+            <span className="text-yellow-700">Waiting to sync</span>
+          )}
+        </td>
+        <td className="px-4 py-3 text-right whitespace-nowrap">
+          {isConflict && (
+            <button
+              onClick={() => handleRetry(record)}
+              disabled={!online || busyKey === record.idempotencyKey}
+              className="inline-flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 mr-2"
+              title="Send again, e.g. after receiving stock"
+            >
+              <FaRedo /> Retry
+            </button>
+          )}
+          <button
+            onClick={() => handleDiscard(record)}
+            disabled={busyKey === record.idempotencyKey}
+            className="inline-flex items-center gap-1 px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+          >
+            <FaTrash /> Discard
+          </button>
+        </td>
+      </tr>
+    );
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-7xl">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Offline Sales</h1>
+          <p className="text-gray-600 mt-1">
+            Sales taken without a connection on this till. {online ? 'Pending sales sync automatically.' : 'You are offline.'}
+          </p>
+        </div>
+        <button
+          onClick={handleSyncNow}
+          disabled={!online || syncing || pending.length === 0}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium disabled:opacity-60"
+        >
+          <FaSyncAlt className={syncing ? 'animate-spin' : ''} /> {syncing ? 'Syncing...' : 'Sync now'}
+        </button>
+      </div>
+
+      {(error || syncError) && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error || `The last sync failed: ${syncError}`}</p>
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 text-yellow-800 p-4 mb-6 text-sm">
+          {conflicts.length} sale{conflicts.length === 1 ? ' was' : 's were'} refused by the server. Receive the missing stock
+          and retry, or discard the sale after settling with the customer.
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Receipt', 'Sold', 'Items', 'Total', 'Status', ''].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan={6} className="py-10">
+                  <div className="flex justify-center">
+                    <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+                  </div>
+                </td>
+              </tr>
+            ) : records.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-4 py-10 text-center text-gray-500">Every offline sale has been synced</td>
+              </tr>
+            ) : [...conflicts, ...pending].map(renderRecord)}
+          </tbody>
+        </table>
+      </div>
+      <ToastContainer />
+    </div>
+  );
+};
+
+export default OfflineSalesReview;
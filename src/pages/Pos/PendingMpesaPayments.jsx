@@ -0,0 +1,204 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast, ToastContainer } from 'react-toastify';
+import { format } from 'date-fns';
+import { FaCashRegister, FaSyncAlt, FaUndo } from 'react-icons/fa';
+import {
+  getActiveMpesaSession,
+  getMpesaSessions,
+  isSessionOpen,
+  isSessionUnresolved,
+  MPESA_SESSION_LABELS,
+  MPESA_SESSION_STATUS,
+  refundMpesaSession,
+  setActiveMpesaSession
+} from '../../services/mpesaService';
+
+// Open sessions change on their own, so the list is reloaded while the page is open
+const REFRESH_MS = 15000;
+// Finished sessions shown under "Recent"
+const RECENT_LIMIT = 50;
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'MMM dd, yyyy HH:mm') : 'N/A');
+
+const formatMoney = (value) => `Ksh ${Number(value || 0).toFixed(2)}`;
+
+const STATUS_STYLES = {
+  [MPESA_SESSION_STATUS.INITIATED]: 'bg-yellow-100 text-yellow-800',
+  [MPESA_SESSION_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [MPESA_SESSION_STATUS.CONFIRMED]: 'bg-green-100 text-green-800',
+  [MPESA_SESSION_STATUS.FAILED]: 'bg-red-100 text-red-800',
+  [MPESA_SESSION_STATUS.EXPIRED]: 'bg-gray-200 text-gray-800'
+};
+
+const describeOutcome = (session) => {
+  if (session.saleId) return `Sale #${session.saleId}`;
+  if (session.refundedAt) return `Refunded: ${session.refundReason}`;
+  if (isSessionUnresolved(session)) return session.late ? 'Paid after the till stopped waiting' : 'Not used in a sale';
+  return session.failureReason || '';
+};
+
+/**
+ * This till's M-Pesa payments still in progress, and confirmed ones that
+ * never made it into a sale (the customer paid after the till timed out or
+ * cancelled, or the cart was cleared). Those are taken to the cart as the
+ * payment for the goods rung up again, or refunded to the customer.
+ */
+const PendingMpesaPayments = () => {
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setError(null);
+      setSessions(await getMpesaSessions());
+    } catch (err) {
+      setError(err.message || 'Failed to load M-Pesa payments');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+    const timer = setInterval(loadSessions, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [loadSessions]);
+
+  const replaceSession = (updated) => {
+    setSessions(prev => prev.map(session => (session.id === updated.id ? updated : session)));
+  };
+
+  const handleUseInSale = (session) => {
+    const active = getActiveMpesaSession();
+    if (active && active.id !== session.id && (isSessionOpen(active) || isSessionUnresolved(active))) {
+      toast.error('The cart already has an M-Pesa payment in progress. Finish or cancel that sale first.');
+      return;
+    }
+    setActiveMpesaSession(session.id);
+    navigate('/pos');
+  };
+
+  const handleRefund = (session) => {
+    const reason = window.prompt(
+      `Mark ${session.mpesaReceiptNumber} (${formatMoney(session.amount)}) as refunded to ${session.phoneNumber}? ` +
+      'Send the money back first, then give a reason, e.g. "Customer left without the goods".'
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error('A reason is required to refund a payment');
+      return;
+    }
+    try {
+      replaceSession(refundMpesaSession(session, reason.trim()));
+      toast.info(`${session.mpesaReceiptNumber} marked as refunded`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to refund the payment');
+    }
+  };
+
+  const unresolved = sessions.filter(isSessionUnresolved);
+  const open = sessions.filter(isSessionOpen);
+  const recent = sessions.filter(session => !isSessionUnresolved(session) && !isSessionOpen(session)).slice(0, RECENT_LIMIT);
+
+  const renderSession = (session) => (
+    <tr key={session.id} className={isSessionUnresolved(session) ? 'bg-yellow-50' : ''}>
+      <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">{formatDateTime(session.confirmedAt || session.createdAt)}</td>
+      <td className="px-4 py-3 text-sm font-mono text-gray-800">{session.mpesaReceiptNumber || '-'}</td>
+      <td className="px-4 py-3 text-sm text-gray-700">{session.phoneNumber}</td>
+      <td className="px-4 py-3 text-sm font-medium text-gray-800">{formatMoney(session.amount)}</td>
+      <td className="px-4 py-3 text-sm">
+        <span className={`px-2 py-1 rounded-full text-xs ${STATUS_STYLES[session.status] || ''}`}>
+          {MPESA_SESSION_LABELS[session.status] || session.status}
+        </span>
+      </td>
+      <td className="px-4 py-3 text-sm text-gray-700">{describeOutcome(session)}</td>
+      <td className="px-4 py-3 text-right whitespace-nowrap">
+        {isSessionUnresolved(session) && (
+          <>
+            <button
+              onClick={() => handleUseInSale(session)}
+              className="inline-flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 mr-2"
+            >
+              <FaCashRegister /> Use in a sale
+            </button>
+            <button
+              onClick={() => handleRefund(session)}
+              className="inline-flex items-center gap-1 px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700"
+            >
+              <FaUndo /> Refund
+            </button>
+          </>
+        )}
+      </td>
+    </tr>
+  );
+
+  const renderTable = (title, rows, emptyMessage) => (
+    <div className="mb-8">
+      <h2 className="text-xl font-semibold text-gray-800 mb-3">{title}</h2>
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Time', 'Receipt', 'Phone', 'Amount', 'Status', 'Outcome', ''].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {rows.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="px-4 py-6 text-center text-gray-500">{emptyMessage}</td>
+              </tr>
+            ) : rows.map(renderSession)}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-7xl">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">M-Pesa Payments</h1>
+          <p className="text-gray-600 mt-1">
+            Payments confirmed without a sale need to be used in the sale they paid for, or refunded.
+          </p>
+        </div>
+        <button
+          onClick={loadSessions}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium"
+        >
+          <FaSyncAlt /> Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : (
+        <>
+          {renderTable('To resolve', unresolved, 'Every confirmed payment is part of a sale')}
+          {renderTable('Waiting for the customer', open, 'No payment requests are waiting')}
+          {renderTable('Recent', recent, 'No M-Pesa payments yet')}
+        </>
+      )}
+      <ToastContainer />
+    </div>
+  );
+};
+
+export default PendingMpesaPayments;
@@ -0,0 +1,63 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import useHotkeys from '../../hooks/useHotkeys';
+import HotkeyCheatSheet from '../../components/pos/HotkeyCheatSheet';
+import { DEFAULT_POS_HOTKEYS, getPosHotkeys, savePosHotkeys } from '../../services/hotkeyPreferences';
+import { usePosLock } from './PosIdleLock';
+
+const PosHotkeysContext = createContext({
+  hotkeys: DEFAULT_POS_HOTKEYS,
+  enabled: false,
+  openShortcuts: () => {}
+});
+
+// Gives the product grid and the cart the cashier's key bindings
+export const usePosHotkeys = () => useContext(PosHotkeysContext);
+
+/**
+ * Holds the signed-in cashier's POS shortcuts and the cheat sheet where they
+ * can be looked up and remapped. Shortcuts pause while the till is locked or
+ * the cheat sheet is open.
+ */
+const PosHotkeys = ({ children }) => {
+  const { user } = useAuth();
+  const { locked } = usePosLock();
+  const userId = user?.id;
+  const [hotkeys, setHotkeys] = useState(() => getPosHotkeys(userId));
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  // Reload when the till is handed over to another cashier
+  useEffect(() => {
+    setHotkeys(getPosHotkeys(userId));
+  }, [userId]);
+
+  const updateHotkeys = useCallback((next) => {
+    savePosHotkeys(userId, next);
+    setHotkeys(next);
+  }, [userId]);
+
+  const openShortcuts = useCallback(() => setShowShortcuts(true), []);
+
+  useHotkeys(hotkeys, { showShortcuts: openShortcuts }, { enabled: !locked && !showShortcuts });
+
+  const value = useMemo(() => ({
+    hotkeys,
+    enabled: !locked && !showShortcuts,
+    openShortcuts
+  }), [hotkeys, locked, showShortcuts, openShortcuts]);
+
+  return (
+    <PosHotkeysContext.Provider value={value}>
+      {children}
+      {showShortcuts && (
+        <HotkeyCheatSheet
+          hotkeys={hotkeys}
+          onChange={userId ? updateHotkeys : null}
+          onClose={() => setShowShortcuts(false)}
+        />
+      )}
+    </PosHotkeysContext.Provider>
+  );
+};
+
+export default PosHotkeys;
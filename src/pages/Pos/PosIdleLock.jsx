@@ -0,0 +1,334 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { FaLock, FaSpinner, FaUserShield } from 'react-icons/fa';
+import { jwtDecode } from 'jwt-decode';
+import { useAuth } from '../../context/AuthContext';
+import { useCart } from '../../context/CartContext';
+import { loginUser, verifyManagerOverride, verifyUserPin } from '../../services/api';
+import { broadcast, subscribe, SYNC_EVENTS } from '../../services/tabSync';
+import { getIdleLockMinutes } from '../../services/terminalSettings';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+// Kept in localStorage so reloading the page doesn't bypass the lock, and
+// mirrored to the other tabs so opening another one doesn't either
+const LOCK_STATE_KEY = 'posLocked';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md';
+
+// A password unlock needs a current token issued to the locked-out user
+const isTokenFor = (token, user) => {
+  try {
+    const claims = jwtDecode(token);
+    return claims.sub === user.username && claims.exp * 1000 > Date.now();
+  } catch (error) {
+    return false;
+  }
+};
+
+const PosLockContext = createContext({ locked: false });
+
+// Lets POS widgets that listen globally (e.g. the barcode scanner) pause while locked
+export const usePosLock = () => useContext(PosLockContext);
+
+/**
+ * Locks the POS after a period of inactivity. Wraps the whole till layout,
+ * sidebar included, which stays mounted (blurred and inert) so the cart and
+ * any pending M-Pesa checkout carry on underneath. Unlocks with the cashier's
+ * PIN or password, or a manager override that can also hand the till to
+ * another user.
+ */
+const PosIdleLock = ({ children }) => {
+  const { user, login, logout } = useAuth();
+  const { cart } = useCart();
+  const [locked, setLocked] = useState(() => localStorage.getItem(LOCK_STATE_KEY) === 'true');
+  const [idleMinutes] = useState(getIdleLockMinutes);
+
+  const lock = useCallback(() => {
+    localStorage.setItem(LOCK_STATE_KEY, 'true');
+    setLocked(true);
+    broadcast(SYNC_EVENTS.POS_LOCK, { locked: true });
+  }, []);
+
+  const unlock = useCallback(() => {
+    localStorage.removeItem(LOCK_STATE_KEY);
+    setLocked(false);
+    broadcast(SYNC_EVENTS.POS_LOCK, { locked: false });
+  }, []);
+
+  // Follow the lock from other tabs; the shared localStorage flag is already set
+  useEffect(() => subscribe(({ type, payload }) => {
+    if (type === SYNC_EVENTS.POS_LOCK) setLocked(payload.locked === true);
+  }), []);
+
+  useEffect(() => {
+    if (locked || !idleMinutes) return undefined;
+
+    let timer;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lock, idleMinutes * 60 * 1000);
+    };
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, resetTimer, { passive: true }));
+    resetTimer();
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, resetTimer));
+    };
+  }, [locked, idleMinutes, lock]);
+
+  // Moves the open cart to the incoming cashier and signs them in
+  const handOver = (authData) => {
+    if (user && authData.id !== user.id) {
+      localStorage.setItem(`cart_${authData.id}`, JSON.stringify(cart));
+      localStorage.removeItem(`cart_${user.id}`);
+    }
+    login(authData);
+    unlock();
+  };
+
+  const handleSignOut = () => {
+    unlock();
+    logout();
+  };
+
+  return (
+    <PosLockContext.Provider value={{ locked }}>
+      <div
+        className={locked ? 'blur-md pointer-events-none select-none' : ''}
+        inert={locked}
+        aria-hidden={locked}
+      >
+        {children}
+      </div>
+
+      {!locked && (
+        <button
+          onClick={lock}
+          className="fixed bottom-6 left-6 z-40 bg-gray-800 text-white p-3 rounded-full shadow-lg hover:bg-gray-900"
+          title="Lock till"
+          aria-label="Lock till"
+        >
+          <FaLock />
+        </button>
+      )}
+
+      {locked && user && (
+        <LockScreen
+          user={user}
+          onUnlock={unlock}
+          onHandOver={handOver}
+          onSignOut={handleSignOut}
+        />
+      )}
+    </PosLockContext.Provider>
+  );
+};
+
+const LockScreen = ({ user, onUnlock, onHandOver, onSignOut }) => {
+  // cashier -> manager -> handover
+  const [mode, setMode] = useState('cashier');
+  const [usePin, setUsePin] = useState(true);
+  const [secret, setSecret] = useState('');
+  const [managerName, setManagerName] = useState('');
+  const [managerPin, setManagerPin] = useState('');
+  const [cashierName, setCashierName] = useState('');
+  const [cashierPassword, setCashierPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const showMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+  };
+
+  const handleCashierUnlock = async (e) => {
+    e.preventDefault();
+    if (!secret.trim()) {
+      setError(usePin ? 'Please enter your PIN' : 'Please enter your password');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    const { data, error: verifyError } = usePin
+      ? await verifyUserPin({ username: user.username, pin: secret })
+      : await loginUser({ username: user.username, password: secret });
+    setIsLoading(false);
+    setSecret('');
+
+    // Fails closed: only an explicit yes from the server unlocks
+    const verified = !verifyError && (usePin ? data?.valid === true : isTokenFor(data?.token, user));
+    if (!verified) {
+      setError(usePin ? 'Incorrect PIN' : 'Incorrect password');
+      return;
+    }
+    onUnlock();
+  };
+
+  const handleManagerOverride = async (e) => {
+    e.preventDefault();
+    if (!managerName.trim() || !managerPin.trim()) {
+      setError('Please enter the manager username and PIN');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    // The server checks the PIN and the pos_override permission; anything
+    // short of a clear yes keeps the till locked
+    const result = await verifyManagerOverride({ username: managerName, pin: managerPin });
+    setIsLoading(false);
+    setManagerPin('');
+
+    if (result.error || result.data?.valid !== true) {
+      if (result.status === 403) setError(result.message);
+      else if (result.status === 401) setError('Incorrect username or PIN');
+      else setError('Could not check the override. Please try again.');
+      return;
+    }
+    showMode('handover');
+  };
+
+  const handleHandOver = async (e) => {
+    e.preventDefault();
+    if (!cashierName.trim() || !cashierPassword.trim()) {
+      setError('Please enter the cashier username and password');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    const { data, error: loginError } = await loginUser({ username: cashierName, password: cashierPassword });
+    setIsLoading(false);
+    setCashierPassword('');
+
+    if (loginError || !data?.token) {
+      setError('Invalid cashier credentials');
+      return;
+    }
+    onHandOver(data);
+  };
+
+  const submitButton = (label) => (
+    <button
+      type="submit"
+      disabled={isLoading}
+      className={`w-full px-4 py-2 rounded-md text-white ${
+        isLoading ? 'bg-blue-400' : 'bg-blue-600 hover:bg-blue-700'
+      }`}
+    >
+      {isLoading ? (
+        <span className="flex items-center justify-center">
+          <FaSpinner className="animate-spin mr-2" />
+          Checking...
+        </span>
+      ) : label}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-[90]">
+      <div className="bg-white rounded-lg p-6 w-full max-w-sm shadow-xl">
+        <div className="flex items-center mb-1">
+          {mode === 'cashier' ? <FaLock className="text-blue-600 mr-2" /> : <FaUserShield className="text-blue-600 mr-2" />}
+          <h3 className="text-xl font-bold">
+            {mode === 'cashier' ? 'Till locked' : mode === 'manager' ? 'Manager override' : 'Hand over till'}
+          </h3>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {mode === 'cashier' && <>Signed in as <span className="font-medium">{user.name}</span>. The cart is kept while locked.</>}
+          {mode === 'manager' && 'A manager can unlock this till or hand it to another cashier.'}
+          {mode === 'handover' && 'Unlock for the current cashier, or sign in the cashier taking over. The open cart moves with the till.'}
+        </p>
+
+        {mode === 'cashier' && (
+          <form onSubmit={handleCashierUnlock} className="space-y-4">
+            <input
+              type="password"
+              inputMode={usePin ? 'numeric' : undefined}
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              placeholder={usePin ? 'PIN' : 'Password'}
+              className={inputClass}
+              autoFocus
+            />
+            {submitButton('Unlock')}
+            <div className="flex justify-between text-sm">
+              <button type="button" onClick={() => { setUsePin(!usePin); setSecret(''); setError(''); }} className="text-blue-600 hover:underline">
+                {usePin ? 'Use password instead' : 'Use PIN instead'}
+              </button>
+              <button type="button" onClick={() => showMode('manager')} className="text-blue-600 hover:underline">
+                Manager override
+              </button>
+            </div>
+          </form>
+        )}
+
+        {mode === 'manager' && (
+          <form onSubmit={handleManagerOverride} className="space-y-4">
+            <input
+              type="text"
+              value={managerName}
+              onChange={(e) => setManagerName(e.target.value)}
+              placeholder="Manager username"
+              className={inputClass}
+              autoFocus
+            />
+            <input
+              type="password"
+              inputMode="numeric"
+              value={managerPin}
+              onChange={(e) => setManagerPin(e.target.value)}
+              placeholder="Manager PIN"
+              className={inputClass}
+            />
+            {submitButton('Authorize')}
+            <button type="button" onClick={() => showMode('cashier')} className="text-sm text-blue-600 hover:underline">
+              Back
+            </button>
+          </form>
+        )}
+
+        {mode === 'handover' && (
+          <form onSubmit={handleHandOver} className="space-y-4">
+            <button
+              type="button"
+              onClick={onUnlock}
+              className="w-full px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-100"
+            >
+              Unlock for {user.name}
+            </button>
+            <input
+              type="text"
+              value={cashierName}
+              onChange={(e) => setCashierName(e.target.value)}
+              placeholder="New cashier username"
+              className={inputClass}
+              autoFocus
+            />
+            <input
+              type="password"
+              value={cashierPassword}
+              onChange={(e) => setCashierPassword(e.target.value)}
+              placeholder="New cashier password"
+              className={inputClass}
+            />
+            {submitButton('Hand over')}
+          </form>
+        )}
+
+        {error && (
+          <div className="text-red-500 text-sm p-2 bg-red-50 rounded mt-4">{error}</div>
+        )}
+
+        <div className="border-t mt-4 pt-3 text-right">
+          <button type="button" onClick={onSignOut} className="text-sm text-gray-600 hover:underline">
+            Sign out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PosIdleLock;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Outlet } from 'react-router-dom';
+import DashboardLayout from '../../layouts/DashboardLayout';
+import PosIdleLock from './PosIdleLock';
+import { CartProvider } from '../../context/CartContext';
+
+/**
+ * Shared layout for the till pages. The idle lock sits outside the dashboard
+ * layout so the sidebar and navbar are locked too, and stays mounted while
+ * moving between till pages.
+ */
+const PosLayout = () => (
+  <CartProvider>
+    <PosIdleLock>
+      <DashboardLayout>
+        <Outlet />
+      </DashboardLayout>
+    </PosIdleLock>
+  </CartProvider>
+);
+
+export default PosLayout;
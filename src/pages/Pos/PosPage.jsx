@@ -1,10 +1,61 @@
-import React, { useEffect, useState, useCallback } from 'react';
-import { FiShoppingCart, FiRefreshCw, FiAlertCircle, FiSearch, FiPlus, FiMinus } from 'react-icons/fi';
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { FiShoppingCart, FiRefreshCw, FiAlertCircle, FiSearch, FiPlus, FiMinus, FiCheckCircle, FiX } from 'react-icons/fi';
+import { FaKeyboard } from 'react-icons/fa';
 import { BsCartPlus, BsStarFill, BsStarHalf, BsStar } from 'react-icons/bs';
-import { getAllProducts, getCategories } from '../../services/productServices';
+import { fetchCatalogPage, readCatalog, refreshCatalog } from '../../services/catalogService';
+import { getActiveShift, getCurrentShift } from '../../services/shiftService';
+import { isOfflineError } from '../../services/offlineSalesService';
+import { fetchTaxSettings } from '../../services/taxService';
+import { fetchCashRoundingIncrement } from '../../services/cashRoundingService';
+import { fetchApprovalThreshold } from '../../services/priceOverrideService';
+import { fetchPromotions } from '../../services/promotionService';
 import { useCart } from '../../context/CartContext';
+import useBarcodeScanner from '../../hooks/useBarcodeScanner';
+import useHotkeys from '../../hooks/useHotkeys';
+import { playScanTone } from '../../components/utils/scanFeedback';
+import UnknownBarcodeDialog from '../../components/pos/UnknownBarcodeDialog';
+import VirtualProductGrid from '../../components/pos/VirtualProductGrid';
+import { usePosLock } from './PosIdleLock';
+import { usePosHotkeys } from './PosHotkeys';
 
-const ProductCard = ({ product, cartQuantity }) => {
+// How long the scan banner and card highlight stay up
+const SCAN_FEEDBACK_MS = 2500;
+const MAX_MULTIPLIER = 999;
+const SEARCH_DEBOUNCE_MS = 250;
+// How often the saved catalog picks up price and stock changes while the POS is open
+const CATALOG_REFRESH_MS = 5 * 60 * 1000;
+
+// Normalizes a product from any endpoint to the shape the grid and cart use
+// `categories` supplies the tax class for products that don't have their own
+const toPosProduct = (product, categories = []) => ({
+  ...product,
+  taxClass: product.taxClass || categories.find(category => category.id === (product.categoryId || product.category_id))?.taxClass || null,
+  price: Number(product.price),
+  costPrice: product.costPrice ? Number(product.costPrice) : null,
+  quantity_in_stock: product.quantityInStock || product.quantity_in_stock || 0,
+  category_id: product.categoryId || product.category_id,
+  imageUrl: product.imageUrl ? 
+    (product.imageUrl.startsWith('/images/products/') ? 
+      product.imageUrl : 
+      `/images/products/${product.imageUrl}`) 
+    : null
+});
+
+const matchesSearch = (product, query) => {
+  const needle = query.toLowerCase();
+  return product.name.toLowerCase().includes(needle) ||
+    (product.sku && product.sku.toLowerCase().includes(needle)) ||
+    (product.barcode && product.barcode.toLowerCase().includes(needle));
+};
+
+const findByCode = (products, code) => {
+  const normalized = code.trim().toLowerCase();
+  return products.find(product => product.barcode && product.barcode.toLowerCase() === normalized) ||
+    products.find(product => product.sku && product.sku.toLowerCase() === normalized);
+};
+
+const ProductCard = ({ product, cartQuantity, highlighted, selected }) => {
   const { addToCart } = useCart();
   const [quantity, setQuantity] = useState(1);
   const [imageError, setImageError] = useState(false);
@@ -38,7 +89,9 @@ const ProductCard = ({ product, cartQuantity }) => {
   };
 
   return (
-    <div className="bg-white rounded-lg shadow-md overflow-hidden flex flex-col h-full border border-gray-200 hover:shadow-lg transition-shadow">
+    <div className={`bg-white rounded-lg shadow-md overflow-hidden flex flex-col h-full border hover:shadow-lg transition-shadow ${
+      highlighted ? 'border-green-500 ring-2 ring-green-400' : selected ? 'border-blue-500 ring-2 ring-blue-400' : 'border-gray-200'
+    }`}>
       {/* Product Image */}
       <div className="relative pb-[100%] bg-gray-100">
         {!imageError && product.imageUrl ? (
@@ -247,79 +300,259 @@ const EmptyState = ({ selectedCategory }) => (
 );
 
 export default function PosPage() {
-  const [products, setProducts] = useState([]);
+  const [catalog, setCatalog] = useState([]);
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
-  const { cart } = useCart();
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [scanFeedback, setScanFeedback] = useState(null);
+  const [unknownCode, setUnknownCode] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(-1);
+  const [multiplier, setMultiplier] = useState(1);
+  const [shift, setShift] = useState(getActiveShift);
+  const [cachedAt, setCachedAt] = useState(null);
+  const feedbackTimer = useRef(null);
+  const searchInputRef = useRef(null);
+  const gridRef = useRef(null);
+  const pageRequest = useRef(0);
+  const { cart, addToCart } = useCart();
+  const { locked } = usePosLock();
+  const { hotkeys, enabled: hotkeysEnabled, openShortcuts } = usePosHotkeys();
 
-  const fetchData = useCallback(async () => {
+  const showCatalog = (saved) => {
+    setCatalog(saved.products.map(product => toPosProduct(product, saved.categories)));
+    setCategories(saved.categories);
+  };
+
+  // Picks up what changed since the last sync. The saved copy stays on screen
+  // if the server can't be reached.
+  const syncCatalog = useCallback(async () => {
     try {
-      setLoading(true);
+      showCatalog(await refreshCatalog());
+      setCachedAt(null);
       setError(null);
-      const [prodResponse, catData] = await Promise.all([
-        getAllProducts(0, 1000000), // Fetch all products (1000 is a large number to get all)
-        getCategories(),
-      ]);
-      
-      // Extract products array from the response
-      let productsArray = [];
-      if (Array.isArray(prodResponse)) {
-        productsArray = prodResponse;
-      } else if (prodResponse && typeof prodResponse === 'object') {
-        // Handle different response formats
-        if (Array.isArray(prodResponse.content)) {
-          productsArray = prodResponse.content;
-        } else if (Array.isArray(prodResponse.data)) {
-          productsArray = prodResponse.data;
-        } else if (Array.isArray(prodResponse.products)) {
-          productsArray = prodResponse.products;
-        }
+    } catch (err) {
+      console.error('Failed to refresh the catalog:', err);
+      const saved = await readCatalog();
+      if (!saved) {
+        setError(err.message || 'Failed to load products. Please try again.');
+      } else if (isOfflineError(err)) {
+        setCachedAt(saved.savedAt);
       }
+    }
+  }, []);
 
-      if (!Array.isArray(productsArray)) {
-        throw new Error('Invalid products data format');
-      }
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    const saved = await readCatalog();
+    if (saved) {
+      showCatalog(saved);
+      setLoading(false);
+    }
+    await Promise.all([
+      syncCatalog(),
+      // Keeps the cached tax classes, cash rounding, discount approval limit
+      // and promotions the cart uses up to date
+      fetchTaxSettings(),
+      fetchCashRoundingIncrement(),
+      fetchApprovalThreshold(),
+      fetchPromotions()
+    ]);
+    setLoading(false);
+  }, [syncCatalog]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      syncCatalog();
+      fetchPromotions();
+    }, CATALOG_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [syncCatalog]);
 
-      const processedProducts = productsArray.map(product => ({
-        ...product,
-        price: Number(product.price),
-        costPrice: product.costPrice ? Number(product.costPrice) : null,
-        quantity_in_stock: product.quantityInStock || product.quantity_in_stock || 0,
-        category_id: product.categoryId || product.category_id,
-        imageUrl: product.imageUrl ? 
-          (product.imageUrl.startsWith('/images/products/') ? 
-            product.imageUrl : 
-            `/images/products/${product.imageUrl}`) 
-          : null
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  const resultsKey = `${selectedCategory || ''}|${debouncedQuery}`;
+
+  // Pages through the server's matches; a newer search or category discards older pages
+  const loadPage = useCallback(async (page) => {
+    const request = ++pageRequest.current;
+    setLoadingMore(true);
+    try {
+      const result = await fetchCatalogPage({ query: debouncedQuery, categoryId: selectedCategory, page });
+      if (request !== pageRequest.current) return;
+      setResults(prev => ({
+        key: resultsKey,
+        items: page === 0 || prev?.key !== resultsKey ? result.content : [...prev.items, ...result.content],
+        page: result.page,
+        totalPages: result.totalPages
       }));
-      
-      setProducts(processedProducts);
-      setCategories(catData);
     } catch (err) {
-      console.error('Failed to fetch data:', err);
-      setError(err.message || 'Failed to load products. Please try again.');
-      setProducts([]);
-      setCategories([]);
+      if (request !== pageRequest.current) return;
+      // Offline the grid falls back to filtering the saved catalog
+      console.error('Failed to load products:', err);
+      setResults(null);
     } finally {
-      setLoading(false);
+      if (request === pageRequest.current) setLoadingMore(false);
     }
-  }, []);
+  }, [debouncedQuery, selectedCategory, resultsKey]);
 
   useEffect(() => {
+    loadPage(0);
+  }, [loadPage]);
+
+  const retry = () => {
     fetchData();
-  }, [fetchData]);
+    loadPage(0);
+  };
 
-  const filteredProducts = products.filter(product => {
-    const categoryMatch = !selectedCategory || product.category_id === selectedCategory;
-    const searchMatch = !searchQuery || 
-      product.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      (product.sku && product.sku.toLowerCase().includes(searchQuery.toLowerCase())) ||
-      (product.barcode && product.barcode.toLowerCase().includes(searchQuery.toLowerCase()));
-    
-    return categoryMatch && searchMatch;
+  const loadNextPage = () => {
+    if (loadingMore || results?.key !== resultsKey || results.page + 1 >= results.totalPages) return;
+    loadPage(results.page + 1);
+  };
+
+  // Server pages once they arrive; until then (or offline) the saved catalog, filtered
+  const products = useMemo(() => {
+    if (results?.key === resultsKey) {
+      return results.items.map(product => toPosProduct(product, categories));
+    }
+    return catalog.filter(product => (!selectedCategory || product.category_id === selectedCategory) &&
+      (!debouncedQuery || matchesSearch(product, debouncedQuery)));
+  }, [results, resultsKey, catalog, categories, selectedCategory, debouncedQuery]);
+
+  useEffect(() => () => clearTimeout(feedbackTimer.current), []);
+
+  // The stored shift may have been closed from another till or tab
+  useEffect(() => {
+    getCurrentShift()
+      .then(setShift)
+      .catch(err => console.error('Failed to check the open shift:', err));
+  }, []);
+
+  const showScanFeedback = (feedback) => {
+    playScanTone(feedback.ok ? 'success' : 'error');
+    setScanFeedback(feedback);
+    clearTimeout(feedbackTimer.current);
+    feedbackTimer.current = setTimeout(() => setScanFeedback(null), SCAN_FEEDBACK_MS);
+  };
+
+  // Adds the pending multiplier's worth (1 unless one was set) and clears it
+  const addScannedProduct = (product) => {
+    const quantity = multiplier;
+    const inCart = cart.items.find(item => item.id === product.id)?.quantity || 0;
+    setMultiplier(1);
+    if (addToCart(product, quantity)) {
+      showScanFeedback({ ok: true, productId: product.id, message: `Added ${quantity > 1 ? `${quantity} × ` : ''}${product.name} (${inCart + quantity} in cart)` });
+    } else {
+      showScanFeedback({
+        ok: false,
+        productId: product.id,
+        message: product.quantity_in_stock > 0
+          ? `Only ${product.quantity_in_stock} of ${product.name} in stock`
+          : `${product.name} is out of stock`
+      });
+    }
+  };
+
+  // The saved catalog answers most scans; codes added since the last sync are asked of the server
+  const lookupCode = async (code) => {
+    const known = findByCode(catalog, code) || findByCode(products, code);
+    if (known) return known;
+    try {
+      const { content } = await fetchCatalogPage({ query: code.trim(), page: 0, size: 10 });
+      const product = findByCode(content, code);
+      return product ? toPosProduct(product, categories) : null;
+    } catch (err) {
+      console.error('Failed to look up the scanned code:', err);
+      return null;
+    }
+  };
+
+  const handleScan = async (code, { target }) => {
+    // A scan into the search box shouldn't leave the code behind as a filter
+    if (target?.closest?.('[data-barcode-input]')) {
+      setSearchQuery(prev => (prev.endsWith(code) ? prev.slice(0, -code.length) : prev));
+    }
+
+    const product = await lookupCode(code);
+    if (product) {
+      addScannedProduct(product);
+    } else {
+      showScanFeedback({ ok: false, message: `Unknown barcode ${code}` });
+      setUnknownCode(code);
+    }
+  };
+
+  useBarcodeScanner(handleScan, { enabled: !locked && !loading });
+
+  const handleLookupSelect = (product) => {
+    setUnknownCode(null);
+    addScannedProduct(catalog.find(p => p.id === product.id) || toPosProduct(product, categories));
+  };
+
+  // A new search or category starts keyboard navigation from the top
+  useEffect(() => {
+    setSelectedIndex(-1);
+  }, [debouncedQuery, selectedCategory]);
+
+  useEffect(() => {
+    gridRef.current?.scrollToIndex(selectedIndex);
+  }, [selectedIndex]);
+
+  const gridColumns = () => gridRef.current?.columns || 1;
+
+  const moveSelection = (step) => {
+    if (products.length === 0) return false;
+    setSelectedIndex(index => {
+      if (index < 0) return 0;
+      return Math.min(Math.max(index + step, 0), products.length - 1);
+    });
+    return true;
+  };
+
+  useHotkeys(hotkeys, {
+    focusSearch: () => {
+      searchInputRef.current?.focus();
+      searchInputRef.current?.select();
+    },
+    nextResult: () => moveSelection(1),
+    previousResult: () => moveSelection(-1),
+    nextRow: () => moveSelection(gridColumns()),
+    previousRow: () => moveSelection(-gridColumns()),
+    addSelected: () => {
+      // A lone search result can be added without selecting it first
+      const product = products[selectedIndex] || (products.length === 1 ? products[0] : null);
+      if (!product) return false;
+      addScannedProduct(product);
+      return true;
+    },
+    setMultiplier: () => {
+      const quantity = Number(searchQuery.trim());
+      if (!/^\d+$/.test(searchQuery.trim()) || quantity < 1) return false;
+      setMultiplier(Math.min(quantity, MAX_MULTIPLIER));
+      setSearchQuery('');
+      return true;
+    },
+    clearSelection: () => {
+      if (multiplier === 1 && selectedIndex < 0) return false;
+      setMultiplier(1);
+      setSelectedIndex(-1);
+      return true;
+    }
+  }, {
+    enabled: hotkeysEnabled && !loading && !unknownCode,
+    inputActions: ['nextRow', 'previousRow', 'addSelected', 'setMultiplier']
   });
 
   return (
@@ -332,15 +565,60 @@ export default function PosPage() {
               <FiSearch className="text-gray-400" />
             </div>
             <input
+              ref={searchInputRef}
               type="text"
-              placeholder="Search products by name, SKU or barcode..."
-              className="block w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:ring-blue-500 focus:border-blue-500"
+              placeholder={`Search products by name, SKU or barcode... (${hotkeys.focusSearch})`}
+              className="block w-full pl-10 pr-12 py-2 border border-gray-300 rounded-lg bg-white shadow-sm focus:ring-blue-500 focus:border-blue-500"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
+              data-barcode-input
             />
+            <button
+              onClick={openShortcuts}
+              className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-blue-600"
+              title={`Keyboard shortcuts (${hotkeys.showShortcuts})`}
+              aria-label="Keyboard shortcuts"
+            >
+              <FaKeyboard />
+            </button>
           </div>
         </div>
 
+        {cachedAt && (
+          <div className="mb-3 px-4 py-2 rounded-lg flex items-center justify-between text-sm font-medium bg-gray-200 text-gray-800">
+            <span>Offline - showing products saved {new Date(cachedAt).toLocaleString()}. Stock levels may be out of date.</span>
+            <button onClick={retry} className="underline hover:text-gray-900">Retry</button>
+          </div>
+        )}
+
+        {!shift && (
+          <div className="mb-3 px-4 py-2 rounded-lg flex items-center justify-between text-sm font-medium bg-yellow-100 text-yellow-800">
+            <span>No shift is open on this till - sales won't be counted in a cash-up.</span>
+            <Link to="/shifts" className="underline hover:text-yellow-900">Open shift</Link>
+          </div>
+        )}
+
+        {multiplier > 1 && (
+          <div className="mb-3 px-4 py-2 rounded-lg flex items-center justify-between text-sm font-medium bg-blue-100 text-blue-800">
+            <span>Next item will be added × {multiplier}</span>
+            <button onClick={() => setMultiplier(1)} className="hover:text-blue-600" aria-label="Clear multiplier">
+              <FiX />
+            </button>
+          </div>
+        )}
+
+        {scanFeedback && (
+          <div
+            role="status"
+            className={`mb-3 px-4 py-2 rounded-lg flex items-center text-sm font-medium ${
+              scanFeedback.ok ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+            }`}
+          >
+            {scanFeedback.ok ? <FiCheckCircle className="mr-2" /> : <FiAlertCircle className="mr-2" />}
+            {scanFeedback.message}
+          </div>
+        )}
+
         <CategoryFilter
           categories={categories}
           selectedCategory={selectedCategory}
@@ -350,26 +628,45 @@ export default function PosPage() {
         {loading ? (
           <LoadingState />
         ) : error ? (
-          <ErrorState error={error} onRetry={fetchData} />
-        ) : filteredProducts.length === 0 ? (
-          <EmptyState selectedCategory={selectedCategory} />
+          <ErrorState error={error} onRetry={retry} />
+        ) : products.length === 0 ? (
+          loadingMore ? <LoadingState /> : <EmptyState selectedCategory={selectedCategory} />
         ) : (
-          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-3">
-            {filteredProducts.map((product) => {
-              const cartItem = cart.items.find(item => item.id === product.id);
-              const cartQuantity = cartItem ? cartItem.quantity : 0;
-              
-              return (
-                <ProductCard
-                  key={product.id}
-                  product={product}
-                  cartQuantity={cartQuantity}
-                />
-              );
-            })}
-          </div>
+          <>
+            <VirtualProductGrid
+              ref={gridRef}
+              items={products}
+              getKey={product => product.id}
+              onEndReached={loadNextPage}
+              renderItem={(product, index) => {
+                const cartItem = cart.items.find(item => item.id === product.id);
+                const cartQuantity = cartItem ? cartItem.quantity : 0;
+
+                return (
+                  <ProductCard
+                    product={product}
+                    cartQuantity={cartQuantity}
+                    highlighted={scanFeedback?.ok && scanFeedback.productId === product.id}
+                    selected={index === selectedIndex}
+                  />
+                );
+              }}
+            />
+            {loadingMore && (
+              <p className="py-4 text-center text-sm text-gray-500">Loading more products...</p>
+            )}
+          </>
         )}
       </div>
+
+      {unknownCode && (
+        <UnknownBarcodeDialog
+          code={unknownCode}
+          products={catalog}
+          onSelect={handleLookupSelect}
+          onClose={() => setUnknownCode(null)}
+        />
+      )}
     </div>
   );
 }
@@ -4,13 +4,13 @@ import React, { useState } from 'react';
 import { FaShoppingCart } from 'react-icons/fa';
 import PosPage from './PosPage';
 import Cart from '../Cart/cart';
-import { CartProvider } from '../../context/CartContext';
+import PosHotkeys from './PosHotkeys';
 
 const PosWithCart = () => {
   const [showCart, setShowCart] = useState(false);
 
   return (
-    <CartProvider>
+    <PosHotkeys>
       <div className="flex font-sans bg-gray-100 min-h-screen">
         {/* Mobile Cart Toggle Button */}
         <div className="lg:hidden fixed bottom-6 right-6 z-50">
@@ -32,7 +32,7 @@ const PosWithCart = () => {
           <div className={`${showCart ? 'hidden lg:block lg:w-3/5' : 'block w-full lg:w-3/5'} overflow-y-auto h-[calc(100vh-2rem)]`}>
             <PosPage />
           </div>
-          
+      
           {/* Cart Section - Fixed */}
           <div className={`${showCart ? 'block w-full lg:w-2/5' : 'hidden lg:block lg:w-2/5'}`}>
             <div className="sticky top-4 h-[calc(100vh-2rem)]">
@@ -41,7 +41,7 @@ const PosWithCart = () => {
           </div>
         </div>
       </div>
-    </CartProvider>
+    </PosHotkeys>
   );
 };
 
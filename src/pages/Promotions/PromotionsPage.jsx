@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import { toast, ToastContainer } from 'react-toastify';
+import { FaEdit, FaPlus, FaTrash } from 'react-icons/fa';
+import PromotionForm, { emptyPromotion } from '../../components/Promotions/PromotionForm';
+import PromotionPreview from '../../components/Promotions/PromotionPreview';
+import { deletePromotion, getAllPromotions, savePromotion } from '../../services/promotionService';
+import { getAllProducts } from '../../services/productServices';
+import {
+  describePromotion,
+  describeSchedule,
+  PROMOTION_STATUS_LABELS,
+  PROMOTION_TYPE_LABELS,
+  promotionStatus,
+  validatePromotion
+} from '../../components/utils/promotions';
+
+const STATUS_CLASSES = {
+  RUNNING: 'bg-green-100 text-green-800',
+  SCHEDULED: 'bg-blue-100 text-blue-800',
+  ENDED: 'bg-gray-100 text-gray-600',
+  OFF: 'bg-gray-100 text-gray-600'
+};
+
+// A saved promotion in the shape the form edits
+const toDraft = (promotion) => ({
+  ...promotion,
+  startsAt: promotion.startsAt ? String(promotion.startsAt).slice(0, 10) : '',
+  endsAt: promotion.endsAt ? String(promotion.endsAt).slice(0, 10) : '',
+  schedule: {
+    days: promotion.schedule?.days || [],
+    startTime: promotion.schedule?.startTime || '',
+    endTime: promotion.schedule?.endTime || ''
+  }
+});
+
+/**
+ * Promotions the till applies by itself: buy X get Y, bundles, quantity tiers
+ * and spend thresholds, each on a schedule, with a preview of how sample
+ * carts are priced
+ */
+const PromotionsPage = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [promotionList, productPage] = await Promise.all([getAllPromotions(), getAllProducts(0, 1000)]);
+        setPromotions(promotionList);
+        setProducts(productPage.content || []);
+      } catch (error) {
+        toast.error(error.message || 'Failed to load promotions');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const edit = (promotion) => {
+    setFieldErrors({});
+    setDraft(promotion ? toDraft(promotion) : emptyPromotion());
+  };
+
+  const store = (saved) => {
+    setPromotions(prev => (prev.some(promotion => promotion.id === saved.id)
+      ? prev.map(promotion => (promotion.id === saved.id ? saved : promotion))
+      : [...prev, saved]));
+  };
+
+  const handleSave = async () => {
+    const errors = validatePromotion(draft);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      toast.error('Some fields need attention');
+      return;
+    }
+    try {
+      setSaving(true);
+      store(await savePromotion(draft));
+      toast.success(`${draft.name} saved`);
+      setDraft(null);
+    } catch (error) {
+      setFieldErrors(error.fieldErrors || {});
+      toast.error(error.message || 'Failed to save the promotion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (promotion) => {
+    try {
+      store(await savePromotion({ ...promotion, active: !promotion.active }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to update the promotion');
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(`Delete ${promotion.name}? Past sales keep the savings they were given.`)) return;
+    try {
+      await deletePromotion(promotion.id);
+      setPromotions(prev => prev.filter(p => p.id !== promotion.id));
+      if (draft?.id === promotion.id) setDraft(null);
+      toast.success(`${promotion.name} deleted`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete the promotion');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const productNames = (promotion) => (promotion.productIds?.length
+    ? promotion.productIds.map(id => products.find(product => product.id === id)?.name || `#${id}`).join(', ')
+    : 'Every product');
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-6xl">
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Promotions</h1>
+          <p className="text-gray-600 mt-1">
+            The till applies running promotions by itself. Where several cover the same items, the customer gets the best deal.
+          </p>
+        </div>
+        <button
+          onClick={() => edit(null)}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium"
+        >
+          <FaPlus /> New promotion
+        </button>
+      </div>
+
+      {draft && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+          <PromotionForm
+            promotion={draft}
+            products={products}
+            fieldErrors={fieldErrors}
+            saving={saving}
+            onChange={setDraft}
+            onSave={handleSave}
+            onCancel={() => setDraft(null)}
+          />
+          <PromotionPreview promotion={draft} promotions={promotions} products={products} />
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="px-4 py-3">Promotion</th>
+              <th className="px-4 py-3">Rule</th>
+              <th className="px-4 py-3">Products</th>
+              <th className="px-4 py-3">When</th>
+              <th className="px-4 py-3">Status</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {promotions.map(promotion => {
+              const status = promotionStatus(promotion);
+              return (
+                <tr key={promotion.id} className="align-top">
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-gray-800">{promotion.name}</p>
+                    <p className="text-xs text-gray-500">{PROMOTION_TYPE_LABELS[promotion.type]}</p>
+                  </td>
+                  <td className="px-4 py-3">{describePromotion(promotion)}</td>
+                  <td className="px-4 py-3 max-w-xs">{productNames(promotion)}</td>
+                  <td className="px-4 py-3">{describeSchedule(promotion)}</td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-1 rounded-full text-xs ${STATUS_CLASSES[status]}`}>{PROMOTION_STATUS_LABELS[status]}</span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right">
+                    <button onClick={() => handleToggle(promotion)} className="px-2 py-1 mr-2 text-xs border rounded hover:bg-gray-50">
+                      {promotion.active ? 'Switch off' : 'Switch on'}
+                    </button>
+                    <button onClick={() => edit(promotion)} className="p-2 text-blue-600 hover:text-blue-800" title="Edit">
+                      <FaEdit />
+                    </button>
+                    <button onClick={() => handleDelete(promotion)} className="p-2 text-red-600 hover:text-red-800" title="Delete">
+                      <FaTrash />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+            {promotions.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-gray-500">No promotions yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <ToastContainer />
+    </div>
+  );
+};
+
+export default PromotionsPage;
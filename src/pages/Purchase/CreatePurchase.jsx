@@ -21,6 +21,7 @@ import { createPurchase } from '../../services/purchaseService';
 import { getSuppliers } from '../../services/supplierService';
 import { getAllProducts } from '../../services/productServices';
 import { PlusOutlined, MinusOutlined } from '@ant-design/icons';
+import { multiplyMoney, sumMoney } from '../../components/utils/money';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -40,9 +41,7 @@ const CreatePurchase = () => {
   }, []);
 
   useEffect(() => {
-    const total = items.reduce((sum, item) => {
-      return sum + ((item.quantity || 0) * (item.unitPrice || 0));
-    }, 0);
+    const total = sumMoney(items, item => multiplyMoney(item.unitPrice, item.quantity));
     setTotalAmount(total);
   }, [items]);
 
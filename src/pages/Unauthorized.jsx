@@ -1,7 +1,13 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 
-const Unauthorized = () => {
+const REQUIREMENT_TEXT = {
+  all: 'This page requires',
+  any: 'This page requires one of',
+  not: 'This page is not available to accounts with'
+};
+
+const Unauthorized = ({ missingPermissions = [], mode = 'all' }) => {
   return (
     <div 
       className="min-h-screen bg-gray-900 text-purple-100 flex flex-col items-center justify-center p-4 overflow-hidden relative"
@@ -80,6 +86,17 @@ const Unauthorized = () => {
           <p className="text-purple-300 font-mono">
             You lack the necessary credentials to proceed beyond this point.
           </p>
+          {missingPermissions.length > 0 && (
+            <p className="text-purple-300 font-mono mt-4">
+              {REQUIREMENT_TEXT[mode] || REQUIREMENT_TEXT.all}:{' '}
+              {missingPermissions.map((permission, index) => (
+                <span key={permission}>
+                  {index > 0 && ', '}
+                  <code className="text-cyan-300">{permission}</code>
+                </span>
+              ))}
+            </p>
+          )}
         </div>
         
         {/* Animated button */}
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import api from '../../services/apiClient';
 import { ArrowLeftIcon } from '@heroicons/react/24/solid';
 import { CheckCircleIcon, ExclamationCircleIcon } from '@heroicons/react/24/solid';
 
@@ -20,15 +20,6 @@ const CreateUser = () => {
   const [roles, setRoles] = useState([]);
   const [usernameAvailable, setUsernameAvailable] = useState(true);
 
-  // Configure axios instance
-  const api = axios.create({
-    baseURL: process.env.REACT_APP_API_BASE_URL,
-    headers: {
-      'Authorization': `Bearer ${localStorage.getItem('token')}`,
-      'Content-Type': 'application/json'
-    }
-  });
-
   // Fetch available roles
   useEffect(() => {
     const fetchRoles = async () => {
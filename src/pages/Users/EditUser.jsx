@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from 'react';
-import axios from 'axios';
+import api from '../../services/apiClient';
 import { useNavigate, useParams } from 'react-router-dom';
 import {
   Box,
@@ -37,14 +37,6 @@ export default function EditUser() {
   const [error, setError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  // Configure axios instance
-  const api = axios.create({
-    baseURL: process.env.REACT_APP_API_BASE_URL,
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  });
-
   useEffect(() => {
     const fetchData = async () => {
       try {
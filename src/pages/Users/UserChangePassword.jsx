@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import axios from 'axios';
+import api from '../../services/apiClient';
 import { useNavigate, useParams } from 'react-router-dom';
 import { 
   Box, 
@@ -24,14 +24,6 @@ export default function ChangePassword() {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
 
-  // Configure axios instance
-  const api = axios.create({
-    baseURL: process.env.REACT_APP_API_BASE_URL,
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  });
-
   const handleChange = (e) => {
     const { name, value } = e.target;
     setPasswordData(prev => ({
@@ -1,5 +1,4 @@
 import { useEffect, useState, useRef } from "react";
-import axios from "axios";
 import { useNavigate } from "react-router-dom";
 import {
   Box,
@@ -36,6 +35,7 @@ import {
 } from "@mui/icons-material";
 import * as XLSX from "xlsx";
 import { fetchAllUsers } from "../../services/userService";
+import PermissionGate from "../../components/PermissionGate";
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -290,23 +290,25 @@ const UsersList = () => {
                 Excel
               </Button>
             </Tooltip>
-            <Tooltip title="Create New User">
-              <Button
-                variant="contained"
-                startIcon={<AddIcon />}
-                onClick={handleCreateUser}
-                size="small"
-                sx={{ 
-                  textTransform: 'none',
-                  backgroundColor: 'primary.main',
-                  '&:hover': {
-                    backgroundColor: 'primary.dark'
-                  }
-                }}
-              >
-                New User
-              </Button>
-            </Tooltip>
+            <PermissionGate requiredPermissions={['user_create']}>
+              <Tooltip title="Create New User">
+                <Button
+                  variant="contained"
+                  startIcon={<AddIcon />}
+                  onClick={handleCreateUser}
+                  size="small"
+                  sx={{ 
+                    textTransform: 'none',
+                    backgroundColor: 'primary.main',
+                    '&:hover': {
+                      backgroundColor: 'primary.dark'
+                    }
+                  }}
+                >
+                  New User
+                </Button>
+              </Tooltip>
+            </PermissionGate>
           </Box>
         </Box>
 
@@ -441,17 +443,19 @@ const UsersList = () => {
                       />
                     </TableCell>
                     <TableCell align="right" className="no-print">
-                      <IconButton
-                        size="small"
-                        onClick={(e) => handleMenuOpen(e, user.id)}
-                        sx={{
-                          '&:hover': {
-                            backgroundColor: 'action.selected'
-                          }
-                        }}
-                      >
-                        <MoreIcon fontSize="small" />
-                      </IconButton>
+                      <PermissionGate requiredPermissions={['user_update']}>
+                        <IconButton
+                          size="small"
+                          onClick={(e) => handleMenuOpen(e, user.id)}
+                          sx={{
+                            '&:hover': {
+                              backgroundColor: 'action.selected'
+                            }
+                          }}
+                        >
+                          <MoreIcon fontSize="small" />
+                        </IconButton>
+                      </PermissionGate>
                     </TableCell>
                   </TableRow>
                 ))
@@ -34,8 +34,8 @@ const Signin = () => {
         return;
       }
 
-      // Call login with the response data
-      login(response.data);
+      // Call login with the response data; resolves to the user's effective permissions
+      const permissions = await login(response.data);
       
       // Show welcome message with name (falls back to username if name not available)
       const displayName = response.data.name || response.data.username || 'User';
@@ -49,7 +49,7 @@ const Signin = () => {
       });
 
       // Redirect based on permissions
-      const { roles = [], permissions = [] } = response.data;
+      const { roles = [] } = response.data;
       
       if (permissions.includes('dashboard_view')) {
         navigate("/dashboard");
@@ -17,6 +17,10 @@ import { FiTrendingUp } from "react-icons/fi";
 import { getSales } from '../../services/salesService';
 import { InventoryService } from '../../services/InventoryService';
 import { getAllProducts } from '../../services/productServices';
+import apiClient, { getList } from '../../services/apiClient';
+import { addMoney, sumMoney } from '../../components/utils/money';
+import BranchScopeBadge from '../../components/BranchScopeBadge';
+import BranchComparison from './BranchComparison';
 
 ChartJS.register(
   CategoryScale,
@@ -29,17 +33,6 @@ ChartJS.register(
   Legend,
   Filler
 );
-const API_BASE_URL = `${process.env.REACT_APP_API_BASE_URL}/sales`;
-const REPORTS_BASE_URL = `${process.env.REACT_APP_API_BASE_URL}/reports`;
-
-const getAuthHeader = () => {
-  const token = localStorage.getItem('token');
-  return {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json'
-  };
-};
-
 const Dashboard = () => {
   const [userName, setUserName] = useState("");
   const [loading, setLoading] = useState({
@@ -123,16 +116,13 @@ const Dashboard = () => {
       const startDate = new Date();
       startDate.setDate(endDate.getDate() - 30);
       
-      const response = await fetch(
-        `${REPORTS_BASE_URL}/financial/profit-loss?startDate=${startDate.toISOString().split('T')[0]}&endDate=${endDate.toISOString().split('T')[0]}`,
-        {
-          headers: getAuthHeader()
+      const response = await apiClient.get('/reports/financial/profit-loss', {
+        params: {
+          startDate: startDate.toISOString().split('T')[0],
+          endDate: endDate.toISOString().split('T')[0]
         }
-      );
-      
-      if (!response.ok) throw new Error('Failed to fetch profit data');
-      
-      const profitReport = await response.json();
+      });
+      const profitReport = response.data;
       
       setProfitData({
         netProfit: profitReport.netProfit || 0,
@@ -169,9 +159,9 @@ const Dashboard = () => {
       };
     }
 
-    const subtotal = salesData.reduce((sum, sale) => sum + (sale.subtotal || 0), 0);
-    const discount = salesData.reduce((sum, sale) => sum + (sale.discountAmount || 0), 0);
-    const total = salesData.reduce((sum, sale) => sum + (sale.total || 0), 0);
+    const subtotal = sumMoney(salesData, 'subtotal');
+    const discount = sumMoney(salesData, 'discountAmount');
+    const total = sumMoney(salesData, 'total');
     const totalSales = salesData.length;
 
     return {
@@ -206,7 +196,7 @@ const Dashboard = () => {
       if (!dailyTotals[dayKey]) {
         dailyTotals[dayKey] = 0;
       }
-      dailyTotals[dayKey] += sale.total || 0;
+      dailyTotals[dayKey] = addMoney(dailyTotals[dayKey], sale.total);
     });
     
     return {
@@ -228,7 +218,7 @@ const Dashboard = () => {
       if (!monthlyTotals[monthKey]) {
         monthlyTotals[monthKey] = 0;
       }
-      monthlyTotals[monthKey] += sale.total || 0;
+      monthlyTotals[monthKey] = addMoney(monthlyTotals[monthKey], sale.total);
     });
     
     return {
@@ -242,12 +232,7 @@ const Dashboard = () => {
     setError(prev => ({ ...prev, sales: null, salesTrend: null }));
     
     try {
-      const response = await fetch(API_BASE_URL, {
-        headers: getAuthHeader()
-      });
-      if (!response.ok) throw new Error('Failed to fetch sales');
-      
-      const data = await response.json();
+      const data = await getSales();
       setSales(data);
       
       const dailySales = processDailySales(data);
@@ -327,11 +312,7 @@ const Dashboard = () => {
     setError(prev => ({ ...prev, customers: null }));
     
     try {
-      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/customers`, {
-        headers: getAuthHeader()
-      });
-      if (!response.ok) throw new Error('Failed to fetch customers');
-      const data = await response.json();
+      const data = await getList('/customers');
       setSummary(prev => ({
         ...prev,
         customerCount: data.length
@@ -349,11 +330,7 @@ const Dashboard = () => {
     setError(prev => ({ ...prev, topProducts: null }));
     
     try {
-      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/dashboard/top-products`, {
-        headers: getAuthHeader()
-      });
-      if (!response.ok) throw new Error('Failed to fetch top products');
-      const data = await response.json();
+      const data = await getList('/dashboard/top-products');
       setTopProducts(data);
     } catch (err) {
       console.error("Failed to fetch top products:", err);
@@ -368,11 +345,7 @@ const Dashboard = () => {
     setError(prev => ({ ...prev, lowStock: null }));
     
     try {
-      const response = await fetch(`${process.env.REACT_APP_API_BASE_URL}/dashboard/low-stock`, {
-        headers: getAuthHeader()
-      });
-      if (!response.ok) throw new Error('Failed to fetch low stock items');
-      const data = await response.json();
+      const data = await getList('/dashboard/low-stock');
       setLowStockItems(data);
     } catch (err) {
       console.error("Failed to fetch low stock items:", err);
@@ -567,9 +540,12 @@ const Dashboard = () => {
             {getTimeOfDay()}, {userName} 👋
           </h1>
           <p className="text-gray-600 text-sm md:text-base">Track your sales and performance here!</p>
+          <BranchScopeBadge className="mt-2" />
         </div>
       </div>
 
+      <BranchComparison />
+
       {/* Summary Metrics Section - Responsive Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 md:gap-6 mb-6 md:mb-10">
         <div className="p-4 md:p-6 bg-white rounded-xl shadow-md border border-gray-200">
@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from 'react';
+import { FaStore } from 'react-icons/fa';
+import { useBranch } from '../../context/BranchContext';
+import { getDailySummary } from '../../services/salesService';
+
+const formatKES = (amount) => new Intl.NumberFormat('en-KE', {
+  style: 'currency',
+  currency: 'KES',
+  minimumFractionDigits: 2
+}).format(Number(amount) || 0);
+
+/**
+ * Today's sales per branch, shown on the dashboard in the all-branches view
+ */
+const BranchComparison = () => {
+  const { branches, isAllBranches } = useBranch();
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isAllBranches || branches.length === 0) return;
+
+    let cancelled = false;
+    setLoading(true);
+    Promise.all(branches.map(branch => getDailySummary(new Date(), { branchId: branch.id })
+      .then(summary => ({ branch, summary, error: null }))
+      .catch(error => ({ branch, summary: null, error: error.message || 'Failed to load' }))
+    ))
+      .then(results => {
+        if (!cancelled) setRows(results);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [branches, isAllBranches]);
+
+  if (!isAllBranches) return null;
+
+  const revenueOf = (summary) => summary?.totalRevenue ?? summary?.total ?? 0;
+  const transactionsOf = (summary) => summary?.totalTransactions ?? summary?.totalSales ?? 0;
+  const bestRevenue = Math.max(0, ...rows.map(row => revenueOf(row.summary)));
+
+  return (
+    <div className="p-4 md:p-6 bg-white rounded-xl shadow-md border border-gray-200 mb-6 md:mb-10">
+      <h2 className="text-base md:text-lg font-semibold text-gray-700 mb-4 flex items-center gap-2">
+        <FaStore className="text-purple-600" /> Today by branch
+      </h2>
+      {loading ? (
+        <div className="space-y-2">
+          {branches.map(branch => <div key={branch.id} className="h-8 bg-gray-100 rounded animate-pulse" />)}
+        </div>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2">Branch</th>
+              <th className="py-2 text-right">Transactions</th>
+              <th className="py-2 text-right">Revenue</th>
+              <th className="py-2 w-1/3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ branch, summary, error }) => (
+              <tr key={branch.id} className="border-b last:border-0">
+                <td className="py-2 font-medium text-gray-800">{branch.name}</td>
+                {error ? (
+                  <td colSpan={3} className="py-2 text-right text-red-500">{error}</td>
+                ) : (
+                  <>
+                    <td className="py-2 text-right">{transactionsOf(summary)}</td>
+                    <td className="py-2 text-right">{formatKES(revenueOf(summary))}</td>
+                    <td className="py-2 pl-4">
+                      <div className="h-2 bg-gray-100 rounded">
+                        <div
+                          className="h-2 bg-purple-500 rounded"
+                          style={{ width: `${bestRevenue ? (revenueOf(summary) / bestRevenue) * 100 : 0}%` }}
+                        />
+                      </div>
+                    </td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default BranchComparison;
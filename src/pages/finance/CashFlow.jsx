@@ -6,6 +6,7 @@ import {
 } from '../../services/financialServices';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
+import { addMoney, sumMoney } from '../../components/utils/money';
 
 const CashFlow = () => {
   const [cashFlowData, setCashFlowData] = useState({
@@ -38,7 +39,7 @@ const CashFlow = () => {
       ]);
 
       // Calculate total cash received from sales
-      const totalSalesCash = salesData.reduce((sum, sale) => sum + (sale.amountPaid || 0), 0);
+      const totalSalesCash = sumMoney(salesData, 'amountPaid');
 
       // Transform data into cash flow format
       const operatingActivities = {
@@ -64,13 +65,12 @@ const CashFlow = () => {
       ];
 
       // Calculate totals
-      operatingActivities.total = operatingActivities.netIncome + 
-        operatingActivities.adjustments.reduce((sum, item) => sum + item.amount, 0);
+      operatingActivities.total = addMoney(operatingActivities.netIncome, sumMoney(operatingActivities.adjustments, 'amount'));
       
-      const investingTotal = investingActivities.reduce((sum, item) => sum + item.amount, 0);
-      const financingTotal = financingActivities.reduce((sum, item) => sum + item.amount, 0);
+      const investingTotal = sumMoney(investingActivities, 'amount');
+      const financingTotal = sumMoney(financingActivities, 'amount');
       
-      const netCashFlow = operatingActivities.total + investingTotal + financingTotal;
+      const netCashFlow = addMoney(operatingActivities.total, investingTotal, financingTotal);
 
       setCashFlowData({
         operatingActivities,
@@ -234,7 +234,7 @@ const CashFlow = () => {
                   <div className="flex justify-between border-t pt-2">
                     <span className="font-medium">Net Cash from Investing Activities</span>
                     <span className="font-medium">
-                      {formatCurrency(cashFlowData.investingActivities.reduce((sum, item) => sum + item.amount, 0))}
+                      {formatCurrency(sumMoney(cashFlowData.investingActivities, 'amount'))}
                     </span>
                   </div>
                 </div>
@@ -253,7 +253,7 @@ const CashFlow = () => {
                   <div className="flex justify-between border-t pt-2">
                     <span className="font-medium">Net Cash from Financing Activities</span>
                     <span className="font-medium">
-                      {formatCurrency(cashFlowData.financingActivities.reduce((sum, item) => sum + item.amount, 0))}
+                      {formatCurrency(sumMoney(cashFlowData.financingActivities, 'amount'))}
                     </span>
                   </div>
                 </div>
@@ -314,11 +314,11 @@ const CashFlow = () => {
                 <div className="h-4 bg-green-100 rounded-full overflow-hidden">
                   <div 
                     className="h-full bg-green-500" 
-                    style={{ width: `${Math.min(100, (cashFlowData.investingActivities.reduce((sum, item) => sum + item.amount, 0) / Math.max(1, Math.abs(cashFlowData.netCashFlow))) * 100)}%` }}
+                    style={{ width: `${Math.min(100, (sumMoney(cashFlowData.investingActivities, 'amount') / Math.max(1, Math.abs(cashFlowData.netCashFlow))) * 100)}%` }}
                   ></div>
                 </div>
                 <div className="mt-2 text-right font-medium text-green-800">
-                  {formatCurrency(cashFlowData.investingActivities.reduce((sum, item) => sum + item.amount, 0))}
+                  {formatCurrency(sumMoney(cashFlowData.investingActivities, 'amount'))}
                 </div>
               </div>
               
@@ -327,11 +327,11 @@ const CashFlow = () => {
                 <div className="h-4 bg-purple-100 rounded-full overflow-hidden">
                   <div 
                     className="h-full bg-purple-500" 
-                    style={{ width: `${Math.min(100, (cashFlowData.financingActivities.reduce((sum, item) => sum + item.amount, 0) / Math.max(1, Math.abs(cashFlowData.netCashFlow))) * 100)}%` }}
+                    style={{ width: `${Math.min(100, (sumMoney(cashFlowData.financingActivities, 'amount') / Math.max(1, Math.abs(cashFlowData.netCashFlow))) * 100)}%` }}
                   ></div>
                 </div>
                 <div className="mt-2 text-right font-medium text-purple-800">
-                  {formatCurrency(cashFlowData.financingActivities.reduce((sum, item) => sum + item.amount, 0))}
+                  {formatCurrency(sumMoney(cashFlowData.financingActivities, 'amount'))}
                 </div>
               </div>
             </div>
@@ -343,8 +343,8 @@ const CashFlow = () => {
                   className={`h-full ${cashFlowData.netCashFlow >= 0 ? 'bg-green-500' : 'bg-red-500'}`} 
                   style={{ width: `${Math.min(100, Math.abs(cashFlowData.netCashFlow) / Math.max(1, Math.max(
                     Math.abs(cashFlowData.operatingActivities.total),
-                    Math.abs(cashFlowData.investingActivities.reduce((sum, item) => sum + item.amount, 0)),
-                    Math.abs(cashFlowData.financingActivities.reduce((sum, item) => sum + item.amount, 0))
+                    Math.abs(sumMoney(cashFlowData.investingActivities, 'amount')),
+                    Math.abs(sumMoney(cashFlowData.financingActivities, 'amount'))
                   ))) * 100}%` }}
                 ></div>
               </div>
@@ -3,6 +3,7 @@ import { format, isAfter, parseISO } from 'date-fns';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { InventoryService } from '../../services/InventoryService';
+import PermissionGate from '../../components/PermissionGate';
 
 const InventoryPage = () => {
   // Main inventory state
@@ -187,7 +188,7 @@ const InventoryPage = () => {
         orderQuantity: adjustmentData.createSupplierOrder ? adjustmentData.orderQuantity : null
       };
 
-      await InventoryService.adjustInventory(adjustmentRequest);
+      await InventoryService.adjustInventory(adjustmentRequest, { before: currentProduct });
       toast.success('Inventory adjusted successfully!');
       closeAdjustmentModal();
       fetchInventory();
@@ -216,7 +217,7 @@ const InventoryPage = () => {
       );
 
       const deletePromises = expiredProducts.map(product => 
-        InventoryService.deleteProduct(product.id)
+        InventoryService.deleteProduct(product.id, { before: product, reason: 'Expired' })
       );
       
       await Promise.all(deletePromises);
@@ -230,7 +231,7 @@ const InventoryPage = () => {
   };
 
   // Delete single product
-  const handleDeleteProduct = async (productId) => {
+  const handleDeleteProduct = async (product) => {
     try {
       const confirmDelete = window.confirm(
         'Are you sure you want to permanently delete this product? This action cannot be undone.'
@@ -238,7 +239,7 @@ const InventoryPage = () => {
       
       if (!confirmDelete) return;
 
-      await InventoryService.deleteProduct(productId);
+      await InventoryService.deleteProduct(product.id, { before: product });
       toast.success('Product deleted successfully!');
       
       fetchInventory();
@@ -347,25 +348,29 @@ const InventoryPage = () => {
               </p>
             </div>
             <div className="flex items-end space-x-2">
-              <button
-                onClick={() => openAdjustmentModal(item)}
-                className="text-blue-600 hover:text-blue-900 text-sm font-medium flex items-center"
-              >
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
-                </svg>
-                Adjust
-              </button>
-              {isExpired && (
+              <PermissionGate requiredPermissions={['inventory_adjust']}>
                 <button
-                  onClick={() => handleDeleteProduct(item.id)}
-                  className="text-red-600 hover:text-red-900 text-sm font-medium flex items-center"
+                  onClick={() => openAdjustmentModal(item)}
+                  className="text-blue-600 hover:text-blue-900 text-sm font-medium flex items-center"
                 >
                   <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
                   </svg>
-                  Delete
+                  Adjust
                 </button>
+              </PermissionGate>
+              {isExpired && (
+                <PermissionGate requiredPermissions={['product_delete']}>
+                  <button
+                    onClick={() => handleDeleteProduct(item)}
+                    className="text-red-600 hover:text-red-900 text-sm font-medium flex items-center"
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                    Delete
+                  </button>
+                </PermissionGate>
               )}
             </div>
           </div>
@@ -424,25 +429,29 @@ const InventoryPage = () => {
             </div>
           </td>
           <td className="px-4 py-4 whitespace-nowrap text-sm font-medium">
-            <button
-              onClick={() => openAdjustmentModal(item)}
-              className="text-blue-600 hover:text-blue-900 mr-3 flex items-center"
-            >
-              <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
-              </svg>
-              Adjust
-            </button>
-            {isExpired && (
+            <PermissionGate requiredPermissions={['inventory_adjust']}>
               <button
-                onClick={() => handleDeleteProduct(item.id)}
-                className="text-red-600 hover:text-red-900 flex items-center"
+                onClick={() => openAdjustmentModal(item)}
+                className="text-blue-600 hover:text-blue-900 mr-3 flex items-center"
               >
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
                 </svg>
-                Delete
+                Adjust
               </button>
+            </PermissionGate>
+            {isExpired && (
+              <PermissionGate requiredPermissions={['product_delete']}>
+                <button
+                  onClick={() => handleDeleteProduct(item)}
+                  className="text-red-600 hover:text-red-900 flex items-center"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                  Delete
+                </button>
+              </PermissionGate>
             )}
           </td>
         </tr>
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { addProduct, getCategories, getBrands, getUnits, getSuppliers } from '../../services/productServices';
+import { fetchTaxSettings } from '../../services/taxService';
+import { taxClassLabel } from '../../components/utils/tax';
 
 export default function CreateProduct() {
   const navigate = useNavigate();
@@ -8,6 +10,7 @@ export default function CreateProduct() {
   const [brands, setBrands] = useState([]);
   const [units, setUnits] = useState([]);
   const [suppliers, setSuppliers] = useState([]);
+  const [taxClasses, setTaxClasses] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [imagePreview, setImagePreview] = useState(null);
@@ -28,6 +31,7 @@ export default function CreateProduct() {
     brandId: '',
     unitId: '',
     expiryDate: '',
+    taxClass: '',
   });
 
   useEffect(() => {
@@ -35,16 +39,18 @@ export default function CreateProduct() {
       setIsLoading(true);
       setError('');
       try {
-        const [cat, brand, unit, supp] = await Promise.all([
+        const [cat, brand, unit, supp, taxSettings] = await Promise.all([
           getCategories(),
           getBrands(),
           getUnits(),
           getSuppliers(),
+          fetchTaxSettings(),
         ]);
         setCategories(cat || []);
         setBrands(brand || []);
         setUnits(unit || []);
         setSuppliers(supp || []);
+        setTaxClasses(taxSettings.classes || []);
       } catch (err) {
         console.error('Error loading dropdowns:', err);
         setError('Failed to load dropdowns. Please try again later.');
@@ -113,7 +119,9 @@ export default function CreateProduct() {
         categoryId: parseInt(formData.categoryId, 10),
         brandId: formData.brandId ? parseInt(formData.brandId, 10) : null,
         unitId: parseInt(formData.unitId, 10),
-        expiryDate: formData.expiryDate || null
+        expiryDate: formData.expiryDate || null,
+        // Blank inherits the category's tax class
+        taxClass: formData.taxClass || null
       };
 
       // Add the request as a JSON blob
@@ -271,6 +279,21 @@ export default function CreateProduct() {
             {renderInput('lowStockThreshold', 'Low Stock Threshold', 'number')}
             {renderInput('expiryDate', 'Expiry Date', 'date')}
             {renderDropdown('categoryId', 'Category', categories, true)}
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tax Class</label>
+              <select
+                name="taxClass"
+                value={formData.taxClass}
+                onChange={handleChange}
+                className="w-full border border-gray-300 px-3 py-2 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                disabled={isLoading}
+              >
+                <option value="">Same as category</option>
+                {taxClasses.map((taxClass) => (
+                  <option key={taxClass.code} value={taxClass.code}>{taxClassLabel(taxClass)}</option>
+                ))}
+              </select>
+            </div>
             {renderDropdown('brandId', 'Brand', brands)}
             {renderDropdown('unitId', 'Unit', units, true)}
             {renderDropdown('supplierId', 'Supplier', suppliers, true)}
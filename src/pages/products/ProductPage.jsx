@@ -12,6 +12,9 @@ import {
 } from '../../services/productServices';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import PermissionGate from '../../components/PermissionGate';
+import { fetchTaxSettings } from '../../services/taxService';
+import { taxClassLabel } from '../../components/utils/tax';
 
 const formatCurrency = (amount) => {
   return new Intl.NumberFormat('en-US', {
@@ -47,8 +50,10 @@ const ProductPage = () => {
     brandId: '',
     unitId: '',
     supplierId: '',
+    taxClass: '',
     imageFile: null
   });
+  const [taxClasses, setTaxClasses] = useState([]);
   const [formErrors, setFormErrors] = useState({});
   const [currentPage, setCurrentPage] = useState(0);
   const [itemsPerPage, setItemsPerPage] = useState(10);
@@ -63,12 +68,13 @@ const ProductPage = () => {
       try {
         setIsLoading(true);
         
-        const [productsData, categoriesData, brandsData, unitsData, suppliersData] = await Promise.all([
+        const [productsData, categoriesData, brandsData, unitsData, suppliersData, taxSettings] = await Promise.all([
           getAllProducts(currentPage, itemsPerPage),
           getCategories(),
           getBrands(),
           getUnits(),
-          getSuppliers()
+          getSuppliers(),
+          fetchTaxSettings()
         ]);
 
         if (isMounted) {
@@ -78,6 +84,7 @@ const ProductPage = () => {
             units: unitsData,
             suppliers: suppliersData
           });
+          setTaxClasses(taxSettings.classes || []);
 
           setTotalItems(productsData.totalElements || productsData.length || 0);
 
@@ -183,7 +190,7 @@ const ProductPage = () => {
   const handleDelete = async (id) => {
     if (window.confirm('Are you sure you want to delete this product?')) {
       try {
-        await deleteProduct(id);
+        await deleteProduct(id, { before: products.find(p => p.id === id) || null });
         setProducts(prev => prev.filter(p => p.id !== id));
         setFilteredProducts(prev => prev.filter(p => p.id !== id));
         toast.success('Product deleted successfully', {
@@ -225,6 +232,7 @@ const ProductPage = () => {
       brandId: product.brandId || '',
       unitId: product.unitId || '',
       supplierId: product.supplierId || '',
+      taxClass: product.taxClass || '',
       imageFile: null
     });
     setFormErrors({});
@@ -407,15 +415,17 @@ const ProductPage = () => {
         {/* Header Section */}
         <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-4 gap-3">
           <h1 className="text-lg sm:text-xl md:text-2xl font-bold text-gray-800">Product Inventory</h1>
-          <button
-            onClick={() => navigate('/products/create')}
-            className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md shadow-sm transition duration-200 text-sm sm:text-base w-full md:w-auto flex items-center justify-center gap-1"
-          >
-            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-            </svg>
-            Add New Product
-          </button>
+          <PermissionGate requiredPermissions={['product_create']}>
+            <button
+              onClick={() => navigate('/products/create')}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md shadow-sm transition duration-200 text-sm sm:text-base w-full md:w-auto flex items-center justify-center gap-1"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+              </svg>
+              Add New Product
+            </button>
+          </PermissionGate>
         </div>
 
         {/* Search and Actions */}
@@ -549,13 +559,15 @@ const ProductPage = () => {
                             >
                               <Pencil size={16} className="sm:h-4 sm:w-4" />
                             </button>
-                            <button
-                              onClick={() => handleDelete(product.id)}
-                              className="text-red-600 hover:text-red-800 transition p-1 rounded hover:bg-red-50"
-                              title="Delete"
-                            >
-                              <Trash2 size={16} className="sm:h-4 sm:w-4" />
-                            </button>
+                            <PermissionGate requiredPermissions={['product_delete']}>
+                              <button
+                                onClick={() => handleDelete(product.id)}
+                                className="text-red-600 hover:text-red-800 transition p-1 rounded hover:bg-red-50"
+                                title="Delete"
+                              >
+                                <Trash2 size={16} className="sm:h-4 sm:w-4" />
+                              </button>
+                            </PermissionGate>
                           </div>
                         </td>
                       </tr>
@@ -881,6 +893,23 @@ const ProductPage = () => {
                     )}
                   </div>
 
+                  <div className="col-span-1">
+                    <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Tax Class</label>
+                    <select
+                      name="taxClass"
+                      value={editFormData.taxClass}
+                      onChange={handleEditFormChange}
+                      className="w-full border border-gray-300 px-2 py-1.5 sm:px-3 sm:py-2 rounded-md focus:ring-blue-500 focus:border-blue-500 outline-none transition text-xs sm:text-sm"
+                    >
+                      <option value="">Same as category</option>
+                      {taxClasses.map(taxClass => (
+                        <option key={taxClass.code} value={taxClass.code}>
+                          {taxClassLabel(taxClass)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
                   <div className="col-span-1">
                     <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Brand</label>
                     <select
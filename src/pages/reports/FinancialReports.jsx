@@ -21,6 +21,7 @@ import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { format } from 'date-fns';
 import { getProfitLossReport } from '../../services/profitService';
+import BranchScopeBadge from '../../components/BranchScopeBadge';
 
 const IncomeStatement = () => {
   const [reportData, setReportData] = useState(null);
@@ -73,7 +74,7 @@ const IncomeStatement = () => {
     <LocalizationProvider dateAdapter={AdapterDateFns}>
       <Box sx={{ p: 3 }}>
         <Typography variant="h4" sx={{ mb: 3 }}>
-          Income Statement
+          Income Statement <BranchScopeBadge className="align-middle ml-2" />
         </Typography>
         
         <Paper sx={{ p: 3, mb: 3 }}>
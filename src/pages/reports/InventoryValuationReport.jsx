@@ -4,6 +4,8 @@ import { Download } from 'lucide-react';
 import { InventoryService } from '../../services/InventoryService';
 import { getAllProducts } from '../../services/productServices';
 import { getAllCategories } from '../../services/categories';
+import { sumMoney } from '../../components/utils/money';
+import BranchScopeBadge from '../../components/BranchScopeBadge';
 
 const InventoryValuationReport = () => {
   const [data, setData] = useState([]);
@@ -193,7 +195,7 @@ const InventoryValuationReport = () => {
   };
 
   const calculateSummary = (inventoryData) => {
-    const totalValue = inventoryData.reduce((sum, item) => sum + (item.totalValue || 0), 0);
+    const totalValue = sumMoney(inventoryData, 'totalValue');
     const lowStockItems = inventoryData.filter(item => {
       const status = getStockStatus(item.quantityInStock, item.lowStockThreshold);
       return status === 'LOW' || status === 'MEDIUM';
@@ -277,7 +279,7 @@ const InventoryValuationReport = () => {
   return (
     <div className="p-4 md:p-6">
       <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-4 md:mb-6 gap-4">
-        <h1 className="text-xl md:text-2xl font-bold">Inventory Valuation Report</h1>
+        <h1 className="text-xl md:text-2xl font-bold">Inventory Valuation Report <BranchScopeBadge className="align-middle ml-2" /></h1>
         <Button 
           type="primary" 
           icon={<Download size={16} />} 
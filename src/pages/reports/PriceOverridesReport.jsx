@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Table,
+  Card,
+  DatePicker,
+  Button,
+  Typography,
+  Space,
+  Statistic,
+  Row,
+  Col,
+  message,
+  Divider,
+  Tag
+} from 'antd';
+import { DownloadOutlined, ReloadOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import * as XLSX from 'xlsx';
+import { getPriceOverrideReport } from '../../services/priceOverrideService';
+import { OVERRIDE_TYPE_LABELS, OVERRIDE_TYPES } from '../../components/utils/priceOverrides';
+import BranchScopeBadge from '../../components/BranchScopeBadge';
+
+const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+
+const TYPE_COLORS = {
+  [OVERRIDE_TYPES.PRICE]: 'purple',
+  [OVERRIDE_TYPES.LINE_DISCOUNT]: 'blue',
+  [OVERRIDE_TYPES.CART_DISCOUNT]: 'cyan',
+  [OVERRIDE_TYPES.DISCOUNT_CODE]: 'green',
+  [OVERRIDE_TYPES.PROMOTION]: 'orange'
+};
+
+const formatKes = (amount) => `KES ${Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const EMPTY_REPORT = { rows: [], totalAmount: 0, approvedCount: 0, byReason: [], byCashier: [] };
+
+/**
+ * Price overrides and manual discounts given at the till, with who gave them,
+ * why, and which a manager approved
+ */
+const PriceOverridesReport = () => {
+  const [report, setReport] = useState(EMPTY_REPORT);
+  const [loading, setLoading] = useState(false);
+  const [dateRange, setDateRange] = useState([dayjs().startOf('month'), dayjs()]);
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [startDate, endDate] = dateRange || [];
+      setReport(await getPriceOverrideReport(startDate?.format('YYYY-MM-DD'), endDate?.format('YYYY-MM-DD')));
+    } catch (error) {
+      message.error(error.message || 'Failed to load the discount report');
+    } finally {
+      setLoading(false);
+    }
+  }, [dateRange]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const exportToExcel = () => {
+    const worksheet = XLSX.utils.json_to_sheet(report.rows.map(row => ({
+      'Sale': row.saleId,
+      'Date': dayjs(row.saleDate).format('DD MMM YYYY HH:mm'),
+      'Cashier': row.cashierName,
+      'Product': row.productName,
+      'Quantity': row.quantity,
+      'Shelf Price (KES)': row.originalPrice,
+      'Price Charged (KES)': row.price,
+      'Type': OVERRIDE_TYPE_LABELS[row.type] || row.type,
+      'Amount (KES)': row.amount,
+      'Reason': row.reason,
+      'Code': row.code || '',
+      'Promotion': row.promotion || '',
+      'Note': row.note || '',
+      'Approved By': row.approvedByName || ''
+    })));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Discounts & Overrides');
+    XLSX.writeFile(workbook, 'Discounts_Overrides_Report.xlsx');
+  };
+
+  const columns = [
+    {
+      title: 'Date',
+      dataIndex: 'saleDate',
+      key: 'saleDate',
+      render: (date) => dayjs(date).format('DD MMM YYYY HH:mm'),
+      sorter: (a, b) => new Date(a.saleDate) - new Date(b.saleDate),
+      defaultSortOrder: 'descend'
+    },
+    {
+      title: 'Sale',
+      dataIndex: 'saleId',
+      key: 'saleId',
+      render: (id) => `#${id}`
+    },
+    {
+      title: 'Cashier',
+      dataIndex: 'cashierName',
+      key: 'cashierName'
+    },
+    {
+      title: 'Product',
+      dataIndex: 'productName',
+      key: 'productName',
+      render: (name, row) => (
+        <>
+          <Text strong>{name}</Text>
+          <div>
+            <Text type="secondary">
+              {row.quantity} × {formatKes(row.price)}
+              {row.originalPrice !== row.price && ` (shelf ${formatKes(row.originalPrice)})`}
+            </Text>
+          </div>
+        </>
+      )
+    },
+    {
+      title: 'Type',
+      dataIndex: 'type',
+      key: 'type',
+      render: (type) => <Tag color={TYPE_COLORS[type]}>{OVERRIDE_TYPE_LABELS[type] || type}</Tag>,
+      filters: Object.entries(OVERRIDE_TYPE_LABELS).map(([value, text]) => ({ value, text })),
+      onFilter: (value, row) => row.type === value
+    },
+    {
+      title: 'Amount',
+      dataIndex: 'amount',
+      key: 'amount',
+      render: (amount) => <Text strong style={{ color: '#cf1322' }}>{formatKes(amount)}</Text>,
+      sorter: (a, b) => a.amount - b.amount
+    },
+    {
+      title: 'Reason',
+      dataIndex: 'reason',
+      key: 'reason',
+      render: (reason, row) => (
+        <>
+          {reason}
+          {row.code && <Tag style={{ marginLeft: 8 }}>{row.code}</Tag>}
+          {row.promotion && <Tag style={{ marginLeft: 8 }}>{row.promotion}</Tag>}
+          {row.note && <div><Text type="secondary">{row.note}</Text></div>}
+        </>
+      )
+    },
+    {
+      title: 'Approved By',
+      dataIndex: 'approvedByName',
+      key: 'approvedByName',
+      render: (name) => (name ? <Tag color="gold">{name}</Tag> : '-')
+    }
+  ];
+
+  const totalsColumns = (title, dataIndex) => [
+    { title, dataIndex },
+    { title: 'Count', dataIndex: 'count' },
+    { title: 'Amount', dataIndex: 'amount', render: formatKes }
+  ];
+
+  return (
+    <div style={{ padding: '24px' }}>
+      <Title level={2}>Discounts & Overrides <BranchScopeBadge className="align-middle ml-2" /></Title>
+      <Text type="secondary">
+        Price changes and discounts given at the till, with their reasons and approvals
+      </Text>
+
+      <Card
+        style={{ marginTop: '20px', marginBottom: '20px' }}
+        bodyStyle={{ padding: '16px' }}
+      >
+        <Row gutter={16} align="middle">
+          <Col xs={24} sm={12} md={8}>
+            <RangePicker
+              style={{ width: '100%' }}
+              value={dateRange}
+              onChange={setDateRange}
+              disabledDate={current => current && current > dayjs().endOf('day')}
+            />
+          </Col>
+          <Col xs={24} sm={12} md={16} style={{ textAlign: 'right' }}>
+            <Space>
+              <Button icon={<ReloadOutlined />} onClick={fetchReport}>
+                Refresh
+              </Button>
+              <Button icon={<DownloadOutlined />} onClick={exportToExcel} disabled={report.rows.length === 0}>
+                Export
+              </Button>
+            </Space>
+          </Col>
+        </Row>
+      </Card>
+
+      <Row gutter={16} style={{ marginBottom: '16px' }}>
+        <Col span={8}>
+          <Card>
+            <Statistic
+              title="Total Given Away"
+              value={report.totalAmount}
+              precision={2}
+              prefix="KES"
+              valueStyle={{ color: '#cf1322' }}
+            />
+          </Card>
+        </Col>
+        <Col span={8}>
+          <Card>
+            <Statistic title="Overrides" value={report.rows.length} precision={0} />
+          </Card>
+        </Col>
+        <Col span={8}>
+          <Card>
+            <Statistic title="Manager Approved" value={report.approvedCount} precision={0} />
+          </Card>
+        </Col>
+      </Row>
+
+      <Row gutter={16} style={{ marginBottom: '16px' }}>
+        <Col span={12}>
+          <Card title="By Reason">
+            <Table
+              dataSource={report.byReason}
+              rowKey="reasonCode"
+              pagination={false}
+              loading={loading}
+              columns={totalsColumns('Reason', 'reason')}
+            />
+          </Card>
+        </Col>
+        <Col span={12}>
+          <Card title="By Cashier">
+            <Table
+              dataSource={report.byCashier}
+              rowKey="cashierId"
+              pagination={false}
+              loading={loading}
+              columns={totalsColumns('Cashier', 'cashierName')}
+            />
+          </Card>
+        </Col>
+      </Row>
+
+      <Card>
+        <Table
+          columns={columns}
+          dataSource={report.rows}
+          rowKey={(row) => `${row.saleId}-${row.productId}-${row.type}-${row.promotionId || ''}`}
+          loading={loading}
+          pagination={{
+            pageSize: 20,
+            showSizeChanger: true,
+            showTotal: (total, range) => `${range[0]}-${range[1]} of ${total} overrides`
+          }}
+          scroll={{ x: 'max-content' }}
+        />
+      </Card>
+
+      <Divider />
+
+      <div style={{ textAlign: 'center', marginTop: '24px' }}>
+        <Text type="secondary">
+          Report generated on {dayjs().format('MMMM D, YYYY h:mm A')}
+        </Text>
+      </div>
+    </div>
+  );
+};
+
+export default PriceOverridesReport;
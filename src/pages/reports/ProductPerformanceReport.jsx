@@ -5,6 +5,8 @@ import dayjs from 'dayjs';
 import { getAllProducts } from '../../services/productServices';
 import { getCategories } from '../../services/productServices';
 import { getSalesByDateRange } from '../../services/salesService';
+import { addMoney, subtractMoney, sumMoney } from '../../components/utils/money';
+import BranchScopeBadge from '../../components/BranchScopeBadge';
 
 const ProductPerformanceReport = () => {
   const [startDate, setStartDate] = useState(dayjs().subtract(1, 'month'));
@@ -181,10 +183,10 @@ const ProductPerformanceReport = () => {
           productSalesMap[productId] = (productSalesMap[productId] || 0) + (item.quantity || 0);
           
           // Sum revenue
-          productRevenueMap[productId] = (productRevenueMap[productId] || 0) + (item.totalPrice || 0);
+          productRevenueMap[productId] = addMoney(productRevenueMap[productId] || 0, item.totalPrice);
           
           // Sum costs
-          productCostMap[productId] = (productCostMap[productId] || 0) + (item.costAmount || 0);
+          productCostMap[productId] = addMoney(productCostMap[productId] || 0, item.costAmount);
         });
       });
 
@@ -193,7 +195,7 @@ const ProductPerformanceReport = () => {
         const unitsSold = productSalesMap[productId] || 0;
         const revenue = productRevenueMap[productId] || 0;
         const cost = productCostMap[productId] || 0;
-        const profit = revenue - cost;
+        const profit = subtractMoney(revenue, cost);
         const profitMargin = revenue > 0 ? profit / revenue : 0;
 
         const productCategory = categoriesData.find(
@@ -219,9 +221,9 @@ const ProductPerformanceReport = () => {
 
       setData(processedData);
 
-      const totalRevenue = processedData.reduce((sum, item) => sum + (item.revenue || 0), 0);
-      const totalCosts = processedData.reduce((sum, item) => sum + (item.cost || 0), 0);
-      const totalProfit = totalRevenue - totalCosts;
+      const totalRevenue = sumMoney(processedData, 'revenue');
+      const totalCosts = sumMoney(processedData, 'cost');
+      const totalProfit = subtractMoney(totalRevenue, totalCosts);
       const avgProfitMargin = totalRevenue > 0 ? totalProfit / totalRevenue : 0;
 
       setSummaryData({
@@ -291,7 +293,7 @@ const ProductPerformanceReport = () => {
   return (
     <div className="p-4 md:p-6">
       <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-4 md:mb-6 gap-4">
-        <h1 className="text-xl md:text-2xl font-bold">Product Performance Report</h1>
+        <h1 className="text-xl md:text-2xl font-bold">Product Performance Report <BranchScopeBadge className="align-middle ml-2" /></h1>
         <div className="flex gap-2 md:gap-4 w-full md:w-auto">
           <Button 
             icon={<Download size={16} />} 
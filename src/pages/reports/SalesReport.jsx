@@ -16,6 +16,11 @@ import {
   getSalesReport, getProfitLossReport, 
   getProductPerformanceReport
 } from '../../services/salesService';
+import BranchScopeBadge from '../../components/BranchScopeBadge';
+import { getSalePayments, tenderLabel, totalsByTender } from '../../components/utils/tenders';
+import { summarizeTax, taxClassLabel } from '../../components/utils/tax';
+import { sumMoney } from '../../components/utils/money';
+import { getTaxSettings } from '../../services/taxService';
 
 dayjs.extend(customParseFormat);
 
@@ -74,27 +79,16 @@ const SalesReport = () => {
     CANCELLED: colors.error
   };
 
-  // Calculate totals from sales data
-  const calculateTotals = (salesData) => {
-    return salesData.reduce((totals, sale) => {
-      const subtotal = sale.subtotal || 0;
-      const discount = sale.discountAmount || 0;
-      const total = subtotal - discount;
-      
-      return {
-        subtotal: totals.subtotal + subtotal,
-        discount: totals.discount + discount,
-        total: totals.total + total
-      };
-    }, { subtotal: 0, discount: 0, total: 0 });
-  };
+  // Calculate totals from sales data, to the cent. `subtotal` is already net of
+  // discount and tax, so the total is the sale's own total rather than subtotal - discount.
+  const calculateTotals = (salesData) => ({
+    subtotal: sumMoney(salesData, 'subtotal'),
+    discount: sumMoney(salesData, 'discountAmount'),
+    total: sumMoney(salesData, 'total')
+  });
 
   // Calculate individual sale total
-  const calculateSaleTotal = (sale) => {
-    const subtotal = sale.subtotal || 0;
-    const discount = sale.discountAmount || 0;
-    return subtotal - discount;
-  };
+  const calculateSaleTotal = (sale) => sale.total || 0;
 
   // Fetch all sales data
   const fetchSalesData = async () => {
@@ -240,6 +234,17 @@ const SalesReport = () => {
       fixed: 'right',
       width: 120
     },
+    {
+      title: 'Payment',
+      key: 'payment',
+      render: (_, record) => getSalePayments(record).map((payment, index) => (
+        <Tag key={index} style={{ marginBottom: 2 }}>
+          {tenderLabel(payment.method)}{getSalePayments(record).length > 1 ? ` ${formatCurrency(payment.amount)}` : ''}
+        </Tag>
+      )),
+      responsive: ['lg'],
+      width: 180
+    },
     {
       title: 'Status',
       dataIndex: 'status',
@@ -298,6 +303,8 @@ const SalesReport = () => {
     }
   }, [activeTab]);
 
+  const taxSummary = summarizeTax(filteredSales.filter(sale => sale.status === 'COMPLETED'), getTaxSettings());
+
   return (
     <div className="p-4 md:p-6" style={{ background: colors.background, minHeight: '100vh' }}>
       {/* Scroll to top button */}
@@ -314,7 +321,7 @@ const SalesReport = () => {
       </Affix>
 
       <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
-        <h1 className="text-xl md:text-2xl font-bold" style={{ color: colors.primary }}>Sales Report</h1>
+        <h1 className="text-xl md:text-2xl font-bold" style={{ color: colors.primary }}>Sales Report <BranchScopeBadge className="align-middle ml-2" /></h1>
         <div className="flex gap-2 md:gap-4 w-full md:w-auto">
           <Button 
             type="primary" 
@@ -430,6 +437,45 @@ const SalesReport = () => {
         </Col>
       </Row>
 
+      {/* Tender breakdown of completed sales */}
+      <Card
+        className="mb-6"
+        size="small"
+        title={<span style={{ color: colors.primary }}>Payments by tender</span>}
+        style={{ borderRadius: 8, boxShadow: '0 2px 8px rgba(0,0,0,0.09)' }}
+      >
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(totalsByTender(filteredSales.filter(sale => sale.status === 'COMPLETED'))).map(([method, amount]) => (
+            <Tag key={method} color="blue" style={{ fontSize: 14, padding: '4px 10px' }}>
+              {tenderLabel(method)}: <strong>{formatCurrency(amount)}</strong>
+            </Tag>
+          ))}
+          {filteredSales.every(sale => sale.status !== 'COMPLETED') && (
+            <span className="text-gray-500 text-sm">No completed sales in this period</span>
+          )}
+        </div>
+      </Card>
+
+      {/* Tax by class of completed sales */}
+      <Card
+        className="mb-6"
+        size="small"
+        title={<span style={{ color: colors.primary }}>Tax by class</span>}
+        extra={<span>Total tax: <strong>{formatCurrency(taxSummary.totalTax)}</strong></span>}
+        style={{ borderRadius: 8, boxShadow: '0 2px 8px rgba(0,0,0,0.09)' }}
+      >
+        <div className="flex flex-wrap gap-2">
+          {taxSummary.byClass.map(entry => (
+            <Tag key={entry.code} color="purple" style={{ fontSize: 14, padding: '4px 10px' }}>
+              {taxClassLabel(entry)}: net <strong>{formatCurrency(entry.taxable)}</strong>, tax <strong>{formatCurrency(entry.tax)}</strong>
+            </Tag>
+          ))}
+          {taxSummary.byClass.length === 0 && (
+            <span className="text-gray-500 text-sm">No completed sales in this period</span>
+          )}
+        </div>
+      </Card>
+
       {/* Tabs */}
       <Card 
         style={{ borderRadius: 8, boxShadow: '0 2px 8px rgba(0,0,0,0.09)' }}
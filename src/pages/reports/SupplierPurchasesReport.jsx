@@ -28,6 +28,8 @@ import * as XLSX from 'xlsx';
 import { getSuppliers } from '../../services/supplierService';
 import { getAllPurchases } from '../../services/purchaseService';
 import { AreaChart, Area, XAxis, YAxis, CartesianGrid, PieChart, Pie, Cell, ResponsiveContainer } from 'recharts';
+import BranchScopeBadge from '../../components/BranchScopeBadge';
+import { addMoney } from '../../components/utils/money';
 
 const { Title, Text } = Typography;
 const { RangePicker } = DatePicker;
@@ -124,7 +126,7 @@ const SupplierPurchasesReport = () => {
       }
       
       supplierMap[supplierId].purchaseCount += 1;
-      supplierMap[supplierId].totalAmount += purchase.totalAmount || 0;
+      supplierMap[supplierId].totalAmount = addMoney(supplierMap[supplierId].totalAmount, purchase.totalAmount);
       supplierMap[supplierId].purchaseDates.push(purchase.orderDate);
     });
     
@@ -149,7 +151,7 @@ const SupplierPurchasesReport = () => {
       acc[month] = { month, count: 0, amount: 0 };
     }
     acc[month].count++;
-    acc[month].amount += purchase.totalAmount;
+    acc[month].amount = addMoney(acc[month].amount, purchase.totalAmount);
     return acc;
   }, {});
 
@@ -321,13 +323,13 @@ const SupplierPurchasesReport = () => {
   const summaryData = reportData.reduce((acc, item) => {
     acc.totalSuppliers += 1;
     acc.totalPurchases += item.purchaseCount || 0;
-    acc.totalAmount += item.totalAmount || 0;
+    acc.totalAmount = addMoney(acc.totalAmount, item.totalAmount);
     return acc;
   }, { totalSuppliers: 0, totalPurchases: 0, totalAmount: 0 });
 
   return (
     <div style={{ padding: '24px' }}>
-      <Title level={2}>Supplier Purchases Report</Title>
+      <Title level={2}>Supplier Purchases Report <BranchScopeBadge className="align-middle ml-2" /></Title>
       <Text type="secondary">
         Analyze purchases made from suppliers with date range filtering
       </Text>
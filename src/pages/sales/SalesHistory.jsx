@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { getSales } from '../../services/salesService';
+import { describeSalePayments } from '../../components/utils/tenders';
 
 
 
@@ -22,7 +23,7 @@ export default function SalesHistory() {
             <p><strong>Cashier:</strong> {sale.cashierName}</p>
             <p><strong>Customer:</strong> {sale.customerName}</p>
             <p><strong>Total:</strong> Ksh {sale.total.toFixed(2)}</p>
-            <p><strong>Payment:</strong> {sale.paymentMethod}</p>
+            <p><strong>Payment:</strong> {describeSalePayments(sale)}</p>
             <ul className="ml-4 mt-2 list-disc">
               {sale.cart.map(item => (
                 <li key={item.product_id}>
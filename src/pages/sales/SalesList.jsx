@@ -6,6 +6,8 @@ import {
   generateReceipt, 
   exportSalesToCSV
 } from '../../services/salesService';
+import { describeSalePayments, getSalePayments, tenderLabel } from '../../components/utils/tenders';
+import { addMoney } from '../../components/utils/money';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import {
@@ -155,9 +157,9 @@ export default function SalesList() {
   // Calculate totals
   const totals = filteredSales.reduce(
     (acc, sale) => {
-      acc.all += sale.total || 0;
+      acc.all = addMoney(acc.all, sale.total);
       if (sale.status === 'COMPLETED') {
-        acc.completed += sale.total;
+        acc.completed = addMoney(acc.completed, sale.total);
         acc.completedCount++;
       }
       return acc;
@@ -304,6 +306,7 @@ export default function SalesList() {
                 <th>Date</th>
                 <th>Items</th>
                 <th>Total</th>
+                <th>Payment</th>
                 <th>Status</th>
               </tr>
             </thead>
@@ -315,6 +318,7 @@ export default function SalesList() {
                   <td>${formatDate(sale.saleDate)}</td>
                   <td>${sale.items?.length || 0}</td>
                   <td>Ksh ${sale.total?.toFixed(2) || '0.00'}</td>
+                  <td>${describeSalePayments(sale)}</td>
                   <td>
                     <span class="status ${
                       sale.status === 'COMPLETED' ? 'status-completed' :
@@ -494,6 +498,7 @@ export default function SalesList() {
                       <th className="p-3 text-left text-sm font-medium text-gray-700">Customer</th>
                       <th className="p-3 text-left text-sm font-medium text-gray-700 hidden sm:table-cell">Items</th>
                       <th className="p-3 text-left text-sm font-medium text-gray-700">Total</th>
+                      <th className="p-3 text-left text-sm font-medium text-gray-700 hidden lg:table-cell">Payment</th>
                       <th className="p-3 text-left text-sm font-medium text-gray-700 hidden sm:table-cell">Status</th>
                       <th className="p-3 text-left text-sm font-medium text-gray-700 hidden md:table-cell">Date</th>
                       <th className="p-3 text-left text-sm font-medium text-gray-700">Actions</th>
@@ -518,6 +523,9 @@ export default function SalesList() {
                           <td className="p-3 font-medium text-gray-900">
                             Ksh {sale.total?.toFixed(2) || '0.00'}
                           </td>
+                          <td className="p-3 hidden lg:table-cell text-sm text-gray-500">
+                            {describeSalePayments(sale)}
+                          </td>
                           <td className="p-3 hidden sm:table-cell">
                             <span className={`px-2 py-1 rounded-full text-xs ${
                               sale.status === 'COMPLETED' ? 'bg-green-100 text-green-800' :
@@ -547,7 +555,7 @@ export default function SalesList() {
                       ))
                     ) : (
                       <tr>
-                        <td colSpan="7" className="p-4 text-center text-gray-500">
+                        <td colSpan="8" className="p-4 text-center text-gray-500">
                           No sales records found. Try adjusting your filters.
                         </td>
                       </tr>
@@ -674,6 +682,24 @@ export default function SalesList() {
                               <p className="font-semibold">
                                 <span className="text-gray-600">Total:</span> Ksh {modalSale.total?.toFixed(2) || '0.00'}
                               </p>
+                              <div className="pt-2 border-t border-gray-200">
+                                <span className="font-medium text-gray-600">Payments:</span>
+                                {getSalePayments(modalSale).map((payment, idx) => (
+                                  <div key={idx} className="flex justify-between">
+                                    <span>
+                                      {tenderLabel(payment.method)}
+                                      {payment.reference && <span className="text-xs text-gray-500 ml-1">({payment.reference})</span>}
+                                    </span>
+                                    <span>Ksh {payment.amount.toFixed(2)}</span>
+                                  </div>
+                                ))}
+                                {modalSale.amountTendered != null && (
+                                  <div className="flex justify-between text-gray-600">
+                                    <span>Cash tendered / change</span>
+                                    <span>Ksh {Number(modalSale.amountTendered).toFixed(2)} / Ksh {Number(modalSale.changeGiven || 0).toFixed(2)}</span>
+                                  </div>
+                                )}
+                              </div>
                             </div>
                           </div>
                         </div>
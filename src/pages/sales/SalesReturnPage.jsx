@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import apiClient from '../../services/apiClient';
+import { sumMoney } from '../../components/utils/money';
+import PermissionGate from '../../components/PermissionGate';
 import { 
   message, 
   Table, 
@@ -24,8 +26,6 @@ import {
 } from '@ant-design/icons';
 import dayjs from 'dayjs';
 
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '';
-
 export default function SalesReturnPage() {
   const [sales, setSales] = useState([]);
   const [filteredSales, setFilteredSales] = useState([]);
@@ -58,10 +58,7 @@ export default function SalesReturnPage() {
   const fetchSales = async () => {
     try {
       setLoading(true);
-      const token = localStorage.getItem('token');
-      
-      const response = await axios.get(`${API_BASE_URL}/sales`, {
-        headers: { Authorization: `Bearer ${token}` },
+      const response = await apiClient.get('/sales', {
         params: {
           status: statusFilter,
           page: pagination.current - 1,
@@ -85,7 +82,7 @@ export default function SalesReturnPage() {
 
   const calculateStats = () => {
     const returnable = sales.filter(s => s.status === 'COMPLETED');
-    const totalAmount = returnable.reduce((sum, sale) => sum + (sale.total || 0), 0);
+    const totalAmount = sumMoney(returnable, 'total');
     
     setStats({
       totalAmount,
@@ -124,10 +121,7 @@ export default function SalesReturnPage() {
     }
 
     try {
-      const token = localStorage.getItem('token');
-      await axios.delete(`${API_BASE_URL}/sales/${saleId}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      await apiClient.delete(`/sales/${saleId}`);
       
       message.success('Sale returned successfully');
       fetchSales(); // Refresh the sales list
@@ -231,18 +225,20 @@ export default function SalesReturnPage() {
       fixed: 'right',
       render: (_, record) => (
         <Space size="small">
-          <Tooltip title="Return this sale">
-            <Button 
-              type="primary" 
-              icon={<RollbackOutlined />} 
-              onClick={() => handleReturnSale(record.id)}
-              disabled={record.status === 'CANCELLED'}
-              className="bg-blue-500 hover:bg-blue-600 border-blue-500 flex items-center"
-              size="small"
-            >
-              Return
-            </Button>
-          </Tooltip>
+          <PermissionGate allOf={['sale_return', 'sale_cancel']}>
+            <Tooltip title="Return this sale">
+              <Button 
+                type="primary" 
+                icon={<RollbackOutlined />} 
+                onClick={() => handleReturnSale(record.id)}
+                disabled={record.status === 'CANCELLED'}
+                className="bg-blue-500 hover:bg-blue-600 border-blue-500 flex items-center"
+                size="small"
+              >
+                Return
+              </Button>
+            </Tooltip>
+          </PermissionGate>
         </Space>
       ),
       width: 120,
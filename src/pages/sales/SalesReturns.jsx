@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import apiClient from '../../services/apiClient';
+import { sumMoney } from '../../components/utils/money';
 import { 
   message, 
   Table, 
@@ -24,8 +25,6 @@ import {
 } from '@ant-design/icons';
 import dayjs from 'dayjs';
 
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://inventorymanagementsystem-we5x.onrender.com/';
-
 export default function SalesReturnPage() {
   const [sales, setSales] = useState([]);
   const [filteredSales, setFilteredSales] = useState([]);
@@ -58,10 +57,7 @@ export default function SalesReturnPage() {
   const fetchSales = async () => {
     try {
       setLoading(true);
-      const token = localStorage.getItem('token');
-      
-      const response = await axios.get(`${API_BASE_URL}/sales`, {
-        headers: { Authorization: `Bearer ${token}` },
+      const response = await apiClient.get('/sales', {
         params: {
           status: statusFilter,
           page: pagination.current - 1,
@@ -85,7 +81,7 @@ export default function SalesReturnPage() {
 
   const calculateStats = () => {
     const returnable = sales.filter(s => s.status === 'COMPLETED');
-    const totalAmount = returnable.reduce((sum, sale) => sum + (sale.total || 0), 0);
+    const totalAmount = sumMoney(returnable, 'total');
     
     setStats({
       totalAmount,
@@ -124,10 +120,7 @@ export default function SalesReturnPage() {
     }
 
     try {
-      const token = localStorage.getItem('token');
-      await axios.delete(`${API_BASE_URL}/sales/${saleId}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      await apiClient.delete(`/sales/${saleId}`);
       
       message.success('Sale returned successfully');
       fetchSales(); // Refresh the sales list
@@ -0,0 +1,250 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast, ToastContainer } from 'react-toastify';
+import { format } from 'date-fns';
+import * as XLSX from 'xlsx';
+import { FaChevronDown, FaChevronRight, FaDownload, FaSyncAlt } from 'react-icons/fa';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, fetchAuditEvents } from '../../services/auditService';
+import { fetchAllUsers } from '../../services/userService';
+
+const PAGE_SIZE = 25;
+// Upper bound for one export; narrow the filters for anything larger
+const EXPORT_LIMIT = 5000;
+
+const EMPTY_FILTERS = { userId: '', entityType: '', action: '', startDate: '', endDate: '' };
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const humanize = (value) => String(value || '').replace(/_/g, ' ').toLowerCase().replace(/^\w/, c => c.toUpperCase());
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'MMM dd, yyyy HH:mm:ss') : 'N/A');
+
+const stringify = (value) => (value === null || value === undefined ? '' : JSON.stringify(value, null, 2));
+
+const AuditLog = () => {
+  const [events, setEvents] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [totalElements, setTotalElements] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchAllUsers()
+      .then(setUsers)
+      .catch(err => console.error('Failed to load users for the audit filter:', err));
+  }, []);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await fetchAuditEvents({ ...filters, page, size: PAGE_SIZE, sort: 'occurredAt,desc' });
+      setEvents(result.content);
+      setTotalPages(result.totalPages);
+      setTotalElements(result.totalElements);
+    } catch (err) {
+      setError(err.message || 'Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(0);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const result = await fetchAuditEvents({ ...filters, page: 0, size: EXPORT_LIMIT, sort: 'occurredAt,desc' });
+      if (result.content.length === 0) {
+        toast.info('No audit events match these filters');
+        return;
+      }
+      if (result.totalElements > result.content.length) {
+        toast.warning(`Exported the newest ${result.content.length} of ${result.totalElements} events`);
+      }
+
+      const worksheet = XLSX.utils.json_to_sheet(result.content.map(event => ({
+        'Time': formatDateTime(event.occurredAt),
+        'User': event.userName || event.username || event.userId || '',
+        'Action': humanize(event.action),
+        'Entity': humanize(event.entityType),
+        'Entity ID': event.entityId || '',
+        'Reason': event.reason || '',
+        'Terminal': event.terminalId || '',
+        'Before': stringify(event.before),
+        'After': stringify(event.after)
+      })));
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Audit Log');
+      XLSX.writeFile(workbook, `audit_log_${new Date().toISOString().split('T')[0]}.xlsx`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to export the audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-7xl">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Audit Log</h1>
+          <p className="text-gray-600 mt-1">Who deleted, adjusted or changed what, and when</p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={loadEvents}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded-lg font-medium"
+          >
+            <FaSyncAlt /> Refresh
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium disabled:opacity-60"
+          >
+            <FaDownload /> {exporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3">
+        <select name="userId" value={filters.userId} onChange={handleFilterChange} className={inputClass}>
+          <option value="">All users</option>
+          {users.map(user => (
+            <option key={user.id} value={user.id}>{user.fullName || user.name || user.username}</option>
+          ))}
+        </select>
+        <select name="entityType" value={filters.entityType} onChange={handleFilterChange} className={inputClass}>
+          <option value="">All entities</option>
+          {Object.values(AUDIT_ENTITIES).map(entity => (
+            <option key={entity} value={entity}>{humanize(entity)}</option>
+          ))}
+        </select>
+        <select name="action" value={filters.action} onChange={handleFilterChange} className={inputClass}>
+          <option value="">All actions</option>
+          {Object.values(AUDIT_ACTIONS).map(action => (
+            <option key={action} value={action}>{humanize(action)}</option>
+          ))}
+        </select>
+        <input type="date" name="startDate" value={filters.startDate} onChange={handleFilterChange} className={inputClass} aria-label="From" />
+        <input type="date" name="endDate" value={filters.endDate} onChange={handleFilterChange} className={inputClass} aria-label="To" />
+        <button
+          onClick={() => { setFilters(EMPTY_FILTERS); setPage(0); }}
+          className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100"
+        >
+          Clear filters
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="w-8" />
+              {['Time', 'User', 'Action', 'Entity', 'Reason', 'Terminal'].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan={7} className="py-10">
+                  <div className="flex justify-center">
+                    <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+                  </div>
+                </td>
+              </tr>
+            ) : events.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="px-4 py-10 text-center text-gray-500">No audit events match these filters</td>
+              </tr>
+            ) : events.map(event => {
+              const expanded = expandedId === event.id;
+              return (
+                <React.Fragment key={event.id}>
+                  <tr
+                    className="hover:bg-gray-50 cursor-pointer"
+                    onClick={() => setExpandedId(expanded ? null : event.id)}
+                  >
+                    <td className="pl-4 text-gray-400">{expanded ? <FaChevronDown /> : <FaChevronRight />}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">{formatDateTime(event.occurredAt)}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{event.userName || event.username || event.userId || 'Unknown'}</td>
+                    <td className="px-4 py-3 text-sm font-medium text-gray-800">{humanize(event.action)}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {humanize(event.entityType)}{event.entityId ? ` #${event.entityId}` : ''}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">{event.reason || '-'}</td>
+                    <td className="px-4 py-3 text-sm text-gray-500">{event.terminalId || '-'}</td>
+                  </tr>
+                  {expanded && (
+                    <tr className="bg-gray-50">
+                      <td />
+                      <td colSpan={6} className="px-4 py-3">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          {[['Before', event.before], ['After', event.after]].map(([label, value]) => (
+                            <div key={label}>
+                              <p className="text-xs font-semibold text-gray-500 uppercase mb-1">{label}</p>
+                              <pre className="text-xs bg-white border rounded p-2 overflow-auto max-h-64">
+                                {stringify(value) || 'Not recorded'}
+                              </pre>
+                            </div>
+                          ))}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+        <span>{totalElements} event{totalElements === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage(p => p - 1)}
+            disabled={page === 0 || loading}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {totalPages === 0 ? 0 : page + 1} of {totalPages}</span>
+          <button
+            onClick={() => setPage(p => p + 1)}
+            disabled={page + 1 >= totalPages || loading}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+      <ToastContainer />
+    </div>
+  );
+};
+
+export default AuditLog;
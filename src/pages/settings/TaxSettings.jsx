@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from 'react';
+import { toast, ToastContainer } from 'react-toastify';
+import { FaPlus, FaSave, FaTrash } from 'react-icons/fa';
+import { fetchTaxSettings, saveTaxSettings } from '../../services/taxService';
+import { getAllCategories, updateCategory } from '../../services/categories';
+import { TAX_KINDS, TAX_KIND_LABELS, taxClassLabel } from '../../components/utils/tax';
+
+const emptyClass = () => ({ code: '', name: '', kind: TAX_KINDS.STANDARD, rate: 16, priceIncludesTax: true });
+
+/**
+ * Tax classes (VAT rates, zero-rated, exempt), the default class for
+ * products without one, and the class each category uses
+ */
+const TaxSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [savingCategoryId, setSavingCategoryId] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [taxSettings, categoryList] = await Promise.all([fetchTaxSettings(), getAllCategories()]);
+        setSettings(taxSettings);
+        setCategories(categoryList);
+      } catch (error) {
+        toast.error(error.message || 'Failed to load tax settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const updateClass = (index, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      classes: prev.classes.map((taxClass, i) => (i === index ? { ...taxClass, ...changes } : taxClass))
+    }));
+  };
+
+  const removeClass = (index) => {
+    setSettings(prev => ({ ...prev, classes: prev.classes.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      setSettings(await saveTaxSettings(settings));
+      toast.success('Tax settings saved');
+    } catch (error) {
+      setFieldErrors(error.fieldErrors || {});
+      toast.error(error.message || 'Failed to save tax settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCategoryTaxClass = async (category, taxClass) => {
+    try {
+      setSavingCategoryId(category.id);
+      const updated = await updateCategory(category.id, { ...category, taxClass: taxClass || null });
+      setCategories(prev => prev.map(item => (item.id === category.id ? { ...item, ...updated } : item)));
+      toast.success(`${category.name} now uses ${taxClass || 'the default class'}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update the category');
+    } finally {
+      setSavingCategoryId(null);
+    }
+  };
+
+  if (loading || !settings) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const inputClass = (field) => `w-full p-2 border rounded ${fieldErrors[field] ? 'border-red-500' : 'border-gray-300'}`;
+  const defaultClass = settings.classes.find(taxClass => taxClass.code === settings.defaultClass);
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-5xl">
+      <h1 className="text-3xl font-bold text-gray-800">Tax Settings</h1>
+      <p className="text-gray-600 mt-1 mb-6">
+        Products use their own tax class, else their category's, else the default. Past sales keep the rate they were sold at.
+      </p>
+
+      <div className="bg-white rounded-lg shadow p-6 mb-8">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold">Tax classes</h2>
+          <button
+            onClick={() => setSettings(prev => ({ ...prev, classes: [...prev.classes, emptyClass()] }))}
+            className="flex items-center gap-2 px-3 py-2 text-sm bg-gray-100 hover:bg-gray-200 rounded"
+          >
+            <FaPlus /> Add class
+          </button>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2 pr-2">Default</th>
+                <th className="py-2 pr-2">Code</th>
+                <th className="py-2 pr-2">Name</th>
+                <th className="py-2 pr-2">Kind</th>
+                <th className="py-2 pr-2">Rate %</th>
+                <th className="py-2 pr-2">Prices include tax</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {settings.classes.map((taxClass, index) => (
+                <tr key={index} className="align-top">
+                  <td className="py-2 pr-2">
+                    <input
+                      type="radio"
+                      name="defaultClass"
+                      checked={settings.defaultClass === taxClass.code}
+                      onChange={() => setSettings(prev => ({ ...prev, defaultClass: taxClass.code }))}
+                      disabled={!taxClass.code}
+                    />
+                  </td>
+                  <td className="py-2 pr-2">
+                    <input
+                      value={taxClass.code}
+                      onChange={(e) => updateClass(index, { code: e.target.value.toUpperCase() })}
+                      className={inputClass(`classes[${index}].code`)}
+                    />
+                    {fieldErrors[`classes[${index}].code`] && <p className="text-xs text-red-600 mt-1">{fieldErrors[`classes[${index}].code`]}</p>}
+                  </td>
+                  <td className="py-2 pr-2">
+                    <input
+                      value={taxClass.name}
+                      onChange={(e) => updateClass(index, { name: e.target.value })}
+                      className={inputClass(`classes[${index}].name`)}
+                    />
+                    {fieldErrors[`classes[${index}].name`] && <p className="text-xs text-red-600 mt-1">{fieldErrors[`classes[${index}].name`]}</p>}
+                  </td>
+                  <td className="py-2 pr-2">
+                    <select
+                      value={taxClass.kind}
+                      onChange={(e) => updateClass(index, {
+                        kind: e.target.value,
+                        rate: e.target.value === TAX_KINDS.STANDARD ? taxClass.rate : 0
+                      })}
+                      className={inputClass(`classes[${index}].kind`)}
+                    >
+                      {Object.values(TAX_KINDS).map(kind => (
+                        <option key={kind} value={kind}>{TAX_KIND_LABELS[kind]}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-2 w-24">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={taxClass.rate}
+                      disabled={taxClass.kind !== TAX_KINDS.STANDARD}
+                      onChange={(e) => updateClass(index, { rate: e.target.value })}
+                      className={inputClass(`classes[${index}].rate`)}
+                    />
+                    {fieldErrors[`classes[${index}].rate`] && <p className="text-xs text-red-600 mt-1">{fieldErrors[`classes[${index}].rate`]}</p>}
+                  </td>
+                  <td className="py-2 pr-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={taxClass.priceIncludesTax !== false}
+                      onChange={(e) => updateClass(index, { priceIncludesTax: e.target.checked })}
+                    />
+                  </td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => removeClass(index)}
+                      disabled={settings.classes.length === 1}
+                      className="p-2 text-red-600 hover:text-red-800 disabled:opacity-40"
+                      title="Remove class"
+                    >
+                      <FaTrash />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {fieldErrors.defaultClass && <p className="text-sm text-red-600 mt-2">Default class: {fieldErrors.defaultClass}</p>}
+
+        <div className="flex justify-end mt-4">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium disabled:opacity-60"
+          >
+            <FaSave /> {saving ? 'Saving...' : 'Save tax classes'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold mb-1">Categories</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Products in a category use its class unless the product sets its own. Save new classes above before assigning them.
+        </p>
+        <div className="divide-y">
+          {categories.map(category => (
+            <div key={category.id} className="flex items-center justify-between py-2 gap-4">
+              <span className="text-gray-800">{category.name}</span>
+              <select
+                value={category.taxClass || ''}
+                onChange={(e) => handleCategoryTaxClass(category, e.target.value)}
+                disabled={savingCategoryId === category.id}
+                className="p-2 border border-gray-300 rounded w-64"
+              >
+                <option value="">Default ({taxClassLabel(defaultClass)})</option>
+                {settings.classes.filter(taxClass => taxClass.code).map(taxClass => (
+                  <option key={taxClass.code} value={taxClass.code}>{taxClassLabel(taxClass)}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+          {categories.length === 0 && <p className="text-gray-500 text-sm py-2">No categories yet</p>}
+        </div>
+      </div>
+      <ToastContainer />
+    </div>
+  );
+};
+
+export default TaxSettings;
@@ -1,4 +1,56 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { IDLE_LOCK_OPTIONS, getIdleLockMinutes, setIdleLockMinutes } from '../../../services/terminalSettings';
+import {
+  CASH_ROUNDING_INCREMENTS,
+  fetchCashRoundingIncrement,
+  getCashRoundingIncrement,
+  saveCashRoundingIncrement
+} from '../../../services/cashRoundingService';
+import {
+  APPROVAL_THRESHOLD_OPTIONS,
+  fetchApprovalThreshold,
+  getApprovalThreshold,
+  saveApprovalThreshold
+} from '../../../services/priceOverrideService';
+
 export default function BusinessProfile() {
+    const [idleLockMinutes, setIdleLockMinutesState] = useState(getIdleLockMinutes);
+    const [cashRounding, setCashRounding] = useState(getCashRoundingIncrement);
+    const [approvalThreshold, setApprovalThreshold] = useState(getApprovalThreshold);
+
+    useEffect(() => {
+      fetchCashRoundingIncrement().then(setCashRounding);
+      fetchApprovalThreshold().then(setApprovalThreshold);
+    }, []);
+
+    const handleIdleLockChange = (e) => {
+      const minutes = Number(e.target.value);
+      setIdleLockMinutesState(minutes);
+      setIdleLockMinutes(minutes);
+      toast.success(minutes ? `POS will lock after ${minutes} min of inactivity` : 'POS idle lock turned off');
+    };
+
+    const handleCashRoundingChange = async (e) => {
+      const increment = Number(e.target.value);
+      try {
+        setCashRounding(await saveCashRoundingIncrement(increment));
+        toast.success(increment ? `Cash payments round to the nearest ${increment} shilling${increment > 1 ? 's' : ''}` : 'Cash rounding turned off');
+      } catch (error) {
+        toast.error(error.message || 'Failed to save cash rounding');
+      }
+    };
+
+    const handleApprovalThresholdChange = async (e) => {
+      const percent = Number(e.target.value);
+      try {
+        setApprovalThreshold(await saveApprovalThreshold(percent));
+        toast.success(percent >= 100 ? 'Discounts no longer need a manager' : `Discounts over ${percent}% now need a manager's PIN`);
+      } catch (error) {
+        toast.error(error.message || 'Failed to save the discount approval limit');
+      }
+    };
+
     return (
       <div className="p-6 max-w-xl mx-auto">
         <h2 className="text-xl font-semibold mb-4">Business Profile</h2>
@@ -9,7 +61,41 @@ export default function BusinessProfile() {
           <input type="file" className="w-full p-2 border rounded" />
           <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded">Save</button>
         </form>
+
+        <h2 className="text-xl font-semibold mt-8 mb-2">Cash Rounding</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Rounds what a customer pays in cash, halves up. Sale totals and tax are unchanged; the difference is recorded on the sale.
+        </p>
+        <select value={cashRounding} onChange={handleCashRoundingChange} className="w-full p-2 border rounded">
+          {CASH_ROUNDING_INCREMENTS.map(increment => (
+            <option key={increment} value={increment}>
+              {increment ? `Nearest ${increment} shilling${increment > 1 ? 's' : ''}` : 'Off - exact to the cent'}
+            </option>
+          ))}
+        </select>
+
+        <h2 className="text-xl font-semibold mt-8 mb-2">Discount Approval</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          A price override or discount that gives away more than this share of a line or cart needs a manager's username and PIN at the till.
+        </p>
+        <select value={approvalThreshold} onChange={handleApprovalThresholdChange} className="w-full p-2 border rounded">
+          {APPROVAL_THRESHOLD_OPTIONS.map(percent => (
+            <option key={percent} value={percent}>
+              {percent === 0 ? 'Always ask a manager' : percent >= 100 ? 'Never ask a manager' : `Over ${percent}%`}
+            </option>
+          ))}
+        </select>
+
+        <h2 className="text-xl font-semibold mt-8 mb-2">POS Terminal</h2>
+        <p className="text-sm text-gray-600 mb-4">These settings apply to this browser only.</p>
+        <label className="block text-sm text-gray-700 mb-1">Lock the till after inactivity</label>
+        <select value={idleLockMinutes} onChange={handleIdleLockChange} className="w-full p-2 border rounded">
+          {IDLE_LOCK_OPTIONS.map(minutes => (
+            <option key={minutes} value={minutes}>
+              {minutes ? `${minutes} minute${minutes > 1 ? 's' : ''}` : 'Never'}
+            </option>
+          ))}
+        </select>
       </div>
     );
   }
-  
\ No newline at end of file
@@ -1,6 +1,29 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import { useAuth } from '../../../context/AuthContext';
+import { fetchRolePermissions, getDefaultPermissionsForRole } from '../../../services/permissionServices';
+
+const permissionCategories = [
+  { name: 'Dashboard', permissions: ['dashboard_access'] },
+  { name: 'Customer', permissions: ['customer_view'] },
+  { name: 'Supplier', permissions: ['supplier_view', 'supplier_delete'] },
+  { name: 'Product', permissions: ['product_view', 'product_create', 'product_delete'] },
+  { name: 'Brand', permissions: ['brand_view'] },
+  { name: 'Category', permissions: ['category_view'] },
+  { name: 'Unit', permissions: ['unit_view'] },
+  { name: 'Sale', permissions: ['sale_view', 'sale_return', 'sale_cancel'] },
+  { name: 'Purchase', permissions: ['purchase_view', 'purchase_create', 'purchase_update'] },
+  { name: 'Report', permissions: [ 'salesreports_view','productsreports_view','inventoryreports_view','financialreports_view','suppliersreports_view','finance_view', 'settings_manage',
+  ] },
+  { name: 'Role', permissions: ['role_manage'] },
+  { name: 'User', permissions: ['user_view', 'user_create', 'user_update', 'user_delete'] },
+  { name: 'Settings', permissions: ['settings_manage', 'audit_view'] },
+  { name: 'Branch', permissions: ['branch_all_view'] },
+  { name: 'Shifts', permissions: ['shift_manage', 'shift_reports_view'] },
+  { name: 'Inventory', permissions: ['inventory_view', 'inventory_adjust'] },
+  { name: 'POS', permissions: ['pos_access', 'pos_override'] },
+  { name: 'Discount', permissions: ['discount_apply', 'promotion_manage'] }
+];
 
 const PermissionManagement = () => {
   const {
@@ -9,7 +32,6 @@ const PermissionManagement = () => {
     loading,
     rolesLoaded,
     updateRolePermissions,
-    getDefaultPermissionsForRole,
     loadRolesAndPermissions,
     hasPermission
   } = useAuth();
@@ -18,26 +40,6 @@ const PermissionManagement = () => {
   const [rolePermissions, setRolePermissions] = useState({});
   const [error, setError] = useState(null);
 
-  const permissionCategories = [
-    { name: 'Dashboard', permissions: ['dashboard_access'] },
-    { name: 'Customer', permissions: ['customer_view'] },
-    { name: 'Supplier', permissions: ['supplier_view'] },
-    { name: 'Product', permissions: ['product_view', 'product_create'] },
-    { name: 'Brand', permissions: ['brand_view'] },
-    { name: 'Category', permissions: ['category_view'] },
-    { name: 'Unit', permissions: ['unit_view'] },
-    { name: 'Sale', permissions: ['sale_view', 'sale_return'] },
-    { name: 'Purchase', permissions: ['purchase_view', 'purchase_create', 'purchase_update'] },
-    { name: 'Report', permissions: [ 'salesreports_view','productsreports_view','inventoryreports_view','financialreports_view','suppliersreports_view','finance_view', 'settings_manage',
-    ] },
-    { name: 'Role', permissions: ['role_manage'] },
-    { name: 'User', permissions: ['user_view', 'user_create', 'user_update'] },
-    { name: 'Settings', permissions: ['settings_manage'] },
-    { name: 'Inventory', permissions: ['inventory_view'] },
-    { name: 'POS', permissions: ['pos_access'] },
-    { name: 'Discount', permissions: ['discount_apply'] }
-  ];
-
   useEffect(() => {
     if (!rolesLoaded) {
       loadRolesAndPermissions();
@@ -45,6 +47,8 @@ const PermissionManagement = () => {
   }, [rolesLoaded, loadRolesAndPermissions]);
 
   useEffect(() => {
+    // Set when another role is picked, so a slow answer for this one is dropped
+    let stale = false;
     if (selectedRole) {
       const loadPermissions = async () => {
         try {
@@ -56,13 +60,15 @@ const PermissionManagement = () => {
             allPermissionNames.map(perm => [perm, false])
           );
           
-          const rolePerms = getDefaultPermissionsForRole(role.name);
+          const rolePerms = await fetchRolePermissions(role.id);
+          if (stale) return;
           rolePerms.forEach(perm => {
             initialPermissions[perm] = true;
           });
           
           setRolePermissions(initialPermissions);
         } catch (error) {
+          if (stale) return;
           setError(`Failed to load permissions for role`);
           console.error('Permission load error:', error);
         }
@@ -70,6 +76,9 @@ const PermissionManagement = () => {
 
       loadPermissions();
     }
+    return () => {
+      stale = true;
+    };
   }, [selectedRole, allRoles]);
 
   const applyDefaultPermissions = async () => {
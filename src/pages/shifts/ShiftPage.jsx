@@ -0,0 +1,330 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast, ToastContainer } from 'react-toastify';
+import { FaLockOpen, FaLock, FaPrint, FaSyncAlt, FaMoneyBillWave } from 'react-icons/fa';
+import { closeShift, getCurrentShift, getShiftReport, openShift, recordPayout } from '../../services/shiftService';
+import { getTerminalId } from '../../services/terminalSettings';
+import { printShiftReport } from '../../components/utils/printUtils';
+import ShiftReportView, { describeVariance } from '../../components/shifts/ShiftReportView';
+import { subtractMoney } from '../../components/utils/money';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const formatMoney = (value) => `Ksh ${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const EMPTY_PAYOUT = { amount: '', reason: '' };
+
+/**
+ * Cash-up for this till: open a shift with a float, take payouts, print X
+ * reports along the way and close with the counted cash to get the Z report
+ */
+const ShiftPage = () => {
+  const [shift, setShift] = useState(null);
+  const [report, setReport] = useState(null);
+  const [zReport, setZReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [openingForm, setOpeningForm] = useState({ openingFloat: '', notes: '' });
+  const [payoutForm, setPayoutForm] = useState(EMPTY_PAYOUT);
+  const [closingForm, setClosingForm] = useState({ countedCash: '', notes: '' });
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const loadReport = useCallback(async (shiftId) => {
+    setReport(await getShiftReport(shiftId));
+  }, []);
+
+  const loadShift = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const current = await getCurrentShift();
+      setShift(current);
+      if (current) {
+        await loadReport(current.id);
+      } else {
+        setReport(null);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load the shift');
+    } finally {
+      setLoading(false);
+    }
+  }, [loadReport]);
+
+  useEffect(() => {
+    loadShift();
+  }, [loadShift]);
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    const openingFloat = Number(openingForm.openingFloat);
+    if (openingForm.openingFloat === '' || !Number.isFinite(openingFloat) || openingFloat < 0) {
+      setFieldErrors({ openingFloat: 'Enter the cash in the drawer, or 0' });
+      return;
+    }
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      const opened = await openShift({ openingFloat, notes: openingForm.notes.trim() });
+      setShift(opened);
+      setZReport(null);
+      setOpeningForm({ openingFloat: '', notes: '' });
+      await loadReport(opened.id);
+      toast.success('Shift opened');
+    } catch (err) {
+      setFieldErrors(err.fieldErrors || {});
+      toast.error(err.message || 'Failed to open the shift');
+      // Another tab or user may have opened one already
+      if (err.status === 409) loadShift();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePayout = async (e) => {
+    e.preventDefault();
+    const amount = Number(payoutForm.amount);
+    if (!amount || amount <= 0 || !payoutForm.reason.trim()) {
+      setFieldErrors({
+        ...(!amount || amount <= 0 ? { amount: 'Enter the amount paid out' } : {}),
+        ...(!payoutForm.reason.trim() ? { reason: 'Give a reason' } : {})
+      });
+      return;
+    }
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      await recordPayout(shift.id, { amount, reason: payoutForm.reason.trim() });
+      setPayoutForm(EMPTY_PAYOUT);
+      await loadReport(shift.id);
+      toast.success(`Payout of ${formatMoney(amount)} recorded`);
+    } catch (err) {
+      setFieldErrors(err.fieldErrors || {});
+      toast.error(err.message || 'Failed to record the payout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    const countedCash = Number(closingForm.countedCash);
+    if (closingForm.countedCash === '' || !Number.isFinite(countedCash) || countedCash < 0) {
+      setFieldErrors({ countedCash: 'Enter the cash counted in the drawer' });
+      return;
+    }
+    if (!window.confirm(`Close this shift with ${formatMoney(countedCash)} counted? This cannot be undone.`)) return;
+
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      const closed = await closeShift(shift.id, { countedCash, notes: closingForm.notes.trim() });
+      setZReport(closed);
+      setShift(null);
+      setReport(null);
+      setClosingForm({ countedCash: '', notes: '' });
+      toast.success('Shift closed');
+    } catch (err) {
+      setFieldErrors(err.fieldErrors || {});
+      toast.error(err.message || 'Failed to close the shift');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const countedCash = closingForm.countedCash === '' ? null : Number(closingForm.countedCash);
+  const liveVariance = report && Number.isFinite(countedCash)
+    ? subtractMoney(countedCash, report.expectedCash)
+    : null;
+  const variance = describeVariance(liveVariance);
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-6xl">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Shift</h1>
+          <p className="text-gray-600 mt-1">Till {getTerminalId()}</p>
+        </div>
+        <Link to="/shifts/z-reports" className="text-sm text-blue-600 hover:underline">Past Z reports</Link>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6 flex justify-between items-center">
+          <p>{error}</p>
+          <button onClick={loadShift} className="text-sm underline">Retry</button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-16">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : zReport ? (
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-gray-800">Shift closed</h2>
+            <div className="flex gap-2">
+              <button
+                onClick={() => printShiftReport(zReport)}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium"
+              >
+                <FaPrint /> Print Z report
+              </button>
+              <button
+                onClick={() => setZReport(null)}
+                className="flex items-center gap-2 px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded-lg font-medium"
+              >
+                <FaLockOpen /> Open next shift
+              </button>
+            </div>
+          </div>
+          <ShiftReportView report={zReport} />
+        </div>
+      ) : !shift ? (
+        <form onSubmit={handleOpen} className="bg-white rounded-lg shadow p-6 max-w-md">
+          <h2 className="text-xl font-semibold text-gray-800 mb-1">Open a shift</h2>
+          <p className="text-sm text-gray-600 mb-4">Count the cash in the drawer before the first sale.</p>
+          <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="openingFloat">Opening float (Ksh)</label>
+          <input
+            id="openingFloat"
+            type="number"
+            min="0"
+            step="0.01"
+            value={openingForm.openingFloat}
+            onChange={(e) => setOpeningForm(prev => ({ ...prev, openingFloat: e.target.value }))}
+            className={inputClass}
+            autoFocus
+          />
+          {fieldErrors.openingFloat && <p className="text-red-500 text-xs mt-1">{fieldErrors.openingFloat}</p>}
+          <label className="block text-sm font-medium text-gray-700 mb-1 mt-3" htmlFor="openingNotes">Notes</label>
+          <input
+            id="openingNotes"
+            type="text"
+            value={openingForm.notes}
+            onChange={(e) => setOpeningForm(prev => ({ ...prev, notes: e.target.value }))}
+            className={inputClass}
+            placeholder="Optional"
+          />
+          <button
+            type="submit"
+            disabled={saving}
+            className="mt-4 w-full flex items-center justify-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium disabled:opacity-60"
+          >
+            <FaLockOpen /> {saving ? 'Opening...' : 'Open shift'}
+          </button>
+        </form>
+      ) : (
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex flex-col md:flex-row justify-between md:items-center gap-3 mb-4">
+              <h2 className="text-xl font-semibold text-gray-800">Shift in progress</h2>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => loadReport(shift.id).catch(err => toast.error(err.message || 'Failed to refresh the report'))}
+                  className="flex items-center gap-2 px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded-lg font-medium"
+                >
+                  <FaSyncAlt /> Refresh
+                </button>
+                <button
+                  onClick={() => report && printShiftReport(report)}
+                  disabled={!report}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium disabled:opacity-60"
+                >
+                  <FaPrint /> Print X report
+                </button>
+              </div>
+            </div>
+            {report && <ShiftReportView report={report} />}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <form onSubmit={handlePayout} className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-1 flex items-center gap-2"><FaMoneyBillWave /> Payout</h3>
+              <p className="text-sm text-gray-600 mb-4">Cash taken out of the drawer, e.g. for supplies.</p>
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={payoutForm.amount}
+                    onChange={(e) => setPayoutForm(prev => ({ ...prev, amount: e.target.value }))}
+                    className={inputClass}
+                    placeholder="Amount"
+                    aria-label="Payout amount"
+                  />
+                  {fieldErrors.amount && <p className="text-red-500 text-xs mt-1">{fieldErrors.amount}</p>}
+                </div>
+                <div className="col-span-2">
+                  <input
+                    type="text"
+                    value={payoutForm.reason}
+                    onChange={(e) => setPayoutForm(prev => ({ ...prev, reason: e.target.value }))}
+                    className={inputClass}
+                    placeholder="Reason"
+                    aria-label="Payout reason"
+                  />
+                  {fieldErrors.reason && <p className="text-red-500 text-xs mt-1">{fieldErrors.reason}</p>}
+                </div>
+              </div>
+              <button
+                type="submit"
+                disabled={saving}
+                className="mt-4 px-4 py-2 bg-gray-800 hover:bg-gray-900 text-white rounded-lg font-medium disabled:opacity-60"
+              >
+                Record payout
+              </button>
+            </form>
+
+            <form onSubmit={handleClose} className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-1 flex items-center gap-2"><FaLock /> Close shift</h3>
+              <p className="text-sm text-gray-600 mb-4">Count the drawer and enter the total cash.</p>
+              <div className="grid grid-cols-2 gap-3 text-sm mb-3">
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Expected cash</p>
+                  <p className="text-lg font-semibold text-gray-800">{formatMoney(report?.expectedCash)}</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">{variance.label}</p>
+                  <p className={`text-lg font-semibold ${variance.className}`}>
+                    {liveVariance == null ? '-' : formatMoney(Math.abs(liveVariance))}
+                  </p>
+                </div>
+              </div>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={closingForm.countedCash}
+                onChange={(e) => setClosingForm(prev => ({ ...prev, countedCash: e.target.value }))}
+                className={inputClass}
+                placeholder="Counted cash"
+                aria-label="Counted cash"
+              />
+              {fieldErrors.countedCash && <p className="text-red-500 text-xs mt-1">{fieldErrors.countedCash}</p>}
+              <input
+                type="text"
+                value={closingForm.notes}
+                onChange={(e) => setClosingForm(prev => ({ ...prev, notes: e.target.value }))}
+                className={`${inputClass} mt-3`}
+                placeholder="Notes, e.g. reason for a variance"
+                aria-label="Closing notes"
+              />
+              <button
+                type="submit"
+                disabled={saving}
+                className="mt-4 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-medium disabled:opacity-60"
+              >
+                {saving ? 'Closing...' : 'Close shift'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+      <ToastContainer />
+    </div>
+  );
+};
+
+export default ShiftPage;
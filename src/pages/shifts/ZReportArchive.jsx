@@ -0,0 +1,192 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { FaPrint, FaSyncAlt, FaTimes } from 'react-icons/fa';
+import { fetchZReports } from '../../services/shiftService';
+import { printShiftReport } from '../../components/utils/printUtils';
+import ShiftReportView, { describeVariance } from '../../components/shifts/ShiftReportView';
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = { terminalId: '', startDate: '', endDate: '' };
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const formatMoney = (value) => `Ksh ${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'MMM dd, yyyy HH:mm') : 'N/A');
+
+const ZReportArchive = () => {
+  const [reports, setReports] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [totalElements, setTotalElements] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadReports = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await fetchZReports({ ...filters, page, size: PAGE_SIZE });
+      setReports(result.content);
+      setTotalPages(result.totalPages);
+      setTotalElements(result.totalElements);
+    } catch (err) {
+      setError(err.message || 'Failed to load Z reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(0);
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-7xl">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Z Reports</h1>
+          <p className="text-gray-600 mt-1">End-of-shift cash-ups for every till</p>
+        </div>
+        <button
+          onClick={loadReports}
+          className="flex items-center gap-2 px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded-lg font-medium"
+        >
+          <FaSyncAlt /> Refresh
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        <input
+          type="text"
+          name="terminalId"
+          value={filters.terminalId}
+          onChange={handleFilterChange}
+          className={inputClass}
+          placeholder="Till ID"
+          aria-label="Till"
+        />
+        <input type="date" name="startDate" value={filters.startDate} onChange={handleFilterChange} className={inputClass} aria-label="From" />
+        <input type="date" name="endDate" value={filters.endDate} onChange={handleFilterChange} className={inputClass} aria-label="To" />
+        <button
+          onClick={() => { setFilters(EMPTY_FILTERS); setPage(0); }}
+          className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-100"
+        >
+          Clear filters
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6">
+          <p>{error}</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['#', 'Closed', 'Till', 'Cashier', 'Sales', 'Expected', 'Counted', 'Variance', ''].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan={9} className="py-10">
+                  <div className="flex justify-center">
+                    <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+                  </div>
+                </td>
+              </tr>
+            ) : reports.length === 0 ? (
+              <tr>
+                <td colSpan={9} className="px-4 py-10 text-center text-gray-500">No Z reports match these filters</td>
+              </tr>
+            ) : reports.map(report => {
+              const variance = describeVariance(report.variance);
+              return (
+                <tr key={report.shiftId} className="hover:bg-gray-50 cursor-pointer" onClick={() => setSelected(report)}>
+                  <td className="px-4 py-3 text-sm text-gray-700">{report.reportNumber || '-'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">{formatDateTime(report.closedAt)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{report.terminalId || '-'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{report.closedByName || report.openedByName || '-'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{formatMoney(report.grossSales)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{formatMoney(report.expectedCash)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{formatMoney(report.countedCash)}</td>
+                  <td className={`px-4 py-3 text-sm font-medium ${variance.className}`}>
+                    {report.variance ? `${variance.label} ${formatMoney(Math.abs(report.variance))}` : variance.label}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      onClick={(e) => { e.stopPropagation(); printShiftReport(report); }}
+                      className="text-blue-600 hover:text-blue-800"
+                      title="Print"
+                      aria-label="Print Z report"
+                    >
+                      <FaPrint />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+        <span>{totalElements} report{totalElements === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage(p => p - 1)}
+            disabled={page === 0 || loading}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {totalPages === 0 ? 0 : page + 1} of {totalPages}</span>
+          <button
+            onClick={() => setPage(p => p + 1)}
+            disabled={page + 1 >= totalPages || loading}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      {selected && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 p-4" role="dialog" aria-modal="true">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto p-6">
+            <div className="flex justify-end gap-2 mb-2">
+              <button
+                onClick={() => printShiftReport(selected)}
+                className="flex items-center gap-2 px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm"
+              >
+                <FaPrint /> Print
+              </button>
+              <button onClick={() => setSelected(null)} className="text-gray-500 hover:text-gray-700 p-1" aria-label="Close">
+                <FaTimes />
+              </button>
+            </div>
+            <ShiftReportView report={selected} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ZReportArchive;
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { addSupplier } from '../../services/supplierService'; // adjust import based on your structure
+import { getAllCategories } from '../../services/categories';
 
 const CreateSupplier = () => {
   const [formData, setFormData] = useState({
@@ -19,13 +20,7 @@ const CreateSupplier = () => {
 
   const fetchCategories = async () => {
     try {
-      const res = await fetch('REACT_APP_API_BASE_URL/categories', {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem('token')}`
-        }
-      });
-      const data = await res.json();
-      setCategories(data.content || data); // adapt for paged or flat list
+      setCategories(await getAllCategories());
     } catch (err) {
       console.error('Error fetching categories:', err);
     }
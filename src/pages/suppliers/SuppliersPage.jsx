@@ -11,6 +11,7 @@ import {
   deleteSupplier 
 } from '../../services/supplierService';
 import { getAllCategories } from '../../services/categories';
+import PermissionGate from '../../components/PermissionGate';
 
 const SuppliersPage = () => {
   const [suppliers, setSuppliers] = useState([]);
@@ -474,13 +475,15 @@ const SuppliersPage = () => {
                             >
                               <FiEdit2 className="h-4 w-4" />
                             </button>
-                            <button
-                              onClick={() => handleDelete(supplier.id)}
-                              className="text-red-600 hover:text-red-800 transition p-1 rounded hover:bg-red-50"
-                              title="Delete"
-                            >
-                              <FiTrash2 className="h-4 w-4" />
-                            </button>
+                            <PermissionGate requiredPermissions={['supplier_delete']}>
+                              <button
+                                onClick={() => handleDelete(supplier.id)}
+                                className="text-red-600 hover:text-red-800 transition p-1 rounded hover:bg-red-50"
+                                title="Delete"
+                              >
+                                <FiTrash2 className="h-4 w-4" />
+                              </button>
+                            </PermissionGate>
                           </div>
                         </td>
                       </tr>
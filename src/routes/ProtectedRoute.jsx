@@ -1,11 +1,17 @@
 import { Navigate, Outlet } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { usePermission } from '../hooks/usePermission';
 import LoadingSpinner from '../components/LoadingSpinner'; // Create this component
+import Unauthorized from '../pages/Unauthorized';
 
-const ProtectedRoute = ({ requiredPermissions = [], children }) => {
-  const { isAuthenticated, hasPermission, loading } = useAuth();
+// `requiredPermissions` means "any of"; `allOf` and `not` narrow it further
+const ProtectedRoute = ({ requiredPermissions = [], allOf, not, children }) => {
+  const { isAuthenticated, loading } = useAuth();
+  const { allowed, missing, mode } = usePermission({ allOf, anyOf: requiredPermissions, not });
 
-  if (loading) {
+  // While permissions are being re-resolved, keep showing a page the user could
+  // already open so its state (e.g. a POS cart mid-checkout) isn't torn down
+  if (loading && !(isAuthenticated && allowed)) {
     return <LoadingSpinner />;
   }
 
@@ -13,21 +19,12 @@ const ProtectedRoute = ({ requiredPermissions = [], children }) => {
     return <Navigate to="/signin" replace />;
   }
 
-  // If no specific permissions required, just check authentication
-  if (requiredPermissions.length === 0) {
-    return children ? children : <Outlet />;
-  }
-
-  // Check if user has any of the required permissions
-  const hasRequiredPermission = requiredPermissions.some(perm => 
-    hasPermission(perm)
-  );
-
-  if (!hasRequiredPermission) {
-    return <Navigate to="/signin" replace />;
+  // Signed in but not allowed here: explain why instead of bouncing to sign-in
+  if (!allowed) {
+    return <Unauthorized missingPermissions={missing} mode={mode} />;
   }
 
   return children ? children : <Outlet />;
 };
 
-export default ProtectedRoute;
\ No newline at end of file
+export default ProtectedRoute;
@@ -1,46 +1,41 @@
-import axios from "axios";
+import apiClient, { clearTokens, refreshAccessToken } from "./apiClient";
 
-// Use environment variable with fallback to local development URL
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL;
-
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  headers: {
-    "Content-Type": "application/json",
-  },
-});
-
-// Request interceptor to add auth token
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem("token");
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
+// Auth functions
+export const loginUser = async ({ username, password }) => {
+  try {
+    const response = await apiClient.post(
+      "/auth/login",
+      { username, password },
+      { skipAuth: true, skipAuthRefresh: true }
+    );
+    return { data: response.data, error: null };
+  } catch (error) {
+    return handleApiError(error);
   }
-);
-
-// Response interceptor to handle errors globally
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Handle token expiration or unauthorized access
-      localStorage.removeItem("token");
-      window.location.href = "/signin";
-    }
-    return Promise.reject(error);
+};
+
+// Checks a user's till PIN without starting a new session
+export const verifyUserPin = async ({ username, pin }) => {
+  try {
+    const response = await apiClient.post(
+      "/auth/verify-pin",
+      { username, pin },
+      { skipAuthRefresh: true }
+    );
+    return { data: response.data, error: null };
+  } catch (error) {
+    return handleApiError(error);
   }
-);
+};
 
-// Auth functions
-export const loginUser = async ({ username, password }) => {
+// Has the server check that a manager may override the till lock, by PIN
+export const verifyManagerOverride = async ({ username, pin }) => {
   try {
-    const response = await api.post("/auth/login", { username, password });
+    const response = await apiClient.post(
+      "/auth/verify-override",
+      { username, pin },
+      { skipAuthRefresh: true }
+    );
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -49,7 +44,7 @@ export const loginUser = async ({ username, password }) => {
 
 export const registerUser = async (userData) => {
   try {
-    const response = await api.post("/auth/register", userData);
+    const response = await apiClient.post("/auth/register", userData, { skipAuthRefresh: true });
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -58,7 +53,7 @@ export const registerUser = async (userData) => {
 
 export const fetchCurrentUser = async () => {
   try {
-    const response = await api.get("/auth/me");
+    const response = await apiClient.get("/auth/me");
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -67,8 +62,8 @@ export const fetchCurrentUser = async () => {
 
 export const refreshToken = async () => {
   try {
-    const response = await api.post("/auth/refresh-token");
-    return { data: response.data, error: null };
+    const token = await refreshAccessToken();
+    return { data: { token }, error: null };
   } catch (error) {
     return handleApiError(error);
   }
@@ -76,8 +71,8 @@ export const refreshToken = async () => {
 
 export const logoutUser = async () => {
   try {
-    await api.post("/auth/logout");
-    localStorage.removeItem("token");
+    await apiClient.post("/auth/logout");
+    clearTokens();
     return { data: null, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -87,7 +82,7 @@ export const logoutUser = async () => {
 // User functions
 export const getAllUsers = async () => {
   try {
-    const response = await api.get("/users");
+    const response = await apiClient.get("/users");
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -96,7 +91,7 @@ export const getAllUsers = async () => {
 
 export const getUserById = async (id) => {
   try {
-    const response = await api.get(`/users/${id}`);
+    const response = await apiClient.get(`/users/${id}`);
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -105,7 +100,7 @@ export const getUserById = async (id) => {
 
 export const createUser = async (userData) => {
   try {
-    const response = await api.post("/users", userData);
+    const response = await apiClient.post("/users", userData);
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -114,7 +109,7 @@ export const createUser = async (userData) => {
 
 export const updateUser = async (id, userData) => {
   try {
-    const response = await api.put(`/users/${id}`, userData);
+    const response = await apiClient.put(`/users/${id}`, userData);
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -123,7 +118,7 @@ export const updateUser = async (id, userData) => {
 
 export const deleteUser = async (id) => {
   try {
-    const response = await api.delete(`/users/${id}`);
+    const response = await apiClient.delete(`/users/${id}`);
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -132,7 +127,7 @@ export const deleteUser = async (id) => {
 
 export const changePassword = async (id, passwordData) => {
   try {
-    const response = await api.put(`/users/${id}/password`, passwordData);
+    const response = await apiClient.put(`/users/${id}/password`, passwordData);
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
@@ -144,7 +139,7 @@ export const uploadProfileImage = async (id, imageFile) => {
     const formData = new FormData();
     formData.append("file", imageFile);
     
-    const response = await api.post(`/users/${id}/upload-profile`, formData, {
+    const response = await apiClient.post(`/users/${id}/upload-profile`, formData, {
       headers: {
         "Content-Type": "multipart/form-data",
       },
@@ -157,34 +152,20 @@ export const uploadProfileImage = async (id, imageFile) => {
 
 export const getAllRoles = async () => {
   try {
-    const response = await api.get("/users/roles");
+    const response = await apiClient.get("/users/roles");
     return { data: response.data, error: null };
   } catch (error) {
     return handleApiError(error);
   }
 };
 
-const handleApiError = (error) => {
-  if (error.response) {
-    return {
-      error: true,
-      message: error.response.data?.message || "An error occurred",
-      status: error.response.status,
-      data: error.response.data,
-    };
-  } else if (error.request) {
-    return {
-      error: true,
-      message: "No response from server - the server might be down",
-      status: null,
-    };
-  } else {
-    return {
-      error: true,
-      message: error.message || "Network error occurred",
-      status: null,
-    };
-  }
-};
+// Service calls in this file report failures as { error, message, status } instead of throwing
+const handleApiError = (error) => ({
+  error: true,
+  message: error.message,
+  status: error.status,
+  fieldErrors: error.fieldErrors,
+  data: error.data,
+});
 
-export default api
\ No newline at end of file
+export default apiClient;
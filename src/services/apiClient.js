@@ -0,0 +1,344 @@
+import axios from 'axios';
+
+export const API_BASE_URL = process.env.REACT_APP_API_BASE_URL;
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+
+// Fallback messages used when the server does not send one of its own
+const STATUS_MESSAGES = {
+  400: 'Bad request',
+  401: 'Your session has expired - please sign in again',
+  403: 'You do not have permission to perform this action',
+  404: 'The requested resource was not found',
+  409: 'This record conflicts with an existing one',
+  422: 'Some fields are invalid',
+  429: 'Too many requests - please slow down',
+  500: 'Server error - please try again later',
+  502: 'The server is unavailable - please try again later',
+  503: 'The server is unavailable - please try again later',
+  504: 'The server took too long to respond'
+};
+
+/**
+ * Error thrown by every service call that goes through the shared client.
+ * `response` is kept so existing `err.response?.data?.message` checks still work.
+ */
+export class ApiError extends Error {
+  constructor({ message, status = null, code = null, fieldErrors = {}, data = null, response = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.data = data;
+    this.response = response;
+  }
+}
+
+/**
+ * Collects field-level validation errors from the shapes the backend uses:
+ * Spring's `errors: [{ field, defaultMessage }]`, or a `{ field: message }` map.
+ * @param {Object} data - Error response body
+ * @returns {Object} Map of field name to message
+ */
+const extractFieldErrors = (data) => {
+  if (!data || typeof data !== 'object') return {};
+
+  const source = data.fieldErrors || data.errors;
+  if (Array.isArray(source)) {
+    return source.reduce((acc, err) => {
+      if (err?.field) acc[err.field] = err.defaultMessage || err.message;
+      return acc;
+    }, {});
+  }
+  if (source && typeof source === 'object') {
+    return { ...source };
+  }
+  return {};
+};
+
+/**
+ * Converts any axios error into an ApiError
+ * @param {Error} error - Error raised by axios or an interceptor
+ * @returns {ApiError} Normalized error
+ */
+export const normalizeError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (axios.isCancel(error)) {
+    return new ApiError({ message: 'Request was cancelled', code: 'CANCELLED' });
+  }
+
+  if (error.response) {
+    const { status, data } = error.response;
+    const body = data && typeof data === 'object' && !(data instanceof Blob) ? data : null;
+    const message = body?.message || body?.error || (typeof data === 'string' && data) ||
+      STATUS_MESSAGES[status] || `Server returned status ${status}`;
+
+    return new ApiError({
+      message,
+      status,
+      code: status >= 500 ? 'SERVER_ERROR' : 'HTTP_ERROR',
+      fieldErrors: extractFieldErrors(body),
+      data,
+      response: error.response
+    });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new ApiError({ message: 'The server took too long to respond', code: 'TIMEOUT' });
+  }
+
+  if (error.request) {
+    return new ApiError({
+      message: 'No response from server - check your network connection',
+      code: 'NETWORK_ERROR'
+    });
+  }
+
+  return new ApiError({ message: error.message || 'Request setup error', code: 'REQUEST_ERROR' });
+};
+
+const isRetryable = (error) => {
+  if (axios.isCancel(error)) return false;
+  if (!error.response) return true;
+  return error.response.status >= 500 || error.response.status === 429;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+const tokenListeners = new Set();
+
+export const getAccessToken = () => localStorage.getItem(TOKEN_KEY);
+
+/**
+ * Stores a new access token (and refresh token, when the server issues one)
+ * and tells subscribers about it
+ * @param {{token: string, refreshToken?: string}} tokens - Tokens returned by the auth endpoints
+ */
+export const setTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+  tokenListeners.forEach(listener => listener(token));
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+/**
+ * Subscribes to access token changes (login, silent refresh)
+ * @param {Function} listener - Called with the new token
+ * @returns {Function} Unsubscribe
+ */
+export const onTokenChange = (listener) => {
+  tokenListeners.add(listener);
+  return () => tokenListeners.delete(listener);
+};
+
+const BRANCH_ID_KEY = 'activeBranchId';
+
+export const BRANCH_HEADER = 'X-Branch-Id';
+
+// Sent as the branch header for the consolidated, all-branches view
+export const ALL_BRANCHES = 'ALL';
+
+export const getActiveBranchId = () => localStorage.getItem(BRANCH_ID_KEY);
+
+/**
+ * Scopes every following request to a branch, or to ALL_BRANCHES
+ * @param {number|string|null} branchId - Branch ID; null stops sending the header
+ */
+export const setActiveBranchId = (branchId) => {
+  if (branchId === null || branchId === undefined) {
+    localStorage.removeItem(BRANCH_ID_KEY);
+  } else {
+    localStorage.setItem(BRANCH_ID_KEY, String(branchId));
+  }
+};
+
+const defaultUnauthorizedHandler = () => {
+  clearTokens();
+  window.location.href = '/signin';
+  return false;
+};
+
+let unauthorizedHandler = defaultUnauthorizedHandler;
+
+/**
+ * Replaces what happens when a request is still rejected with 401 after a refresh attempt.
+ * The handler may return a promise resolving to true once the session is restored
+ * (e.g. the user signed in again), in which case the request is replayed.
+ * @param {Function|null} handler - Called with the normalized error; null restores the default
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler || defaultUnauthorizedHandler;
+};
+
+// Extra request config understood by this client:
+//   retry            - max retries for a GET (defaults to DEFAULT_GET_RETRIES)
+//   skipAuth         - don't attach the bearer token
+//   skipAuthRefresh  - don't try a token refresh or the unauthorized handler on 401
+//   skipAuthRedirect - refresh on 401, but don't fall back to the unauthorized handler
+//   branchId         - branch for this request instead of the active one
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: DEFAULT_TIMEOUT,
+  headers: {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json'
+  }
+});
+
+// Local development without the Spring backend; see src/mocks
+if (process.env.REACT_APP_USE_MOCK_API === 'true') {
+  require('../mocks').installMockBackend(apiClient);
+}
+
+let refreshPromise = null;
+
+/**
+ * Exchanges the current session for a new access token. Concurrent callers
+ * share the same in-flight request, so requests that hit a 401 together
+ * wait for one refresh and are then replayed.
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    refreshPromise = apiClient
+      .post('/auth/refresh-token', refreshToken ? { refreshToken } : undefined, { skipAuthRefresh: true })
+      .then(({ data }) => {
+        const token = data?.token || data?.accessToken;
+        if (!token) {
+          throw new ApiError({ message: 'No token received from refresh', code: 'REFRESH_FAILED' });
+        }
+        setTokens({ token, refreshToken: data.refreshToken });
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+apiClient.interceptors.request.use((config) => {
+  const token = getAccessToken();
+  if (token && !config.skipAuth) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  const branchId = config.branchId ?? getActiveBranchId();
+  if (branchId) {
+    config.headers[BRANCH_HEADER] = String(branchId);
+  }
+  return config;
+});
+
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+
+    // Retry idempotent reads on network failures and 5xx with exponential backoff
+    if (config && config.method === 'get' && isRetryable(error)) {
+      const maxRetries = config.retry ?? DEFAULT_GET_RETRIES;
+      config.retryCount = config.retryCount || 0;
+      if (config.retryCount < maxRetries) {
+        await wait(RETRY_BASE_DELAY * 2 ** config.retryCount);
+        config.retryCount += 1;
+        return apiClient(config);
+      }
+    }
+
+    const apiError = normalizeError(error);
+    console.error(`API ${config?.method?.toUpperCase() || ''} ${config?.url || ''} failed:`, {
+      status: apiError.status,
+      message: apiError.message,
+      fieldErrors: apiError.fieldErrors
+    });
+
+    // Refresh the token once and replay; if that fails, let the session handler decide
+    if (apiError.status === 401 && config && !config.skipAuthRefresh) {
+      if (!config.authRetried) {
+        config.authRetried = true;
+        try {
+          await refreshAccessToken();
+          return apiClient(config);
+        } catch (refreshError) {
+          // Fall through to the unauthorized handler
+        }
+      }
+      if (!config.skipAuthRedirect && await unauthorizedHandler(apiError)) {
+        return apiClient(config);
+      }
+    }
+
+    return Promise.reject(apiError);
+  }
+);
+
+/**
+ * Extracts the list of records from either a plain array or a paginated response
+ * @param {Array|Object} data - Response body
+ * @returns {Array} Records
+ */
+export const toList = (data) => {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const key = ['content', 'data', 'items', 'results', 'products'].find(k => Array.isArray(data[k]));
+    if (key) return data[key];
+  }
+  return [];
+};
+
+/**
+ * Normalizes a plain array or a Spring page into one page shape
+ * @param {Array|Object} data - Response body
+ * @returns {{content: Array, totalElements: number, totalPages: number, page: number, size: number}}
+ */
+export const toPage = (data) => {
+  const content = toList(data);
+  const isPage = data && !Array.isArray(data) && typeof data === 'object';
+  const size = (isPage && data.size) || content.length;
+
+  return {
+    content,
+    totalElements: isPage && data.totalElements != null ? data.totalElements : content.length,
+    totalPages: isPage && data.totalPages != null ? data.totalPages : (content.length ? 1 : 0),
+    page: isPage && data.number != null ? data.number : 0,
+    size
+  };
+};
+
+/**
+ * GET that always resolves to an array, whatever the response shape
+ * @param {string} url - Endpoint relative to the API base URL
+ * @param {Object} [config] - Axios request config
+ * @returns {Promise<Array>} Records
+ */
+export const getList = async (url, config) => {
+  const response = await apiClient.get(url, config);
+  return toList(response.data);
+};
+
+/**
+ * GET that always resolves to a page object, whatever the response shape
+ * @param {string} url - Endpoint relative to the API base URL
+ * @param {Object} [config] - Axios request config
+ * @returns {Promise<Object>} Page with content and totals
+ */
+export const getPage = async (url, config) => {
+  const response = await apiClient.get(url, config);
+  return toPage(response.data);
+};
+
+export default apiClient;
@@ -0,0 +1,146 @@
+import { jwtDecode } from 'jwt-decode';
+import apiClient, { getAccessToken, getActiveBranchId, getPage } from './apiClient';
+import { getTerminalId } from './terminalSettings';
+
+const API_BASE = '/audit';
+// Events that could not be sent are kept here and retried with the next one
+const PENDING_KEY = 'auditPendingEvents';
+const MAX_PENDING = 200;
+
+export const AUDIT_ACTIONS = {
+  SALE_DELETE: 'SALE_DELETE',
+  PRODUCT_DELETE: 'PRODUCT_DELETE',
+  INVENTORY_ADJUST: 'INVENTORY_ADJUST',
+  EXPIRED_REMOVE: 'EXPIRED_REMOVE',
+  ROLE_PERMISSIONS_UPDATE: 'ROLE_PERMISSIONS_UPDATE',
+  WORKER_PAYMENT: 'WORKER_PAYMENT',
+  OFFLINE_SALE_DISCARD: 'OFFLINE_SALE_DISCARD',
+  MPESA_REFUND: 'MPESA_REFUND'
+};
+
+export const AUDIT_ENTITIES = {
+  SALE: 'SALE',
+  PRODUCT: 'PRODUCT',
+  INVENTORY: 'INVENTORY',
+  ROLE: 'ROLE',
+  PAYMENT: 'PAYMENT'
+};
+
+const currentActor = () => {
+  const token = getAccessToken();
+  if (!token) return { userId: null, username: null, userName: null };
+  try {
+    const claims = jwtDecode(token);
+    return {
+      userId: claims.id ?? claims.userId ?? null,
+      username: claims.sub || claims.username || null,
+      userName: claims.name || localStorage.getItem('userName') || null
+    };
+  } catch (error) {
+    return { userId: null, username: null, userName: localStorage.getItem('userName') };
+  }
+};
+
+const readPending = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writePending = (events) => {
+  if (events.length === 0) {
+    localStorage.removeItem(PENDING_KEY);
+  } else {
+    localStorage.setItem(PENDING_KEY, JSON.stringify(events.slice(-MAX_PENDING)));
+  }
+};
+
+const send = (event) => apiClient.post(API_BASE, event, { skipAuthRedirect: true });
+
+// Takes what was sent off the queue as it is now, keeping anything queued
+// while the sends were out
+const removeSent = (sent) => {
+  const remaining = readPending().map(event => JSON.stringify(event));
+  sent.forEach(event => {
+    const index = remaining.indexOf(JSON.stringify(event));
+    if (index !== -1) remaining.splice(index, 1);
+  });
+  writePending(remaining.map(event => JSON.parse(event)));
+};
+
+// The flush in progress; callers share it so no event is sent twice
+let flushing = null;
+
+/**
+ * Retries events that failed to send earlier. Stops at the first failure so
+ * they stay in order.
+ * @returns {Promise<void>}
+ */
+export const flushPendingAuditEvents = () => {
+  if (!flushing) {
+    flushing = (async () => {
+      const sent = [];
+      for (const event of readPending()) {
+        try {
+          await send(event);
+          sent.push(event);
+        } catch (error) {
+          break;
+        }
+      }
+      if (sent.length > 0) removeSent(sent);
+    })().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+/**
+ * Records who did what to which record. Never throws: an audit failure must not
+ * undo or block the action itself, so unsent events are kept and retried.
+ * @param {Object} event - Audit event
+ * @param {string} event.action - One of AUDIT_ACTIONS
+ * @param {string} event.entityType - One of AUDIT_ENTITIES
+ * @param {number|string} [event.entityId] - Affected record
+ * @param {*} [event.before] - State before the change
+ * @param {*} [event.after] - State after the change
+ * @param {string} [event.reason] - Reason given by the user
+ * @returns {Promise<void>}
+ */
+export const recordAuditEvent = async ({ action, entityType, entityId = null, before = null, after = null, reason = null }) => {
+  const event = {
+    action,
+    entityType,
+    entityId: entityId === null ? null : String(entityId),
+    before,
+    after,
+    reason,
+    ...currentActor(),
+    terminalId: getTerminalId(),
+    branchId: getActiveBranchId(),
+    occurredAt: new Date().toISOString()
+  };
+
+  await flushPendingAuditEvents();
+  try {
+    await send(event);
+  } catch (error) {
+    console.error('Failed to send audit event, will retry:', error);
+    writePending([...readPending(), event]);
+  }
+};
+
+/**
+ * Loads audit events, newest first
+ * @param {Object} [filters] - { userId, entityType, entityId, action, startDate, endDate, page, size }
+ * @returns {Promise<{content: Array, totalElements: number, totalPages: number, page: number, size: number}>}
+ */
+export const fetchAuditEvents = async (filters = {}) => {
+  const params = Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  return getPage(API_BASE, { params });
+};
@@ -0,0 +1,27 @@
+import { getList } from './apiClient';
+
+// The active branch's details, kept for receipts printed while offline or
+// before the branch list has loaded
+const ACTIVE_BRANCH_KEY = 'activeBranch';
+
+/**
+ * Branches the signed-in user may work in
+ * @returns {Promise<Array>} [{ id, name, address, phone, email, taxPin }]
+ */
+export const fetchBranches = async () => getList('/branches');
+
+export const getActiveBranch = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_BRANCH_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const storeActiveBranch = (branch) => {
+  if (branch) {
+    localStorage.setItem(ACTIVE_BRANCH_KEY, JSON.stringify(branch));
+  } else {
+    localStorage.removeItem(ACTIVE_BRANCH_KEY);
+  }
+};
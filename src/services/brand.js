@@ -1,60 +1,25 @@
-import axios from 'axios';
+import apiClient, { getList } from './apiClient';
 
-const API_BASE = `${process.env.REACT_APP_API_BASE_URL}/brands`;
+const API_BASE = '/brands';
 
-const getAuthHeaders = () => {
-  const token = localStorage.getItem('token');
-  return {
-    headers: {
-      Authorization: token ? `Bearer ${token}` : '',
-      'Content-Type': 'application/json'
-    },
-  };
-};
-
-export const getBrands = async () => {
-  try {
-    const response = await axios.get(API_BASE, {
-      ...getAuthHeaders(),
-      params: {
-        page: 0,
-        size: 100, // Get all brands by requesting a large page size
-        sort: 'id,asc'
-      }
-    });
-    // Return the content array from the paginated response
-    return response.data.content || [];
-  } catch (error) {
-    console.error('Error fetching brands:', error);
-    throw error;
+export const getBrands = async () => getList(API_BASE, {
+  params: {
+    page: 0,
+    size: 100, // Get all brands by requesting a large page size
+    sort: 'id,asc'
   }
-};
+});
 
 export const addBrand = async (brand) => {
-  try {
-    const response = await axios.post(API_BASE, brand, getAuthHeaders());
-    return response.data;
-  } catch (error) {
-    console.error('Error adding brand:', error);
-    throw error;
-  }
+  const response = await apiClient.post(API_BASE, brand);
+  return response.data;
 };
 
 export const updateBrand = async (id, brand) => {
-  try {
-    const response = await axios.put(`${API_BASE}/${id}`, brand, getAuthHeaders());
-    return response.data;
-  } catch (error) {
-    console.error('Error updating brand:', error);
-    throw error;
-  }
+  const response = await apiClient.put(`${API_BASE}/${id}`, brand);
+  return response.data;
 };
 
 export const deleteBrand = async (id) => {
-  try {
-    await axios.delete(`${API_BASE}/${id}`, getAuthHeaders());
-  } catch (error) {
-    console.error('Error deleting brand:', error);
-    throw error;
-  }
-};
\ No newline at end of file
+  await apiClient.delete(`${API_BASE}/${id}`);
+};
@@ -0,0 +1,50 @@
+import apiClient from './apiClient';
+
+const API_BASE = '/settings/cash-rounding';
+// Last setting loaded from the server, so the till can round cash while offline
+const CASH_ROUNDING_KEY = 'cashRounding';
+
+// Whole shillings cash can be rounded to; 0 takes cash to the cent
+export const CASH_ROUNDING_INCREMENTS = [0, 1, 5, 10];
+
+/**
+ * Shillings cash payments are rounded to, as last loaded from the server
+ * @returns {number} 0 when cash is not rounded
+ */
+export const getCashRoundingIncrement = () => {
+  try {
+    return Number(JSON.parse(localStorage.getItem(CASH_ROUNDING_KEY))?.increment) || 0;
+  } catch (error) {
+    return 0;
+  }
+};
+
+const storeCashRounding = (setting) => {
+  localStorage.setItem(CASH_ROUNDING_KEY, JSON.stringify(setting));
+};
+
+/**
+ * Loads the cash rounding setting. Keeps the cached copy when the server
+ * can't be reached.
+ * @returns {Promise<number>} Increment in shillings
+ */
+export const fetchCashRoundingIncrement = async () => {
+  try {
+    const response = await apiClient.get(API_BASE);
+    storeCashRounding({ increment: Number(response.data?.increment) || 0 });
+  } catch (error) {
+    console.error('Failed to load the cash rounding setting, using the cached copy:', error);
+  }
+  return getCashRoundingIncrement();
+};
+
+/**
+ * Saves the cash rounding increment for every till
+ * @param {number} increment - One of CASH_ROUNDING_INCREMENTS
+ * @returns {Promise<number>} Saved increment
+ */
+export const saveCashRoundingIncrement = async (increment) => {
+  const response = await apiClient.put(API_BASE, { increment });
+  storeCashRounding(response.data);
+  return getCashRoundingIncrement();
+};
@@ -0,0 +1,114 @@
+import apiClient, { getActiveBranchId, getPage } from './apiClient';
+import { getCategories } from './productServices';
+import { cacheData, readCachedData } from './offlineStore';
+
+// The POS keeps a copy of the whole catalog so barcode scans resolve
+// instantly and selling carries on offline. The first sync downloads every
+// product through the regular product list. Later syncs ask the
+// `/products/changes` feed for only what changed, on servers that have it, and
+// download everything again on servers that don't. Browsing the grid pages
+// through the server instead of filtering the copy.
+
+export const CATALOG_PAGE_SIZE = 40;
+
+const FULL_SYNC_PAGE_SIZE = 500;
+
+// Asked for changes a little before the last sync, in case the till's clock
+// is behind the server's; products sent twice are merged by ID
+const CLOCK_MARGIN_MS = 5 * 60 * 1000;
+
+// What a server without the changes feed answers
+const NO_FEED_STATUSES = [404, 405, 501];
+
+// Cached per branch, since prices and stock differ between them
+const catalogCacheKey = () => `catalog:${getActiveBranchId() || 'default'}`;
+
+/**
+ * The catalog saved by the last sync
+ * @returns {Promise<{products: Array, categories: Array, syncedAt: string, changesFeed: boolean|null, savedAt: string}|null>}
+ *   Null when this branch's catalog has never been synced
+ */
+export const readCatalog = async () => {
+  const cached = await readCachedData(catalogCacheKey());
+  if (!cached?.data?.products) return null;
+  return {
+    products: cached.data.products,
+    categories: cached.data.categories || [],
+    syncedAt: cached.data.syncedAt || null,
+    changesFeed: cached.data.changesFeed ?? null,
+    savedAt: cached.savedAt
+  };
+};
+
+// Every product, page by page
+const downloadAllProducts = async () => {
+  const products = [];
+  for (let page = 0; ; page += 1) {
+    const result = await getPage('/products', { params: { page, size: FULL_SYNC_PAGE_SIZE } });
+    products.push(...result.content);
+    if (result.content.length === 0 || page + 1 >= result.totalPages) return products;
+  }
+};
+
+// The saved products with what changed since `syncedAt` applied, or null when
+// the server has no changes feed
+const applyChanges = async (cached) => {
+  const since = new Date(new Date(cached.syncedAt).getTime() - CLOCK_MARGIN_MS).toISOString();
+  let response;
+  try {
+    response = await apiClient.get('/products/changes', { params: { since } });
+  } catch (error) {
+    if (NO_FEED_STATUSES.includes(error.status)) return null;
+    throw error;
+  }
+  const { products: changed = [], deletedIds = [] } = response.data || {};
+
+  const byId = new Map(cached.products.map(product => [String(product.id), product]));
+  deletedIds.forEach(id => byId.delete(String(id)));
+  changed.forEach(product => byId.set(String(product.id), product));
+  return [...byId.values()];
+};
+
+/**
+ * Brings the saved catalog up to date: only the changes where the server can
+ * send them, otherwise every product again. Throws when the server can't be
+ * reached, leaving the saved copy as it was.
+ * @returns {Promise<{products: Array, categories: Array, syncedAt: string, changesFeed: boolean|null}>}
+ */
+export const refreshCatalog = async () => {
+  const cached = await readCatalog();
+  const syncedAt = new Date().toISOString();
+  const loadProducts = async () => {
+    if (cached?.syncedAt && cached.changesFeed !== false) {
+      const products = await applyChanges(cached);
+      if (products) return { products, changesFeed: true };
+    }
+    // After the first sync, getting here means the server has no changes feed
+    return { products: await downloadAllProducts(), changesFeed: cached?.syncedAt ? false : null };
+  };
+  const [{ products, changesFeed }, categories] = await Promise.all([loadProducts(), getCategories()]);
+
+  const catalog = { products, categories, syncedAt, changesFeed };
+  await cacheData(catalogCacheKey(), catalog);
+  return catalog;
+};
+
+/**
+ * One page of the POS grid: products matching a search, else a category's
+ * products, else all of them
+ * @param {Object} options
+ * @param {string} [options.query] - Name, SKU or barcode
+ * @param {number} [options.categoryId]
+ * @param {number} [options.page=0]
+ * @param {number} [options.size]
+ * @returns {Promise<{content: Array, totalElements: number, totalPages: number, page: number, size: number}>}
+ */
+export const fetchCatalogPage = ({ query, categoryId, page = 0, size = CATALOG_PAGE_SIZE }) => {
+  if (query) {
+    return getPage('/products/search', { params: { query, categoryId: categoryId || undefined, page, size } });
+  }
+  if (categoryId) {
+    return getPage(`/products/category/${categoryId}`, { params: { page, size } });
+  }
+  return getPage('/products', { params: { page, size } });
+};
@@ -0,0 +1,59 @@
+import { broadcast, subscribe, SYNC_EVENTS } from './tabSync';
+
+// The customer display is another window of the app on a second screen. It
+// mirrors the cart through CartContext's tab sync; payment progress only
+// lives in the till's cart panel, so the till sends it over separately.
+
+export const CUSTOMER_DISPLAY_PATH = '/pos/customer-display';
+const DISPLAY_WINDOW_NAME = 'posCustomerDisplay';
+
+/**
+ * Opens the customer display, or brings it forward if it is already open
+ * @returns {Window|null} Null when the browser blocked the popup
+ */
+export const openCustomerDisplay = () => {
+  const displayWindow = window.open(CUSTOMER_DISPLAY_PATH, DISPLAY_WINDOW_NAME, 'popup,width=1024,height=768');
+  displayWindow?.focus();
+  return displayWindow;
+};
+
+/**
+ * Sends the till's payment progress to the customer display
+ * @param {Object} status
+ * @param {number} status.roundingAdjustment - Cash rounding on top of the cart total
+ * @param {number} status.paid
+ * @param {number} status.balanceDue
+ * @param {number} status.change - Change due on cash tenders
+ * @param {Array} status.tenders - [{ method, amount, tendered }]
+ * @param {Object|null} status.mpesa - The M-Pesa push in progress: { status, amount }
+ * @param {Object|null} status.completedSale - The sale just completed:
+ *   { saleNumber, amountDue, paid, change, completedAt }
+ */
+export const publishPaymentStatus = (status) => {
+  broadcast(SYNC_EVENTS.DISPLAY_PAYMENT, status);
+};
+
+/**
+ * Listens for the till's payment progress
+ * @param {Function} listener - Called with the status sent by publishPaymentStatus
+ * @returns {Function} Unsubscribe
+ */
+export const subscribePaymentStatus = (listener) => subscribe(({ type, payload }) => {
+  if (type === SYNC_EVENTS.DISPLAY_PAYMENT) listener(payload);
+});
+
+/**
+ * Asks the till to send its payment progress, e.g. when the display opens
+ */
+export const requestPaymentStatus = () => {
+  broadcast(SYNC_EVENTS.DISPLAY_REQUEST);
+};
+
+/**
+ * Listens for a display asking for the payment progress
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export const subscribePaymentStatusRequests = (listener) => subscribe(({ type }) => {
+  if (type === SYNC_EVENTS.DISPLAY_REQUEST) listener();
+});
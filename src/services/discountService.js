@@ -1,86 +1,86 @@
-import axios from "axios";
-
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL;
-
-// Create a single axios instance with base configuration
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  headers: {
-    "Content-Type": "application/json",
-  },
-});
-
-// Add request interceptor to automatically include auth token
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem("token");
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
+import apiClient, { toList } from "./apiClient";
+import { isOfflineError } from "./offlineSalesService";
+import { cacheData, readCachedData } from "./offlineStore";
+import { normalizeCode } from "../components/utils/discountCodes";
+
+// Active discounts are cached so codes can still be checked offline
+const ACTIVE_DISCOUNTS_CACHE_KEY = 'discounts:active';
 
 // ==================== AUTH ENDPOINTS ====================
 export const loginUser = async ({ username, password }) => {
-  return await api.post('/auth/login', { username, password });
+  return await apiClient.post('/auth/login', { username, password }, { skipAuth: true, skipAuthRefresh: true });
 };
 
 export const registerUser = async (userData) => {
-  return await api.post('/auth/register', userData);
+  return await apiClient.post('/auth/register', userData);
 };
 
 export const refreshToken = async () => {
-  return await api.post('/auth/refresh-token');
+  return await apiClient.post('/auth/refresh-token');
 };
 
 export const fetchCurrentUser = async () => {
-  return await api.get('/auth/me');
+  return await apiClient.get('/auth/me');
 };
 
 // ==================== USER ENDPOINTS ====================
 export const createUser = async (userData) => {
-  return await api.post('/users', userData);
+  return await apiClient.post('/users', userData);
 };
 
 export const getAllUsers = async () => {
-  return await api.get('/users');
+  return await apiClient.get('/users');
 };
 
 export const getUserById = async (id) => {
-  return await api.get(`/users/${id}`);
+  return await apiClient.get(`/users/${id}`);
 };
 
 export const updateUser = async (id, userData) => {
-  return await api.put(`/users/${id}`, userData);
+  return await apiClient.put(`/users/${id}`, userData);
 };
 
 export const deleteUser = async (id) => {
-  return await api.delete(`/users/${id}`);
+  return await apiClient.delete(`/users/${id}`);
 };
 
 export const getAllRoles = async () => {
-  return await api.get('/users/roles');
+  return await apiClient.get('/users/roles');
 };
 
 // ==================== DISCOUNT ENDPOINTS ====================
 export const createDiscount = async (discountData) => {
-  return await api.post('/discounts', discountData);
+  return await apiClient.post('/discounts', discountData);
 };
 
 export const getAllDiscounts = async () => {
-  return await api.get('/discounts');
+  return await apiClient.get('/discounts');
 };
 
 export const getActiveDiscounts = async () => {
-  return await api.get('/discounts/active');
+  return await apiClient.get('/discounts/active');
+};
+
+/**
+ * Looks up an active discount by the code a customer gives at the till
+ * @param {string} code - Any case, surrounding spaces ignored
+ * @returns {Promise<Object|null>} The discount, or null if no active discount has that code
+ */
+export const findActiveDiscount = async (code) => {
+  let discounts;
+  try {
+    discounts = toList((await getActiveDiscounts()).data);
+    cacheData(ACTIVE_DISCOUNTS_CACHE_KEY, discounts);
+  } catch (error) {
+    const cached = isOfflineError(error) ? await readCachedData(ACTIVE_DISCOUNTS_CACHE_KEY) : null;
+    if (!cached) throw error;
+    discounts = cached.data;
+  }
+  return discounts.find(discount => normalizeCode(discount.code) === normalizeCode(code)) || null;
 };
 
 export const deleteDiscount = async (id) => {
-  return await api.delete(`/discounts/${id}`);
+  return await apiClient.delete(`/discounts/${id}`);
 };
 
-export default api;
\ No newline at end of file
+export default apiClient;
\ No newline at end of file
@@ -1,49 +1,6 @@
-import axios from 'axios';
-
-// Configure API base URL
-const API_BASE_URL = `${process.env.REACT_APP_API_BASE_URL || 'https://inventorymanagementsystem-we5x.onrender.com'}/reports/financial`;
-
-// Create axios instance with default configuration
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 10000, // 10 seconds timeout
-  headers: {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json'
-  }
-});
+import apiClient from './apiClient';
 
-// Request interceptor for adding auth token
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-  return config;
-}, (error) => {
-  return Promise.reject(error);
-});
-
-// Response interceptor for handling errors
-api.interceptors.response.use((response) => {
-  return response;
-}, (error) => {
-  if (error.response) {
-    // Server responded with a status other than 2xx
-    console.error('API Error:', {
-      status: error.response.status,
-      data: error.response.data,
-      headers: error.response.headers,
-    });
-  } else if (error.request) {
-    // Request was made but no response received
-    console.error('No response received:', error.request);
-  } else {
-    // Something happened in setting up the request
-    console.error('Request setup error:', error.message);
-  }
-  return Promise.reject(error);
-});
+const REPORTS_BASE = '/reports/financial';
 
 /**
  * Formats date to YYYY-MM-DD string
@@ -62,17 +19,13 @@ const formatDate = (date) => {
  * @returns {Promise<Object>} Profit and loss data
  */
 export const getProfitLossReport = async (startDate, endDate) => {
-  try {
-    const response = await api.get('/profit-loss', {
-      params: {
-        startDate: formatDate(startDate),
-        endDate: formatDate(endDate)
-      }
-    });
-    return response.data;
-  } catch (error) {
-    throw error;
-  }
+  const response = await apiClient.get(`${REPORTS_BASE}/profit-loss`, {
+    params: {
+      startDate: formatDate(startDate),
+      endDate: formatDate(endDate)
+    }
+  });
+  return response.data;
 };
 
 /**
@@ -82,20 +35,15 @@ export const getProfitLossReport = async (startDate, endDate) => {
  * @returns {Promise<Array>} Array of supplier purchase data
  */
 export const getSupplierPurchaseReport = async (startDate, endDate) => {
-  try {
-    const params = {
-      startDate: formatDate(startDate),
-      endDate: formatDate(endDate)
-    };
+  const params = {
+    startDate: formatDate(startDate),
+    endDate: formatDate(endDate)
+  };
 
-    Object.keys(params).forEach(key => params[key] == null && delete params[key]);
+  Object.keys(params).forEach(key => params[key] == null && delete params[key]);
 
-    const response = await api.get('/suppliers', { params });
-    return response.data || [];
-  } catch (error) {
-    console.error('Error fetching supplier purchase report:', error);
-    throw new Error(error.response?.data?.message || 'Failed to fetch supplier purchases');
-  }
+  const response = await apiClient.get(`${REPORTS_BASE}/suppliers`, { params });
+  return response.data || [];
 };
 
 /**
@@ -105,20 +53,15 @@ export const getSupplierPurchaseReport = async (startDate, endDate) => {
  * @returns {Promise<Array>} Array of sales report data
  */
 export const getSalesReport = async (startDate, endDate) => {
-  try {
-    const params = {
-      startDate: formatDate(startDate),
-      endDate: formatDate(endDate)
-    };
+  const params = {
+    startDate: formatDate(startDate),
+    endDate: formatDate(endDate)
+  };
 
-    Object.keys(params).forEach(key => params[key] == null && delete params[key]);
+  Object.keys(params).forEach(key => params[key] == null && delete params[key]);
 
-    const response = await api.get('/sales', { params });
-    return response.data || [];
-  } catch (error) {
-    console.error('Error fetching sales report:', error);
-    throw new Error(error.response?.data?.message || 'Failed to fetch sales report');
-  }
+  const response = await apiClient.get(`${REPORTS_BASE}/sales`, { params });
+  return response.data || [];
 };
 
 /**
@@ -128,20 +71,15 @@ export const getSalesReport = async (startDate, endDate) => {
  * @returns {Promise<Array>} Array of product performance data
  */
 export const getProductPerformanceReport = async (startDate, endDate) => {
-  try {
-    const params = {
-      startDate: formatDate(startDate),
-      endDate: formatDate(endDate)
-    };
+  const params = {
+    startDate: formatDate(startDate),
+    endDate: formatDate(endDate)
+  };
 
-    Object.keys(params).forEach(key => params[key] == null && delete params[key]);
+  Object.keys(params).forEach(key => params[key] == null && delete params[key]);
 
-    const response = await api.get('/products', { params });
-    return response.data || [];
-  } catch (error) {
-    console.error('Error fetching product performance report:', error);
-    throw new Error(error.response?.data?.message || 'Failed to fetch product performance');
-  }
+  const response = await apiClient.get(`${REPORTS_BASE}/products`, { params });
+  return response.data || [];
 };
 
 /**
@@ -149,36 +87,8 @@ export const getProductPerformanceReport = async (startDate, endDate) => {
  * @returns {Promise<Array>} Array of inventory valuation data
  */
 export const getInventoryValuationReport = async () => {
-  try {
-    const response = await api.get('/inventory');
-    return response.data || [];
-  } catch (error) {
-    console.error('Error fetching inventory valuation report:', error);
-    throw new Error(error.response?.data?.message || 'Failed to fetch inventory valuation');
-  }
-};
-
-/**
- * Fetches tax report data
- * @param {Date} startDate - Start date for the report
- * @param {Date} endDate - End date for the report
- * @returns {Promise<Object>} Tax report data
- */
-export const getTaxReport = async (startDate, endDate) => {
-  try {
-    const params = {
-      startDate: formatDate(startDate),
-      endDate: formatDate(endDate)
-    };
-
-    Object.keys(params).forEach(key => params[key] == null && delete params[key]);
-
-    const response = await api.get('/tax', { params });
-    return response.data || {};
-  } catch (error) {
-    console.error('Error fetching tax report:', error);
-    throw new Error(error.response?.data?.message || 'Failed to fetch tax report');
-  }
+  const response = await apiClient.get(`${REPORTS_BASE}/inventory`);
+  return response.data || [];
 };
 
 /**
@@ -191,27 +101,22 @@ export const getTaxReport = async (startDate, endDate) => {
  * @returns {Promise<Blob>} The exported file as a Blob
  */
 export const exportReport = async (exportRequest) => {
-  try {
-    const params = {
-      reportType: exportRequest.reportType,
-      startDate: formatDate(exportRequest.startDate),
-      endDate: formatDate(exportRequest.endDate),
-      format: exportRequest.format
-    };
-
-    const response = await api.post('/export', params, {
-      responseType: 'blob',
-    });
-
-    if (!response.data) {
-      throw new Error('No data received in export response');
-    }
-
-    return response.data;
-  } catch (error) {
-    console.error('Error exporting report:', error);
-    throw new Error(error.response?.data?.message || 'Failed to export report');
+  const params = {
+    reportType: exportRequest.reportType,
+    startDate: formatDate(exportRequest.startDate),
+    endDate: formatDate(exportRequest.endDate),
+    format: exportRequest.format
+  };
+
+  const response = await apiClient.post(`${REPORTS_BASE}/export`, params, {
+    responseType: 'blob',
+  });
+
+  if (!response.data) {
+    throw new Error('No data received in export response');
   }
+
+  return response.data;
 };
 
 /**
@@ -220,15 +125,10 @@ export const exportReport = async (exportRequest) => {
  * @returns {Promise<Object>} Daily summary data
  */
 export const getDailySummary = async (date = new Date()) => {
-  try {
-    const response = await api.get('/daily-summary', {
-      params: { date: formatDate(date) }
-    });
-    return response.data || {};
-  } catch (error) {
-    console.error('Error fetching daily summary:', error);
-    throw new Error(error.response?.data?.message || 'Failed to fetch daily summary');
-  }
+  const response = await apiClient.get(`${REPORTS_BASE}/daily-summary`, {
+    params: { date: formatDate(date) }
+  });
+  return response.data || {};
 };
 
 // Export all services
@@ -238,7 +138,6 @@ export default {
   getSalesReport,
   getProductPerformanceReport,
   getInventoryValuationReport,
-  getTaxReport,
   exportReport,
   getDailySummary,
 };
\ No newline at end of file
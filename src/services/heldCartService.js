@@ -0,0 +1,97 @@
+import apiClient, { getList } from './apiClient';
+import { getProductById } from './productServices';
+import { getTerminalId } from './terminalSettings';
+
+const API_BASE = '/held-carts';
+
+/**
+ * Sales parked at any till in the active branch, oldest first
+ * @returns {Promise<Array>} [{ id, label, customerId, customerName, items, cartDiscount, discountCode, total, heldBy, terminalId, heldAt }]
+ */
+export const fetchHeldCarts = async () => getList(API_BASE);
+
+/**
+ * Parks a cart on the server so this or another till can pick it up later
+ * @param {Object} heldCart
+ * @param {string} heldCart.label - Label or customer name shown in the list
+ * @param {number|null} [heldCart.customerId] - Selected customer
+ * @param {string|null} [heldCart.customerName]
+ * @param {Object} heldCart.cart - Cart from CartContext
+ * @returns {Promise<Object>} The held cart
+ */
+export const holdCart = async ({ label, customerId = null, customerName = null, cart }) => {
+  const response = await apiClient.post(API_BASE, {
+    label,
+    customerId,
+    customerName,
+    items: cart.items,
+    cartDiscount: cart.cartDiscount || null,
+    discountCode: cart.discountCode || null,
+    total: cart.total,
+    terminalId: getTerminalId()
+  });
+  return response.data;
+};
+
+/**
+ * Takes a held cart off the list. The server hands each held cart out once,
+ * so two tills can't resume the same sale; a 404 or 409 means another till got it first.
+ * @param {number|string} id - Held cart ID
+ * @returns {Promise<Object>} The held cart
+ */
+export const resumeHeldCart = async (id) => {
+  const response = await apiClient.post(`${API_BASE}/${id}/resume`);
+  return response.data;
+};
+
+export const discardHeldCart = async (id) => {
+  await apiClient.delete(`${API_BASE}/${id}`);
+};
+
+/**
+ * Re-checks a held cart's lines against current stock and prices. Lines for
+ * products that were deleted or sold out are dropped and quantities are capped
+ * at what is left. A price override is dropped if the shelf price has changed
+ * since, as it was agreed (and maybe approved) against the old one.
+ * @param {Array} items - Cart items as they were held
+ * @returns {Promise<{items: Array, changes: string[]}>} Current items and a note per change
+ */
+export const revalidateHeldItems = async (items) => {
+  const results = await Promise.allSettled(items.map(item => getProductById(item.id)));
+  const changes = [];
+
+  const current = items.reduce((acc, item, index) => {
+    const result = results[index];
+    if (result.status === 'rejected') {
+      changes.push(`${item.name} is no longer available and was removed`);
+      return acc;
+    }
+
+    const product = result.value;
+    if (product.quantityInStock < 1) {
+      changes.push(`${item.name} is out of stock and was removed`);
+      return acc;
+    }
+
+    const quantity = Math.min(item.quantity, product.quantityInStock);
+    if (quantity < item.quantity) {
+      changes.push(`${item.name}: only ${quantity} left, quantity reduced from ${item.quantity}`);
+    }
+    const shelfPrice = item.originalPrice ?? item.price;
+    if (item.priceOverride && product.price === shelfPrice) {
+      acc.push({ ...item, quantity, stock: product.quantityInStock });
+      return acc;
+    }
+    if (product.price !== shelfPrice) {
+      changes.push(`${item.name}: price changed from Ksh ${shelfPrice.toFixed(2)} to Ksh ${product.price.toFixed(2)}` +
+        (item.priceOverride ? `; the agreed price of Ksh ${item.price.toFixed(2)} was removed` : ''));
+    }
+
+    const { originalPrice, priceOverride, ...line } = item;
+    const discountAmount = item.discountPercentage ? product.price * item.discountPercentage / 100 : 0;
+    acc.push({ ...line, price: product.price, discountAmount, quantity, stock: product.quantityInStock });
+    return acc;
+  }, []);
+
+  return { items: current, changes };
+};
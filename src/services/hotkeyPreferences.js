@@ -0,0 +1,53 @@
+// Per-user POS keyboard shortcuts, kept in this browser's localStorage
+
+const STORAGE_PREFIX = 'posHotkeys_';
+
+export const POS_HOTKEY_ACTIONS = [
+  { id: 'showShortcuts', label: 'Show keyboard shortcuts', defaultKey: 'F1' },
+  { id: 'focusSearch', label: 'Focus product search', defaultKey: 'F2' },
+  { id: 'openCustomer', label: 'Open customer picker', defaultKey: 'F3' },
+  { id: 'cyclePayment', label: 'Next payment method', defaultKey: 'F4' },
+  { id: 'removeLastLine', label: 'Remove last cart line', defaultKey: 'F8' },
+  { id: 'checkout', label: 'Complete sale', defaultKey: 'F9' },
+  { id: 'nextResult', label: 'Next product', defaultKey: 'ArrowRight' },
+  { id: 'previousResult', label: 'Previous product', defaultKey: 'ArrowLeft' },
+  { id: 'nextRow', label: 'Product below', defaultKey: 'ArrowDown' },
+  { id: 'previousRow', label: 'Product above', defaultKey: 'ArrowUp' },
+  { id: 'addSelected', label: 'Add selected product', defaultKey: 'Enter' },
+  { id: 'setMultiplier', label: 'Quantity multiplier (type e.g. 3 then this key)', defaultKey: '*' },
+  { id: 'increaseLastLine', label: 'Increase last line quantity', defaultKey: '+' },
+  { id: 'decreaseLastLine', label: 'Decrease last line quantity', defaultKey: '-' },
+  { id: 'clearSelection', label: 'Clear multiplier and selection', defaultKey: 'Escape' }
+];
+
+export const DEFAULT_POS_HOTKEYS = POS_HOTKEY_ACTIONS.reduce((acc, action) => {
+  acc[action.id] = action.defaultKey;
+  return acc;
+}, {});
+
+/**
+ * The user's shortcuts, with defaults filled in for actions they haven't changed
+ * @param {number|string} userId
+ * @returns {Object<string, string>} Action ID to key combo
+ */
+export const getPosHotkeys = (userId) => {
+  if (!userId) return { ...DEFAULT_POS_HOTKEYS };
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${userId}`)) || {};
+    return { ...DEFAULT_POS_HOTKEYS, ...saved };
+  } catch (error) {
+    return { ...DEFAULT_POS_HOTKEYS };
+  }
+};
+
+// Only the changed keys are stored, so new actions pick up their defaults
+export const savePosHotkeys = (userId, hotkeys) => {
+  const changed = Object.fromEntries(
+    Object.entries(hotkeys).filter(([action, key]) => DEFAULT_POS_HOTKEYS[action] !== key)
+  );
+  if (Object.keys(changed).length === 0) {
+    localStorage.removeItem(`${STORAGE_PREFIX}${userId}`);
+  } else {
+    localStorage.setItem(`${STORAGE_PREFIX}${userId}`, JSON.stringify(changed));
+  }
+};
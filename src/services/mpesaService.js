@@ -0,0 +1,296 @@
+import apiClient from './apiClient';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, recordAuditEvent } from './auditService';
+
+// STK pushes go through the backend's /mpesa/stkpush/initiate and are checked
+// with /mpesa/payment-status. The till keeps each push as a payment session in
+// local storage, so a reload carries on polling it, and a customer who pays
+// after the till stopped waiting can still be put on a sale or refunded.
+
+const SESSIONS_KEY = 'mpesaSessions';
+const ACTIVE_SESSION_KEY = 'mpesaActiveSession';
+const USED_CODES_KEY = 'mpesaUsedCodes';
+
+// The till stops waiting on the customer after this long
+const SESSION_TTL_MS = 2 * 60 * 1000;
+// Expired and cancelled pushes are checked for late payments for this long
+const LATE_PAYMENT_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Finished sessions older than this are dropped from the till
+const KEEP_SESSIONS_MS = 7 * 24 * 60 * 60 * 1000;
+// Till/paybill codes are remembered for this long to stop them being reused
+const KEEP_USED_CODES_MS = 90 * 24 * 60 * 60 * 1000;
+
+export const MPESA_SESSION_STATUS = {
+  // Accepted by Safaricom, not yet shown to the customer
+  INITIATED: 'INITIATED',
+  // Waiting for the customer's PIN
+  PENDING: 'PENDING',
+  CONFIRMED: 'CONFIRMED',
+  FAILED: 'FAILED',
+  // The customer didn't answer in time; they may still pay late
+  EXPIRED: 'EXPIRED'
+};
+
+export const MPESA_SESSION_LABELS = {
+  INITIATED: 'Sending',
+  PENDING: 'Waiting for PIN',
+  CONFIRMED: 'Confirmed',
+  FAILED: 'Failed',
+  EXPIRED: 'Expired'
+};
+
+/**
+ * Whether the till is still waiting on the customer
+ * @param {Object} session
+ * @returns {boolean}
+ */
+export const isSessionOpen = (session) => [MPESA_SESSION_STATUS.INITIATED, MPESA_SESSION_STATUS.PENDING].includes(session?.status);
+
+/**
+ * Money received that is neither part of a sale nor refunded
+ * @param {Object} session
+ * @returns {boolean}
+ */
+export const isSessionUnresolved = (session) => session?.status === MPESA_SESSION_STATUS.CONFIRMED &&
+  !session.saleId && !session.refundedAt;
+
+// A push the till gave up on can still be approved on the customer's phone
+const mayConfirmLate = (session) => (session.status === MPESA_SESSION_STATUS.EXPIRED ||
+  (session.status === MPESA_SESSION_STATUS.FAILED && !!session.cancelledAt)) &&
+  !session.declinedAt && Date.now() - Date.parse(session.createdAt) < LATE_PAYMENT_WINDOW_MS;
+
+const readSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSIONS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeSessions = (sessions) => {
+  const cutoff = Date.now() - KEEP_SESSIONS_MS;
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(
+    sessions.filter(session => isSessionUnresolved(session) || Date.parse(session.createdAt) >= cutoff)
+  ));
+};
+
+const readUsedCodes = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USED_CODES_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const findSession = (id) => {
+  const session = readSessions().find(s => s.id === id);
+  if (!session) throw new Error(`M-Pesa payment ${id} is not known on this till`);
+  return session;
+};
+
+const saveSession = (session) => {
+  writeSessions([session, ...readSessions().filter(s => s.id !== session.id)]);
+  return session;
+};
+
+/**
+ * The session this till is waiting on or has yet to use in a sale
+ * @returns {Object|null}
+ */
+export const getActiveMpesaSession = () => {
+  const id = localStorage.getItem(ACTIVE_SESSION_KEY);
+  return (id && readSessions().find(session => session.id === id)) || null;
+};
+
+/**
+ * Makes a session the one the cart picks up, e.g. a late payment being put
+ * on a sale rung up again
+ * @param {string} id
+ */
+export const setActiveMpesaSession = (id) => {
+  localStorage.setItem(ACTIVE_SESSION_KEY, id);
+};
+
+export const clearActiveMpesaSession = () => {
+  localStorage.removeItem(ACTIVE_SESSION_KEY);
+};
+
+/**
+ * Sends an STK push and makes it this till's active session
+ * @param {Object} request
+ * @param {number} request.amount - Whole shillings
+ * @param {string} request.phoneNumber - 2547XXXXXXXX
+ * @param {string} [request.accountReference]
+ * @param {string} [request.description]
+ * @returns {Promise<Object>} The new session
+ */
+export const startMpesaSession = async ({ amount, phoneNumber, accountReference, description }) => {
+  const { data } = await apiClient.post('/mpesa/stkpush/initiate', {
+    amount,
+    phoneNumber,
+    accountReference,
+    transactionDesc: description
+  });
+  if (!data?.CheckoutRequestID || !data?.MerchantRequestID) {
+    throw new Error('Invalid M-Pesa response: Missing required fields');
+  }
+  const createdAt = Date.now();
+  const session = saveSession({
+    id: data.CheckoutRequestID,
+    checkoutRequestId: data.CheckoutRequestID,
+    merchantRequestId: data.MerchantRequestID,
+    phoneNumber,
+    amount,
+    status: MPESA_SESSION_STATUS.INITIATED,
+    createdAt: new Date(createdAt).toISOString(),
+    expiresAt: new Date(createdAt + SESSION_TTL_MS).toISOString(),
+    mpesaReceiptNumber: null,
+    failureReason: null,
+    saleId: null,
+    refundedAt: null
+  });
+  setActiveMpesaSession(session.id);
+  return session;
+};
+
+// Applies what /mpesa/payment-status reports to the till's copy
+const applyPaymentStatus = (session, { status, transaction }) => {
+  switch (String(status || '').toUpperCase()) {
+    case 'COMPLETED':
+      return {
+        ...session,
+        status: MPESA_SESSION_STATUS.CONFIRMED,
+        // Money taken counts even if the till had given up on it
+        late: !isSessionOpen(session),
+        mpesaReceiptNumber: transaction?.mpesaReceiptNumber || session.mpesaReceiptNumber,
+        confirmedAt: new Date().toISOString()
+      };
+    case 'FAILED':
+    case 'CANCELLED':
+      return isSessionOpen(session)
+        ? { ...session, status: MPESA_SESSION_STATUS.FAILED, failureReason: transaction?.stkResponseDescription || 'Declined' }
+        // The customer turned down a push the till had already given up on
+        : { ...session, declinedAt: new Date().toISOString() };
+    default:
+      if (!isSessionOpen(session)) return session;
+      return Date.now() >= Date.parse(session.expiresAt)
+        ? { ...session, status: MPESA_SESSION_STATUS.EXPIRED }
+        : { ...session, status: MPESA_SESSION_STATUS.PENDING };
+  }
+};
+
+/**
+ * Checks a session's status with the backend. Only pushes still open, or
+ * given up on recently enough to be paid late, are checked.
+ * @param {string} id - Session (checkout request) ID
+ * @returns {Promise<Object>}
+ */
+export const fetchMpesaSession = async (id) => {
+  const session = findSession(id);
+  if (!isSessionOpen(session) && !mayConfirmLate(session)) return session;
+  const { data } = await apiClient.get('/mpesa/payment-status', {
+    params: { checkout_id: session.checkoutRequestId, merchant_id: session.merchantRequestId },
+    retry: 0
+  });
+  // Re-read in case the session changed while the check was out
+  return saveSession(applyPaymentStatus(findSession(id), data));
+};
+
+/**
+ * Stops waiting on a push. The customer can still approve it on their phone,
+ * in which case it shows up as a late payment.
+ * @param {string} id
+ * @returns {Promise<Object>} The failed session
+ */
+export const cancelMpesaSession = async (id) => {
+  const session = findSession(id);
+  if (!isSessionOpen(session)) {
+    throw new Error(`This payment is already ${session.status.toLowerCase()}`);
+  }
+  return saveSession({
+    ...session,
+    status: MPESA_SESSION_STATUS.FAILED,
+    failureReason: 'Cancelled at the till',
+    cancelledAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Lists this till's sessions, newest first, checking the ones that may still
+ * change with the backend first
+ * @param {Object} [filters]
+ * @param {boolean} [filters.unresolved] - Only confirmed payments not yet in a sale or refunded
+ * @returns {Promise<Array>}
+ */
+export const getMpesaSessions = async ({ unresolved } = {}) => {
+  const changing = readSessions().filter(session => isSessionOpen(session) || mayConfirmLate(session));
+  await Promise.all(changing.map(session => fetchMpesaSession(session.id)
+    .catch(error => console.error(`Failed to check M-Pesa payment ${session.id}:`, error))));
+  return readSessions()
+    .filter(session => !unresolved || isSessionUnresolved(session))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Records the sale a confirmed payment went on
+ * @param {string} id
+ * @param {number|string} saleId
+ * @returns {Object}
+ */
+export const markMpesaSessionUsed = (id, saleId) => saveSession({
+  ...findSession(id),
+  saleId,
+  attachedAt: new Date().toISOString()
+});
+
+/**
+ * Records that a confirmed payment was sent back to the customer. The money
+ * itself is returned from the M-Pesa portal.
+ * @param {Object} session
+ * @param {string} reason
+ * @returns {Object}
+ */
+export const refundMpesaSession = (session, reason) => {
+  const current = findSession(session.id);
+  if (!isSessionUnresolved(current)) {
+    throw new Error(current.saleId
+      ? `This payment is already part of sale #${current.saleId}`
+      : 'Only confirmed payments not used in a sale can be refunded');
+  }
+  const refunded = saveSession({ ...current, refundedAt: new Date().toISOString(), refundReason: reason });
+  recordAuditEvent({
+    action: AUDIT_ACTIONS.MPESA_REFUND,
+    entityType: AUDIT_ENTITIES.PAYMENT,
+    entityId: current.mpesaReceiptNumber || current.id,
+    before: current,
+    after: refunded,
+    reason
+  });
+  return refunded;
+};
+
+/**
+ * The sale an M-Pesa code was already taken on at this till, whether keyed in
+ * for a till/paybill payment or the receipt of a confirmed push. Checking the
+ * code's amount and phone number, and its use at other tills, needs a
+ * received-transactions endpoint the backend doesn't have yet.
+ * @param {string} code - As in the customer's SMS
+ * @returns {number|string|null} The sale number, or null when unused
+ */
+export const findMpesaCodeSale = (code) => {
+  const pushed = readSessions().find(session => session.mpesaReceiptNumber === code && session.saleId);
+  if (pushed) return pushed.saleId;
+  return readUsedCodes().find(entry => entry.code === code)?.saleId ?? null;
+};
+
+/**
+ * Records the sale a till/paybill code was taken on
+ * @param {string} code
+ * @param {number|string} saleId
+ */
+export const recordMpesaCodeUsed = (code, saleId) => {
+  const cutoff = Date.now() - KEEP_USED_CODES_MS;
+  localStorage.setItem(USED_CODES_KEY, JSON.stringify([
+    { code, saleId, usedAt: new Date().toISOString() },
+    ...readUsedCodes().filter(entry => entry.code !== code && Date.parse(entry.usedAt) >= cutoff)
+  ]));
+};
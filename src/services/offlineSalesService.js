@@ -0,0 +1,196 @@
+import { getActiveBranchId } from './apiClient';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, recordAuditEvent } from './auditService';
+import { createSale } from './salesService';
+import { getTerminalId } from './terminalSettings';
+import { deleteRecord, getAllRecords, getRecord, putRecord, STORES } from './offlineStore';
+import { broadcast, subscribe, SYNC_EVENTS } from './tabSync';
+
+// Sales rung up while the server was unreachable. Each keeps the idempotency
+// key it was first sent with, so a sale that did reach the server before the
+// connection dropped is not recorded twice when the queue syncs.
+
+export const QUEUED_SALE_STATUS = {
+  PENDING: 'PENDING',
+  // The server refused the sale, e.g. a product ran out or was deleted
+  CONFLICT: 'CONFLICT'
+};
+
+const RECEIPT_SEQUENCE_KEY = 'offlineReceiptSequence';
+
+const listeners = new Set();
+
+const notifyQueueChange = () => {
+  listeners.forEach(listener => listener());
+  broadcast(SYNC_EVENTS.OFFLINE_QUEUE);
+};
+
+/**
+ * Subscribes to changes in the offline sales queue, in this tab or another
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export const onQueueChange = (listener) => {
+  listeners.add(listener);
+  const unsubscribe = subscribe(({ type }) => {
+    if (type === SYNC_EVENTS.OFFLINE_QUEUE) listener();
+  });
+  return () => {
+    listeners.delete(listener);
+    unsubscribe();
+  };
+};
+
+export const createIdempotencyKey = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+/**
+ * Whether a failed request never got an answer from the server, so the
+ * action can be queued and retried later
+ * @param {Error} error - ApiError from the shared client
+ * @returns {boolean}
+ */
+export const isOfflineError = (error) => error?.code === 'NETWORK_ERROR' || error?.code === 'TIMEOUT' ||
+  (typeof navigator !== 'undefined' && navigator.onLine === false && !error?.status);
+
+// Refused for good: retrying the same request will fail the same way
+const isConflict = (error) => error?.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status);
+
+const nextOfflineReceiptNumber = () => {
+  const sequence = (Number(localStorage.getItem(RECEIPT_SEQUENCE_KEY)) || 0) + 1;
+  localStorage.setItem(RECEIPT_SEQUENCE_KEY, String(sequence));
+  return `OFF-${getTerminalId()}-${String(sequence).padStart(4, '0')}`;
+};
+
+/**
+ * Keeps a sale to send once the connection returns
+ * @param {Object} saleData - The POST /sales body
+ * @param {string} idempotencyKey - Key the sale was first sent with
+ * @returns {Promise<Object>} Queued sale, with its offline receipt number
+ */
+export const queueSale = async (saleData, idempotencyKey) => {
+  const receiptNumber = nextOfflineReceiptNumber();
+  const record = {
+    idempotencyKey,
+    receiptNumber,
+    sale: { ...saleData, offlineReceiptNumber: receiptNumber, soldAt: new Date().toISOString() },
+    branchId: getActiveBranchId(),
+    status: QUEUED_SALE_STATUS.PENDING,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    error: null,
+    fieldErrors: {}
+  };
+  await putRecord(STORES.SALES, record);
+  notifyQueueChange();
+  return record;
+};
+
+/**
+ * Every queued sale, oldest first
+ * @returns {Promise<Array>}
+ */
+export const getQueuedSales = async () => {
+  const records = await getAllRecords(STORES.SALES);
+  return records.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+};
+
+/**
+ * Sends one queued sale. Synced sales leave the queue; refused ones are
+ * marked as conflicts with the server's reason.
+ * @returns {Promise<{synced: boolean, sale?: Object, error?: Error}>}
+ * @throws {ApiError} When the server could not be reached, so the sale stays queued
+ */
+const sendQueuedSale = async (record) => {
+  try {
+    const sale = await createSale(record.sale, {
+      idempotencyKey: record.idempotencyKey,
+      config: { branchId: record.branchId, skipAuthRedirect: true }
+    });
+    await deleteRecord(STORES.SALES, record.idempotencyKey);
+    return { synced: true, sale };
+  } catch (error) {
+    if (!isConflict(error)) throw error;
+    await putRecord(STORES.SALES, {
+      ...record,
+      status: QUEUED_SALE_STATUS.CONFLICT,
+      attempts: record.attempts + 1,
+      error: error.message,
+      fieldErrors: error.fieldErrors || {},
+      lastAttemptAt: new Date().toISOString()
+    });
+    return { synced: false, error };
+  }
+};
+
+let syncPromise = null;
+
+const runSync = async () => {
+  const pending = (await getQueuedSales()).filter(record => record.status === QUEUED_SALE_STATUS.PENDING);
+  const result = { synced: 0, conflicts: 0, remaining: pending.length };
+
+  for (const record of pending) {
+    try {
+      const { synced } = await sendQueuedSale(record);
+      result[synced ? 'synced' : 'conflicts'] += 1;
+      result.remaining -= 1;
+    } catch (error) {
+      // Still offline (or signed out); the rest wait for the next attempt
+      console.error('Offline sale sync paused:', error);
+      break;
+    }
+  }
+
+  if (result.synced > 0 || result.conflicts > 0) notifyQueueChange();
+  return result;
+};
+
+/**
+ * Sends pending queued sales in the order they were rung up. Calls made while
+ * a sync is running share it.
+ * @returns {Promise<{synced: number, conflicts: number, remaining: number}>}
+ */
+export const syncQueuedSales = () => {
+  if (!syncPromise) {
+    syncPromise = runSync().finally(() => {
+      syncPromise = null;
+    });
+  }
+  return syncPromise;
+};
+
+/**
+ * Tries a conflicted sale again, e.g. after stock has been received
+ * @param {string} idempotencyKey
+ * @returns {Promise<{synced: boolean, sale?: Object, error?: Error}>}
+ */
+export const retryQueuedSale = async (idempotencyKey) => {
+  const record = await getRecord(STORES.SALES, idempotencyKey);
+  if (!record) return { synced: true };
+  try {
+    return await sendQueuedSale(record);
+  } finally {
+    notifyQueueChange();
+  }
+};
+
+/**
+ * Drops a queued sale without sending it. The cash was taken, so this is audited.
+ * @param {string} idempotencyKey
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the sale was dropped
+ */
+export const discardQueuedSale = async (idempotencyKey, { reason = null } = {}) => {
+  const record = await getRecord(STORES.SALES, idempotencyKey);
+  if (!record) return;
+  await deleteRecord(STORES.SALES, idempotencyKey);
+  notifyQueueChange();
+  recordAuditEvent({
+    action: AUDIT_ACTIONS.OFFLINE_SALE_DISCARD,
+    entityType: AUDIT_ENTITIES.SALE,
+    entityId: record.receiptNumber,
+    before: record.sale,
+    reason
+  });
+};
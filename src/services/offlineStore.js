@@ -0,0 +1,83 @@
+// IndexedDB storage that lets the POS keep selling when the connection drops:
+// a cache of the catalog and customers, and the queue of sales waiting to sync.
+
+const DB_NAME = 'pos-offline';
+const DB_VERSION = 1;
+
+export const STORES = {
+  CACHE: 'cache',
+  SALES: 'queuedSales'
+};
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('Offline storage is not available in this browser'));
+  }
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.CACHE)) {
+        db.createObjectStore(STORES.CACHE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(STORES.SALES)) {
+        db.createObjectStore(STORES.SALES, { keyPath: 'idempotencyKey' });
+      }
+    };
+    dbPromise = promisify(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+  const store = db.transaction(storeName, mode).objectStore(storeName);
+  return promisify(operation(store));
+};
+
+export const getRecord = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+
+export const getAllRecords = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+export const putRecord = (storeName, record) => withStore(storeName, 'readwrite', store => store.put(record));
+
+export const deleteRecord = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+/**
+ * Keeps a copy of data loaded from the server for use offline. Never throws:
+ * failing to cache must not break the screen that loaded the data.
+ * @param {string} key - e.g. 'products:3'
+ * @param {*} data - JSON-serializable data
+ */
+export const cacheData = async (key, data) => {
+  try {
+    await putRecord(STORES.CACHE, { key, data, savedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error(`Failed to cache ${key} for offline use:`, error);
+  }
+};
+
+/**
+ * Reads data cached by cacheData
+ * @param {string} key
+ * @returns {Promise<{data: *, savedAt: string}|null>} Null when nothing is cached
+ */
+export const readCachedData = async (key) => {
+  try {
+    const record = await getRecord(STORES.CACHE, key);
+    return record ? { data: record.data, savedAt: record.savedAt } : null;
+  } catch (error) {
+    console.error(`Failed to read cached ${key}:`, error);
+    return null;
+  }
+};
@@ -1,54 +1,50 @@
-import axios from 'axios';
-
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://inventorymanagementsystem-we5x.onrender.com/';
-
-const getAuthHeader = () => {
-  const token = localStorage.getItem('token');
-  return {
-    headers: {
-      Authorization: `Bearer ${token}`,
-    },
-  };
-};
+import apiClient, { toList } from './apiClient';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, recordAuditEvent } from './auditService';
 
 export const fetchAllRoles = async () => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/roles`, getAuthHeader());
-    console.log('Roles API response:', response.data);
-    return Array.isArray(response.data) ? response.data : response.data.roles || [];
-  } catch (error) {
-    console.error('Error fetching roles:', error.response?.data || error.message);
-    throw error;
-  }
+  const response = await apiClient.get('/roles');
+  return Array.isArray(response.data) ? response.data : response.data.roles || [];
 };
 
 export const assignRolePermissions = async (roleId, permissionNames) => {
-  try {
-    const response = await axios.post(
-      `${API_BASE_URL}/role-permissions/assign`,
-      {
-        roleId: roleId,
-        permissionNames: permissionNames
-      },
-      getAuthHeader()
-    );
-    return response.data;
-  } catch (error) {
-    console.error('Error assigning permissions:', error);
-    throw error;
-  }
+  const before = await fetchRolePermissions(roleId).catch(() => null);
+  const response = await apiClient.post('/role-permissions/assign', {
+    roleId: roleId,
+    permissionNames: permissionNames
+  });
+  recordAuditEvent({
+    action: AUDIT_ACTIONS.ROLE_PERMISSIONS_UPDATE,
+    entityType: AUDIT_ENTITIES.ROLE,
+    entityId: roleId,
+    before,
+    after: permissionNames
+  });
+  return response.data;
+};
+
+/**
+ * Loads the permissions currently granted to a role
+ * @param {number|string} roleId - Role ID
+ * @returns {Promise<string[]>} Permission names
+ */
+export const fetchRolePermissions = async (roleId) => {
+  const response = await apiClient.get(`/roles/${roleId}/permissions`);
+  const data = response.data;
+  const list = Array.isArray(data) ? data : data?.permissions || data?.permissionNames || toList(data);
+  return list.map(permission => (typeof permission === 'string' ? permission : permission?.name)).filter(Boolean);
 };
 
 export const fetchAllPermissions = async () => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/permissions`, getAuthHeader());
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching all permissions:', error);
-    throw error;
-  }
+  const response = await apiClient.get('/permissions');
+  return response.data;
 };
 
+/**
+ * Suggested permissions for the built-in roles, offered as a starting point
+ * when editing a role. Never used to grant access: see resolveEffectivePermissions.
+ * @param {string} roleName
+ * @returns {string[]}
+ */
 export const getDefaultPermissionsForRole = (roleName) => {
   const defaultPermissions = {
     ADMIN: [
@@ -58,10 +54,14 @@ export const getDefaultPermissionsForRole = (roleName) => {
       'pos_access', 'supplier_view', 'customer_view',
       'user_view', 'user_create', 'user_update',
       'purchase_view', 'purchase_create', 'purchase_update',
-      'sale_view', 'sale_return', 'discount_apply',
+      'sale_view', 'sale_return', 'discount_apply', 'promotion_manage',
       'salesreports_view','productsreports_view','inventoryreports_view','financialreports_view','suppliersreports_view','finance_view', 'settings_manage',
       'role_manage', 'role_create',
-      'inventory_view'
+      'inventory_view', 'pos_override',
+      'product_delete', 'supplier_delete',
+      'sale_cancel', 'inventory_adjust', 'user_delete',
+      'audit_view', 'branch_all_view',
+      'shift_manage', 'shift_reports_view'
     ],
     MANAGER: [
       'dashboard_access',
@@ -69,12 +69,14 @@ export const getDefaultPermissionsForRole = (roleName) => {
       'sale_view', 'sale_return',
       'purchase_view', 'inventory_view',
       'salesreports_view','productsreports_view','inventoryreports_view','financialreports_view','suppliersreports_view','finance_view',
+      'pos_override', 'sale_cancel', 'inventory_adjust',
+      'shift_manage', 'shift_reports_view'
     ],
     CASHIER: [
       'dashboard_access',
       'customer_view', 'product_view',
       'sale_view', 'sale_return',
-      'pos_access'
+      'pos_access', 'shift_manage'
     ],
     RECEIVING_CLERK:[
       'product_view', 'product_create',
@@ -82,8 +84,123 @@ export const getDefaultPermissionsForRole = (roleName) => {
       'purchase_view', 'purchase_create',
       'purchase_update', 'inventory_view','supplier_view','user_view', 'user_create', 'user_update', 'user_create', 'user_update',
       'inventoryreports_view','financialreports_view','suppliersreports_view', 'settings_manage','role_manage','role_create',
+      'inventory_adjust',
     ]
   };
 
   return defaultPermissions[roleName?.toUpperCase()] || [];
-};
\ No newline at end of file
+};
+
+const PERMISSIONS_CACHE_KEY = 'permissionsCache';
+// Bump when the cached shape changes so stale entries are ignored
+const PERMISSIONS_CACHE_SCHEMA = 1;
+
+// Backend role names may come as 'ROLE_ADMIN', 'admin' or { id, name }
+const toRoleKey = (role) => String(typeof role === 'string' ? role : role?.name || '')
+  .replace(/^ROLE_/i, '')
+  .toUpperCase();
+
+const toRolesKey = (roles = []) => roles.map(toRoleKey).filter(Boolean).sort().join(',');
+
+// Short, stable stamp for a set of role permissions, so callers can tell
+// whether anything changed without comparing whole lists
+const toVersionStamp = (parts) => {
+  let hash = 0;
+  const text = parts.join('|');
+  for (let i = 0; i < text.length; i += 1) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Returns the last resolved permissions if they were resolved for the same roles
+ * @param {Array} roles - The user's roles
+ * @returns {{permissions: string[], version: string, fetchedAt: number}|null}
+ */
+export const getCachedPermissions = (roles) => {
+  try {
+    const cache = JSON.parse(localStorage.getItem(PERMISSIONS_CACHE_KEY));
+    if (cache?.schema !== PERMISSIONS_CACHE_SCHEMA || cache.rolesKey !== toRolesKey(roles)) {
+      return null;
+    }
+    return cache;
+  } catch (error) {
+    return null;
+  }
+};
+
+const cachePermissions = (roles, { permissions, version }) => {
+  localStorage.setItem(PERMISSIONS_CACHE_KEY, JSON.stringify({
+    schema: PERMISSIONS_CACHE_SCHEMA,
+    rolesKey: toRolesKey(roles),
+    permissions,
+    version,
+    fetchedAt: Date.now()
+  }));
+};
+
+export const clearPermissionsCache = () => {
+  localStorage.removeItem(PERMISSIONS_CACHE_KEY);
+};
+
+/**
+ * Tells whether a role (by ID or name) is one of the given user roles
+ * @param {Array} userRoles - The user's roles
+ * @param {Object} role - Role from the roles list
+ * @returns {boolean}
+ */
+export const holdsRole = (userRoles = [], role) => {
+  if (!role) return false;
+  const key = toRoleKey(role);
+  return userRoles.some(userRole => (
+    (userRole?.id != null && userRole.id === role.id) || toRoleKey(userRole) === key
+  ));
+};
+
+/**
+ * Resolves the effective permissions for a user's roles. The backend role
+ * permissions are the source of truth; permission claims in the JWT and then
+ * the last cached result are used, in that order, when the roles endpoints
+ * can't be reached. With none of those the user gets no permissions.
+ * @param {Array} roles - The user's roles (names or role objects)
+ * @param {Object} [claims] - Decoded access token
+ * @returns {Promise<{permissions: string[], version: string, source: string}>}
+ */
+export const resolveEffectivePermissions = async (roles = [], claims = {}) => {
+  try {
+    const heldRoles = (await fetchAllRoles()).filter(role => holdsRole(roles, role));
+    if (heldRoles.length === 0 && roles.length > 0) {
+      throw new Error('None of the user roles were found on the server');
+    }
+
+    const rolePermissions = await Promise.all(heldRoles.map(role => fetchRolePermissions(role.id)));
+    const permissions = [...new Set(rolePermissions.flat())];
+    const version = toVersionStamp(heldRoles.map((role, index) => (
+      `${role.id}@${role.version ?? role.updatedAt ?? ''}:${[...rolePermissions[index]].sort().join(',')}`
+    )));
+
+    cachePermissions(roles, { permissions, version });
+    return { permissions, version, source: 'server' };
+  } catch (error) {
+    console.warn('Could not load role permissions from the server:', error.message);
+  }
+
+  const claimed = claims?.permissions || claims?.authorities;
+  if (Array.isArray(claimed) && claimed.length > 0) {
+    const permissions = [...new Set(claimed
+      .map(claim => (typeof claim === 'string' ? claim : claim?.authority || claim?.name))
+      .filter(name => name && !/^ROLE_/.test(name)))];
+    const version = claims.permissionsVersion != null
+      ? String(claims.permissionsVersion)
+      : toVersionStamp([...permissions].sort());
+    return { permissions, version, source: 'token' };
+  }
+
+  const cached = getCachedPermissions(roles);
+  if (cached) {
+    return { permissions: cached.permissions, version: cached.version, source: 'cache' };
+  }
+
+  return { permissions: [], version: 'none', source: 'none' };
+};
@@ -0,0 +1,87 @@
+import apiClient from './apiClient';
+
+const API_BASE = '/price-overrides';
+const SETTINGS_URL = '/settings/price-overrides';
+// Last setting loaded from the server, so the till knows when to ask for a manager while offline
+const POLICY_KEY = 'priceOverridePolicy';
+const DEFAULT_APPROVAL_THRESHOLD = 10;
+
+// Percent of a line's or cart's value a cashier may give away without a manager
+export const APPROVAL_THRESHOLD_OPTIONS = [0, 5, 10, 15, 20, 25, 50, 100];
+
+const toDateParam = (date) => (typeof date === 'string' ? date : date.toISOString().split('T')[0]);
+
+/**
+ * Percent a cashier may give away without a manager's PIN, as last loaded from the server
+ * @returns {number} 100 when overrides never need approval
+ */
+export const getApprovalThreshold = () => {
+  try {
+    const threshold = JSON.parse(localStorage.getItem(POLICY_KEY))?.approvalThresholdPercent;
+    return Number.isFinite(threshold) ? threshold : DEFAULT_APPROVAL_THRESHOLD;
+  } catch (error) {
+    return DEFAULT_APPROVAL_THRESHOLD;
+  }
+};
+
+const storePolicy = (policy) => {
+  localStorage.setItem(POLICY_KEY, JSON.stringify({ approvalThresholdPercent: Number(policy?.approvalThresholdPercent) }));
+};
+
+/**
+ * Loads the approval threshold. Keeps the cached copy when the server can't be reached.
+ * @returns {Promise<number>} Percent
+ */
+export const fetchApprovalThreshold = async () => {
+  try {
+    const response = await apiClient.get(SETTINGS_URL);
+    storePolicy(response.data);
+  } catch (error) {
+    console.error('Failed to load the price override policy, using the cached copy:', error);
+  }
+  return getApprovalThreshold();
+};
+
+/**
+ * Saves the approval threshold for every till
+ * @param {number} percent - One of APPROVAL_THRESHOLD_OPTIONS
+ * @returns {Promise<number>} Saved percent
+ */
+export const saveApprovalThreshold = async (percent) => {
+  const response = await apiClient.put(SETTINGS_URL, { approvalThresholdPercent: percent });
+  storePolicy(response.data);
+  return getApprovalThreshold();
+};
+
+/**
+ * Has a manager approve an override with their PIN. The approval is sent
+ * with the sale, which the server only accepts once.
+ * @param {Object} request
+ * @param {string} request.username - The manager's username
+ * @param {string} request.pin
+ * @param {string} request.type - OVERRIDE_TYPES value
+ * @param {number} request.percent - Share of the value being given away
+ * @param {string} request.reasonCode
+ * @returns {Promise<{id: string, percent: number, approvedById: number, approvedByName: string, approvedAt: string}>}
+ */
+export const approveOverride = async ({ username, pin, type, percent, reasonCode }) => {
+  // A wrong PIN is a 401 that must not sign the cashier out
+  const response = await apiClient.post(`${API_BASE}/approvals`, { username, pin, type, percent, reasonCode }, { skipAuthRefresh: true });
+  return response.data;
+};
+
+/**
+ * Every override given on completed sales in a date range, one row per
+ * override per line, with totals by reason and by cashier
+ * @param {Date|string} [startDate]
+ * @param {Date|string} [endDate]
+ * @returns {Promise<{rows: Array, totalAmount: number, approvedCount: number, byReason: Array, byCashier: Array}>}
+ */
+export const getPriceOverrideReport = async (startDate, endDate) => {
+  const params = {};
+  if (startDate) params.startDate = toDateParam(startDate);
+  if (endDate) params.endDate = toDateParam(endDate);
+
+  const response = await apiClient.get('/reports/price-overrides', { params });
+  return response.data;
+};
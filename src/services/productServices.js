@@ -1,56 +1,5 @@
-import axios from "axios";
-
-const api = axios.create({
-  baseURL: process.env.REACT_APP_API_BASE_URL,
-});
-
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem("token");
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-  return config;
-});
-
-api.interceptors.response.use(
-  response => response,
-  error => {
-    if (error.response?.status === 500) {
-      console.error("Server error:", error.response.data)
-      return Promise.reject(new Error("Server error occurred. Please try again later."));
-    }
-    return Promise.reject(error);
-  }
-);
-
-const extractArrayData = (data) => {
-  if (data && typeof data === "object" && !Array.isArray(data)) {
-    const possibleKeys = ["content", "products", "data", "items", "results"];
-    for (const key of possibleKeys) {
-      if (Array.isArray(data[key])) {
-        return data[key];
-      }
-    }
-    console.error("Invalid response format:", data);
-    return [];
-  }
-  
-  // Handle other possible array locations
-  const possibleKeys = ["products", "data", "items", "results"];
-  for (const key of possibleKeys) {
-    if (Array.isArray(data[key])) {
-      return data[key];
-    }
-  }
-  
-  // If it's already an array, return it
-  if (Array.isArray(data)) {
-    return data;
-  }
-  
-  // Fallback to empty array
-  return [];
-};
+import apiClient, { toList } from "./apiClient";
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, recordAuditEvent } from "./auditService";
 
 const transformProduct = (product) => ({
   id: product.id,
@@ -67,13 +16,14 @@ const transformProduct = (product) => ({
   unitId: product.unitId || product.unit_id || null,
   costPrice: product.costPrice || product.cost_price || 0,
   lowStockThreshold: product.lowStockThreshold || product.low_stock_threshold || 0,
-  expiryDate: product.expiryDate || product.expiry_date || null
+  expiryDate: product.expiryDate || product.expiry_date || null,
+  taxClass: product.taxClass || product.tax_class || null
 });
 
 // Update the getAllProducts function
 export const getAllProducts = async (page = 0, size = 10) => {
   try {
-    const response = await api.get(`/products?page=${page}&size=${size}`);
+    const response = await apiClient.get('/products', { params: { page, size } });
     return response.data; // Return the full response including pagination data
   } catch (error) {
     console.error("Error fetching products:", error);
@@ -83,7 +33,7 @@ export const getAllProducts = async (page = 0, size = 10) => {
 
 export const getProductById = async (id) => {
   try {
-    const response = await api.get(`/products/${id}`);
+    const response = await apiClient.get(`/products/${id}`);
     return transformProduct(response.data);
   } catch (error) {
     console.error("Error fetching product:", error);
@@ -93,21 +43,15 @@ export const getProductById = async (id) => {
 
 export const createProduct = async (formData) => {
   try {
-    const response = await api.post('/products', formData, {
+    const response = await apiClient.post('/products', formData, {
       headers: {
         'Content-Type': 'multipart/form-data'
       }
     });
     return transformProduct(response.data);
   } catch (error) {
+    // Field-level validation errors are available on error.fieldErrors
     console.error("Error creating product:", error);
-    if (error.response?.data?.errors) {
-      const validationErrors = {};
-      error.response.data.errors.forEach(err => {
-        validationErrors[err.field] = err.defaultMessage || err.message;
-      });
-      throw { validationErrors };
-    }
     throw error;
   }
 };
@@ -130,7 +74,9 @@ export const updateProduct = async (id, productData, imageFile) => {
       supplierId: productData.supplierId,
       categoryId: productData.categoryId,
       brandId: productData.brandId,
-      unitId: productData.unitId
+      unitId: productData.unitId,
+      // Blank inherits the category's tax class
+      taxClass: productData.taxClass || null
     };
 
     // Add the request as a JSON blob
@@ -143,7 +89,7 @@ export const updateProduct = async (id, productData, imageFile) => {
       formData.append('imageFile', imageFile);
     }
 
-    const response = await api.put(`/products/${id}`, formData, {
+    const response = await apiClient.put(`/products/${id}`, formData, {
       headers: {
         'Content-Type': 'multipart/form-data'
       }
@@ -157,7 +103,7 @@ export const updateProduct = async (id, productData, imageFile) => {
 
 export const updateProductWithImage = async (id, formData) => {
   try {
-    const response = await api.put(`/products/${id}/with-image`, formData, {
+    const response = await apiClient.put(`/products/${id}/with-image`, formData, {
       headers: {
         'Content-Type': 'multipart/form-data'
       }
@@ -169,9 +115,22 @@ export const updateProductWithImage = async (id, formData) => {
   }
 };
 
-export const deleteProduct = async (id) => {
+/**
+ * Deletes a product and records it in the audit trail
+ * @param {number|string} id - Product ID
+ * @param {Object} [audit] - { before, reason } for the audit event
+ * @returns {Promise<number|string>} The deleted ID
+ */
+export const deleteProduct = async (id, { before = null, reason = null } = {}) => {
   try {
-    await api.delete(`/products/${id}`);
+    await apiClient.delete(`/products/${id}`);
+    recordAuditEvent({
+      action: AUDIT_ACTIONS.PRODUCT_DELETE,
+      entityType: AUDIT_ENTITIES.PRODUCT,
+      entityId: id,
+      before,
+      reason
+    });
     return id;
   } catch (error) {
     console.error("Error deleting product:", error);
@@ -181,7 +140,7 @@ export const deleteProduct = async (id) => {
 
 export const deleteProductImage = async (id) => {
   try {
-    const response = await api.delete(`/products/${id}/image`);
+    const response = await apiClient.delete(`/products/${id}/image`);
     return transformProduct(response.data);
   } catch (error) {
     console.error("Error deleting product image:", error);
@@ -191,7 +150,7 @@ export const deleteProductImage = async (id) => {
 
 export const searchProducts = async (query) => {
   try {
-    const response = await api.get(`/products/search?query=${query}`);
+    const response = await apiClient.get('/products/search', { params: { query } });
     return response.data.map(transformProduct);
   } catch (error) {
     console.error("Error searching products:", error);
@@ -201,7 +160,7 @@ export const searchProducts = async (query) => {
 
 export const getLowStockProducts = async () => {
   try {
-    const response = await api.get('/products/low-stock');
+    const response = await apiClient.get('/products/low-stock');
     return response.data.map(transformProduct);
   } catch (error) {
     console.error("Error fetching low stock products:", error);
@@ -211,7 +170,7 @@ export const getLowStockProducts = async () => {
 
 export const getProductsBySupplier = async (supplierId) => {
   try {
-    const response = await api.get(`/products/supplier/${supplierId}`);
+    const response = await apiClient.get(`/products/supplier/${supplierId}`);
     return response.data.map(transformProduct);
   } catch (error) {
     console.error("Error fetching products by supplier:", error);
@@ -221,7 +180,7 @@ export const getProductsBySupplier = async (supplierId) => {
 
 export const getProductsByCategory = async (categoryId) => {
   try {
-    const response = await api.get(`/products/category/${categoryId}`);
+    const response = await apiClient.get(`/products/category/${categoryId}`);
     return response.data.map(transformProduct);
   } catch (error) {
     console.error("Error fetching products by category:", error);
@@ -232,7 +191,7 @@ export const getProductsByCategory = async (categoryId) => {
 export const getExpiringProducts = async (thresholdDate = null) => {
   try {
     const params = thresholdDate ? { params: { thresholdDate } } : {};
-    const response = await api.get('/products/expiring', params);
+    const response = await apiClient.get('/products/expiring', params);
     return response.data.map(transformProduct);
   } catch (error) {
     console.error("Error fetching expiring products:", error);
@@ -242,7 +201,7 @@ export const getExpiringProducts = async (thresholdDate = null) => {
 
 export const getProductCount = async () => {
   try {
-    const response = await api.get('/products/count');
+    const response = await apiClient.get('/products/count');
     return response.data;
   } catch (error) {
     console.error("Error fetching product count:", error);
@@ -253,11 +212,12 @@ export const getProductCount = async () => {
 // Supporting Services
 export const getCategories = async () => {
   try {
-    const response = await api.get("/categories");
-    return extractArrayData(response.data).map(category => ({
+    const response = await apiClient.get("/categories");
+    return toList(response.data).map(category => ({
       id: category.id,
       name: category.name || "Unnamed Category",
-      description: category.description || ""
+      description: category.description || "",
+      taxClass: category.taxClass || null
     }));
   } catch (error) {
     console.error("Error fetching categories:", error);
@@ -267,8 +227,8 @@ export const getCategories = async () => {
 
 export const getBrands = async () => {
   try {
-    const response = await api.get("/brands");
-    return extractArrayData(response.data).map(brand => ({
+    const response = await apiClient.get("/brands");
+    return toList(response.data).map(brand => ({
       id: brand.id,
       name: brand.name || "Unnamed Brand",
       description: brand.description || ""
@@ -281,8 +241,8 @@ export const getBrands = async () => {
 
 export const getUnits = async () => {
   try {
-    const response = await api.get("/units");
-    return extractArrayData(response.data).map(unit => ({
+    const response = await apiClient.get("/units");
+    return toList(response.data).map(unit => ({
       id: unit.id,
       name: unit.name || "Unnamed Unit",
       description: unit.description || "",
@@ -296,8 +256,8 @@ export const getUnits = async () => {
 
 export const getSuppliers = async () => {
   try {
-    const response = await api.get("/suppliers");
-    return extractArrayData(response.data).map(supplier => ({
+    const response = await apiClient.get("/suppliers");
+    return toList(response.data).map(supplier => ({
       id: supplier.id,
       companyName: supplier.companyName || supplier.name || "Unnamed Supplier",
       contactPerson: supplier.contactPerson || "",
@@ -313,7 +273,7 @@ export const getSuppliers = async () => {
 
 export const getProductImage = async (id) => {
   try {
-    const response = await api.get(`/products/${id}/image`, {
+    const response = await apiClient.get(`/products/${id}/image`, {
       responseType: 'arraybuffer'
     });
     return new Blob([response.data], { type: response.headers['content-type'] });
@@ -325,7 +285,7 @@ export const getProductImage = async (id) => {
 
 export const exportProductsToExcel = async () => {
   try {
-    const response = await api.get('/products/export', {
+    const response = await apiClient.get('/products/export', {
       responseType: 'blob'
     });
     return response.data;
@@ -340,7 +300,7 @@ export const importProductsFromExcel = async (file) => {
     const formData = new FormData();
     formData.append('file', file);
     
-    const response = await api.post('/products/import', formData, {
+    const response = await apiClient.post('/products/import', formData, {
       headers: {
         'Content-Type': 'multipart/form-data'
       }
@@ -357,7 +317,7 @@ export const importProductsFromExcel = async (file) => {
 
 export const checkSkuExists = async (sku) => {
   try {
-    const response = await api.get(`/products/check-sku`, {
+    const response = await apiClient.get(`/products/check-sku`, {
       params: { sku }
     });
     return response.data.exists;
@@ -371,7 +331,7 @@ export const checkSkuExists = async (sku) => {
 
 export const checkBarcodeExists = async (barcode) => {
   try {
-    const response = await api.get(`/products/check-barcode`, {
+    const response = await apiClient.get(`/products/check-barcode`, {
       params: { barcode }
     });
     return response.data.exists;
@@ -385,21 +345,15 @@ export const checkBarcodeExists = async (barcode) => {
 
 export const addProduct = async (formData) => {
   try {
-    const response = await api.post('/products', formData, {
+    const response = await apiClient.post('/products', formData, {
       headers: {
         'Content-Type': 'multipart/form-data'
       }
     });
     return transformProduct(response.data);
   } catch (error) {
+    // Field-level validation errors are available on error.fieldErrors
     console.error("Error creating product:", error);
-    if (error.response?.data?.errors) {
-      const validationErrors = {};
-      error.response.data.errors.forEach(err => {
-        validationErrors[err.field] = err.defaultMessage || err.message;
-      });
-      throw { validationErrors };
-    }
     throw error;
   }
 };
\ No newline at end of file
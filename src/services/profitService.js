@@ -1,68 +1,4 @@
-import axios from 'axios';
-
-// Configure API base URL
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://inventorymanagementsystem-latest-37zl.onrender.com';
-
-// Create axios instance with default configuration
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 15000,
-  headers: {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json'
-  }
-});
-
-// Request interceptor for adding auth token
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Response interceptor for handling errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    let errorMessage = 'An unexpected error occurred';
-    
-    if (error.response) {
-      switch (error.response.status) {
-        case 400:
-          errorMessage = error.response.data?.message || 'Bad request';
-          break;
-        case 401:
-          errorMessage = 'Authentication failed - please login again';
-          break;
-        case 403:
-          errorMessage = 'You do not have permission to access this resource';
-          break;
-        case 404:
-          errorMessage = 'The requested resource was not found';
-          break;
-        case 500:
-          errorMessage = 'Server error - please try again later';
-          break;
-        default:
-          errorMessage = error.response.data?.message || `Server returned status ${error.response.status}`;
-      }
-    } else if (error.request) {
-      errorMessage = 'No response from server - check your network connection';
-    } else {
-      errorMessage = error.message || 'Request setup error';
-    }
-
-    console.error('API Error:', errorMessage);
-    return Promise.reject(new Error(errorMessage));
-  }
-);
+import apiClient from './apiClient';
 
 /**
  * Formats date to YYYY-MM-DD string
@@ -106,7 +42,7 @@ export const getProfitLossReport = async (startDate, endDate, options = {}) => {
       throw new Error('Start date must be before end date');
     }
 
-    const response = await api.get('/reports/financial/profit-loss', {
+    const response = await apiClient.get('/reports/financial/profit-loss', {
       params,
       signal: options.signal
     });
@@ -0,0 +1,59 @@
+import apiClient, { getList } from './apiClient';
+
+const API_BASE = '/promotions';
+// Promotions last loaded from the server, so the cart can apply them
+// synchronously and while offline
+const PROMOTIONS_KEY = 'promotions';
+
+/**
+ * Promotions that are switched on and not yet over, as last loaded from the
+ * server. Whether each is running right now is left to livePromotions.
+ * @returns {Array}
+ */
+export const getPromotions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROMOTIONS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Loads the promotions the till applies. Keeps the cached copy when the
+ * server can't be reached.
+ * @returns {Promise<Array>}
+ */
+export const fetchPromotions = async () => {
+  try {
+    const promotions = await getList(`${API_BASE}/active`);
+    localStorage.setItem(PROMOTIONS_KEY, JSON.stringify(promotions));
+    return promotions;
+  } catch (error) {
+    console.error('Failed to load promotions, using the cached copy:', error);
+    return getPromotions();
+  }
+};
+
+/**
+ * Every promotion, including those switched off or over
+ * @returns {Promise<Array>}
+ */
+export const getAllPromotions = async () => getList(API_BASE);
+
+/**
+ * Creates a promotion, or updates it when it has an id
+ * @param {Object} promotion - See components/utils/promotions
+ * @returns {Promise<Object>} Saved promotion
+ */
+export const savePromotion = async (promotion) => {
+  const response = promotion.id
+    ? await apiClient.put(`${API_BASE}/${promotion.id}`, promotion)
+    : await apiClient.post(API_BASE, promotion);
+  await fetchPromotions();
+  return response.data;
+};
+
+export const deletePromotion = async (id) => {
+  await apiClient.delete(`${API_BASE}/${id}`);
+  await fetchPromotions();
+};
@@ -1,4 +1,16 @@
 // services/returnsService.js
+import apiClient from './apiClient';
+
+/**
+ * Records a return against an order on the server
+ * @param {Object} returnData - { orderId, productId, qtyReturned, returnReason }
+ * @returns {Promise<Object|string>} The server's confirmation
+ */
+export const createReturn = async (returnData) => {
+  const response = await apiClient.post('/returns', returnData);
+  return response.data;
+};
+
 export const getSalesReturns = () => {
     const returns = JSON.parse(localStorage.getItem('sales_returns')) || [];
     return Promise.resolve(returns);
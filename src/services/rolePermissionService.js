@@ -1,43 +1,16 @@
-import axios from 'axios';
-
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://inventorymanagementsystem-we5x.onrender.com/';
-
-const getAuthHeader = () => ({
-  headers: {
-    Authorization: `Bearer ${localStorage.getItem('token')}`
-  }
-});
+import apiClient from './apiClient';
 
 export const fetchRolePermissions = async (roleId) => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/roles/${roleId}/permissions`, getAuthHeader());
-    return response.data;
-  } catch (error) {
-    console.error('Permissions fetch error:', error);
-    throw error;
-  }
+  const response = await apiClient.get(`/roles/${roleId}/permissions`);
+  return response.data;
 };
 
 export const assignRolePermissions = async (roleId, permissions) => {
-  try {
-    const response = await axios.post(
-      `${API_BASE_URL}/roles/${roleId}/permissions`,
-      { permissions },
-      getAuthHeader()
-    );
-    return response.data;
-  } catch (error) {
-    console.error('Permissions assignment error:', error);
-    throw error;
-  }
+  const response = await apiClient.post(`/roles/${roleId}/permissions`, { permissions });
+  return response.data;
 };
 
 export const removeRolePermissions = async (roleId) => {
-  try {
-    const response = await axios.delete(`${API_BASE_URL}/roles/${roleId}/permissions`, getAuthHeader());
-    return response.data;
-  } catch (error) {
-    console.error('Permissions removal error:', error);
-    throw error;
-  }
-};
\ No newline at end of file
+  const response = await apiClient.delete(`/roles/${roleId}/permissions`);
+  return response.data;
+};
@@ -1,14 +1,11 @@
-const API_BASE_URL = `${process.env.REACT_APP_API_BASE_URL}/sales`;
-const REPORTS_BASE_URL = `${process.env.REACT_APP_API_BASE_URL}/reports`;
+import apiClient, { getList } from './apiClient';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, recordAuditEvent } from './auditService';
 
-// Helper function to get authorization header
-const getAuthHeader = () => {
-  const token = localStorage.getItem('token');
-  return {
-    Authorization: `Bearer ${token}`,
-    'Content-Type': 'application/json'
-  };
-};
+const API_BASE = '/sales';
+const REPORTS_BASE = '/reports';
+
+// Formats a Date (or passes through a YYYY-MM-DD string) for query params
+const toDateParam = (date) => (typeof date === 'string' ? date : date.toISOString().split('T')[0]);
 
 /**
  * Fetch all sales with optional date filtering
@@ -17,25 +14,11 @@ const getAuthHeader = () => {
  * @returns {Promise<Array>} - Array of sales
  */
 export const getSales = async (startDate, endDate) => {
-  try {
-    let url = API_BASE_URL;
-    const params = new URLSearchParams();
-    
-    if (startDate) params.append('startDate', startDate.toISOString().split('T')[0]);
-    if (endDate) params.append('endDate', endDate.toISOString().split('T')[0]);
-    
-    if (params.toString()) url += `?${params.toString()}`;
-    
-    const response = await fetch(url, {
-      headers: getAuthHeader()
-    });
-    
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error('Error in getSales:', error);
-    throw error;
-  }
+  const params = {};
+  if (startDate) params.startDate = toDateParam(startDate);
+  if (endDate) params.endDate = toDateParam(endDate);
+
+  return getList(API_BASE, { params });
 };
 
 /**
@@ -44,37 +27,25 @@ export const getSales = async (startDate, endDate) => {
  * @returns {Promise<Object>} - Sale details
  */
 export const getSaleById = async (id) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/${id}`, {
-      headers: getAuthHeader()
-    });
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error(`Error fetching sale with ID ${id}:`, error);
-    throw error;
-  }
+  const response = await apiClient.get(`${API_BASE}/${id}`);
+  return response.data;
 };
 
+// Lets the server recognise a sale it has already recorded when it is sent again
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
 /**
  * Create new sale
  * @param {Object} saleData - Sale data
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Same key on a retry returns the original sale
+ * @param {Object} [options.config] - Extra request config, e.g. branchId
  * @returns {Promise<Object>} - Created sale
  */
-export const createSale = async (saleData) => {
-  try {
-    const response = await fetch(API_BASE_URL, {
-      method: 'POST',
-      headers: getAuthHeader(),
-      body: JSON.stringify(saleData)
-    });
-    
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error('Error creating sale:', error);
-    throw error;
-  }
+export const createSale = async (saleData, { idempotencyKey, config = {} } = {}) => {
+  const headers = idempotencyKey ? { [IDEMPOTENCY_HEADER]: idempotencyKey } : undefined;
+  const response = await apiClient.post(API_BASE, saleData, { ...config, headers });
+  return response.data;
 };
 
 /**
@@ -83,19 +54,8 @@ export const createSale = async (saleData) => {
  * @returns {Promise<Object>} - Updated sale
  */
 export const cancelSale = async (id) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/${id}/status`, {
-      method: 'PATCH',
-      headers: getAuthHeader(),
-      body: JSON.stringify({ status: 'CANCELLED' })
-    });
-    
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error(`Error cancelling sale with ID ${id}:`, error);
-    throw error;
-  }
+  const response = await apiClient.patch(`${API_BASE}/${id}/status`, { status: 'CANCELLED' });
+  return response.data;
 };
 
 /**
@@ -104,16 +64,7 @@ export const cancelSale = async (id) => {
  * @returns {Promise<Array>} - Array of sales
  */
 export const getSalesByCustomer = async (customerId) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/customer/${customerId}`, {
-      headers: getAuthHeader()
-    });
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error(`Error fetching sales for customer ${customerId}:`, error);
-    throw error;
-  }
+  return getList(`${API_BASE}/customer/${customerId}`);
 };
 
 /**
@@ -122,16 +73,7 @@ export const getSalesByCustomer = async (customerId) => {
  * @returns {Promise<Array>} - Array of sales
  */
 export const getSalesByStatus = async (status) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/status/${status}`, {
-      headers: getAuthHeader()
-    });
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error(`Error fetching sales with status ${status}:`, error);
-    throw error;
-  }
+  return getList(`${API_BASE}/status/${status}`);
 };
 
 /**
@@ -141,24 +83,10 @@ export const getSalesByStatus = async (status) => {
  * @returns {Promise<Array>} - Array of sales
  */
 export const getSalesByDateRange = async (startDate, endDate) => {
-  try {
-    // Ensure dates are in proper format (accepts both Date objects and formatted strings)
-    const start = typeof startDate === 'string' ? startDate : startDate.toISOString().split('T')[0];
-    const end = typeof endDate === 'string' ? endDate : endDate.toISOString().split('T')[0];
-    
-    const response = await fetch(
-      `${API_BASE_URL}/date-range?startDate=${start}&endDate=${end}`,
-      {
-        headers: getAuthHeader()
-      }
-    );
-    
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching sales by date range:', error);
-    throw error;
-  }
+  // Accepts both Date objects and formatted strings
+  return getList(`${API_BASE}/date-range`, {
+    params: { startDate: toDateParam(startDate), endDate: toDateParam(endDate) }
+  });
 };
 
 /**
@@ -167,16 +95,8 @@ export const getSalesByDateRange = async (startDate, endDate) => {
  * @returns {Promise<Object>} - Receipt data
  */
 export const generateReceipt = async (id) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/${id}/receipt`, {
-      headers: getAuthHeader()
-    });
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error(`Error generating receipt for sale ${id}:`, error);
-    throw error;
-  }
+  const response = await apiClient.get(`${API_BASE}/${id}/receipt`);
+  return response.data;
 };
 
 /**
@@ -232,22 +152,15 @@ export const exportSalesToCSV = (sales) => {
 /**
  * Get daily sales summary
  * @param {Date} date - Optional date (defaults to today)
+ * @param {Object} [options] - { branchId } to summarize a branch other than the active one
  * @returns {Promise<Object>} - Summary object
  */
-export const getDailySummary = async (date = new Date()) => {
-  try {
-    const response = await fetch(
-      `${API_BASE_URL}/daily-summary?date=${date.toISOString().split('T')[0]}`,
-      {
-        headers: getAuthHeader()
-      }
-    );
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching daily summary:', error);
-    throw error;
-  }
+export const getDailySummary = async (date = new Date(), { branchId } = {}) => {
+  const response = await apiClient.get(`${API_BASE}/daily-summary`, {
+    params: { date: toDateParam(date) },
+    branchId
+  });
+  return response.data;
 };
 
 // ======================================
@@ -261,21 +174,12 @@ export const getDailySummary = async (date = new Date()) => {
  * @returns {Promise<Array>} - Array of sales report items
  */
 export const getSalesReport = async (startDate, endDate) => {
-  try {
-    const params = new URLSearchParams();
-    if (startDate) params.append('startDate', startDate.toISOString().split('T')[0]);
-    if (endDate) params.append('endDate', endDate.toISOString().split('T')[0]);
-
-    const response = await fetch(`${REPORTS_BASE_URL}/sales?${params.toString()}`, {
-      headers: getAuthHeader()
-    });
+  const params = {};
+  if (startDate) params.startDate = toDateParam(startDate);
+  if (endDate) params.endDate = toDateParam(endDate);
 
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching sales report:', error);
-    throw error;
-  }
+  const response = await apiClient.get(`${REPORTS_BASE}/sales`, { params });
+  return response.data;
 };
 
 /**
@@ -286,24 +190,13 @@ export const getSalesReport = async (startDate, endDate) => {
  * @returns {Promise<Blob>} - The exported file as a Blob
  */
 export const exportSalesReport = async (startDate, endDate, format = 'CSV') => {
-  try {
-    const response = await fetch(`${REPORTS_BASE_URL}/export`, {
-      method: 'POST',
-      headers: getAuthHeader(),
-      body: JSON.stringify({
-        reportType: 'SALES',
-        startDate: startDate?.toISOString().split('T')[0],
-        endDate: endDate?.toISOString().split('T')[0],
-        format
-      })
-    });
-
-    await handleApiError(response);
-    return await response.blob();
-  } catch (error) {
-    console.error('Error exporting sales report:', error);
-    throw error;
-  }
+  const response = await apiClient.post(`${REPORTS_BASE}/export`, {
+    reportType: 'SALES',
+    startDate: startDate ? toDateParam(startDate) : undefined,
+    endDate: endDate ? toDateParam(endDate) : undefined,
+    format
+  }, { responseType: 'blob' });
+  return response.data;
 };
 
 /**
@@ -313,21 +206,12 @@ export const exportSalesReport = async (startDate, endDate, format = 'CSV') => {
  * @returns {Promise<Array>} - Array of product performance items
  */
 export const getProductPerformanceReport = async (startDate, endDate) => {
-  try {
-    const params = new URLSearchParams();
-    if (startDate) params.append('startDate', startDate.toISOString().split('T')[0]);
-    if (endDate) params.append('endDate', endDate.toISOString().split('T')[0]);
-
-    const response = await fetch(`${REPORTS_BASE_URL}/products?${params.toString()}`, {
-      headers: getAuthHeader()
-    });
+  const params = {};
+  if (startDate) params.startDate = toDateParam(startDate);
+  if (endDate) params.endDate = toDateParam(endDate);
 
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching product performance report:', error);
-    throw error;
-  }
+  const response = await apiClient.get(`${REPORTS_BASE}/products`, { params });
+  return response.data;
 };
 
 /**
@@ -337,53 +221,28 @@ export const getProductPerformanceReport = async (startDate, endDate) => {
  * @returns {Promise<Object>} - Profit and loss data
  */
 export const getProfitLossReport = async (startDate, endDate) => {
-  try {
-    const params = new URLSearchParams();
-    if (startDate) params.append('startDate', startDate.toISOString().split('T')[0]);
-    if (endDate) params.append('endDate', endDate.toISOString().split('T')[0]);
-
-    const response = await fetch(`${REPORTS_BASE_URL}/profit-loss?${params.toString()}`, {
-      headers: getAuthHeader()
-    });
+  const params = {};
+  if (startDate) params.startDate = toDateParam(startDate);
+  if (endDate) params.endDate = toDateParam(endDate);
 
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error('Error fetching profit/loss report:', error);
-    throw error;
-  }
+  const response = await apiClient.get(`${REPORTS_BASE}/profit-loss`, { params });
+  return response.data;
 };
 
-// Utility function to handle API errors
-const handleApiError = async (response) => {
-  if (!response.ok) {
-    let errorMessage;
-    try {
-      const errorData = await response.json();
-      errorMessage = errorData.message || response.statusText;
-    } catch {
-      errorMessage = response.statusText;
-    }
-    throw new Error(errorMessage);
-  }
-  return response;
-};
 /**
  * Delete a sale permanently
  * @param {number|string} id - Sale ID to delete
+ * @param {Object} [audit] - { before, reason } for the audit event
  * @returns {Promise<Object>} - Confirmation message
  */
-export const deleteSale = async (id) => {
-  try {
-    const response = await fetch(`${API_BASE_URL}/${id}`, {
-      method: 'DELETE',
-      headers: getAuthHeader()
-    });
-    
-    await handleApiError(response);
-    return await response.json();
-  } catch (error) {
-    console.error(`Error deleting sale with ID ${id}:`, error);
-    throw error;
-  }
+export const deleteSale = async (id, { before = null, reason = null } = {}) => {
+  const response = await apiClient.delete(`${API_BASE}/${id}`);
+  recordAuditEvent({
+    action: AUDIT_ACTIONS.SALE_DELETE,
+    entityType: AUDIT_ENTITIES.SALE,
+    entityId: id,
+    before,
+    reason
+  });
+  return response.data;
 };
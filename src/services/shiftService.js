@@ -0,0 +1,98 @@
+import apiClient, { getPage } from './apiClient';
+import { getTerminalId } from './terminalSettings';
+
+const API_BASE = '/shifts';
+// The open shift on this till, so checkout can tag sales without a round trip
+const ACTIVE_SHIFT_KEY = 'posActiveShift';
+
+export const getActiveShift = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_SHIFT_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const storeActiveShift = (shift) => {
+  if (shift) {
+    localStorage.setItem(ACTIVE_SHIFT_KEY, JSON.stringify({ id: shift.id, openedAt: shift.openedAt, openedByName: shift.openedByName }));
+  } else {
+    localStorage.removeItem(ACTIVE_SHIFT_KEY);
+  }
+};
+
+/**
+ * The shift open on this till, if any
+ * @returns {Promise<Object|null>}
+ */
+export const getCurrentShift = async () => {
+  try {
+    const response = await apiClient.get(`${API_BASE}/current`, { params: { terminalId: getTerminalId() } });
+    storeActiveShift(response.data || null);
+    return response.data || null;
+  } catch (error) {
+    if (error.status === 404) {
+      storeActiveShift(null);
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Opens a shift on this till
+ * @param {Object} shift
+ * @param {number} shift.openingFloat - Cash in the drawer at the start
+ * @param {string} [shift.notes]
+ * @returns {Promise<Object>} The open shift
+ */
+export const openShift = async ({ openingFloat, notes = '' }) => {
+  const response = await apiClient.post(API_BASE, { openingFloat, notes, terminalId: getTerminalId() });
+  storeActiveShift(response.data);
+  return response.data;
+};
+
+/**
+ * Mid-shift X report: the shift's takings so far, without closing it
+ * @param {number|string} shiftId
+ * @returns {Promise<Object>} Report
+ */
+export const getShiftReport = async (shiftId) => {
+  const response = await apiClient.get(`${API_BASE}/${shiftId}/report`);
+  return response.data;
+};
+
+/**
+ * Records cash taken out of the drawer during the shift
+ * @param {number|string} shiftId
+ * @param {{amount: number, reason: string}} payout
+ * @returns {Promise<Object>} The payout
+ */
+export const recordPayout = async (shiftId, { amount, reason }) => {
+  const response = await apiClient.post(`${API_BASE}/${shiftId}/payouts`, { amount, reason });
+  return response.data;
+};
+
+/**
+ * Closes the shift with the cash counted in the drawer
+ * @param {number|string} shiftId
+ * @param {{countedCash: number, notes?: string}} closing
+ * @returns {Promise<Object>} The Z report
+ */
+export const closeShift = async (shiftId, { countedCash, notes = '' }) => {
+  const response = await apiClient.post(`${API_BASE}/${shiftId}/close`, { countedCash, notes });
+  storeActiveShift(null);
+  return response.data;
+};
+
+/**
+ * Z reports of closed shifts, newest first
+ * @param {Object} [filters] - { startDate, endDate, terminalId, page, size }
+ * @returns {Promise<{content: Array, totalElements: number, totalPages: number, page: number, size: number}>}
+ */
+export const fetchZReports = async (filters = {}) => {
+  const params = Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  return getPage(`${API_BASE}/z-reports`, { params });
+};
@@ -0,0 +1,123 @@
+// Cross-tab messaging for session, cart and customer display state. Uses BroadcastChannel where
+// available and falls back to localStorage `storage` events elsewhere.
+// Messages never echo back to the tab that sent them.
+
+const CHANNEL_NAME = 'pos-tab-sync';
+const STORAGE_KEY = 'tabSyncMessage';
+
+export const SYNC_EVENTS = {
+  LOGIN: 'auth:login',
+  LOGOUT: 'auth:logout',
+  TOKEN: 'auth:token',
+  PERMISSIONS: 'auth:permissions',
+  CART: 'cart:update',
+  BRANCH: 'branch:change',
+  OFFLINE_QUEUE: 'offline:queue',
+  POS_LOCK: 'pos:lock',
+  DISPLAY_PAYMENT: 'display:payment',
+  DISPLAY_REQUEST: 'display:request'
+};
+
+export const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const listeners = new Set();
+let channel = null;
+
+const dispatch = (message) => {
+  if (!message?.type || message.sourceTab === TAB_ID) return;
+  listeners.forEach(listener => listener(message));
+};
+
+const handleStorage = (event) => {
+  if (event.key !== STORAGE_KEY || !event.newValue) return;
+  try {
+    dispatch(JSON.parse(event.newValue));
+  } catch (error) {
+    console.error('Ignoring malformed tab sync message:', error);
+  }
+};
+
+const ensureChannel = () => {
+  if (channel !== null) return;
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => dispatch(event.data);
+  } else {
+    channel = false;
+    window.addEventListener('storage', handleStorage);
+  }
+};
+
+/**
+ * Sends a message to every other open tab of the app
+ * @param {string} type - One of SYNC_EVENTS
+ * @param {Object} [payload] - JSON-serializable data
+ */
+export const broadcast = (type, payload = {}) => {
+  ensureChannel();
+  const message = { type, payload, sourceTab: TAB_ID, sentAt: Date.now() };
+  if (channel) {
+    channel.postMessage(message);
+  } else {
+    // Setting then removing the key fires a `storage` event in other tabs
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+/**
+ * Listens for messages from other tabs
+ * @param {Function} listener - Called with { type, payload, sourceTab, sentAt }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribe = (listener) => {
+  ensureChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const LOCK_PREFIX = 'tabSyncLock:';
+// A lock left by a tab that closed mid-task is ignored after this long
+const LOCK_LEASE_MS = 15000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const readLease = (key) => {
+  try {
+    const lease = JSON.parse(localStorage.getItem(key));
+    return lease && lease.until > Date.now() ? lease : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Runs a task in one tab at a time, e.g. so only one tab refreshes the
+ * session. Uses the Web Locks API where available and a short lease in
+ * localStorage elsewhere.
+ * @param {string} name - Lock name, shared by every tab
+ * @param {Function} task - Async work to do while holding the lock
+ * @returns {Promise<*>} What the task returns
+ */
+export const withTabLock = async (name, task) => {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return navigator.locks.request(name, () => task());
+  }
+
+  const key = `${LOCK_PREFIX}${name}`;
+  for (;;) {
+    const lease = readLease(key);
+    if (!lease) {
+      localStorage.setItem(key, JSON.stringify({ tab: TAB_ID, until: Date.now() + LOCK_LEASE_MS }));
+      // Another tab may have written at the same moment; the last write wins
+      await wait(50);
+      if (readLease(key)?.tab === TAB_ID) break;
+    }
+    await wait(100 + Math.random() * 200);
+  }
+  try {
+    return await task();
+  } finally {
+    if (readLease(key)?.tab === TAB_ID) localStorage.removeItem(key);
+  }
+};
@@ -0,0 +1,51 @@
+import apiClient from './apiClient';
+import { DEFAULT_TAX_SETTINGS } from '../components/utils/tax';
+
+const API_BASE = '/settings/tax';
+// Last settings loaded from the server, so cart totals can be worked out
+// synchronously and while offline
+const TAX_SETTINGS_KEY = 'taxSettings';
+
+/**
+ * Tax settings last loaded from the server, or the defaults
+ * @returns {{defaultClass: string, classes: Array}}
+ */
+export const getTaxSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TAX_SETTINGS_KEY)) || DEFAULT_TAX_SETTINGS;
+  } catch (error) {
+    return DEFAULT_TAX_SETTINGS;
+  }
+};
+
+const storeTaxSettings = (settings) => {
+  localStorage.setItem(TAX_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Loads the tax classes and default class. Keeps the cached copy when the
+ * server can't be reached.
+ * @returns {Promise<{defaultClass: string, classes: Array}>}
+ */
+export const fetchTaxSettings = async () => {
+  try {
+    const response = await apiClient.get(API_BASE);
+    const settings = response.data?.classes?.length ? response.data : DEFAULT_TAX_SETTINGS;
+    storeTaxSettings(settings);
+    return settings;
+  } catch (error) {
+    console.error('Failed to load tax settings, using the cached copy:', error);
+    return getTaxSettings();
+  }
+};
+
+/**
+ * Saves the tax classes and default class
+ * @param {{defaultClass: string, classes: Array}} settings
+ * @returns {Promise<Object>} Saved settings
+ */
+export const saveTaxSettings = async (settings) => {
+  const response = await apiClient.put(API_BASE, settings);
+  storeTaxSettings(response.data);
+  return response.data;
+};
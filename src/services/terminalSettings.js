@@ -0,0 +1,36 @@
+// Per-till settings, kept in this browser's localStorage so each terminal
+// can be configured on its own.
+
+const IDLE_LOCK_MINUTES_KEY = 'posIdleLockMinutes';
+const DEFAULT_IDLE_LOCK_MINUTES = Number(process.env.REACT_APP_POS_IDLE_LOCK_MINUTES) || 5;
+
+export const IDLE_LOCK_OPTIONS = [0, 1, 2, 5, 10, 15, 30];
+
+/**
+ * Minutes of inactivity before the POS locks itself; 0 turns the lock off
+ * @returns {number}
+ */
+export const getIdleLockMinutes = () => {
+  const stored = localStorage.getItem(IDLE_LOCK_MINUTES_KEY);
+  const minutes = stored === null ? DEFAULT_IDLE_LOCK_MINUTES : Number(stored);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_IDLE_LOCK_MINUTES;
+};
+
+export const setIdleLockMinutes = (minutes) => {
+  localStorage.setItem(IDLE_LOCK_MINUTES_KEY, String(minutes));
+};
+
+const TERMINAL_ID_KEY = 'posTerminalId';
+
+/**
+ * Identifies this browser in audit events and receipts. Generated once and kept.
+ * @returns {string}
+ */
+export const getTerminalId = () => {
+  let terminalId = localStorage.getItem(TERMINAL_ID_KEY);
+  if (!terminalId) {
+    terminalId = `T-${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+    localStorage.setItem(TERMINAL_ID_KEY, terminalId);
+  }
+  return terminalId;
+};